@@ -16,6 +16,13 @@ const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
 const crypto = require('crypto');
+const { createAuditChain } = require('../server/audit/audit-chain');
+const { ConsentClient } = require('../server/consent/consent-client');
+const { requireDataSubjectServiceAccess, heldResult } = require('../server/privacy/data-subject-client');
+const { requireBackupServiceAccess, diffDocuments, RESTORE_BODY_LIMIT } = require('../server/backup/backup-client');
+const { maintenanceGate } = require('../server/maintenance/maintenance');
+const { MaintenanceClient, bearerIsAdmin } = require('../server/maintenance/maintenance-client');
+const { SettingsClient } = require('../server/settings/settings-client');
 
 class HealthRecordsAPI {
     constructor() {
@@ -30,10 +37,31 @@ class HealthRecordsAPI {
             records: new Map(),
             shares: new Map(),
             categories: new Map(),
-            auditLogs: [],
             sessions: new Map()
         };
 
+        // Tamper-evident audit trail, persisted separately from the in-memory data
+        this.audit = createAuditChain({
+            filePath: process.env.HEALTH_RECORDS_AUDIT_FILE || path.join(__dirname, '..', 'data', 'health-records-audit.json'),
+            secret: process.env.AUDIT_SIGNING_KEY || this.jwtSecret
+        });
+
+        // Patient consents live on the main platform server
+        this.consent = new ConsentClient({
+            baseUrl: process.env.CONSENT_SERVICE_URL || 'http://localhost:3000',
+            token: process.env.CONSENT_SERVICE_TOKEN || null
+        });
+
+        // Maintenance windows are scheduled on the main platform server
+        this.maintenance = new MaintenanceClient({
+            baseUrl: process.env.MAINTENANCE_SERVICE_URL || 'http://localhost:3000'
+        });
+
+        // System settings (session timeout) follow the admin settings page on the main server
+        this.settings = new SettingsClient({
+            baseUrl: process.env.SETTINGS_SERVICE_URL || 'http://localhost:3000'
+        });
+
         this.initializeDatabase();
         this.setupMiddleware();
         this.setupRoutes();
@@ -94,8 +122,9 @@ class HealthRecordsAPI {
         });
         this.app.use('/api/health-records/', limiter);
 
-        // Body parsing
-        this.app.use(express.json({ limit: '50mb' }));
+        // Body parsing; backup restores carry whole snapshots and parse their own bodies
+        const jsonBody = express.json({ limit: '50mb' });
+        this.app.use((req, res, next) => (req.path === '/internal/backup/restore' ? next() : jsonBody(req, res, next)));
         this.app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
         // Request logging
@@ -109,6 +138,13 @@ class HealthRecordsAPI {
             next();
         });
 
+        // 503 for everyone but admins during maintenance windows
+        this.app.use(maintenanceGate({
+            status: () => this.maintenance.status(),
+            isAdmin: bearerIsAdmin(this.jwtSecret),
+            exempt: ['/api/health-records/health']
+        }));
+
         // File upload configuration
         this.setupFileUpload();
     }
@@ -204,6 +240,19 @@ class HealthRecordsAPI {
         // Export routes
         this.app.get('/api/health-records/export/records', this.authenticateToken.bind(this), this.exportRecords.bind(this));
 
+        // Audit routes
+        this.app.get('/api/health-records/audit/verify', this.authenticateToken.bind(this), this.verifyAuditLog.bind(this));
+
+        // Data subject export and erasure, called by the main server
+        const dataSubjectAccess = requireDataSubjectServiceAccess(process.env.DATA_SUBJECT_SERVICE_TOKEN || null);
+        this.app.post('/internal/data-subject/export', dataSubjectAccess, this.exportDataSubject.bind(this));
+        this.app.post('/internal/data-subject/erase', dataSubjectAccess, this.eraseDataSubject.bind(this));
+
+        // Backup snapshots and restores, called by the main server
+        const backupAccess = requireBackupServiceAccess(process.env.BACKUP_SERVICE_TOKEN || null);
+        this.app.post('/internal/backup/snapshot', backupAccess, this.backupSnapshot.bind(this));
+        this.app.post('/internal/backup/restore', backupAccess, express.json({ limit: RESTORE_BODY_LIMIT }), this.backupRestore.bind(this));
+
         // Error handling
         this.app.use(this.errorHandler.bind(this));
     }
@@ -230,6 +279,10 @@ class HealthRecordsAPI {
 
             // Check if session exists
             const session = this.database.sessions.get(user.sessionId);
+            const timeoutMinutes = this.settings.get('security', 'sessionTimeoutMinutes');
+            if (session && timeoutMinutes && Date.now() - new Date(session.lastActivity).getTime() > timeoutMinutes * 60 * 1000) {
+                session.expired = true;
+            }
             if (!session || session.expired) {
                 return res.status(403).json({
                     error: 'Session expired',
@@ -237,6 +290,7 @@ class HealthRecordsAPI {
                 });
             }
 
+            session.lastActivity = new Date().toISOString();
             req.user = user;
             next();
         });
@@ -963,6 +1017,22 @@ class HealthRecordsAPI {
                 });
             }
 
+            // Every recipient must be named on the patient's provider sharing consent
+            const checks = await Promise.all(emails.map(email => this.consent.check({
+                subject: req.user.email,
+                purpose: 'provider_sharing',
+                recipient: email.trim()
+            })));
+            const refused = checks.filter(check => !check.allowed).map(check => check.reason);
+            if (refused.length > 0) {
+                await this.auditLog(userId, 'RECORD_SHARE_REFUSED', { recordId: id, sharedWith: emails, reasons: refused });
+                return res.status(403).json({
+                    error: 'Consent required',
+                    code: 'CONSENT_REQUIRED',
+                    details: refused
+                });
+            }
+
             const expiresAt = expiresIn && expiresIn !== 'never' 
                 ? this.calculateExpiryDate(expiresIn)
                 : null;
@@ -1298,6 +1368,21 @@ class HealthRecordsAPI {
             const userId = req.user.id;
             const { format = 'json' } = req.query;
 
+            // Exports of a patient's records need their consent unless the patient asks for them
+            const owner = this.database.users.get(userId);
+            const consent = await this.consent.checkExport({
+                subject: owner ? owner.email : req.user.email,
+                requester: req.user.email
+            });
+            if (!consent.allowed) {
+                await this.auditLog(userId, 'RECORDS_EXPORT_REFUSED', { reason: consent.reason });
+                return res.status(403).json({
+                    error: 'Consent required',
+                    code: 'CONSENT_REQUIRED',
+                    details: [consent.reason]
+                });
+            }
+
             const records = Array.from(this.database.records.values())
                 .filter(record => record.userId === userId);
 
@@ -1330,6 +1415,11 @@ class HealthRecordsAPI {
                     ].join(','));
                 });
 
+                await this.auditLog(userId, 'RECORDS_EXPORTED', {
+                    format,
+                    recordCount: records.length,
+                    consentId: consent.consentId
+                });
                 res.setHeader('Content-Type', 'text/csv');
                 res.setHeader('Content-Disposition', 'attachment; filename="health-records-export.csv"');
                 return res.send(csvRows.join('\n'));
@@ -1337,7 +1427,8 @@ class HealthRecordsAPI {
 
             await this.auditLog(userId, 'RECORDS_EXPORTED', {
                 format,
-                recordCount: records.length
+                recordCount: records.length,
+                consentId: consent.consentId
             });
 
             res.setHeader('Content-Type', 'application/json');
@@ -1353,6 +1444,200 @@ class HealthRecordsAPI {
         }
     }
 
+    // Data subject handlers
+    dataSubjectData(email) {
+        const address = String(email || '').toLowerCase();
+        const user = Array.from(this.database.users.values()).find(u => u.email.toLowerCase() === address);
+        const userId = user ? user.id : null;
+        const records = Array.from(this.database.records.values()).filter(record => record.userId === userId);
+        const recordIds = new Set(records.map(record => record.id));
+
+        return {
+            user,
+            records,
+            shares: Array.from(this.database.shares.values()).filter(share =>
+                recordIds.has(share.recordId) || share.sharedBy === userId || String(share.sharedWith).toLowerCase() === address),
+            sessions: Array.from(this.database.sessions.values()).filter(session => session.userId === userId),
+            auditLog: userId ? this.audit.entries.all().filter(entry => entry.userId === userId) : []
+        };
+    }
+
+    async exportDataSubject(req, res) {
+        try {
+            if (!req.body.email) {
+                return res.status(400).json({ error: 'email is required' });
+            }
+
+            const { user, records, shares, sessions, auditLog } = this.dataSubjectData(req.body.email);
+            const files = [];
+            for (const record of records) {
+                for (const file of record.files) {
+                    try {
+                        files.push({
+                            name: `${record.id}/${file.id}-${file.originalName}`,
+                            contentType: file.mimetype,
+                            data: (await fs.readFile(file.path)).toString('base64')
+                        });
+                    } catch (error) {
+                        throw new Error(`Failed to read file ${file.id} of record ${record.id}: ${error.message}`);
+                    }
+                }
+            }
+
+            const { passwordHash, ...account } = user || {};
+            res.json({
+                service: 'health-records',
+                datasets: { account: user ? [account] : [], records, shares, sessions, auditLog },
+                files
+            });
+
+        } catch (error) {
+            console.error('Data subject export error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Records and their files are kept under a legal hold; the audit trail is always kept
+    async eraseDataSubject(req, res) {
+        try {
+            const { email, legalHold } = req.body;
+            if (!email) {
+                return res.status(400).json({ error: 'email is required' });
+            }
+
+            const { user, records, shares, sessions, auditLog } = this.dataSubjectData(email);
+            const fileCount = records.reduce((count, record) => count + record.files.length, 0);
+            const results = [];
+
+            if (legalHold) {
+                results.push(heldResult('records', records.length, legalHold), heldResult('files', fileCount, legalHold));
+            } else {
+                for (const record of records) {
+                    for (const file of record.files) {
+                        await fs.rm(file.path, { force: true });
+                    }
+                    this.database.records.delete(record.id);
+                }
+                results.push(
+                    { dataset: 'records', action: 'erased', count: records.length },
+                    { dataset: 'files', action: 'erased', count: fileCount }
+                );
+            }
+
+            shares.forEach(share => this.database.shares.delete(share.id));
+            sessions.forEach(session => this.database.sessions.delete(session.id));
+            if (user) {
+                this.database.users.delete(user.id);
+            }
+            results.push(
+                { dataset: 'shares', action: 'erased', count: shares.length },
+                { dataset: 'sessions', action: 'erased', count: sessions.length },
+                { dataset: 'account', action: 'erased', count: user ? 1 : 0 },
+                { dataset: 'auditLog', action: 'retained', count: auditLog.length, reason: 'The audit trail is append-only and kept for security accountability' }
+            );
+
+            if (user) {
+                await this.auditLog(user.id, 'DATA_SUBJECT_ERASED', { legalHold: legalHold ? legalHold.id : null });
+            }
+            res.json({ service: 'health-records', results });
+
+        } catch (error) {
+            console.error('Data subject erasure error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Backup handlers
+
+    // Sessions are left out: a restore must not revive signed-out sessions
+    backupDatasets() {
+        return {
+            users: Array.from(this.database.users.values()),
+            records: Array.from(this.database.records.values()),
+            shares: Array.from(this.database.shares.values())
+        };
+    }
+
+    // Every file under the upload directory, as paths relative to it
+    async listUploads(dir = this.uploadPath, prefix = '') {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                files.push(...await this.listUploads(path.join(dir, entry.name), name));
+            } else if (entry.isFile()) {
+                files.push(name);
+            }
+        }
+        return files;
+    }
+
+    async backupSnapshot(req, res) {
+        try {
+            const files = [];
+            for (const name of await this.listUploads()) {
+                files.push({ name, data: (await fs.readFile(path.join(this.uploadPath, name))).toString('base64') });
+            }
+            res.json({ service: 'health-records', datasets: this.backupDatasets(), files });
+
+        } catch (error) {
+            console.error('Backup snapshot error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Replaces users, records, shares and the upload directory; with dryRun only reports the changes
+    async backupRestore(req, res) {
+        try {
+            const { datasets, files = [], dryRun } = req.body;
+            if (!datasets || typeof datasets !== 'object' || !Array.isArray(files)) {
+                return res.status(400).json({ error: 'datasets and files are required' });
+            }
+
+            const root = path.resolve(this.uploadPath);
+            const restored = files.map(file => ({ target: path.resolve(root, String(file.name)), data: file.data }));
+            if (restored.some(file => !file.target.startsWith(root + path.sep))) {
+                return res.status(400).json({ error: 'Backup files must stay inside the upload directory' });
+            }
+            const targets = new Set(restored.map(file => file.target));
+            const stale = (await this.listUploads()).map(name => path.resolve(root, name)).filter(target => !targets.has(target));
+
+            const current = this.backupDatasets();
+            const names = Object.keys(current).filter(name => Array.isArray(datasets[name]));
+            const changes = Object.fromEntries(names.map(name => [name, diffDocuments(current[name], datasets[name])]));
+
+            if (!dryRun) {
+                names.forEach(name => {
+                    this.database[name] = new Map(datasets[name].map(doc => [doc.id, doc]));
+                });
+                for (const file of restored) {
+                    await fs.mkdir(path.dirname(file.target), { recursive: true });
+                    await fs.writeFile(file.target, Buffer.from(file.data, 'base64'));
+                }
+                for (const target of stale) {
+                    await fs.rm(target, { force: true });
+                }
+                await this.auditLog('system', 'BACKUP_RESTORED', { files: restored.length, removedFiles: stale.length });
+            }
+
+            res.json({ service: 'health-records', changes, files: { written: restored.length, removed: stale.length } });
+
+        } catch (error) {
+            console.error('Backup restore error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
     // Helper methods
     calculateRelevanceScore(record, query) {
         const queryLower = query.toLowerCase();
@@ -1418,21 +1703,28 @@ class HealthRecordsAPI {
     }
 
     async auditLog(userId, action, data = {}) {
-        const logEntry = {
+        this.audit.append({
             id: uuidv4(),
             userId,
             action,
             data,
             timestamp: new Date().toISOString(),
             ip: this.currentRequest?.ip || 'unknown'
-        };
-
-        this.database.auditLogs.push(logEntry);
+        });
+    }
 
-        // Keep only last 1000 log entries (in production, you'd use proper log management)
-        if (this.database.auditLogs.length > 1000) {
-            this.database.auditLogs = this.database.auditLogs.slice(-1000);
+    verifyAuditLog(req, res) {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({
+                error: 'Admin role required',
+                code: 'ADMIN_REQUIRED'
+            });
         }
+
+        res.json({
+            success: true,
+            data: this.audit.verify()
+        });
     }
 
     errorHandler(error, req, res, next) {
@@ -1555,6 +1847,14 @@ class HealthRecordsAPI {
     }
 
     start() {
+        // Entries past retention are archived, never dropped
+        this.audit.scheduleMaintenance({
+            retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 365,
+            intervalMinutes: parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MINUTES) || 60
+        });
+        this.maintenance.start();
+        this.settings.start();
+
         this.app.listen(this.port, () => {
             console.log(`🏥 Health Records API running on port ${this.port}`);
             console.log(`📝 Available at: http://localhost:${this.port}/api/health-records/`);
@@ -12,6 +12,15 @@ const helmet = require('helmet');
 const cors = require('cors');
 const winston = require('winston');
 const { body, validationResult, param } = require('express-validator');
+const path = require('path');
+const { createAuditChain } = require('../server/audit/audit-chain');
+const { ConsentClient } = require('../server/consent/consent-client');
+const { requireDataSubjectServiceAccess, heldResult } = require('../server/privacy/data-subject-client');
+const { requireBackupServiceAccess, diffDocuments, RESTORE_BODY_LIMIT } = require('../server/backup/backup-client');
+const { maintenanceGate } = require('../server/maintenance/maintenance');
+const { MaintenanceClient, bearerIsAdmin } = require('../server/maintenance/maintenance-client');
+const { SettingsClient } = require('../server/settings/settings-client');
+const { DEFAULT_SECURITY_POLICY, checkPassword } = require('../server/auth/policy');
 
 class OneCareScreeningAPI {
     constructor() {
@@ -23,13 +32,34 @@ class OneCareScreeningAPI {
             users: new Map(),
             screenings: new Map(),
             carePlans: new Map(),
-            mlAssessments: new Map(),
-            auditLogs: []
+            mlAssessments: new Map()
         };
         
+        // Tamper-evident audit trail, persisted separately from the mock database
+        this.audit = createAuditChain({
+            filePath: process.env.SCREENING_AUDIT_FILE || path.join(__dirname, '..', 'data', 'screening-audit.json'),
+            secret: process.env.AUDIT_SIGNING_KEY || process.env.JWT_SECRET || 'onecare-screening-secret-key-2024'
+        });
+        
         // JWT secret - in production would be from environment
         this.jwtSecret = process.env.JWT_SECRET || 'onecare-screening-secret-key-2024';
         
+        // Patient consents live on the main platform server
+        this.consent = new ConsentClient({
+            baseUrl: process.env.CONSENT_SERVICE_URL || 'http://localhost:3000',
+            token: process.env.CONSENT_SERVICE_TOKEN || null
+        });
+        
+        // Maintenance windows are scheduled on the main platform server
+        this.maintenance = new MaintenanceClient({
+            baseUrl: process.env.MAINTENANCE_SERVICE_URL || 'http://localhost:3000'
+        });
+        
+        // System settings (password policy) follow the admin settings page on the main server
+        this.settings = new SettingsClient({
+            baseUrl: process.env.SETTINGS_SERVICE_URL || 'http://localhost:3000'
+        });
+        
         // Initialize logger
         this.logger = winston.createLogger({
             level: 'info',
@@ -69,8 +99,9 @@ class OneCareScreeningAPI {
         });
         this.app.use('/api/', limiter);
         
-        // Body parsing
-        this.app.use(express.json({ limit: '10mb' }));
+        // Body parsing; backup restores carry whole snapshots and parse their own bodies
+        const jsonBody = express.json({ limit: '10mb' });
+        this.app.use((req, res, next) => (req.path === '/internal/backup/restore' ? next() : jsonBody(req, res, next)));
         this.app.use(express.urlencoded({ extended: true }));
         
         // Request logging
@@ -82,6 +113,13 @@ class OneCareScreeningAPI {
             });
             next();
         });
+        
+        // 503 for everyone but admins during maintenance windows
+        this.app.use(maintenanceGate({
+            status: () => this.maintenance.status(),
+            isAdmin: bearerIsAdmin(this.jwtSecret),
+            exempt: ['/api/health']
+        }));
     }
     
     setupRoutes() {
@@ -118,8 +156,19 @@ class OneCareScreeningAPI {
         
         // Admin routes
         this.app.get('/api/admin/audit-logs', this.authenticateToken, this.requireAdminRole, this.getAuditLogs.bind(this));
+        this.app.get('/api/admin/audit-logs/verify', this.authenticateToken, this.requireAdminRole, this.verifyAuditLog.bind(this));
         this.app.get('/api/admin/statistics', this.authenticateToken, this.requireAdminRole, this.getStatistics.bind(this));
         
+        // Data subject export and erasure, called by the main server
+        const dataSubjectAccess = requireDataSubjectServiceAccess(process.env.DATA_SUBJECT_SERVICE_TOKEN || null);
+        this.app.post('/internal/data-subject/export', dataSubjectAccess, this.exportDataSubject.bind(this));
+        this.app.post('/internal/data-subject/erase', dataSubjectAccess, this.eraseDataSubject.bind(this));
+        
+        // Backup snapshots and restores, called by the main server
+        const backupAccess = requireBackupServiceAccess(process.env.BACKUP_SERVICE_TOKEN || null);
+        this.app.post('/internal/backup/snapshot', backupAccess, this.backupSnapshot.bind(this));
+        this.app.post('/internal/backup/restore', backupAccess, express.json({ limit: RESTORE_BODY_LIMIT }), this.backupRestore.bind(this));
+        
         // Health check
         this.app.get('/api/health', (req, res) => {
             res.json({ status: 'healthy', timestamp: new Date().toISOString() });
@@ -269,6 +318,16 @@ class OneCareScreeningAPI {
         try {
             const { email, password, firstName, lastName } = req.body;
             
+            // Follows the main server's setting; allowed (the default) until it has been received
+            if (this.settings.get('general', 'patientSelfRegistration') === false) {
+                return res.status(403).json({ error: 'Patient self-registration is turned off' });
+            }
+            
+            const passwordProblems = checkPassword(password, { ...DEFAULT_SECURITY_POLICY, ...this.settings.section('security') });
+            if (passwordProblems.length > 0) {
+                return res.status(400).json({ error: 'Password does not meet the security policy', details: passwordProblems });
+            }
+            
             // Check if user already exists
             const existingUser = Array.from(this.database.users.values()).find(u => u.email === email);
             if (existingUser) {
@@ -487,6 +546,30 @@ class OneCareScreeningAPI {
         try {
             const patientData = req.body;
             
+            // Scoring needs the patient's ML risk scoring consent, so the patient must be known here
+            const patient = this.database.users.get(patientData.patientId);
+            if (!patient) {
+                this.auditLog(req.user.id, 'ML_ASSESSMENT_REFUSED', 'Risk assessment refused for an unknown patient', {
+                    patientId: patientData.patientId
+                });
+                return res.status(404).json({ error: 'Patient not found' });
+            }
+            const consent = await this.consent.check({
+                subject: patient.email,
+                purpose: 'ml_risk_scoring'
+            });
+            if (!consent.allowed) {
+                this.auditLog(req.user.id, 'ML_ASSESSMENT_REFUSED', 'Risk assessment refused without consent', {
+                    patientId: patientData.patientId,
+                    reason: consent.reason
+                });
+                return res.status(403).json({
+                    error: 'Consent required',
+                    code: 'CONSENT_REQUIRED',
+                    details: [consent.reason]
+                });
+            }
+            
             // In production, this would call the actual ML service
             const mlAssessment = {
                 id: this.generateUUID(),
@@ -512,7 +595,9 @@ class OneCareScreeningAPI {
             
             this.database.mlAssessments.set(mlAssessment.id, mlAssessment);
             
-            this.auditLog(req.user.id, 'ML_ASSESSMENT_CALCULATED', 'Risk assessment performed');
+            this.auditLog(req.user.id, 'ML_ASSESSMENT_CALCULATED', 'Risk assessment performed', {
+                consentId: consent.consentId
+            });
             
             res.json(mlAssessment);
             
@@ -522,9 +607,90 @@ class OneCareScreeningAPI {
         }
     }
     
+    // Data subject endpoints
+    dataSubjectData(email) {
+        const address = String(email || '').toLowerCase();
+        const user = Array.from(this.database.users.values()).find(u => u.email.toLowerCase() === address);
+        const owned = (store) => user ? Array.from(store.values()).filter(item => item.userId === user.id) : [];
+        
+        return {
+            user,
+            screenings: owned(this.database.screenings),
+            carePlans: owned(this.database.carePlans),
+            mlAssessments: owned(this.database.mlAssessments),
+            auditLog: user ? this.audit.entries.all().filter(entry => entry.userId === user.id) : []
+        };
+    }
+    
+    exportDataSubject(req, res) {
+        if (!req.body.email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+        
+        const { user, ...datasets } = this.dataSubjectData(req.body.email);
+        const { passwordHash, ...account } = user || {};
+        res.json({
+            service: 'screening',
+            datasets: { account: user ? [account] : [], ...datasets },
+            files: []
+        });
+    }
+    
+    // Screenings, care plans and assessments are kept under a legal hold; the audit trail is always kept
+    eraseDataSubject(req, res) {
+        const { email, legalHold } = req.body;
+        if (!email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+        
+        const { user, auditLog, ...clinical } = this.dataSubjectData(email);
+        const results = Object.entries(clinical).map(([dataset, items]) => {
+            if (legalHold) {
+                return heldResult(dataset, items.length, legalHold);
+            }
+            items.forEach(item => this.database[dataset].delete(item.id));
+            return { dataset, action: 'erased', count: items.length };
+        });
+        
+        if (user) {
+            this.database.users.delete(user.id);
+            this.auditLog(user.id, 'DATA_SUBJECT_ERASED', 'Account erased on request', { legalHold: legalHold ? legalHold.id : null });
+        }
+        results.push(
+            { dataset: 'account', action: 'erased', count: user ? 1 : 0 },
+            { dataset: 'auditLog', action: 'retained', count: auditLog.length, reason: 'The audit trail is append-only and kept for security accountability' }
+        );
+        
+        res.json({ service: 'screening', results });
+    }
+    
+    backupSnapshot(req, res) {
+        const datasets = Object.fromEntries(Object.entries(this.database).map(([name, store]) => [name, Array.from(store.values())]));
+        res.json({ service: 'screening', datasets, files: [] });
+    }
+    
+    // Replaces every dataset held in the snapshot; with dryRun only reports the changes
+    backupRestore(req, res) {
+        const { datasets, dryRun } = req.body;
+        if (!datasets || typeof datasets !== 'object') {
+            return res.status(400).json({ error: 'datasets is required' });
+        }
+        
+        const names = Object.keys(this.database).filter(name => Array.isArray(datasets[name]));
+        const changes = Object.fromEntries(names.map(name => [name, diffDocuments(Array.from(this.database[name].values()), datasets[name])]));
+        
+        if (!dryRun) {
+            names.forEach(name => {
+                this.database[name] = new Map(datasets[name].map(doc => [doc.id, doc]));
+            });
+            this.auditLog('system', 'BACKUP_RESTORED', 'Restored screening data from a backup', { datasets: names });
+        }
+        res.json({ service: 'screening', changes, files: { written: 0, removed: 0 } });
+    }
+    
     // Utility functions
     auditLog(userId, action, description, metadata = {}) {
-        const logEntry = {
+        const logEntry = this.audit.append({
             id: this.generateUUID(),
             userId,
             action,
@@ -532,17 +698,23 @@ class OneCareScreeningAPI {
             metadata,
             timestamp: new Date().toISOString(),
             ip: 'system' // In real implementation, would get from request
-        };
-        
-        this.database.auditLogs.push(logEntry);
+        });
         
         // Log to winston as well
         this.logger.info('Audit log', logEntry);
-        
-        // Keep only last 10000 audit logs in memory
-        if (this.database.auditLogs.length > 10000) {
-            this.database.auditLogs = this.database.auditLogs.slice(-10000);
+    }
+    
+    getAuditLogs(req, res) {
+        const logs = this.audit.entries.all().reverse();
+        res.json({ auditLogs: logs, total: logs.length });
+    }
+    
+    verifyAuditLog(req, res) {
+        const result = this.audit.verify();
+        if (!result.valid) {
+            this.logger.error('Audit chain verification failed', result.firstBrokenLink);
         }
+        res.json(result);
     }
     
     generateUUID() {
@@ -608,6 +780,14 @@ class OneCareScreeningAPI {
     }
     
     start() {
+        // Entries past retention are archived, never dropped
+        this.audit.scheduleMaintenance({
+            retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 365,
+            intervalMinutes: parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MINUTES) || 60
+        });
+        this.maintenance.start();
+        this.settings.start();
+        
         this.app.listen(this.port, () => {
             this.logger.info(`OneCare Screening API server running on port ${this.port}`);
         });
@@ -10,6 +10,11 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const { v4: uuidv4 } = require('uuid');
+const { ConsentClient } = require('./server/consent/consent-client');
+const { requireDataSubjectServiceAccess, heldResult } = require('./server/privacy/data-subject-client');
+const { requireBackupServiceAccess, diffDocuments, RESTORE_BODY_LIMIT } = require('./server/backup/backup-client');
+const { maintenanceGate } = require('./server/maintenance/maintenance');
+const { MaintenanceClient, bearerIsAdmin } = require('./server/maintenance/maintenance-client');
 
 class FHIRAPIServer {
     constructor() {
@@ -34,6 +39,17 @@ class FHIRAPIServer {
             Immunization: new Map()
         };
 
+        // Patient consents live on the main platform server
+        this.consent = new ConsentClient({
+            baseUrl: process.env.CONSENT_SERVICE_URL || 'http://localhost:3000',
+            token: process.env.CONSENT_SERVICE_TOKEN || null
+        });
+
+        // Maintenance windows are scheduled on the main platform server
+        this.maintenance = new MaintenanceClient({
+            baseUrl: process.env.MAINTENANCE_SERVICE_URL || 'http://localhost:3000'
+        });
+
         this.setupMiddleware();
         this.setupRoutes();
         this.initializeSampleData();
@@ -48,8 +64,9 @@ class FHIRAPIServer {
         }));
         this.app.use(compression());
 
-        // Body parsing
-        this.app.use(express.json({ limit: '50mb' }));
+        // Body parsing; backup restores carry whole snapshots and parse their own bodies
+        const jsonBody = express.json({ limit: '50mb' });
+        this.app.use((req, res, next) => (req.path === '/internal/backup/restore' ? next() : jsonBody(req, res, next)));
         this.app.use(express.urlencoded({ extended: true }));
 
         // Request logging
@@ -57,6 +74,22 @@ class FHIRAPIServer {
             console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
             next();
         });
+
+        // 503 for everyone but admins during maintenance windows
+        this.app.use(maintenanceGate({
+            status: () => this.maintenance.status(),
+            isAdmin: bearerIsAdmin(this.jwtSecret),
+            paths: ['/fhir/'],
+            exempt: ['/fhir/metadata'],
+            body: (error) => ({
+                resourceType: 'OperationOutcome',
+                issue: [{
+                    severity: 'error',
+                    code: 'transient',
+                    details: { text: error }
+                }]
+            })
+        }));
     }
 
     setupRoutes() {
@@ -83,6 +116,16 @@ class FHIRAPIServer {
         // Bulk data endpoints
         this.app.get('/fhir/Patient/:id/$everything', this.authenticateToken.bind(this), this.patientEverything.bind(this));
 
+        // Data subject export and erasure, called by the main server
+        const dataSubjectAccess = requireDataSubjectServiceAccess(process.env.DATA_SUBJECT_SERVICE_TOKEN || null);
+        this.app.post('/internal/data-subject/export', dataSubjectAccess, this.exportDataSubject.bind(this));
+        this.app.post('/internal/data-subject/erase', dataSubjectAccess, this.eraseDataSubject.bind(this));
+
+        // Backup snapshots and restores, called by the main server
+        const backupAccess = requireBackupServiceAccess(process.env.BACKUP_SERVICE_TOKEN || null);
+        this.app.post('/internal/backup/snapshot', backupAccess, this.backupSnapshot.bind(this));
+        this.app.post('/internal/backup/restore', backupAccess, express.json({ limit: RESTORE_BODY_LIMIT }), this.backupRestore.bind(this));
+
         // Error handling
         this.app.use(this.errorHandler.bind(this));
     }
@@ -581,6 +624,23 @@ class FHIRAPIServer {
                 });
             }
 
+            // Exports requested by anyone other than the patient need their sharing consent
+            const email = (patient.telecom || []).find(contact => contact.system === 'email');
+            const consent = await this.consent.checkExport({
+                subject: email ? email.value : id,
+                requester: req.user.email
+            });
+            if (!consent.allowed) {
+                return res.status(403).json({
+                    resourceType: 'OperationOutcome',
+                    issue: [{
+                        severity: 'error',
+                        code: 'forbidden',
+                        details: { text: `Consent required: ${consent.reason}` }
+                    }]
+                });
+            }
+
             // Get all resources related to this patient
             const relatedResources = [];
 
@@ -610,6 +670,71 @@ class FHIRAPIServer {
         }
     }
 
+    // Patient resources with `email` among their telecom contacts, and every resource that refers to them
+    dataSubjectResources(email) {
+        const address = String(email || '').toLowerCase();
+        const patients = Array.from(this.resources.Patient.values()).filter(patient =>
+            (patient.telecom || []).some(contact => contact.system === 'email' && String(contact.value).toLowerCase() === address));
+        const references = new Set(patients.map(patient => `Patient/${patient.id}`));
+
+        const resources = { Patient: patients };
+        Object.entries(this.resources)
+            .filter(([type]) => type !== 'Patient')
+            .forEach(([type, store]) => {
+                resources[type] = Array.from(store.values()).filter(resource =>
+                    references.has(resource.subject && resource.subject.reference) ||
+                    references.has(resource.patient && resource.patient.reference));
+            });
+        return resources;
+    }
+
+    exportDataSubject(req, res) {
+        if (!req.body.email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+        res.json({ service: 'fhir', datasets: this.dataSubjectResources(req.body.email), files: [] });
+    }
+
+    // Deletes the patient's resources; a legal hold keeps them all
+    eraseDataSubject(req, res) {
+        const { email, legalHold } = req.body;
+        if (!email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+
+        const results = Object.entries(this.dataSubjectResources(email)).map(([type, resources]) => {
+            if (legalHold) {
+                return heldResult(type, resources.length, legalHold);
+            }
+            resources.forEach(resource => this.resources[type].delete(resource.id));
+            return { dataset: type, action: 'erased', count: resources.length };
+        });
+        res.json({ service: 'fhir', results });
+    }
+
+    backupSnapshot(req, res) {
+        const datasets = Object.fromEntries(Object.entries(this.resources).map(([type, store]) => [type, Array.from(store.values())]));
+        res.json({ service: 'fhir', datasets, files: [] });
+    }
+
+    // Replaces every resource type held in the snapshot; with dryRun only reports the changes
+    backupRestore(req, res) {
+        const { datasets, dryRun } = req.body;
+        if (!datasets || typeof datasets !== 'object') {
+            return res.status(400).json({ error: 'datasets is required' });
+        }
+
+        const types = Object.keys(this.resources).filter(type => Array.isArray(datasets[type]));
+        const changes = Object.fromEntries(types.map(type => [type, diffDocuments(Array.from(this.resources[type].values()), datasets[type])]));
+
+        if (!dryRun) {
+            types.forEach(type => {
+                this.resources[type] = new Map(datasets[type].map(resource => [resource.id, resource]));
+            });
+        }
+        res.json({ service: 'fhir', changes, files: { written: 0, removed: 0 } });
+    }
+
     // Initialize sample FHIR data
     initializeSampleData() {
         // Sample Patient
@@ -792,6 +917,8 @@ class FHIRAPIServer {
     }
 
     start() {
+        this.maintenance.start();
+
         this.app.listen(this.port, () => {
             console.log(`🏥 FHIR R4 API Server running on port ${this.port}`);
             console.log(`📋 Capability Statement: http://localhost:${this.port}/fhir/metadata`);
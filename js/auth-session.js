@@ -0,0 +1,139 @@
+/**
+ * OneCare Auth Session
+ * Keeps the short-lived access token fresh and ends sessions server-side
+ * Features: transparent refresh-and-retry for /api calls, logout, sign out of all devices
+ */
+
+const OneCareAuth = (() => {
+    const nativeFetch = window.fetch.bind(window);
+    let refreshing = null;
+
+    // Endpoints that never carry an access token worth refreshing
+    const UNAUTHENTICATED_PATHS = ['/api/auth/signin', '/api/auth/signup', '/api/auth/refresh'];
+
+    function clearStoredSession() {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('userRole');
+        localStorage.removeItem('userName');
+        localStorage.removeItem('userProfile');
+    }
+
+    // Concurrent 401/403s share a single refresh request
+    function refreshAccessToken() {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return Promise.resolve(null);
+
+        if (!refreshing) {
+            refreshing = nativeFetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            })
+                .then(response => response.ok ? response.json() : null)
+                .then(result => {
+                    if (!result) {
+                        clearStoredSession();
+                        return null;
+                    }
+                    localStorage.setItem('authToken', result.token);
+                    localStorage.setItem('refreshToken', result.refreshToken);
+                    return result.token;
+                })
+                .catch(() => null)
+                .finally(() => { refreshing = null; });
+        }
+
+        return refreshing;
+    }
+
+    function isApiRequest(input) {
+        const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+        return url.origin === window.location.origin &&
+            url.pathname.startsWith('/api/') &&
+            !UNAUTHENTICATED_PATHS.includes(url.pathname);
+    }
+
+    function withToken(init, token) {
+        const headers = new Headers(init && init.headers);
+        headers.set('Authorization', `Bearer ${token}`);
+        return { ...init, headers };
+    }
+
+    // Retry authenticated API calls once after refreshing an expired access token
+    window.fetch = async (input, init) => {
+        const response = await nativeFetch(input, init);
+
+        if (![401, 403].includes(response.status) || !isApiRequest(input)) {
+            return response;
+        }
+
+        const headers = new Headers(init && init.headers);
+        if (!headers.has('Authorization')) {
+            return response;
+        }
+
+        const token = await refreshAccessToken();
+        return token ? nativeFetch(input, withToken(init, token)) : response;
+    };
+
+    function authHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+        };
+    }
+
+    // Enroll the signed-in user in TOTP two-factor authentication
+    async function enrollTwoFactor() {
+        const setup = await fetch('/api/auth/2fa/setup', { method: 'POST', headers: authHeaders() })
+            .then(response => response.json());
+        if (!setup.success) {
+            alert(setup.error || 'Unable to start two-factor setup');
+            return false;
+        }
+
+        const code = prompt(
+            'Add OneCare to your authenticator app using this key:\n\n' +
+            `${setup.data.secret}\n\n` +
+            `(or open ${setup.data.otpauthUri})\n\n` +
+            'Then enter the 6-digit code it shows:'
+        );
+        if (!code) return false;
+
+        const result = await fetch('/api/auth/2fa/enable', {
+            method: 'POST',
+            headers: authHeaders(),
+            body: JSON.stringify({ code })
+        }).then(response => response.json());
+
+        if (!result.success) {
+            alert(result.error || 'Two-factor setup failed');
+            return false;
+        }
+
+        alert(`${result.message}\n\n${result.data.recoveryCodes.join('\n')}`);
+        return true;
+    }
+
+    async function endSession(path) {
+        const token = localStorage.getItem('authToken');
+        if (token) {
+            try {
+                await fetch(path, { method: 'POST', headers: { 'Authorization': `Bearer ${token}` } });
+            } catch (error) {
+                console.error('Logout request failed:', error);
+            }
+        }
+        clearStoredSession();
+    }
+
+    return {
+        refreshAccessToken,
+        clearStoredSession,
+        authHeaders,
+        enrollTwoFactor,
+        logout: () => endSession('/api/auth/logout'),
+        logoutAllDevices: () => endSession('/api/auth/logout-all')
+    };
+})();
@@ -39,57 +39,32 @@ class HealthDashboard {
             }
         };
 
-        // Sample health metrics data for demo
-        this.sampleHealthMetrics = {
+        // Health metric trends, read from the main server's series API
+        this.healthMetrics = {
             blood_pressure: {
                 label: 'Blood Pressure (mmHg)',
-                data: [
-                    { date: '2024-01-15', systolic: 120, diastolic: 80 },
-                    { date: '2024-01-20', systolic: 118, diastolic: 78 },
-                    { date: '2024-01-25', systolic: 122, diastolic: 82 },
-                    { date: '2024-02-01', systolic: 119, diastolic: 79 },
-                    { date: '2024-02-05', systolic: 121, diastolic: 81 },
-                    { date: '2024-02-10', systolic: 117, diastolic: 77 },
-                    { date: '2024-02-15', systolic: 120, diastolic: 80 }
+                series: [
+                    { metric: 'systolic', label: 'Systolic', color: 'error' },
+                    { metric: 'diastolic', label: 'Diastolic', color: 'primary' }
                 ]
             },
             weight: {
                 label: 'Weight (kg)',
-                data: [
-                    { date: '2024-01-15', value: 75.2 },
-                    { date: '2024-01-22', value: 74.8 },
-                    { date: '2024-01-29', value: 74.5 },
-                    { date: '2024-02-05', value: 74.2 },
-                    { date: '2024-02-12', value: 73.9 },
-                    { date: '2024-02-19', value: 73.7 }
-                ]
+                series: [{ metric: 'weight', label: 'Weight (kg)', color: 'secondary' }]
             },
             glucose: {
                 label: 'Blood Glucose (mg/dL)',
-                data: [
-                    { date: '2024-01-15', value: 95 },
-                    { date: '2024-01-18', value: 92 },
-                    { date: '2024-01-21', value: 98 },
-                    { date: '2024-01-24', value: 94 },
-                    { date: '2024-01-27', value: 96 },
-                    { date: '2024-01-30', value: 93 },
-                    { date: '2024-02-02', value: 97 }
-                ]
+                series: [{ metric: 'glucose', label: 'Blood Glucose (mg/dL)', color: 'secondary' }]
             },
             heart_rate: {
                 label: 'Heart Rate (bpm)',
-                data: [
-                    { date: '2024-01-15', value: 72 },
-                    { date: '2024-01-18', value: 75 },
-                    { date: '2024-01-21', value: 73 },
-                    { date: '2024-01-24', value: 71 },
-                    { date: '2024-01-27', value: 74 },
-                    { date: '2024-01-30', value: 72 },
-                    { date: '2024-02-02', value: 73 }
-                ]
+                series: [{ metric: 'heartRate', label: 'Heart Rate (bpm)', color: 'secondary' }]
             }
         };
 
+        // Series bucket size for each date filter
+        this.metricBuckets = { '7': '6h', '30': '1d', '90': '1d', '365': '1w', 'all': '1w' };
+
         this.init();
     }
 
@@ -503,56 +478,73 @@ class HealthDashboard {
         });
     }
 
+    /**
+     * Fetch a bucketed health metric series for the signed-in patient
+     */
+    async fetchMetricSeries(metric) {
+        const days = this.currentFilter === 'all' ? 5 * 365 : parseInt(this.currentFilter);
+        const params = new URLSearchParams({
+            metric,
+            bucket: this.metricBuckets[this.currentFilter] || '1d',
+            from: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+        });
+
+        const response = await fetch(`/api/patient/health-data/series?${params}`, {
+            headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to load health metrics');
+        }
+        return result.data;
+    }
+
     /**
      * Create health metrics chart
      */
-    createHealthMetricsChart(metricType = 'blood_pressure') {
+    async createHealthMetricsChart(metricType = document.getElementById('metricSelector')?.value || 'blood_pressure') {
         const canvas = document.getElementById('healthMetricsChart');
         if (!canvas) return;
 
         const ctx = canvas.getContext('2d');
-        const metricData = this.sampleHealthMetrics[metricType];
+        const metricConfig = this.healthMetrics[metricType];
 
-        if (!metricData) return;
+        if (!metricConfig) return;
+
+        let series = [];
+        try {
+            series = await Promise.all(metricConfig.series.map(item => this.fetchMetricSeries(item.metric)));
+        } catch (error) {
+            console.error('Error loading health metrics:', error);
+        }
 
         // Destroy existing chart
         if (this.charts.healthMetrics) {
             this.charts.healthMetrics.destroy();
         }
 
-        const labels = metricData.data.map(item => this.formatChartDate(item.date));
-        let datasets = [];
-
-        if (metricType === 'blood_pressure') {
-            datasets = [
-                {
-                    label: 'Systolic',
-                    data: metricData.data.map(item => item.systolic),
-                    borderColor: this.colors.error,
-                    backgroundColor: this.colors.error + '20',
-                    borderWidth: 2,
-                    tension: 0.4
-                },
-                {
-                    label: 'Diastolic',
-                    data: metricData.data.map(item => item.diastolic),
-                    borderColor: this.colors.primary,
-                    backgroundColor: this.colors.primary + '20',
-                    borderWidth: 2,
-                    tension: 0.4
-                }
-            ];
-        } else {
-            datasets = [{
-                label: metricData.label,
-                data: metricData.data.map(item => item.value),
-                borderColor: this.colors.secondary,
-                backgroundColor: this.colors.secondary + '20',
+        // Sub-day buckets are labelled with the time as well
+        const hourly = series.length > 0 && series[0].bucket.endsWith('h');
+        const labels = series.length > 0
+            ? series[0].buckets.map(bucket => (hourly
+                ? new Date(bucket.start).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric' })
+                : this.formatChartDate(bucket.start)))
+            : [];
+        const single = metricConfig.series.length === 1;
+
+        const datasets = series.map((data, index) => {
+            const color = this.colors[metricConfig.series[index].color];
+            return {
+                label: metricConfig.series[index].label,
+                data: data.buckets.map(bucket => bucket.avg),
+                borderColor: color,
+                backgroundColor: color + '20',
                 borderWidth: 2,
-                fill: true,
+                fill: single,
+                spanGaps: true,
                 tension: 0.4
-            }];
-        }
+            };
+        });
 
         this.charts.healthMetrics = new Chart(ctx, {
             type: 'line',
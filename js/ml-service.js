@@ -121,6 +121,13 @@ class OneCareMLService {
      * Comprehensive risk assessment using multiple data sources
      */
     async calculateComprehensiveRisk(patientData) {
+        if (!this.userConsent || !this.userConsent.ml_predictions) {
+            await this.loadUserConsent();
+        }
+        if (!this.userConsent.ml_predictions) {
+            throw new Error('ML risk scoring consent required');
+        }
+        
         const riskAssessment = {
             patientId: patientData.id,
             timestamp: new Date().toISOString(),
@@ -546,14 +553,36 @@ class OneCareMLService {
      * User consent and privacy management
      */
     async loadUserConsent() {
-        // In a real implementation, this would check user consent preferences
+        // Consents are recorded server-side; anything not granted there is treated as refused
         this.userConsent = {
-            ml_predictions: true,
+            ml_predictions: false,
             data_sharing: false,
             bias_monitoring: true,
             explanation_access: true,
-            model_improvement: true
+            model_improvement: false
         };
+
+        const token = localStorage.getItem('authToken');
+        if (!token) {
+            return this.userConsent;
+        }
+
+        try {
+            const response = await fetch('/api/consents', {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!response.ok) {
+                return this.userConsent;
+            }
+            const { data } = await response.json();
+            const granted = new Set(data.filter(consent => consent.status === 'active').map(consent => consent.purpose));
+            this.userConsent.ml_predictions = granted.has('ml_risk_scoring');
+            this.userConsent.data_sharing = granted.has('provider_sharing');
+            this.userConsent.model_improvement = granted.has('research');
+        } catch (error) {
+            console.error('Failed to load consents:', error);
+        }
+        return this.userConsent;
     }
     
     /**
@@ -157,20 +157,38 @@ const settingsModalHTML = `
                                 <span class="setting-description">Receive notifications via email</span>
                             </div>
                             <label class="toggle-switch">
-                                <input type="checkbox" id="emailNotifications">
+                                <input type="checkbox" id="emailNotifications" checked>
                                 <span class="toggle-slider"></span>
                             </label>
                         </div>
                         <div class="setting-item">
                             <div class="setting-info">
-                                <label>SMS Notifications</label>
-                                <span class="setting-description">Receive notifications via text message</span>
+                                <label>Webhook Notifications</label>
+                                <span class="setting-description">Post notifications to your own service</span>
                             </div>
                             <label class="toggle-switch">
-                                <input type="checkbox" id="smsNotifications" checked>
+                                <input type="checkbox" id="webhookNotifications">
                                 <span class="toggle-slider"></span>
                             </label>
                         </div>
+                        <div class="setting-item">
+                            <div class="setting-info">
+                                <label>Webhook URL</label>
+                                <span class="setting-description">Signed JSON requests are sent here</span>
+                            </div>
+                            <input type="url" class="setting-input" id="webhookUrl" placeholder="https://example.com/hooks/onecare">
+                        </div>
+                        <div class="setting-item">
+                            <div class="setting-info">
+                                <label>Language</label>
+                                <span class="setting-description">Language for notifications</span>
+                            </div>
+                            <select class="setting-input" id="locale">
+                                <option value="en">English</option>
+                                <option value="es">Español</option>
+                                <option value="fr">Français</option>
+                            </select>
+                        </div>
                     </div>
                 </div>
 
@@ -454,6 +472,14 @@ const modalCSS = `
     color: #6b7280;
 }
 
+.setting-input {
+    width: 220px;
+    padding: 0.5rem 0.75rem;
+    border: 1px solid #d1d5db;
+    border-radius: 8px;
+    font-size: 0.85rem;
+}
+
 .toggle-switch {
     position: relative;
     display: inline-block;
@@ -641,12 +667,27 @@ function saveProfile() {
 }
 
 // Settings Management
-function loadUserSettings() {
+// Notification settings live on the server when signed in; localStorage is the fallback
+const canSyncSettings = () => typeof OneCareAuth !== 'undefined' && localStorage.getItem('authToken');
+
+async function loadUserSettings() {
     const settings = localStorage.getItem('userSettings');
     if (settings) {
         const userSettings = JSON.parse(settings);
         populateSettingsForm(userSettings);
     }
+
+    if (!canSyncSettings()) return;
+    try {
+        const response = await fetch('/api/notifications/preferences', { headers: OneCareAuth.authHeaders() });
+        const result = await response.json();
+        if (result.success) {
+            populateSettingsForm(result.data);
+            localStorage.setItem('userSettings', JSON.stringify(result.data));
+        }
+    } catch (error) {
+        console.error('Failed to load notification settings:', error);
+    }
 }
 
 function populateSettingsForm(settings) {
@@ -654,19 +695,42 @@ function populateSettingsForm(settings) {
         const element = document.getElementById(key);
         if (element && element.type === 'checkbox') {
             element.checked = settings[key];
+        } else if (element) {
+            element.value = settings[key] || '';
         }
     });
 }
 
-function saveSettings() {
+async function saveSettings() {
     const settings = {
         appointmentReminders: document.getElementById('appointmentReminders')?.checked || false,
         medicationReminders: document.getElementById('medicationReminders')?.checked || false,
         screeningAlerts: document.getElementById('screeningAlerts')?.checked || false,
         emailNotifications: document.getElementById('emailNotifications')?.checked || false,
-        smsNotifications: document.getElementById('smsNotifications')?.checked || false
+        webhookNotifications: document.getElementById('webhookNotifications')?.checked || false,
+        webhookUrl: document.getElementById('webhookUrl')?.value.trim() || null,
+        locale: document.getElementById('locale')?.value || 'en'
     };
 
+    if (canSyncSettings()) {
+        try {
+            const response = await fetch('/api/notifications/preferences', {
+                method: 'PUT',
+                headers: OneCareAuth.authHeaders(),
+                body: JSON.stringify(settings)
+            });
+            const result = await response.json();
+            if (!result.success) {
+                alert([result.error, ...(result.details || [])].join('\n'));
+                return;
+            }
+        } catch (error) {
+            console.error('Failed to save notification settings:', error);
+            alert('Could not save settings. Please try again.');
+            return;
+        }
+    }
+
     localStorage.setItem('userSettings', JSON.stringify(settings));
     alert('Settings saved successfully!');
     closeSettingsModal();
@@ -700,29 +764,174 @@ function changeProfilePicture() {
     input.click();
 }
 
-function setup2FA() {
-    alert('Two-Factor Authentication setup coming soon!');
+async function setup2FA() {
+    if (typeof OneCareAuth === 'undefined') {
+        alert('Please sign in again to manage two-factor authentication.');
+        return;
+    }
+
+    try {
+        const status = await fetch('/api/auth/2fa', { headers: OneCareAuth.authHeaders() })
+            .then(response => response.json());
+
+        if (!status.data.enabled) {
+            await OneCareAuth.enrollTwoFactor();
+            return;
+        }
+
+        const code = prompt(
+            `Two-factor authentication is enabled (${status.data.recoveryCodesRemaining} recovery codes left).\n\n` +
+            'To generate new recovery codes, enter a code from your authenticator app:'
+        );
+        if (!code) return;
+
+        const result = await fetch('/api/auth/2fa/recovery-codes', {
+            method: 'POST',
+            headers: OneCareAuth.authHeaders(),
+            body: JSON.stringify({ code })
+        }).then(response => response.json());
+
+        alert(result.success
+            ? `New recovery codes:\n\n${result.data.recoveryCodes.join('\n')}`
+            : result.error);
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        alert('Unable to manage two-factor authentication right now.');
+    }
 }
 
 function viewLoginHistory() {
     alert('Login history feature coming soon!');
 }
 
-function manageDataSharing() {
-    alert('Data sharing management coming soon!');
+// Consents are kept per purpose on the server; each grant records the text version agreed to
+async function manageDataSharing() {
+    if (typeof OneCareAuth === 'undefined') {
+        alert('Please sign in again to manage data sharing.');
+        return;
+    }
+
+    try {
+        const [documents, consents] = await Promise.all([
+            fetch('/api/consent-documents', { headers: OneCareAuth.authHeaders() }).then(response => response.json()),
+            fetch('/api/consents', { headers: OneCareAuth.authHeaders() }).then(response => response.json())
+        ]);
+        if (!documents.success || !consents.success) {
+            alert(documents.error || consents.error);
+            return;
+        }
+
+        const purposes = documents.data.map(document => ({
+            document,
+            consent: consents.data.find(consent => consent.purpose === document.purpose && consent.status === 'active') || null
+        }));
+        const choice = prompt(
+            'Data sharing consents:\n\n' +
+            purposes.map(({ document, consent }, index) => `${index + 1}. ${document.title}: ` + (consent
+                ? `given${consent.recipients.length ? ` (${consent.recipients.join(', ')})` : ''}`
+                : 'not given')).join('\n') +
+            '\n\nEnter a number to give or withdraw that consent:'
+        );
+        const selected = purposes[parseInt(choice) - 1];
+        if (!selected) return;
+
+        const { document, consent } = selected;
+        let result;
+        if (consent) {
+            const reason = prompt(`Withdraw your consent to ${document.title}? Optionally tell us why:`);
+            if (reason === null) return;
+            result = await fetch(`/api/consents/${consent.id}/revoke`, {
+                method: 'POST',
+                headers: OneCareAuth.authHeaders(),
+                body: JSON.stringify({ reason })
+            }).then(response => response.json());
+        } else {
+            if (!confirm(`${document.title} (version ${document.version})\n\n${document.text}\n\nDo you agree?`)) return;
+            const grant = { purpose: document.purpose, documentVersion: document.version };
+            if (document.purpose === 'provider_sharing') {
+                const recipients = prompt('Email addresses of the providers to share with (comma-separated):');
+                if (!recipients) return;
+                grant.recipients = recipients.split(',').map(email => email.trim()).filter(Boolean);
+            }
+            result = await fetch('/api/consents', {
+                method: 'POST',
+                headers: OneCareAuth.authHeaders(),
+                body: JSON.stringify(grant)
+            }).then(response => response.json());
+        }
+
+        alert(result.success
+            ? `Your consent to ${document.title} was ${consent ? 'withdrawn' : 'recorded'}.`
+            : [result.error, ...(result.details || [])].join('\n'));
+    } catch (error) {
+        console.error('Data sharing error:', error);
+        alert('Unable to manage data sharing right now.');
+    }
 }
 
 function changePassword() {
     alert('Change password feature coming soon!');
 }
 
-function downloadData() {
-    alert('Data export feature coming soon!');
+// One archive with everything held about the patient across OneCare's services
+async function downloadData() {
+    if (typeof OneCareAuth === 'undefined') {
+        alert('Please sign in again to download your data.');
+        return;
+    }
+
+    try {
+        const result = await fetch('/api/data-requests', {
+            method: 'POST',
+            headers: OneCareAuth.authHeaders(),
+            body: JSON.stringify({ type: 'export' })
+        }).then(response => response.json());
+        if (!result.success) {
+            alert([result.error, ...(result.details || [])].join('\n'));
+            return;
+        }
+
+        const response = await fetch(`/api/data-requests/${result.data.id}/archive`, { headers: OneCareAuth.authHeaders() });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.data.archive.fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Data export error:', error);
+        alert('Unable to export your data right now.');
+    }
 }
 
-function deleteAccount() {
-    if (confirm('Are you sure you want to delete your account? This action cannot be undone.')) {
-        alert('Account deletion feature coming soon!');
+// Deletion is reviewed by an administrator before it runs; the patient is emailed a signed receipt
+async function deleteAccount() {
+    if (typeof OneCareAuth === 'undefined') {
+        alert('Please sign in again to delete your account.');
+        return;
+    }
+    if (!confirm('Are you sure you want to delete your account? Your data will be erased from all OneCare services. This action cannot be undone.')) {
+        return;
+    }
+    const reason = prompt('Optionally tell us why you are leaving:');
+    if (reason === null) return;
+
+    try {
+        const result = await fetch('/api/data-requests', {
+            method: 'POST',
+            headers: OneCareAuth.authHeaders(),
+            body: JSON.stringify({ type: 'erasure', reason })
+        }).then(response => response.json());
+
+        alert(result.success
+            ? 'Your deletion request has been submitted. We will email you a receipt once your data has been erased.'
+            : [result.error, ...(result.details || [])].join('\n'));
+    } catch (error) {
+        console.error('Account deletion error:', error);
+        alert('Unable to submit your deletion request right now.');
     }
 }
 
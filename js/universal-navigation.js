@@ -8,6 +8,7 @@ class OneCareNavigation {
         this.modalsInitialized = false;
         this.notificationPanel = null;
         this.helpModal = null;
+        this.maintenanceStatus = null;
         
         this.init();
     }
@@ -16,6 +17,7 @@ class OneCareNavigation {
         this.setupEventListeners();
         this.initializeModals();
         this.loadUserData();
+        this.watchMaintenance();
     }
 
     setupEventListeners() {
@@ -102,20 +104,94 @@ class OneCareNavigation {
         }
     }
 
-    logout() {
+    async logout() {
         const confirmLogout = confirm('Are you sure you want to logout?');
         if (confirmLogout) {
-            // Clear stored data
-            localStorage.removeItem('authToken');
-            localStorage.removeItem('userRole');
-            localStorage.removeItem('userName');
-            localStorage.removeItem('userProfile');
+            // End the server-side session and clear stored data
+            if (typeof OneCareAuth !== 'undefined') {
+                await OneCareAuth.logout();
+            } else {
+                localStorage.removeItem('authToken');
+                localStorage.removeItem('refreshToken');
+                localStorage.removeItem('userRole');
+                localStorage.removeItem('userName');
+                localStorage.removeItem('userProfile');
+            }
             
             // Redirect to home page
             window.location.href = 'index.html';
         }
     }
 
+    /**
+     * Maintenance Banner
+     * Shown from a day before a scheduled window, with a countdown, and while it is in progress
+     */
+    watchMaintenance() {
+        const refresh = async () => {
+            try {
+                const response = await fetch('/api/maintenance/status');
+                const result = await response.json();
+                if (result.success) {
+                    this.maintenanceStatus = result.data;
+                }
+            } catch (error) {
+                console.error('Error loading maintenance status:', error);
+            }
+            this.renderMaintenanceBanner();
+        };
+
+        refresh();
+        setInterval(refresh, 60 * 1000);
+        setInterval(() => this.renderMaintenanceBanner(), 1000);
+    }
+
+    renderMaintenanceBanner() {
+        const { active, upcoming } = this.maintenanceStatus || {};
+        const now = Date.now();
+        // A window may have started since the last refresh
+        const current = active && new Date(active.endsAt) > now
+            ? active
+            : upcoming && new Date(upcoming.startsAt) <= now && new Date(upcoming.endsAt) > now ? upcoming : null;
+        const next = !current && upcoming && new Date(upcoming.startsAt) - now <= 24 * 60 * 60 * 1000 ? upcoming : null;
+
+        let banner = document.getElementById('maintenanceBanner');
+        if (!current && !next) {
+            if (banner) banner.style.display = 'none';
+            return;
+        }
+
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'maintenanceBanner';
+            banner.setAttribute('role', 'status');
+            banner.style.cssText = `
+                position: sticky; top: 0; z-index: 10000; padding: 0.75rem 1.5rem;
+                color: white; font-weight: 500; text-align: center;
+            `;
+            document.body.prepend(banner);
+        }
+
+        const shown = current || next;
+        const time = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        let text;
+        if (current) {
+            text = current.mode === 'read-only'
+                ? `Maintenance in progress until ${time(current.endsAt)}. The system is read-only: changes cannot be saved.`
+                : `Maintenance in progress until ${time(current.endsAt)}. Some features are unavailable.`;
+        } else {
+            const seconds = Math.max(0, Math.floor((new Date(next.startsAt) - now) / 1000));
+            const countdown = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+                .map(part => String(part).padStart(2, '0'))
+                .join(':');
+            text = `${next.mode === 'read-only' ? 'Read-only maintenance' : 'Scheduled maintenance'} begins in ${countdown} (until ${time(next.endsAt)}).`;
+        }
+
+        banner.style.background = current ? '#ef4444' : '#f59e0b';
+        banner.style.display = 'block';
+        banner.textContent = shown.message ? `${text} ${shown.message}` : text;
+    }
+
     /**
      * Modal Creation Functions
      */
@@ -5,7 +5,67 @@ const cors = require('cors');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const path = require('path');
+const { Readable } = require('stream');
 const fs = require('fs');
+const crypto = require('crypto');
+const { CronTime } = require('cron');
+const { createStore } = require('./server/storage/store');
+const { migrations } = require('./server/storage/migrations');
+const { seedDemoData } = require('./server/storage/seed');
+const { SessionService, hashToken } = require('./server/auth/sessions');
+const { TwoFactorService } = require('./server/auth/two-factor');
+const { checkPassword } = require('./server/auth/policy');
+const { ActionTokenService } = require('./server/auth/action-tokens');
+const { LoginThrottle } = require('./server/auth/login-throttle');
+const {
+    PERMISSIONS,
+    SYSTEM_ROLES,
+    validateRole,
+    grantedScopes,
+    hasPermission,
+    grantsRecordAccess,
+    coversPermissions
+} = require('./server/auth/permissions');
+const { Mailer } = require('./server/email/mailer');
+const { passwordResetEmail, emailVerificationEmail, inviteEmail, erasureReceiptEmail } = require('./server/email/templates');
+const { AuditChain } = require('./server/audit/audit-chain');
+const { AUDIT_EXPORT_COLUMNS, parseAuditQuery, queryAuditEntries } = require('./server/audit/audit-query');
+const { USER_EXPORT_COLUMNS, exportRow, validateImportRows } = require('./server/users/bulk');
+const { validateUserUpdate } = require('./server/users/accounts');
+const { parseCsv, csvRow, toCsv } = require('./server/utils/csv');
+const { publicFiles } = require('./server/utils/public-files');
+const { parseAnalyticsQuery, computeAnalytics, analyticsReport } = require('./server/analytics/analytics');
+const { WINDOWS, MetricsRegistry, requireMetricsAccess } = require('./server/metrics/metrics');
+const { NOTIFICATION_STATUSES, validateNotification, parseInboxQuery, NotificationService } = require('./server/notifications/notification-service');
+const { validateAudience, validateSegment, unknownReferences } = require('./server/notifications/audience');
+const { preferencesOf, validatePreferences } = require('./server/notifications/preferences');
+const { EmailChannel, WebhookChannel, CaptureChannel } = require('./server/notifications/channels');
+const { JOB_STATUSES, DeliveryQueue } = require('./server/notifications/delivery-queue');
+const { validateTransition, applyTransition, historyEntry } = require('./server/appointments/lifecycle');
+const { CARE_TEAM_ROLES, validateAssignment, isActive, CareTeamService } = require('./server/care-team/care-team');
+const { CONSENT_PURPOSES, validateConsent, validateConsentDocument, consentStatus, ConsentService, toFhirConsent } = require('./server/consent/consent');
+const { requireConsentServiceAccess } = require('./server/consent/consent-client');
+const { DATA_REQUEST_TYPES, DATA_REQUEST_STATUSES, validateDataRequest, validateLegalHold, validateRejection, DataSubjectService } = require('./server/privacy/data-subject');
+const { DataSubjectClient } = require('./server/privacy/data-subject-client');
+const { BACKUP_KEY_REQUIRED, validateRestore, BackupService } = require('./server/backup/backup');
+const { BackupClient } = require('./server/backup/backup-client');
+const { SECTIONS, SETTINGS, parseHistoryQuery, SettingsService } = require('./server/settings/settings');
+const { validateMaintenanceWindow, publicWindow, maintenanceGate, announceMaintenance, MaintenanceService } = require('./server/maintenance/maintenance');
+const { EMERGENCY_ACCESS_REVIEWS, validateEmergencyAccess, validateReview, grantStatus, BreakGlassService } = require('./server/care-team/break-glass');
+const { validateHealthData } = require('./server/health/health-data');
+const { parseSeriesQuery, parseLatestQuery, parseBaselineQuery, computeSeries, latestValues, computeBaseline } = require('./server/health/series');
+const {
+    DEFAULT_SCHEDULE,
+    MAX_SEARCH_DAYS,
+    validateSchedule,
+    getVisitDuration,
+    findConflict,
+    isWithinWorkingHours,
+    generateSlots
+} = require('./server/appointments/availability');
+const { parseRRule, stringifyRRule, expandRRule } = require('./server/appointments/recurrence');
+const { buildCalendar, appointmentEvent, calendarEvents } = require('./server/appointments/ical');
+const { validateEdit, editTargets, planTimes, shiftDate, seriesChanges, seriesCancellations } = require('./server/appointments/series');
 
 // Initialize Express app
 const app = express();
@@ -17,118 +77,161 @@ const io = socketIo(server, {
     }
 });
 
+// Request and process metrics (in memory; see GET /metrics)
+const metrics = new MetricsRegistry();
+metrics.gauge('socketio_connected_clients', 'Connected Socket.IO clients.', () => io.engine.clientsCount, { sampleAs: 'connections' });
+metrics.start();
+
 // Middleware
+app.use(metrics.middleware());
 app.use(cors());
 app.use(express.json());
-app.use(express.static('.'));
+app.use(publicFiles(__dirname));
 
 // Configuration
 const PORT = process.env.PORT || 3000;
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+// Shared with the health records, screening and FHIR services for consent checks
+const CONSENT_SERVICE_TOKEN = process.env.CONSENT_SERVICE_TOKEN || null;
 const JWT_SECRET = process.env.JWT_SECRET || 'onecare-healthcare-platform-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${PORT}`;
+const SKIP_EMAIL_VERIFICATION = process.env.SKIP_EMAIL_VERIFICATION === 'true';
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = 48 * 60;
+const INVITE_TTL_MINUTES = (parseInt(process.env.INVITE_TTL_DAYS) || 7) * 24 * 60;
+
+const AUDIT_CHECKPOINT_INTERVAL_MINUTES = parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MINUTES) || 60;
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 365;
+
+// 'capture' records email and webhook notifications locally instead of sending them
+const NOTIFICATION_TRANSPORT = process.env.NOTIFICATION_TRANSPORT || 'live';
+const NOTIFICATION_WEBHOOK_SECRET = process.env.NOTIFICATION_WEBHOOK_SECRET || null;
+// Production webhooks must use https
+const WEBHOOK_HTTPS_ONLY = process.env.NODE_ENV === 'production';
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 6;
+const NOTIFICATION_RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30;
+const NOTIFICATION_QUEUE_INTERVAL_SECONDS = parseInt(process.env.NOTIFICATION_QUEUE_INTERVAL_SECONDS) || 15;
+
+// Longest break-the-glass override a clinician can open
+const EMERGENCY_ACCESS_MAX_MINUTES = parseInt(process.env.EMERGENCY_ACCESS_MAX_MINUTES) || 240;
+
+// Standalone services holding patient data, included in exports, erasures and backups
+const SERVICE_URLS = {
+    'health-records': process.env.HEALTH_RECORDS_API_URL || 'http://localhost:3004',
+    screening: process.env.SCREENING_API_URL || 'http://localhost:3001',
+    fhir: process.env.FHIR_API_URL || 'http://localhost:3003'
+};
 
-// In-memory database simulation
-const database = {
-    users: [
-        {
-            id: 'admin_001',
-            email: 'harsh.singhal@onecare.com',
-            password: '$2a$10$rOzJJcUBl7C1tWVmz2GnfOx0YV.gxqZ9JCk4JFGJ.YVXr8LKUdJ1G', // 'admin123'
-            role: 'admin',
-            name: 'System Administrator',
-            isActive: true,
-            lastLogin: new Date().toISOString(),
-            createdAt: '2024-01-01T00:00:00Z'
-        },
-        {
-            id: 'provider_001',
-            email: 'dr.smith@hospital.com',
-            password: '$2a$10$rOzJJcUBl7C1tWVmz2GnfOx0YV.gxqZ9JCk4JFGJ.YVXr8LKUdJ1G', // 'doctor123'
-            role: 'provider',
-            name: 'Dr. John Smith',
-            specialization: 'Cardiology',
-            isActive: true,
-            lastLogin: new Date().toISOString(),
-            createdAt: '2024-01-01T00:00:00Z'
-        },
-        {
-            id: 'patient_001',
-            email: 'patient@email.com',
-            password: '$2a$10$rOzJJcUBl7C1tWVmz2GnfOx0YV.gxqZ9JCk4JFGJ.YVXr8LKUdJ1G', // 'patient123'
-            role: 'patient',
-            name: 'John Doe',
-            dateOfBirth: '1990-05-15',
-            isActive: true,
-            lastLogin: new Date().toISOString(),
-            createdAt: '2024-01-01T00:00:00Z'
-        }
-    ],
-    appointments: [
-        {
-            id: 'apt_001',
-            patientId: 'patient_001',
-            providerId: 'provider_001',
-            title: 'Regular Checkup',
-            description: 'Annual health screening and consultation',
-            startTime: '2024-01-20T10:00:00Z',
-            endTime: '2024-01-20T10:30:00Z',
-            status: 'scheduled',
-            type: 'consultation',
-            createdAt: new Date().toISOString()
+// Comma-separated service names (may be empty) limiting which services take part; all by default
+const serviceNames = (value) => (value !== undefined ? value : Object.keys(SERVICE_URLS).join(','))
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+        if (!SERVICE_URLS[name]) {
+            throw new Error(`Unknown service: ${name}`);
         }
-    ],
-    notifications: [
-        {
-            id: 'notif_001',
-            title: 'Welcome to OneCare',
-            message: 'Your healthcare management platform is ready to use.',
-            type: 'info',
-            priority: 'low',
-            recipients: ['all'],
-            status: 'sent',
-            createdAt: new Date().toISOString(),
-            createdBy: 'admin_001'
-        }
-    ],
-    auditLogs: [
-        {
-            id: 'log_001',
-            userId: 'admin_001',
-            action: 'login',
-            resource: 'Admin Dashboard',
-            ipAddress: '192.168.1.100',
-            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-            timestamp: new Date().toISOString(),
-            status: 'success',
-            details: 'Successful admin login'
-        }
-    ],
-    healthData: [
-        {
-            id: 'health_001',
-            patientId: 'patient_001',
-            type: 'vital_signs',
-            data: {
-                bloodPressure: { systolic: 120, diastolic: 80 },
-                heartRate: 72,
-                temperature: 98.6,
-                weight: 170,
-                height: 70
-            },
-            timestamp: new Date().toISOString(),
-            recordedBy: 'provider_001'
+        return name;
+    });
+
+const DATA_SUBJECT_SERVICES = serviceNames(process.env.DATA_SUBJECT_SERVICES);
+const DATA_SUBJECT_SERVICE_TOKEN = process.env.DATA_SUBJECT_SERVICE_TOKEN || null;
+const DATA_EXPORT_TTL_DAYS = parseInt(process.env.DATA_EXPORT_TTL_DAYS) || 7;
+
+const BACKUP_SERVICES = serviceNames(process.env.BACKUP_SERVICES);
+const BACKUP_SERVICE_TOKEN = process.env.BACKUP_SERVICE_TOKEN || null;
+const BACKUP_CRON = process.env.BACKUP_CRON || '0 2 * * *';
+const NOTIFICATION_DISPATCH_CRON = process.env.NOTIFICATION_DISPATCH_CRON || '* * * * *';
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'file';
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'onecare-db.json');
+
+// Persistent data store (users, appointments, notifications, auditLogs, healthData)
+const database = createStore({
+    driver: STORAGE_DRIVER,
+    filePath: DATA_FILE,
+    migrations,
+    seed: process.env.SEED_DEMO_DATA === 'false' ? null : seedDemoData
+});
+
+// System settings edited on the admin settings page; the mail settings start from SMTP_* and MAIL_TRANSPORT
+const systemSettings = new SettingsService({
+    settings: database.settings,
+    history: database.settingsHistory,
+    defaults: {
+        notifications: {
+            emailTransport: process.env.MAIL_TRANSPORT || 'file',
+            smtpHost: process.env.SMTP_HOST || '',
+            smtpPort: parseInt(process.env.SMTP_PORT) || 587,
+            smtpSecure: process.env.SMTP_SECURE === 'true',
+            smtpUser: process.env.SMTP_USER || '',
+            smtpPass: process.env.SMTP_PASS || ''
         }
-    ],
-    systemMetrics: {
-        serverUptime: 99.8,
-        databasePerformance: 94.2,
-        memoryUsage: 68,
-        networkLatency: 45,
-        activeUsers: 1247,
-        totalRequests: 0,
-        errorRate: 0.02
     }
+});
+
+// Server-side sessions backing access and refresh tokens
+const sessions = new SessionService({
+    sessions: database.sessions,
+    jwtSecret: JWT_SECRET,
+    accessTokenTtl: ACCESS_TOKEN_TTL,
+    refreshTokenTtlMs: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+    idleTimeoutMs: systemSettings.get('security', 'sessionTimeoutMinutes') * 60 * 1000
+});
+sessions.prune();
+
+const twoFactor = new TwoFactorService({
+    users: database.users,
+    issuer: process.env.TOTP_ISSUER || 'OneCare'
+});
+
+// Failed sign-in counters and lockouts
+const loginThrottle = new LoginThrottle({ users: database.users });
+
+// Single-use links for password reset and email verification
+const actionTokens = new ActionTokenService({ tokens: database.actionTokens });
+actionTokens.prune();
+
+// Mail transport and SMTP server from the notification settings
+const mailTransport = () => {
+    const notifications = systemSettings.section('notifications');
+    return {
+        transport: notifications.emailTransport,
+        smtp: {
+            host: notifications.smtpHost,
+            port: notifications.smtpPort,
+            secure: notifications.smtpSecure,
+            user: notifications.smtpUser,
+            pass: notifications.smtpPass
+        }
+    };
 };
 
+const mailer = new Mailer({
+    ...mailTransport(),
+    from: process.env.FROM_EMAIL || 'OneCare <noreply@onecare.local>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(path.dirname(DATA_FILE), 'outbox')
+});
+
+// Append-only, hash-chained audit trail; entries past retention move to archive segments
+const audit = new AuditChain({
+    entries: database.auditLogs,
+    checkpoints: database.auditCheckpoints,
+    archives: database.auditArchives,
+    secret: process.env.AUDIT_SIGNING_KEY || JWT_SECRET,
+    archiveDir: process.env.AUDIT_ARCHIVE_DIR || path.join(path.dirname(DATA_FILE), 'audit-archive')
+});
+
+audit.scheduleMaintenance({
+    retentionDays: AUDIT_RETENTION_DAYS,
+    intervalMinutes: AUDIT_CHECKPOINT_INTERVAL_MINUTES
+});
+
+// Routes open to sessions that still have to enroll in two-factor authentication
+const TWO_FACTOR_ENROLLMENT_PATHS = ['/api/auth/2fa', '/api/auth/logout'];
+
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
@@ -142,26 +245,205 @@ const authenticateToken = (req, res, next) => {
         if (err) {
             return res.status(403).json({ error: 'Invalid or expired token' });
         }
-        req.user = user;
+
+        // Tokens die with their session (logout, sign-out-everywhere, admin revocation)
+        const session = database.sessions.findById(user.sessionId);
+        if (!sessions.isActive(session)) {
+            return res.status(403).json({ error: 'Session expired or revoked' });
+        }
+
+        // Sessions of users who must enroll in 2FA can only reach enrollment and logout
+        if (session.twoFactorPending && !TWO_FACTOR_ENROLLMENT_PATHS.some(p => req.path.startsWith(p))) {
+            return res.status(403).json({
+                error: 'Two-factor enrollment required',
+                twoFactorEnrollmentRequired: true
+            });
+        }
+
+        // Avoid a store write on every request
+        if (Date.now() - new Date(session.lastActivity).getTime() > 60 * 1000) {
+            sessions.touch(session.id);
+        }
+
+        // Role and permissions come from the stored account so admin changes apply immediately
+        const account = database.users.findById(user.id);
+        if (!account || !account.isActive) {
+            return res.status(403).json({ error: 'Account is disabled' });
+        }
+
+        req.user = { ...user, role: account.role };
+        req.account = account;
+        req.permissions = rolePermissions(account.role);
         next();
     });
 };
 
-// Role-based authorization middleware
-const authorizeRole = (roles) => {
+// Built-in roles are defined in code; custom roles live in the roles collection
+const getRole = (roleId) => {
+    const systemRole = SYSTEM_ROLES.find(role => role.id === roleId);
+    return systemRole ? { ...systemRole, system: true } : database.roles.findById(roleId);
+};
+
+const allRoles = () => [
+    ...SYSTEM_ROLES.map(role => ({ ...role, system: true })),
+    ...database.roles.all()
+];
+
+const rolePermissions = (roleId) => {
+    const role = getRole(roleId);
+    return role ? role.permissions : [];
+};
+
+// Callers may only hand out (or manage holders of) roles whose permissions they hold themselves
+const canGrantRole = (req, roleId) => coversPermissions(req.permissions, rolePermissions(roleId));
+
+// Permission-based authorization middleware. Scoped permissions given without a
+// scope (e.g. 'appointments:read') pass at any scope; handlers then check the record.
+const requirePermission = (permission) => {
     return (req, res, next) => {
-        if (!roles.includes(req.user.role)) {
-            return res.status(403).json({ error: 'Insufficient permissions' });
+        if (!hasPermission(req.permissions, permission)) {
+            return res.status(403).json({ error: 'Insufficient permissions', required: permission });
         }
         next();
     };
 };
 
+// Maintenance windows: callers without maintenance:manage get 503 for every API request (or
+// only writes in read-only windows); sign-in stays open so admins can get in
+const maintenance = new MaintenanceService({ windows: database.maintenanceWindows });
+
+app.use(maintenanceGate({
+    status: () => maintenance.status(),
+    // Runs before authenticateToken, so checks the token itself
+    isAdmin: (req) => {
+        const token = (req.headers['authorization'] || '').split(' ')[1];
+        try {
+            const user = jwt.verify(token || '', JWT_SECRET);
+            const account = sessions.isActive(database.sessions.findById(user.sessionId)) && database.users.findById(user.id);
+            return Boolean(account && account.isActive && hasPermission(rolePermissions(account.role), 'maintenance:manage'));
+        } catch (error) {
+            return false;
+        }
+    },
+    exempt: ['/api/auth/signin', '/api/auth/refresh', '/api/auth/logout', '/api/maintenance/status', '/api/settings/public', '/api/internal/']
+}));
+
+announceMaintenance({
+    status: () => maintenance.status(),
+    emit: (event, payload) => io.emit(event, payload)
+});
+
+// Patient ↔ clinician assignments; 'assigned' permission scopes follow current care teams
+const careTeam = new CareTeamService({
+    assignments: database.careTeamAssignments,
+    users: database.users
+});
+
+const isAssignedPatient = (account, patientId) => careTeam.isMember(account.id, patientId);
+
+// Per-purpose patient consents, also checked by the standalone services
+const consentService = new ConsentService({
+    consents: database.consents,
+    documents: database.consentDocuments,
+    users: database.users
+});
+
+// Emergency overrides of care team scoping, reviewed by admins afterwards
+const breakGlass = new BreakGlassService({ grants: database.emergencyAccessGrants });
+
+// Access to a patient's records through the user's role and care teams alone
+const hasPatientAccess = (req, permission, patientId) => {
+    return grantsRecordAccess(req.permissions, permission, {
+        isOwn: () => patientId === req.user.id,
+        isAssigned: () => isAssignedPatient(req.account, patientId)
+    });
+};
+
+// Whether the user holds `permission` (e.g. 'healthData:read') for this patient's records.
+// An active emergency grant stands in for care team membership; each such access is
+// counted on the grant and audited.
+const canAccessPatient = (req, permission, patientId) => {
+    if (hasPatientAccess(req, permission, patientId)) {
+        return true;
+    }
+
+    const grant = grantedScopes(req.permissions, permission).includes('assigned') &&
+        breakGlass.activeGrant(req.user.id, patientId);
+    if (!grant) {
+        return false;
+    }
+
+    breakGlass.recordAccess(grant);
+    recordAudit(req, {
+        userId: req.user.id,
+        action: 'emergency_access',
+        resource: 'patient record',
+        details: `${req.method} ${req.path} for patient ${patientId} under emergency access ${grant.id}`
+    });
+    return true;
+};
+
+// Whether the user holds `permission` (e.g. 'appointments:write') for this appointment.
+// Clinicians keep access to their own visits after leaving the patient's care team.
+const canAccessAppointment = (req, permission, appointment) => {
+    return grantsRecordAccess(req.permissions, permission, {
+        isOwn: () => appointment.patientId === req.user.id,
+        isAssigned: () => appointment.providerId === req.user.id || isAssignedPatient(req.account, appointment.patientId)
+    });
+};
+
+// Users looking after a patient (notification care-team audiences)
+const careTeamOf = (patientId) => careTeam.teamOf(patientId);
+
+// Email and webhook adapters; the webhook channel needs a signing secret
+const notificationChannels = () => {
+    if (NOTIFICATION_TRANSPORT === 'capture') {
+        const file = path.join(path.dirname(DATA_FILE), 'notification-capture.jsonl');
+        return {
+            email: new CaptureChannel({ name: 'email', file }),
+            webhook: new CaptureChannel({ name: 'webhook', file })
+        };
+    }
+    return {
+        email: new EmailChannel({ mailer, baseUrl: APP_BASE_URL }),
+        ...(NOTIFICATION_WEBHOOK_SECRET ? { webhook: new WebhookChannel({ secret: NOTIFICATION_WEBHOOK_SECRET, httpsOnly: WEBHOOK_HTTPS_ONLY }) } : {})
+    };
+};
+
+const notificationQueue = new DeliveryQueue({
+    jobs: database.notificationJobs,
+    notifications: database.notifications,
+    users: database.users,
+    channels: notificationChannels(),
+    maxAttempts: NOTIFICATION_MAX_ATTEMPTS,
+    baseDelayMs: NOTIFICATION_RETRY_BASE_SECONDS * 1000
+});
+notificationQueue.start(NOTIFICATION_QUEUE_INTERVAL_SECONDS * 1000);
+
+// Targeted notifications; connected users get them live in their `user:<id>` socket room
+const notificationService = new NotificationService({
+    notifications: database.notifications,
+    deliveries: database.notificationDeliveries,
+    segments: database.notificationSegments,
+    users: database.users,
+    careTeamOf,
+    push: (userId, item) => {
+        const room = `user:${userId}`;
+        if (!io.sockets.adapter.rooms.has(room)) {
+            return false;
+        }
+        io.to(room).emit('notification', item);
+        return true;
+    },
+    queue: notificationQueue
+});
+
+const notificationDispatch = notificationService.scheduleDispatch(NOTIFICATION_DISPATCH_CRON, systemSettings.get('general', 'timeZone'));
+
 // Audit logging middleware
 const auditLog = (action, resource) => {
     return (req, res, next) => {
         const logEntry = {
-            id: `log_${Date.now()}`,
             userId: req.user ? req.user.id : 'anonymous',
             action: action,
             resource: resource,
@@ -175,13 +457,102 @@ const auditLog = (action, resource) => {
         // Add to audit log after response
         res.on('finish', () => {
             logEntry.status = res.statusCode < 400 ? 'success' : 'error';
-            database.auditLogs.push(logEntry);
+            audit.append(logEntry);
         });
 
         next();
     };
 };
 
+// Audit entry for events recorded outside the auditLog middleware
+const recordAudit = (req, { userId, action, resource = 'Authentication', status = 'success', details }) => {
+    audit.append({
+        userId,
+        action,
+        resource,
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.headers['user-agent'],
+        timestamp: new Date().toISOString(),
+        status,
+        details
+    });
+};
+
+// Client details recorded on sessions
+const requestContext = (req) => ({
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent']
+});
+
+// Strip credentials and secrets before a user record leaves the server
+const PRIVATE_USER_FIELDS = ['password', 'calendarTokenHash', 'twoFactor'];
+
+const toPublicUser = (user) => {
+    const publicUser = {
+        ...user,
+        twoFactorEnabled: twoFactor.isEnabled(user),
+        locked: Boolean(loginThrottle.checkAccount(user))
+    };
+    PRIVATE_USER_FIELDS.forEach(field => delete publicUser[field]);
+    return publicUser;
+};
+
+// Email a fresh verification link; any earlier link stops working
+const sendVerificationEmail = (user) => {
+    const token = actionTokens.issue(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_MINUTES * 60 * 1000);
+    const url = `${APP_BASE_URL}/verify-email.html?token=${token}`;
+
+    return mailer.send({
+        to: user.email,
+        ...emailVerificationEmail({ name: user.name, url, expiresInMinutes: EMAIL_VERIFICATION_TTL_MINUTES })
+    });
+};
+
+// Issue an account set-up link for an account created without a password
+const inviteUrl = (user) => {
+    const token = actionTokens.issue(user.id, 'invite', INVITE_TTL_MINUTES * 60 * 1000);
+    return `${APP_BASE_URL}/reset-password.html?invite=1&token=${token}`;
+};
+
+const sendInviteEmail = (user, url) => {
+    return mailer.send({
+        to: user.email,
+        ...inviteEmail({ name: user.name, url, expiresInMinutes: INVITE_TTL_MINUTES })
+    });
+};
+
+// Security policy from the settings registry
+const getSecurityPolicy = () => systemSettings.section('security');
+
+// Validation context for setting changes: roles are custom, so the valid role ids are looked up
+const settingsContext = () => ({ roleIds: allRoles().map(role => role.id) });
+
+// Stored weekly template for a provider, or the clinic default
+const getProviderSchedule = (providerId) => {
+    return database.providerSchedules.find(s => s.providerId === providerId) || DEFAULT_SCHEDULE;
+};
+
+// Returns null when the provider can take [startTime, endTime), otherwise { status, error }.
+// ignoreAppointmentIds (one id or a list) are left out of the double-booking check.
+const checkBookable = (providerId, startTime, endTime, ignoreAppointmentIds) => {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (isNaN(start) || isNaN(end) || end <= start) {
+        return { status: 400, error: 'endTime must be after startTime' };
+    }
+
+    if (!isWithinWorkingHours(getProviderSchedule(providerId), start, end)) {
+        return { status: 400, error: 'Requested time is outside the provider\'s working hours' };
+    }
+
+    if (findConflict(database.appointments.all(), providerId, start, end, ignoreAppointmentIds)) {
+        return { status: 409, error: 'The provider is already booked for this time' };
+    }
+
+    return null;
+};
+
 // Routes
 
 // Root route
@@ -190,48 +561,132 @@ app.get('/', (req, res) => {
 });
 
 // Authentication routes
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Count a failed sign-in, audit it (and any lockout it triggers), then answer after the progressive delay
+const rejectSignin = async (req, res, { user, reason, body }) => {
+    const ip = req.ip || req.connection.remoteAddress;
+    const policy = getSecurityPolicy();
+    const result = loginThrottle.recordFailure({ user, ip, policy });
+
+    recordAudit(req, {
+        userId: user ? user.id : 'anonymous',
+        action: 'login_failed',
+        status: 'error',
+        details: `${reason} for ${req.body.email} (${result.accountFailures || '-'} account / ${result.ipFailures} IP failures)`
+    });
+
+    if (result.accountLocked) {
+        recordAudit(req, {
+            userId: user.id,
+            action: 'account_locked',
+            status: 'error',
+            details: `Account locked for ${policy.lockoutDurationMinutes} minutes after ${policy.lockoutThreshold} failed sign-ins`
+        });
+    }
+
+    if (result.ipBlocked) {
+        recordAudit(req, {
+            userId: 'anonymous',
+            action: 'ip_blocked',
+            status: 'error',
+            details: `Sign-in blocked for ${ip} for ${policy.lockoutDurationMinutes} minutes after ${policy.ipLockoutThreshold} failures`
+        });
+    }
+
+    await sleep(result.delayMs);
+    res.status(401).json(body);
+};
+
 app.post('/api/auth/signin', async (req, res) => {
     const { email, password, role } = req.body;
+    const ip = req.ip || req.connection.remoteAddress;
 
     try {
-        // Find user
-        const user = database.users.find(u => u.email === email && u.role === role);
+        const ipBlock = loginThrottle.checkIp(ip);
+        if (ipBlock) {
+            res.set('Retry-After', String(ipBlock.retryAfter));
+            return res.status(429).json({
+                error: 'Too many failed sign-in attempts. Please try again later.',
+                retryAfter: ipBlock.retryAfter
+            });
+        }
+
+        // Find user; the role is optional and only narrows the match when supplied
+        const user = database.users.find(u => u.email === email && (!role || u.role === role));
         if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+            return rejectSignin(req, res, { reason: 'Unknown account', body: { error: 'Invalid credentials' } });
+        }
+
+        const accountLock = loginThrottle.checkAccount(user);
+        if (accountLock) {
+            recordAudit(req, {
+                userId: user.id,
+                action: 'login_blocked',
+                status: 'error',
+                details: `Sign-in attempt on locked account ${user.email}`
+            });
+            res.set('Retry-After', String(accountLock.retryAfter));
+            return res.status(423).json({
+                error: 'Account temporarily locked after too many failed sign-in attempts',
+                retryAfter: accountLock.retryAfter
+            });
         }
 
         // Verify password
-        const validPassword = await bcrypt.compare(password, user.password);
+        // Invited accounts have no password until the invite is accepted
+        const validPassword = Boolean(user.password) && await bcrypt.compare(password || '', user.password);
         if (!validPassword) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+            return rejectSignin(req, res, { user, reason: 'Wrong password', body: { error: 'Invalid credentials' } });
+        }
+
+        // Accounts created before verification existed have no emailVerified flag
+        if (user.emailVerified === false) {
+            return res.status(403).json({ error: 'Email address not verified', emailVerificationRequired: true });
+        }
+
+        // Second factor for enrolled users: a TOTP code or a one-time recovery code
+        if (twoFactor.isEnabled(user)) {
+            const { otp, recoveryCode } = req.body;
+            if (!otp && !recoveryCode) {
+                return res.status(401).json({ error: 'Two-factor code required', twoFactorRequired: true });
+            }
+
+            const verification = twoFactor.verify(user, { otp, recoveryCode });
+            if (verification.error) {
+                return rejectSignin(req, res, {
+                    user,
+                    reason: `Wrong two-factor ${recoveryCode ? 'recovery code' : 'code'}`,
+                    body: { error: verification.error, twoFactorRequired: true }
+                });
+            }
+
+            if (verification.method === 'recovery_code') {
+                recordAudit(req, {
+                    userId: user.id,
+                    action: '2fa_recovery_code_used',
+                    details: `Recovery code used at login; ${verification.recoveryCodesRemaining} remaining`
+                });
+            }
         }
 
         // Update last login
-        user.lastLogin = new Date().toISOString();
+        loginThrottle.recordSuccess(user);
+        database.users.update(user.id, { lastLogin: new Date().toISOString() });
 
-        // Generate JWT
-        const token = jwt.sign(
-            { id: user.id, email: user.email, role: user.role },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // Start a session; unenrolled users in a 2FA-required role get an enrollment-only session
+        const twoFactorPending = !twoFactor.isEnabled(user) && twoFactor.isRequired(user, getSecurityPolicy());
+        const { accessToken, refreshToken, session } = sessions.issue(user, { ...requestContext(req), twoFactorPending });
 
         // Log successful login
-        database.auditLogs.push({
-            id: `log_${Date.now()}`,
-            userId: user.id,
-            action: 'login',
-            resource: 'Authentication',
-            ipAddress: req.ip || req.connection.remoteAddress,
-            userAgent: req.headers['user-agent'],
-            timestamp: new Date().toISOString(),
-            status: 'success',
-            details: `Successful ${role} login`
-        });
+        recordAudit(req, { userId: user.id, action: 'login', details: `Successful ${user.role} login (session ${session.id})` });
 
         res.json({
             success: true,
-            token,
+            token: accessToken,
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            twoFactorEnrollmentRequired: twoFactorPending,
             user: {
                 id: user.id,
                 email: user.email,
@@ -246,9 +701,25 @@ app.post('/api/auth/signin', async (req, res) => {
 });
 
 app.post('/api/auth/signup', async (req, res) => {
-    const { email, password, name, role = 'patient' } = req.body;
+    const { email, password, firstName, lastName } = req.body;
+    const name = req.body.name || [firstName, lastName].filter(Boolean).join(' ');
+    // Self-service accounts are always patients; staff accounts are created by administrators
+    const role = 'patient';
 
     try {
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        if (!systemSettings.get('general', 'patientSelfRegistration')) {
+            return res.status(403).json({ error: 'Patient self-registration is turned off' });
+        }
+
+        const passwordProblems = checkPassword(password, getSecurityPolicy());
+        if (passwordProblems.length > 0) {
+            return res.status(400).json({ error: 'Password does not meet the security policy', details: passwordProblems });
+        }
+
         // Check if user exists
         const existingUser = database.users.find(u => u.email === email);
         if (existingUser) {
@@ -266,22 +737,44 @@ app.post('/api/auth/signup', async (req, res) => {
             name,
             role,
             isActive: true,
+            emailVerified: SKIP_EMAIL_VERIFICATION,
             createdAt: new Date().toISOString(),
             lastLogin: null
         };
 
-        database.users.push(newUser);
+        database.users.insert(newUser);
+
+        // New accounts sign in only after confirming their email address
+        if (!newUser.emailVerified) {
+            try {
+                await sendVerificationEmail(newUser);
+            } catch (error) {
+                console.error('Failed to send verification email:', error.message);
+            }
+
+            return res.status(201).json({
+                success: true,
+                verificationRequired: true,
+                message: 'Account created. Check your email for a link to verify your address, then sign in.',
+                user: {
+                    id: newUser.id,
+                    email: newUser.email,
+                    name: newUser.name,
+                    role: newUser.role
+                }
+            });
+        }
 
-        // Generate JWT
-        const token = jwt.sign(
-            { id: newUser.id, email: newUser.email, role: newUser.role },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // Start a session
+        const twoFactorPending = twoFactor.isRequired(newUser, getSecurityPolicy());
+        const { accessToken, refreshToken } = sessions.issue(newUser, { ...requestContext(req), twoFactorPending });
 
         res.json({
             success: true,
-            token,
+            token: accessToken,
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            twoFactorEnrollmentRequired: twoFactorPending,
             user: {
                 id: newUser.id,
                 email: newUser.email,
@@ -295,219 +788,2109 @@ app.post('/api/auth/signup', async (req, res) => {
     }
 });
 
-// User management routes (Admin only)
-app.get('/api/admin/users', authenticateToken, authorizeRole(['admin']), auditLog('view', 'users'), (req, res) => {
-    const users = database.users.map(user => ({
-        ...user,
-        password: undefined // Don't send passwords
-    }));
-    res.json({ success: true, data: users, total: users.length });
+app.post('/api/auth/refresh', (req, res) => {
+    const result = sessions.rotate(req.body.refreshToken);
+
+    if (result.error) {
+        if (result.reuseDetected) {
+            recordAudit(req, {
+                userId: result.session.userId,
+                action: 'token_reuse',
+                status: 'error',
+                details: `Refresh token reuse detected; session ${result.session.id} revoked`
+            });
+        }
+        return res.status(401).json({ error: result.error });
+    }
+
+    const user = database.users.findById(result.session.userId);
+    if (!user || !user.isActive) {
+        sessions.revoke(result.session.id, 'user_inactive');
+        return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+        success: true,
+        token: sessions.signAccessToken(user, result.session.id),
+        refreshToken: result.refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    });
 });
 
-app.post('/api/admin/users', authenticateToken, authorizeRole(['admin']), auditLog('create', 'user'), async (req, res) => {
-    const { email, password, name, role } = req.body;
+app.post('/api/auth/logout', authenticateToken, auditLog('logout', 'Authentication'), (req, res) => {
+    sessions.revoke(req.user.sessionId, 'logout');
+    res.json({ success: true, message: 'Logged out successfully' });
+});
 
-    try {
-        // Check if user exists
-        const existingUser = database.users.find(u => u.email === email);
-        if (existingUser) {
-            return res.status(400).json({ error: 'User already exists' });
-        }
+// Sign out all devices (including this one)
+app.post('/api/auth/logout-all', authenticateToken, auditLog('logout_all', 'Authentication'), (req, res) => {
+    const revoked = sessions.revokeAllForUser(req.user.id, 'logout_all');
+    res.json({ success: true, message: `Signed out of ${revoked.length} session(s)` });
+});
 
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
+app.get('/api/auth/sessions', authenticateToken, (req, res) => {
+    const userSessions = sessions.listForUser(req.user.id)
+        .map(session => sessions.describe(session, req.user.sessionId));
+    res.json({ success: true, data: userSessions });
+});
 
-        // Create new user
-        const newUser = {
-            id: `${role}_${Date.now()}`,
-            email,
-            password: hashedPassword,
-            name,
-            role,
-            isActive: true,
-            createdAt: new Date().toISOString(),
-            lastLogin: null
-        };
+app.delete('/api/auth/sessions/:id', authenticateToken, auditLog('revoke', 'session'), (req, res) => {
+    const session = database.sessions.findById(req.params.id);
+    if (!session || session.userId !== req.user.id) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
 
-        database.users.push(newUser);
+    sessions.revoke(session.id, 'logout');
+    res.json({ success: true, message: 'Session revoked' });
+});
+
+// Password reset. Responses never reveal whether an email is registered.
+// Issue a reset link for an active account and email it; nothing happens for unknown addresses
+const sendPasswordReset = async (req, email) => {
+    const user = email && database.users.find(u => u.email === email && u.isActive);
+    if (!user) {
+        return;
+    }
 
-        res.json({ success: true, data: { ...newUser, password: undefined } });
+    const token = actionTokens.issue(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    const url = `${APP_BASE_URL}/reset-password.html?token=${token}`;
 
+    try {
+        await mailer.send({
+            to: user.email,
+            ...passwordResetEmail({ name: user.name, url, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES })
+        });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to create user' });
+        console.error('Failed to send password reset email:', error.message);
     }
-});
 
-app.put('/api/admin/users/:id', authenticateToken, authorizeRole(['admin']), auditLog('update', 'user'), (req, res) => {
-    const userId = req.params.id;
-    const updates = req.body;
+    recordAudit(req, { userId: user.id, action: 'password_reset_requested', details: 'Password reset link sent' });
+};
 
-    const userIndex = database.users.findIndex(u => u.id === userId);
-    if (userIndex === -1) {
-        return res.status(404).json({ error: 'User not found' });
-    }
+// Answers before the account is even looked up, so the response time cannot tell
+// whether an address is registered; the link is issued and mailed afterwards
+app.post('/api/auth/forgot-password', (req, res) => {
+    res.json({
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent.'
+    });
 
-    // Update user
-    database.users[userIndex] = { ...database.users[userIndex], ...updates };
-    
-    res.json({ success: true, data: { ...database.users[userIndex], password: undefined } });
+    const { email } = req.body;
+    setImmediate(() => sendPasswordReset(req, email).catch(error => {
+        console.error('Password reset request failed:', error.message);
+    }));
 });
 
-app.delete('/api/admin/users/:id', authenticateToken, authorizeRole(['admin']), auditLog('delete', 'user'), (req, res) => {
-    const userId = req.params.id;
+// Set a password from an emailed link (password reset or invite). Returns the user, or null after responding.
+const setPasswordFromLink = async (req, res, purpose) => {
+    const { token, password } = req.body;
 
-    const userIndex = database.users.findIndex(u => u.id === userId);
-    if (userIndex === -1) {
-        return res.status(404).json({ error: 'User not found' });
+    const passwordProblems = checkPassword(password, getSecurityPolicy());
+    if (passwordProblems.length > 0) {
+        res.status(400).json({ error: 'Password does not meet the security policy', details: passwordProblems });
+        return null;
     }
 
-    database.users.splice(userIndex, 1);
-    res.json({ success: true, message: 'User deleted successfully' });
-});
+    const { record, error } = actionTokens.consume(token, purpose);
+    const user = record && database.users.findById(record.userId);
+    if (error || !user) {
+        res.status(400).json({ error: error || 'Invalid or expired link' });
+        return null;
+    }
 
-// Analytics routes
-app.get('/api/admin/analytics', authenticateToken, authorizeRole(['admin']), auditLog('view', 'analytics'), (req, res) => {
-    const analytics = {
-        totalUsers: database.users.length,
-        totalAppointments: database.appointments.length,
-        activeUsers: database.users.filter(u => u.isActive).length,
-        monthlyRevenue: 284200,
-        patientSatisfaction: 4.8,
-        userGrowth: {
-            labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
-            newUsers: [65, 89, 125, 156, 178, 234],
-            activeUsers: [45, 67, 98, 123, 145, 189]
-        },
-        userDistribution: {
-            patients: database.users.filter(u => u.role === 'patient').length,
-            providers: database.users.filter(u => u.role === 'provider').length,
-            admins: database.users.filter(u => u.role === 'admin').length
-        }
-    };
+    // The emailed link also proves ownership of the address
+    return database.users.update(user.id, {
+        password: await bcrypt.hash(password, 10),
+        emailVerified: true,
+        passwordChangedAt: new Date().toISOString()
+    });
+};
 
-    res.json({ success: true, data: analytics });
-});
+app.post('/api/auth/reset-password', async (req, res) => {
+    const user = await setPasswordFromLink(req, res, 'password_reset');
+    if (!user) return;
 
-// Notifications routes
-app.get('/api/admin/notifications', authenticateToken, authorizeRole(['admin']), (req, res) => {
-    res.json({ success: true, data: database.notifications });
+    sessions.revokeAllForUser(user.id, 'password_reset');
+    recordAudit(req, { userId: user.id, action: 'password_reset', details: 'Password reset via emailed link; all sessions revoked' });
+
+    res.json({ success: true, message: 'Password updated. Please sign in with your new password.' });
 });
 
-app.post('/api/admin/notifications', authenticateToken, authorizeRole(['admin']), auditLog('create', 'notification'), (req, res) => {
-    const { title, message, type, priority, recipients, deliveryMethod } = req.body;
+app.post('/api/auth/accept-invite', async (req, res) => {
+    const user = await setPasswordFromLink(req, res, 'invite');
+    if (!user) return;
 
-    const notification = {
-        id: `notif_${Date.now()}`,
-        title,
-        message,
-        type,
-        priority,
-        recipients,
-        deliveryMethod,
-        status: 'sent',
-        createdAt: new Date().toISOString(),
-        createdBy: req.user.id
-    };
+    recordAudit(req, { userId: user.id, action: 'invite_accepted', details: `Account set up for ${user.email}` });
+
+    res.json({ success: true, message: 'Your account is ready. Please sign in with your new password.' });
+});
 
-    database.notifications.push(notification);
+// Email verification
+app.post('/api/auth/verify-email', (req, res) => {
+    const { record, error } = actionTokens.consume(req.body.token, 'email_verification');
+    const user = record && database.users.findById(record.userId);
+    if (error || !user) {
+        return res.status(400).json({ error: error || 'Invalid or expired link' });
+    }
 
-    // Emit real-time notification
-    io.emit('new-notification', notification);
+    database.users.update(user.id, { emailVerified: true, emailVerifiedAt: new Date().toISOString() });
+    recordAudit(req, { userId: user.id, action: 'email_verified', details: `Verified ${user.email}` });
 
-    res.json({ success: true, data: notification });
+    res.json({ success: true, message: 'Email address verified. You can now sign in.' });
 });
 
-// Audit logs routes
-app.get('/api/admin/audit-logs', authenticateToken, authorizeRole(['admin']), (req, res) => {
-    const { dateRange, actionType, userRole, search } = req.query;
-    let logs = [...database.auditLogs];
-
-    // Apply filters
-    if (actionType) {
-        logs = logs.filter(log => log.action === actionType);
-    }
+app.post('/api/auth/resend-verification', async (req, res) => {
+    const user = req.body.email && database.users.find(u => u.email === req.body.email);
 
-    if (search) {
-        logs = logs.filter(log => 
-            log.details.toLowerCase().includes(search.toLowerCase()) ||
-            log.resource.toLowerCase().includes(search.toLowerCase())
-        );
+    if (user && user.emailVerified === false) {
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error('Failed to send verification email:', error.message);
+        }
     }
 
-    // Sort by timestamp (newest first)
-    logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    res.json({
+        success: true,
+        message: 'If that address is awaiting verification, a new link has been sent.'
+    });
+});
 
-    res.json({ success: true, data: logs, total: logs.length });
+// Two-factor authentication (TOTP)
+app.get('/api/auth/2fa', authenticateToken, (req, res) => {
+    const user = database.users.findById(req.user.id);
+    res.json({ success: true, data: twoFactor.status(user, getSecurityPolicy()) });
 });
 
-// System monitoring routes
-app.get('/api/admin/system-metrics', authenticateToken, authorizeRole(['admin']), (req, res) => {
-    // Simulate real-time metrics
-    database.systemMetrics.serverUptime = 99.5 + Math.random() * 0.4;
-    database.systemMetrics.databasePerformance = 90 + Math.random() * 8;
-    database.systemMetrics.memoryUsage = 60 + Math.random() * 20;
-    database.systemMetrics.networkLatency = 30 + Math.random() * 30;
-    database.systemMetrics.totalRequests++;
+app.post('/api/auth/2fa/setup', authenticateToken, (req, res) => {
+    const user = database.users.findById(req.user.id);
+    if (twoFactor.isEnabled(user)) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
 
-    res.json({ success: true, data: database.systemMetrics });
+    res.json({ success: true, data: twoFactor.beginEnrollment(user) });
 });
 
-// Health data routes
-app.get('/api/patient/health-data', authenticateToken, authorizeRole(['patient', 'provider', 'admin']), (req, res) => {
-    const patientId = req.user.role === 'patient' ? req.user.id : req.query.patientId;
-    const healthData = database.healthData.filter(data => data.patientId === patientId);
-    
-    res.json({ success: true, data: healthData });
-});
+app.post('/api/auth/2fa/enable', authenticateToken, (req, res) => {
+    const user = database.users.findById(req.user.id);
+    if (twoFactor.isEnabled(user)) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
 
-app.post('/api/patient/health-data', authenticateToken, authorizeRole(['patient', 'provider']), (req, res) => {
-    const { type, data } = req.body;
-    const patientId = req.user.role === 'patient' ? req.user.id : req.body.patientId;
+    const result = twoFactor.completeEnrollment(user, req.body.code);
+    if (result.error) {
+        recordAudit(req, {
+            userId: user.id,
+            action: '2fa_failed',
+            status: 'error',
+            details: 'Invalid code during two-factor enrollment'
+        });
+        return res.status(400).json({ error: result.error });
+    }
 
-    const healthRecord = {
-        id: `health_${Date.now()}`,
-        patientId,
-        type,
-        data,
-        timestamp: new Date().toISOString(),
-        recordedBy: req.user.id
-    };
+    sessions.completeTwoFactor(req.user.sessionId);
+    recordAudit(req, { userId: user.id, action: '2fa_enrolled', details: 'Two-factor authentication enabled' });
 
-    database.healthData.push(healthRecord);
-    res.json({ success: true, data: healthRecord });
+    res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+        data: { recoveryCodes: result.recoveryCodes }
+    });
 });
 
-// Appointments routes
-app.get('/api/appointments', authenticateToken, (req, res) => {
-    let appointments = [...database.appointments];
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, (req, res) => {
+    const user = database.users.findById(req.user.id);
+    if (!twoFactor.isEnabled(user)) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
 
-    // Filter based on user role
-    if (req.user.role === 'patient') {
-        appointments = appointments.filter(apt => apt.patientId === req.user.id);
-    } else if (req.user.role === 'provider') {
-        appointments = appointments.filter(apt => apt.providerId === req.user.id);
+    if (twoFactor.verify(user, { otp: req.body.code }).error) {
+        recordAudit(req, {
+            userId: user.id,
+            action: '2fa_failed',
+            status: 'error',
+            details: 'Invalid code while regenerating recovery codes'
+        });
+        return res.status(400).json({ error: 'Invalid two-factor code' });
     }
 
-    res.json({ success: true, data: appointments });
+    const recoveryCodes = twoFactor.regenerateRecoveryCodes(database.users.findById(user.id));
+    recordAudit(req, { userId: user.id, action: '2fa_recovery_codes_regenerated', details: 'Recovery codes regenerated' });
+
+    res.json({ success: true, data: { recoveryCodes } });
 });
 
-app.post('/api/appointments', authenticateToken, (req, res) => {
-    const { patientId, providerId, title, description, startTime, endTime, type } = req.body;
+app.delete('/api/auth/2fa', authenticateToken, async (req, res) => {
+    const user = database.users.findById(req.user.id);
+    if (!twoFactor.isEnabled(user)) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
 
-    const appointment = {
-        id: `apt_${Date.now()}`,
-        patientId: req.user.role === 'patient' ? req.user.id : patientId,
-        providerId,
-        title,
-        description,
-        startTime,
-        endTime,
-        status: 'scheduled',
+    if (twoFactor.isRequired(user, getSecurityPolicy())) {
+        return res.status(403).json({ error: `Two-factor authentication is required for ${user.role} accounts` });
+    }
+
+    const validPassword = await bcrypt.compare(req.body.password || '', user.password);
+    if (!validPassword || twoFactor.verify(user, { otp: req.body.code }).error) {
+        recordAudit(req, {
+            userId: user.id,
+            action: '2fa_failed',
+            status: 'error',
+            details: 'Invalid credentials while disabling two-factor authentication'
+        });
+        return res.status(400).json({ error: 'Invalid password or two-factor code' });
+    }
+
+    twoFactor.disable(user);
+    recordAudit(req, { userId: user.id, action: '2fa_disabled', details: 'Two-factor authentication disabled by user' });
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+});
+
+// User management routes (Admin only)
+app.get('/api/admin/users', authenticateToken, requirePermission('users:read'), auditLog('view', 'users'), (req, res) => {
+    const users = database.users.all().map(toPublicUser);
+    res.json({ success: true, data: users, total: users.length });
+});
+
+app.post('/api/admin/users', authenticateToken, requirePermission('users:write'), auditLog('create', 'user'), async (req, res) => {
+    const { email, password, name, role } = req.body;
+
+    try {
+        if (!getRole(role)) {
+            return res.status(400).json({ error: `Unknown role: ${role}` });
+        }
+        if (!canGrantRole(req, role)) {
+            return res.status(403).json({ error: `Not permitted to grant the ${role} role` });
+        }
+
+        // Check if user exists
+        const existingUser = database.users.find(u => u.email === email);
+        if (existingUser) {
+            return res.status(400).json({ error: 'User already exists' });
+        }
+
+        // Hash password
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        // Create new user
+        const newUser = {
+            id: `${role}_${Date.now()}`,
+            email,
+            password: hashedPassword,
+            name,
+            role,
+            isActive: true,
+            createdAt: new Date().toISOString(),
+            lastLogin: null
+        };
+
+        database.users.insert(newUser);
+
+        res.json({ success: true, data: toPublicUser(newUser) });
+
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Bulk export in the admin user table's columns. Patients are only included when their provider
+// sharing consent names the requester; X-Withheld-Rows counts the ones left out.
+app.get('/api/admin/users/export', authenticateToken, requirePermission('users:read'), auditLog('export', 'users'), (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'format must be csv or json' });
+    }
+
+    const users = database.users.all();
+    const exported = users.filter(user => user.role !== 'patient' ||
+        consentService.checkExport({ subject: user.id, requester: req.user.email }).allowed);
+    const rows = exported.map(exportRow);
+    res.set('X-Withheld-Rows', String(users.length - exported.length));
+    const filename = `onecare-users-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+        return res.json(rows);
+    }
+    res.type('text/csv').send(toCsv(rows, USER_EXPORT_COLUMNS));
+});
+
+/**
+ * Bulk import. Accepts a text/csv body, or JSON { format: 'csv', data: '<csv>' } / { users: [...] }.
+ * Valid rows are created and invalid ones reported; ?dryRun=true (or dryRun in the body) only validates.
+ * Passwords cannot be imported: every new user is emailed an invite link to set one.
+ */
+app.post('/api/admin/users/import', authenticateToken, requirePermission('users:write'), express.text({ type: 'text/csv', limit: '2mb' }), async (req, res, next) => {
+    try {
+        const body = typeof req.body === 'string' ? { format: 'csv', data: req.body } : req.body;
+        const dryRun = req.query.dryRun === 'true' || body.dryRun === true;
+
+        let rows;
+        if (Array.isArray(body.users)) {
+            rows = body.users;
+        } else if (body.format === 'csv' && typeof body.data === 'string') {
+            rows = parseCsv(body.data);
+        } else {
+            return res.status(400).json({ error: 'Provide a CSV body, { format: "csv", data } or { users: [...] }' });
+        }
+
+        if (rows.length === 0) {
+            return res.status(400).json({ error: 'No rows to import' });
+        }
+
+        const results = validateImportRows(rows, {
+            roleExists: (roleId) => Boolean(getRole(roleId)),
+            roleGrantable: (roleId) => canGrantRole(req, roleId),
+            emailTaken: (email) => Boolean(database.users.find(u => u.email.toLowerCase() === email))
+        });
+
+        const report = [];
+        for (const { row, email, value, errors } of results) {
+            if (errors.length > 0) {
+                report.push({ row, email, status: 'error', errors });
+                if (!dryRun) {
+                    recordAudit(req, {
+                        userId: req.user.id,
+                        action: 'import',
+                        resource: 'user',
+                        status: 'error',
+                        details: `Row ${row} (${email || 'no email'}) rejected: ${errors.join('; ')}`
+                    });
+                }
+                continue;
+            }
+
+            if (dryRun) {
+                report.push({ row, email, status: 'valid' });
+                continue;
+            }
+
+            const newUser = {
+                id: `${value.role}_${Date.now()}_${row}`,
+                email: value.email,
+                password: null,
+                name: value.name,
+                role: value.role,
+                isActive: value.status !== 'inactive',
+                emailVerified: false,
+                createdAt: new Date().toISOString(),
+                lastLogin: null
+            };
+            database.users.insert(newUser);
+
+            const entry = { row, email, status: 'created', userId: newUser.id, inviteUrl: inviteUrl(newUser) };
+            try {
+                await sendInviteEmail(newUser, entry.inviteUrl);
+            } catch (error) {
+                console.error('Failed to send invite email:', error.message);
+                entry.inviteError = 'Invite email could not be sent; share the link directly';
+            }
+            report.push(entry);
+
+            recordAudit(req, {
+                userId: req.user.id,
+                action: 'import',
+                resource: 'user',
+                details: `Row ${row}: created ${newUser.id} (${newUser.email}) as ${newUser.role} with invite`
+            });
+        }
+
+        const failed = report.filter(entry => entry.status === 'error').length;
+        res.json({
+            success: true,
+            data: {
+                dryRun,
+                total: report.length,
+                created: report.filter(entry => entry.status === 'created').length,
+                valid: report.length - failed,
+                failed,
+                rows: report
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.put('/api/admin/users/:id', authenticateToken, requirePermission('users:write'), auditLog('update', 'user'), (req, res) => {
+    const userId = req.params.id;
+    const { error, value: updates } = validateUserUpdate(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid user', details: error });
+    }
+
+    const existing = database.users.findById(userId);
+    if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    // Editing (e.g. the email of) an account with more rights than the caller's would hand those rights out
+    if (!canGrantRole(req, existing.role)) {
+        return res.status(403).json({ error: `Not permitted to edit users with the ${existing.role} role` });
+    }
+    if (updates.role !== undefined) {
+        if (!getRole(updates.role)) {
+            return res.status(400).json({ error: `Unknown role: ${updates.role}` });
+        }
+        if (!canGrantRole(req, updates.role)) {
+            return res.status(403).json({ error: `Not permitted to grant the ${updates.role} role` });
+        }
+    }
+    if (updates.email && database.users.find(u => u.email.toLowerCase() === updates.email && u.id !== userId)) {
+        return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+
+    const user = database.users.update(userId, updates);
+
+    // Deactivated accounts lose every open session immediately
+    if (updates.isActive === false) {
+        sessions.revokeAllForUser(userId, 'user_deactivated');
+    }
+
+    res.json({ success: true, data: toPublicUser(user) });
+});
+
+app.delete('/api/admin/users/:id', authenticateToken, requirePermission('users:delete'), auditLog('delete', 'user'), async (req, res) => {
+    const userId = req.params.id;
+
+    const existing = database.users.findById(userId);
+    if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    if (!canGrantRole(req, existing.role)) {
+        return res.status(403).json({ error: `Not permitted to delete users with the ${existing.role} role` });
+    }
+
+    // Patients are erased as a data subject request: legal holds apply and they get a receipt
+    if (existing.role === 'patient') {
+        if (!hasPermission(req.permissions, 'dataRequests:manage')) {
+            return res.status(403).json({ error: 'Deleting a patient erases their records, which needs the dataRequests:manage permission' });
+        }
+        if (existing.erasedAt) {
+            return res.status(409).json({ error: 'This patient has already been erased' });
+        }
+
+        const request = dataSubjects.pendingErasure(userId) ||
+            dataSubjects.open(existing, { type: 'erasure', reason: 'Deleted by an administrator' });
+        let processed;
+        try {
+            processed = await runErasure(request, existing, req.user.id);
+        } catch (error) {
+            console.error('Data erasure error:', error);
+            database.dataSubjectRequests.update(request.id, { status: 'failed', errors: [error.message] });
+            return res.status(500).json({ error: 'Erasure could not be completed' });
+        }
+        if (processed.status === 'failed') {
+            return res.status(502).json({ error: 'Erasure could not be completed', details: processed.errors, data: withRequestDetails(processed) });
+        }
+
+        sessions.revokeAllForUser(userId, 'user_deleted');
+        const held = processed.results.some(result => result.action === 'retained' && result.count > 0);
+        return res.json({
+            success: true,
+            message: held ? 'Patient erased; records under legal hold were kept' : 'Patient erased',
+            data: withRequestDetails(processed)
+        });
+    }
+
+    database.users.remove(userId);
+    sessions.revokeAllForUser(userId, 'user_deleted');
+    database.careTeamAssignments.removeWhere(assignment => assignment.providerId === userId);
+
+    res.json({ success: true, message: 'User deleted successfully' });
+});
+
+// Roles and permissions
+app.get('/api/admin/permissions', authenticateToken, requirePermission('users:read'), (req, res) => {
+    res.json({ success: true, data: PERMISSIONS });
+});
+
+app.get('/api/admin/roles', authenticateToken, requirePermission('users:read'), (req, res) => {
+    const roles = allRoles().map(role => ({
+        ...role,
+        userCount: database.users.count(u => u.role === role.id)
+    }));
+    res.json({ success: true, data: roles });
+});
+
+app.post('/api/admin/roles', authenticateToken, requirePermission('roles:manage'), (req, res) => {
+    const { error, value } = validateRole(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid role', details: error });
+    }
+    if (!coversPermissions(req.permissions, value.permissions)) {
+        return res.status(403).json({ error: 'Roles can only include permissions you hold' });
+    }
+
+    if (getRole(value.id)) {
+        return res.status(409).json({ error: 'A role with this id already exists' });
+    }
+
+    const now = new Date().toISOString();
+    const role = database.roles.insert({ ...value, createdAt: now, updatedAt: now });
+
+    recordAudit(req, {
+        userId: req.user.id,
+        action: 'create',
+        resource: 'role',
+        details: `Created role ${role.id} (${role.permissions.join(', ') || 'no permissions'})`
+    });
+
+    res.status(201).json({ success: true, data: role });
+});
+
+app.put('/api/admin/roles/:id', authenticateToken, requirePermission('roles:manage'), (req, res) => {
+    const role = getRole(req.params.id);
+    if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+    }
+    if (role.system) {
+        return res.status(403).json({ error: 'Built-in roles cannot be changed' });
+    }
+
+    const { error, value } = validateRole(req.body, { update: true });
+    if (error) {
+        return res.status(400).json({ error: 'Invalid role', details: error });
+    }
+    if (!canGrantRole(req, role.id) || (value.permissions && !coversPermissions(req.permissions, value.permissions))) {
+        return res.status(403).json({ error: 'Roles can only include permissions you hold' });
+    }
+
+    const updated = database.roles.update(role.id, { ...value, updatedAt: new Date().toISOString() });
+
+    recordAudit(req, {
+        userId: req.user.id,
+        action: 'update',
+        resource: 'role',
+        details: `Updated role ${role.id}: ${Object.keys(value).join(', ')}`
+    });
+
+    res.json({ success: true, data: updated });
+});
+
+app.delete('/api/admin/roles/:id', authenticateToken, requirePermission('roles:manage'), (req, res) => {
+    const role = getRole(req.params.id);
+    if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+    }
+    if (role.system) {
+        return res.status(403).json({ error: 'Built-in roles cannot be deleted' });
+    }
+
+    const holders = database.users.count(u => u.role === role.id);
+    if (holders > 0) {
+        return res.status(409).json({ error: `Role is assigned to ${holders} user(s); reassign them first` });
+    }
+
+    database.roles.remove(role.id);
+
+    recordAudit(req, {
+        userId: req.user.id,
+        action: 'delete',
+        resource: 'role',
+        details: `Deleted role ${role.id}`
+    });
+
+    res.json({ success: true, message: 'Role deleted successfully' });
+});
+
+// Care team assignments; ?patientId, ?providerId, ?active=true for current ones only
+app.get('/api/admin/care-team-assignments', authenticateToken, requirePermission('careTeams:manage'), (req, res) => {
+    const { patientId, providerId, active } = req.query;
+    const now = new Date();
+    const assignments = database.careTeamAssignments
+        .filter(assignment =>
+            (!patientId || assignment.patientId === patientId) &&
+            (!providerId || assignment.providerId === providerId) &&
+            (active !== 'true' || isActive(assignment, now)))
+        .map(assignment => ({ ...assignment, active: isActive(assignment, now) }));
+
+    res.json({ success: true, data: assignments, roles: CARE_TEAM_ROLES });
+});
+
+app.post('/api/admin/care-team-assignments', authenticateToken, requirePermission('careTeams:manage'), auditLog('create', 'care team assignment'), (req, res) => {
+    const { error, value } = validateAssignment(req.body);
+    const details = error || careTeam.unknownReferences(value);
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid care team assignment', details });
+    }
+
+    const conflicts = careTeam.conflicts(value);
+    if (conflicts.length > 0) {
+        return res.status(409).json({ error: 'Care team assignment conflicts', details: conflicts });
+    }
+
+    res.status(201).json({ success: true, data: careTeam.assign(value, req.user.id) });
+});
+
+// Change the team role, dates or notes
+app.put('/api/admin/care-team-assignments/:id', authenticateToken, requirePermission('careTeams:manage'), auditLog('update', 'care team assignment'), (req, res) => {
+    const assignment = database.careTeamAssignments.findById(req.params.id);
+    if (!assignment) {
+        return res.status(404).json({ error: 'Care team assignment not found' });
+    }
+
+    const { error, value } = validateAssignment(req.body, assignment);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid care team assignment', details: error });
+    }
+
+    const conflicts = careTeam.conflicts(value, assignment);
+    if (conflicts.length > 0) {
+        return res.status(409).json({ error: 'Care team assignment conflicts', details: conflicts });
+    }
+
+    res.json({ success: true, data: careTeam.update(assignment, value) });
+});
+
+// Ends an assignment now; one that has not started yet is deleted
+app.delete('/api/admin/care-team-assignments/:id', authenticateToken, requirePermission('careTeams:manage'), auditLog('delete', 'care team assignment'), (req, res) => {
+    const assignment = database.careTeamAssignments.findById(req.params.id);
+    if (!assignment) {
+        return res.status(404).json({ error: 'Care team assignment not found' });
+    }
+    if (assignment.endDate && new Date(assignment.endDate) <= new Date()) {
+        return res.status(409).json({ error: 'Care team assignment has already ended' });
+    }
+
+    const ended = careTeam.end(assignment);
+    res.json({
+        success: true,
+        message: ended ? 'Care team assignment ended' : 'Care team assignment deleted',
+        data: ended
+    });
+});
+
+// Break-the-glass emergency access
+const withGrantDetails = (grant) => {
+    const clinician = database.users.findById(grant.userId);
+    const patient = database.users.findById(grant.patientId);
+    return {
+        ...grant,
+        status: grantStatus(grant),
+        clinician: clinician ? { id: clinician.id, name: clinician.name, email: clinician.email } : null,
+        patient: patient ? { id: patient.id, name: patient.name, email: patient.email } : null
+    };
+};
+
+// Alert everyone who can review overrides as soon as one is opened
+const notifyEmergencyAccess = (grant, clinician, patient) => {
+    const roles = allRoles()
+        .filter(role => hasPermission(role.permissions, 'emergencyAccess:review'))
+        .map(role => role.id);
+
+    notificationService.create({
+        title: 'Emergency access opened',
+        message: `${clinician.name} opened emergency access to ${patient.name}'s records for ${grant.durationMinutes} minutes. Reason: ${grant.reason}`,
+        type: 'warning',
+        priority: 'high',
+        deliveryMethod: 'all',
+        audience: { roles }
+    }, clinician.id);
+};
+
+app.post('/api/emergency-access', authenticateToken, requirePermission('emergencyAccess:request'), auditLog('create', 'emergency access'), (req, res) => {
+    const { error, value } = validateEmergencyAccess(req.body, { maxMinutes: EMERGENCY_ACCESS_MAX_MINUTES });
+    if (error) {
+        return res.status(400).json({ error: 'Invalid emergency access request', details: error });
+    }
+
+    const patient = database.users.find(user => user.role === 'patient' &&
+        (value.patientId ? user.id === value.patientId : user.email.toLowerCase() === value.patientEmail.toLowerCase()));
+    if (!patient) {
+        return res.status(404).json({ error: 'Patient not found' });
+    }
+    if (hasPatientAccess(req, 'healthData:read', patient.id)) {
+        return res.status(409).json({ error: 'You already have access to this patient\'s records' });
+    }
+
+    const existing = breakGlass.activeGrant(req.user.id, patient.id);
+    if (existing) {
+        return res.status(409).json({ error: 'Emergency access to this patient is already open', data: withGrantDetails(existing) });
+    }
+
+    const grant = breakGlass.open({ userId: req.user.id, patientId: patient.id, reason: value.reason, durationMinutes: value.durationMinutes });
+    notifyEmergencyAccess(grant, req.account, patient);
+
+    res.status(201).json({ success: true, data: withGrantDetails(grant) });
+});
+
+// The signed-in clinician's overrides, newest first
+app.get('/api/emergency-access', authenticateToken, (req, res) => {
+    const grants = database.emergencyAccessGrants
+        .filter(grant => grant.userId === req.user.id)
+        .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+        .map(withGrantDetails);
+
+    res.json({ success: true, data: grants });
+});
+
+// End one's own override before it expires
+app.delete('/api/emergency-access/:id', authenticateToken, auditLog('end', 'emergency access'), (req, res) => {
+    const grant = database.emergencyAccessGrants.findById(req.params.id);
+    if (!grant || grant.userId !== req.user.id) {
+        return res.status(404).json({ error: 'Emergency access not found' });
+    }
+    if (grantStatus(grant) !== 'active') {
+        return res.status(409).json({ error: `Emergency access has already ${grantStatus(grant)}` });
+    }
+
+    res.json({ success: true, data: withGrantDetails(breakGlass.end(grant, req.user.id)) });
+});
+
+// Review queue; ?review=pending|approved|flagged, ?status=active|expired|ended
+app.get('/api/admin/emergency-access', authenticateToken, requirePermission('emergencyAccess:review'), (req, res) => {
+    const { review, status } = req.query;
+    if (review !== undefined && !EMERGENCY_ACCESS_REVIEWS.includes(review)) {
+        return res.status(400).json({ error: `review must be one of ${EMERGENCY_ACCESS_REVIEWS.join(', ')}` });
+    }
+
+    const grants = database.emergencyAccessGrants
+        .filter(grant => (!review || grant.reviewStatus === review) && (!status || grantStatus(grant) === status))
+        .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+        .map(withGrantDetails);
+
+    res.json({
+        success: true,
+        data: grants,
+        pending: database.emergencyAccessGrants.count(grant => grant.reviewStatus === 'pending')
+    });
+});
+
+// One override with the audited accesses made under it
+app.get('/api/admin/emergency-access/:id', authenticateToken, requirePermission('emergencyAccess:review'), (req, res) => {
+    const grant = database.emergencyAccessGrants.findById(req.params.id);
+    if (!grant) {
+        return res.status(404).json({ error: 'Emergency access not found' });
+    }
+
+    const accesses = database.auditLogs
+        .filter(entry => entry.action === 'emergency_access' && String(entry.details).endsWith(`emergency access ${grant.id}`))
+        .map(({ timestamp, details, ipAddress }) => ({ timestamp, details, ipAddress }));
+
+    res.json({ success: true, data: { ...withGrantDetails(grant), accesses } });
+});
+
+// Approve an override or flag it for follow-up (flagging ends it if still active)
+app.post('/api/admin/emergency-access/:id/review', authenticateToken, requirePermission('emergencyAccess:review'), auditLog('review', 'emergency access'), (req, res) => {
+    const grant = database.emergencyAccessGrants.findById(req.params.id);
+    if (!grant) {
+        return res.status(404).json({ error: 'Emergency access not found' });
+    }
+    if (grant.reviewStatus !== 'pending') {
+        return res.status(409).json({ error: `Emergency access has already been ${grant.reviewStatus}` });
+    }
+
+    const { error, value } = validateReview(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid review', details: error });
+    }
+
+    res.json({ success: true, data: withGrantDetails(breakGlass.review(grant, value, req.user.id)) });
+});
+
+// Lost-device recovery: clears 2FA and signs the user out everywhere
+app.post('/api/admin/users/:id/2fa/reset', authenticateToken, requirePermission('security:manage'), (req, res) => {
+    const user = database.users.findById(req.params.id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    // Taking over an account with more rights than the caller's would hand those rights out
+    if (!canGrantRole(req, user.role)) {
+        return res.status(403).json({ error: `Not permitted to reset two-factor authentication for users with the ${user.role} role` });
+    }
+
+    twoFactor.disable(user);
+    sessions.revokeAllForUser(user.id, '2fa_reset');
+    recordAudit(req, {
+        userId: req.user.id,
+        action: '2fa_reset',
+        resource: 'user',
+        details: `Two-factor authentication reset for ${user.id}`
+    });
+
+    res.json({ success: true, message: 'Two-factor authentication reset' });
+});
+
+// Sign-in lockouts
+app.get('/api/admin/security/lockouts', authenticateToken, requirePermission('security:manage'), (req, res) => {
+    const lockedAccounts = database.users
+        .filter(user => loginThrottle.checkAccount(user))
+        .map(user => ({ id: user.id, name: user.name, email: user.email, role: user.role, lockedUntil: user.lockedUntil }));
+
+    res.json({ success: true, data: { accounts: lockedAccounts, ips: loginThrottle.blockedIps() } });
+});
+
+app.post('/api/admin/users/:id/unlock', authenticateToken, requirePermission('security:manage'), (req, res) => {
+    const user = database.users.findById(req.params.id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    if (!canGrantRole(req, user.role)) {
+        return res.status(403).json({ error: `Not permitted to unlock users with the ${user.role} role` });
+    }
+
+    loginThrottle.unlock(user);
+    recordAudit(req, {
+        userId: req.user.id,
+        action: 'account_unlocked',
+        resource: 'user',
+        details: `Sign-in lockout cleared for ${user.id}`
+    });
+
+    res.json({ success: true, message: 'Account unlocked' });
+});
+
+app.delete('/api/admin/security/lockouts/ips/:ip', authenticateToken, requirePermission('security:manage'), (req, res) => {
+    if (!loginThrottle.unblockIp(req.params.ip)) {
+        return res.status(404).json({ error: 'IP address is not blocked' });
+    }
+
+    recordAudit(req, {
+        userId: req.user.id,
+        action: 'ip_unblocked',
+        resource: 'security',
+        details: `Sign-in block cleared for ${req.params.ip}`
+    });
+
+    res.json({ success: true, message: 'IP address unblocked' });
+});
+
+// Security policy
+app.get('/api/admin/security/policy', authenticateToken, requirePermission('security:manage'), (req, res) => {
+    res.json({ success: true, data: getSecurityPolicy() });
+});
+
+app.put('/api/admin/security/policy', authenticateToken, requirePermission('security:manage'), (req, res) => {
+    const { error, value } = systemSettings.validate({ security: req.body }, settingsContext());
+    if (error) {
+        return res.status(400).json({ error: 'Invalid security policy', details: error });
+    }
+
+    systemSettings.update(value, req.user.id);
+
+    recordAudit(req, {
+        userId: req.user.id,
+        action: 'update',
+        resource: 'security policy',
+        details: `Updated ${Object.keys(value.security).join(', ')}`
+    });
+
+    res.json({ success: true, data: getSecurityPolicy() });
+});
+
+// Session administration
+app.get('/api/admin/sessions', authenticateToken, requirePermission('security:manage'), auditLog('view', 'sessions'), (req, res) => {
+    const { userId } = req.query;
+    const activeSessions = (userId ? sessions.listForUser(userId) : sessions.listActive())
+        .map(session => {
+            const user = database.users.findById(session.userId);
+            return {
+                ...sessions.describe(session, req.user.sessionId),
+                user: user ? { id: user.id, name: user.name, email: user.email, role: user.role } : null
+            };
+        });
+
+    res.json({ success: true, data: activeSessions, total: activeSessions.length });
+});
+
+app.delete('/api/admin/sessions/:id', authenticateToken, requirePermission('security:manage'), auditLog('revoke', 'session'), (req, res) => {
+    if (!database.sessions.findById(req.params.id)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    sessions.revoke(req.params.id, 'admin_revoked');
+    res.json({ success: true, message: 'Session revoked' });
+});
+
+app.post('/api/admin/users/:id/revoke-sessions', authenticateToken, requirePermission('security:manage'), auditLog('revoke', 'user sessions'), (req, res) => {
+    if (!database.users.findById(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revoked = sessions.revokeAllForUser(req.params.id, 'admin_revoked');
+    res.json({ success: true, message: `Revoked ${revoked.length} session(s)` });
+});
+
+// Analytics routes
+app.get('/api/admin/analytics', authenticateToken, requirePermission('analytics:read'), auditLog('view', 'analytics'), (req, res) => {
+    const { error, value: query } = parseAnalyticsQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid analytics query', details: error });
+    }
+
+    const users = database.users.all();
+    const known = new Set(users.map(user => user.id));
+    const analytics = computeAnalytics({
+        users,
+        appointments: database.appointments.all(),
+        // Any successful audited action by an existing user counts as activity
+        activity: database.auditLogs.filter(entry => entry.status === 'success' && known.has(entry.userId)),
+        providerName: (id) => (database.users.findById(id) || { name: id }).name
+    }, query);
+
+    if (query.format === 'json') {
+        return res.json({ success: true, data: analytics });
+    }
+
+    const { columns, rows } = analyticsReport(analytics, query.report);
+    const filename = `onecare-analytics-${query.report}-${query.from.toISOString().slice(0, 10)}-${query.to.toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type('text/csv').send(toCsv(rows, columns));
+});
+
+// Notifications routes
+// References in an audience must exist when it is saved; returns error messages
+const audienceReferenceErrors = (audience) => (audience ? unknownReferences(audience, {
+    roleExists: (roleId) => Boolean(getRole(roleId)),
+    userExists: (userId) => Boolean(database.users.findById(userId)),
+    segmentExists: (segmentId) => Boolean(database.notificationSegments.findById(segmentId))
+}) : []);
+
+const withReceipts = (notification) => ({
+    ...notification,
+    receipts: notificationService.receipts(notification.id)
+});
+
+app.get('/api/admin/notifications', authenticateToken, requirePermission('notifications:manage'), (req, res) => {
+    const { status } = req.query;
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status', allowed: NOTIFICATION_STATUSES });
+    }
+
+    const notifications = database.notifications
+        .filter(notification => !status || notification.status === status)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(withReceipts);
+    res.json({ success: true, data: notifications });
+});
+
+app.post('/api/admin/notifications', authenticateToken, requirePermission('notifications:manage'), auditLog('create', 'notification'), (req, res) => {
+    const { error, value } = validateNotification(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid notification', details: error });
+    }
+
+    const referenceErrors = audienceReferenceErrors(value.audience);
+    if (referenceErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid notification', details: referenceErrors });
+    }
+
+    const notification = notificationService.create(value, req.user.id);
+    res.status(201).json({ success: true, data: withReceipts(notification) });
+});
+
+// Must precede /:id
+app.post('/api/admin/notifications/preview-audience', authenticateToken, requirePermission('notifications:manage'), (req, res) => {
+    const { error, value } = validateAudience(req.body.audience);
+    const details = error || audienceReferenceErrors(value);
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid audience', details });
+    }
+
+    res.json({ success: true, data: { count: notificationService.recipientsOf(value).length } });
+});
+
+app.get('/api/admin/notifications/:id', authenticateToken, requirePermission('notifications:manage'), (req, res) => {
+    const notification = database.notifications.findById(req.params.id);
+    if (!notification) {
+        return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            ...withReceipts(notification),
+            channels: notificationQueue.summary(notification.id),
+            recipients: notificationService.recipientStates(notification.id)
+        }
+    });
+});
+
+app.put('/api/admin/notifications/:id', authenticateToken, requirePermission('notifications:manage'), auditLog('update', 'notification'), (req, res) => {
+    const notification = database.notifications.findById(req.params.id);
+    if (!notification) {
+        return res.status(404).json({ error: 'Notification not found' });
+    }
+    if (!['draft', 'scheduled'].includes(notification.status)) {
+        return res.status(409).json({ error: `A ${notification.status} notification cannot be edited` });
+    }
+
+    const { error, value } = validateNotification(req.body, notification);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid notification', details: error });
+    }
+
+    const referenceErrors = audienceReferenceErrors(value.audience);
+    if (referenceErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid notification', details: referenceErrors });
+    }
+
+    res.json({ success: true, data: withReceipts(notificationService.update(notification, value)) });
+});
+
+app.post('/api/admin/notifications/:id/send', authenticateToken, requirePermission('notifications:manage'), auditLog('send', 'notification'), (req, res) => {
+    const notification = database.notifications.findById(req.params.id);
+    if (!notification) {
+        return res.status(404).json({ error: 'Notification not found' });
+    }
+    if (!['draft', 'scheduled'].includes(notification.status)) {
+        return res.status(409).json({ error: `A ${notification.status} notification cannot be sent` });
+    }
+
+    // Drafts may be incomplete; check it is sendable as it stands
+    const { error } = validateNotification({ action: 'send' }, notification);
+    if (error) {
+        return res.status(400).json({ error: 'Notification is incomplete', details: error });
+    }
+
+    res.json({ success: true, data: withReceipts(notificationService.send(notification)) });
+});
+
+// Deletes a draft, cancels a scheduled notification
+app.delete('/api/admin/notifications/:id', authenticateToken, requirePermission('notifications:manage'), auditLog('delete', 'notification'), (req, res) => {
+    const notification = database.notifications.findById(req.params.id);
+    if (!notification) {
+        return res.status(404).json({ error: 'Notification not found' });
+    }
+    if (!['draft', 'scheduled'].includes(notification.status)) {
+        return res.status(409).json({ error: `A ${notification.status} notification cannot be cancelled` });
+    }
+
+    const cancelled = notificationService.cancel(notification);
+    res.json({
+        success: true,
+        message: cancelled ? 'Notification cancelled' : 'Draft deleted',
+        data: cancelled
+    });
+});
+
+// Saved audiences
+app.get('/api/admin/notification-segments', authenticateToken, requirePermission('notifications:manage'), (req, res) => {
+    const segments = database.notificationSegments.all().map(segment => ({
+        ...segment,
+        memberCount: notificationService.recipientsOf(segment.audience).length
+    }));
+    res.json({ success: true, data: segments });
+});
+
+app.post('/api/admin/notification-segments', authenticateToken, requirePermission('notifications:manage'), auditLog('create', 'notification segment'), (req, res) => {
+    const { error, value } = validateSegment(req.body);
+    const details = error || audienceReferenceErrors(value.audience);
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid segment', details });
+    }
+
+    const now = new Date().toISOString();
+    const segment = database.notificationSegments.insert({
+        id: `seg_${crypto.randomBytes(6).toString('hex')}`,
+        description: '',
+        ...value,
+        createdAt: now,
+        createdBy: req.user.id,
+        updatedAt: now
+    });
+    res.status(201).json({
+        success: true,
+        data: { ...segment, memberCount: notificationService.recipientsOf(segment.audience).length }
+    });
+});
+
+app.delete('/api/admin/notification-segments/:id', authenticateToken, requirePermission('notifications:manage'), auditLog('delete', 'notification segment'), (req, res) => {
+    const segment = database.notificationSegments.findById(req.params.id);
+    if (!segment) {
+        return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    // Sent notifications keep their recipients; pending ones would lose their audience
+    const pending = database.notifications.count(notification =>
+        ['draft', 'scheduled'].includes(notification.status) &&
+        notification.audience && notification.audience.segmentId === segment.id);
+    if (pending > 0) {
+        return res.status(409).json({ error: `Segment is used by ${pending} draft or scheduled notification(s)` });
+    }
+
+    database.notificationSegments.remove(segment.id);
+    res.json({ success: true, message: 'Segment deleted' });
+});
+
+// Channel delivery jobs; status=dead is the dead-letter queue
+app.get('/api/admin/notification-deliveries', authenticateToken, requirePermission('notifications:manage'), (req, res) => {
+    const { status = 'dead', channel } = req.query;
+    if (!JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status', allowed: JOB_STATUSES });
+    }
+
+    const jobs = database.notificationJobs
+        .filter(job => job.status === status && (!channel || job.channel === channel))
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+        .map(job => {
+            const notification = database.notifications.findById(job.notificationId);
+            const user = database.users.findById(job.userId);
+            return {
+                ...job,
+                notificationTitle: notification ? notification.title : null,
+                userName: user ? user.name : null
+            };
+        });
+    res.json({ success: true, data: jobs });
+});
+
+app.post('/api/admin/notification-deliveries/:id/retry', authenticateToken, requirePermission('notifications:manage'), auditLog('retry', 'notification delivery'), (req, res) => {
+    const job = database.notificationJobs.findById(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (!['dead', 'discarded'].includes(job.status)) {
+        return res.status(409).json({ error: `A ${job.status} delivery cannot be retried` });
+    }
+
+    const retried = notificationQueue.retry(job);
+    notificationQueue.process().catch(error => console.error('Notification delivery failed:', error.message));
+    res.json({ success: true, data: retried });
+});
+
+app.delete('/api/admin/notification-deliveries/:id', authenticateToken, requirePermission('notifications:manage'), auditLog('discard', 'notification delivery'), (req, res) => {
+    const job = database.notificationJobs.findById(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (job.status !== 'dead') {
+        return res.status(409).json({ error: `A ${job.status} delivery cannot be discarded` });
+    }
+
+    res.json({ success: true, data: notificationQueue.discard(job) });
+});
+
+// The signed-in user's channel and locale settings (js/profile-modal.js)
+app.get('/api/notifications/preferences', authenticateToken, (req, res) => {
+    res.json({ success: true, data: preferencesOf(req.account) });
+});
+
+app.put('/api/notifications/preferences', authenticateToken, (req, res) => {
+    const { error, value } = validatePreferences(req.body, req.account, { httpsOnly: WEBHOOK_HTTPS_ONLY });
+    if (error) {
+        return res.status(400).json({ error: 'Invalid preferences', details: error });
+    }
+
+    database.users.update(req.account.id, { notificationPreferences: value });
+    res.json({ success: true, data: value });
+});
+
+// The signed-in user's inbox
+app.get('/api/notifications', authenticateToken, (req, res) => {
+    const { error, value } = parseInboxQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid query', details: error });
+    }
+
+    res.json({ success: true, data: notificationService.inbox(req.user.id, value) });
+});
+
+app.post('/api/notifications/read-all', authenticateToken, (req, res) => {
+    const marked = notificationService.markAllRead(req.user.id);
+    res.json({ success: true, data: { marked } });
+});
+
+app.post('/api/notifications/:id/read', authenticateToken, (req, res) => {
+    const item = notificationService.markRead(req.user.id, req.params.id);
+    if (!item) {
+        return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ success: true, data: item });
+});
+
+// Audit logs routes
+// JSON pages through results with ?cursor=; format=csv|ndjson streams every match
+app.get('/api/admin/audit-logs', authenticateToken, requirePermission('auditLogs:read'), (req, res) => {
+    const { error, value: query } = parseAuditQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid audit log query', details: error });
+    }
+
+    const userOf = (userId) => database.users.findById(userId);
+    const roleOf = (userId) => (userOf(userId) || { role: 'anonymous' }).role;
+
+    const entries = query.includeArchived
+        ? [...audit.archivedEntries(), ...database.auditLogs.all()]
+        : database.auditLogs.all();
+    const result = queryAuditEntries(entries, query, roleOf);
+
+    // Current role and email of the acting user, for display
+    const describe = (entry) => {
+        const user = userOf(entry.userId);
+        return { ...entry, userRole: user ? user.role : 'anonymous', userEmail: user ? user.email : null };
+    };
+
+    if (query.format === 'json') {
+        return res.json({
+            success: true,
+            data: result.entries.map(describe),
+            total: result.total,
+            nextCursor: result.nextCursor
+        });
+    }
+
+    recordAudit(req, {
+        userId: req.user.id,
+        action: 'export',
+        resource: 'audit log',
+        details: `Exported ${result.total} audit entries as ${query.format}`
+    });
+
+    const filename = `onecare-audit-${new Date().toISOString().slice(0, 10)}.${query.format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(query.format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+
+    // Rows are produced on demand so the response honours backpressure
+    function* lines() {
+        if (query.format === 'csv') {
+            yield csvRow(AUDIT_EXPORT_COLUMNS);
+        }
+        for (const entry of result.entries) {
+            const row = describe(entry);
+            yield query.format === 'csv'
+                ? csvRow(AUDIT_EXPORT_COLUMNS.map(column => row[column]))
+                : JSON.stringify(row) + '\n';
+        }
+    }
+
+    Readable.from(lines()).pipe(res);
+});
+
+// Recompute the hash chain and check the signed checkpoints
+app.get('/api/admin/audit-logs/verify', authenticateToken, requirePermission('auditLogs:read'), (req, res) => {
+    const result = audit.verify();
+
+    recordAudit(req, {
+        userId: req.user.id,
+        action: 'verify',
+        resource: 'audit log',
+        status: result.valid ? 'success' : 'error',
+        details: result.valid
+            ? `Audit chain verified (${result.checkedEntries} entries)`
+            : `Audit chain broken at seq ${result.firstBrokenLink.seq}: ${result.firstBrokenLink.reason}`
+    });
+
+    res.json({ success: true, data: result });
+});
+
+// System monitoring routes
+app.get('/api/admin/system-metrics', authenticateToken, requirePermission('system:read'), (req, res) => {
+    const window = req.query.window || '1h';
+    const history = metrics.history(window);
+    if (!history) {
+        return res.status(400).json({ error: 'Invalid window', allowed: Object.keys(WINDOWS) });
+    }
+
+    res.json({ success: true, data: { ...metrics.snapshot(), window, history } });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', requireMetricsAccess(METRICS_TOKEN), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.toPrometheus());
+});
+
+// Consent texts; the current version of each purpose
+app.get('/api/consent-documents', authenticateToken, (req, res) => {
+    const documents = Object.keys(CONSENT_PURPOSES).map(purpose => consentService.currentDocument(purpose)).filter(Boolean);
+    res.json({ success: true, data: documents });
+});
+
+// Any version by id (the policy URI of FHIR Consent resources)
+app.get('/api/consent-documents/:id', (req, res) => {
+    const document = database.consentDocuments.findById(req.params.id);
+    if (!document) {
+        return res.status(404).json({ error: 'Consent document not found' });
+    }
+    res.json({ success: true, data: document });
+});
+
+// Publish a new version of a purpose's text
+app.post('/api/admin/consent-documents', authenticateToken, requirePermission('consents:manage'), auditLog('create', 'consent document'), (req, res) => {
+    const { error, value } = validateConsentDocument(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid consent document', details: error });
+    }
+    res.status(201).json({ success: true, data: consentService.publishDocument(value, req.user.id) });
+});
+
+const withConsentStatus = (consent) => ({ ...consent, status: consentStatus(consent) });
+
+const fhirConsent = (consent) => toFhirConsent(consent, {
+    patient: database.users.findById(consent.patientId),
+    baseUrl: APP_BASE_URL
+});
+
+// A patient's consents (own by default; ?patientId= for patients the user can see); ?format=fhir for a Bundle
+app.get('/api/consents', authenticateToken, (req, res) => {
+    const patientId = req.query.patientId || req.user.id;
+    if (!canAccessPatient(req, 'healthData:read', patientId)) {
+        return res.status(403).json({ error: 'Not permitted to view this patient\'s consents' });
+    }
+
+    const consents = database.consents
+        .filter(consent => consent.patientId === patientId)
+        .sort((a, b) => new Date(b.grantedAt) - new Date(a.grantedAt));
+
+    if (req.query.format === 'fhir') {
+        return res.type('application/fhir+json').json({
+            resourceType: 'Bundle',
+            type: 'searchset',
+            total: consents.length,
+            entry: consents.map(consent => ({
+                fullUrl: `${APP_BASE_URL}/api/consents/${consent.id}?format=fhir`,
+                resource: fhirConsent(consent)
+            }))
+        });
+    }
+    res.json({ success: true, data: consents.map(withConsentStatus) });
+});
+
+app.get('/api/consents/:id', authenticateToken, (req, res) => {
+    const consent = database.consents.findById(req.params.id);
+    if (!consent || !canAccessPatient(req, 'healthData:read', consent.patientId)) {
+        return res.status(404).json({ error: 'Consent not found' });
+    }
+
+    if (req.query.format === 'fhir') {
+        return res.type('application/fhir+json').json(fhirConsent(consent));
+    }
+    res.json({ success: true, data: withConsentStatus(consent) });
+});
+
+// Patients record their own consents against the current text version
+app.post('/api/consents', authenticateToken, auditLog('create', 'consent'), (req, res) => {
+    if (req.account.role !== 'patient') {
+        return res.status(403).json({ error: 'Only patients can give consent' });
+    }
+
+    const { error, value } = validateConsent(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid consent', details: error });
+    }
+
+    const document = consentService.currentDocument(value.purpose);
+    if (value.documentVersion !== document.version) {
+        return res.status(409).json({
+            error: `The consent text has changed; review version ${document.version} before agreeing`,
+            data: document
+        });
+    }
+
+    res.status(201).json({ success: true, data: withConsentStatus(consentService.grant(req.user.id, value)) });
+});
+
+app.post('/api/consents/:id/revoke', authenticateToken, auditLog('revoke', 'consent'), (req, res) => {
+    const consent = database.consents.findById(req.params.id);
+    if (!consent || consent.patientId !== req.user.id) {
+        return res.status(404).json({ error: 'Consent not found' });
+    }
+    if (consent.revokedAt) {
+        return res.status(409).json({ error: 'Consent has already been revoked' });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    res.json({ success: true, data: withConsentStatus(consentService.revoke(consent, reason)) });
+});
+
+// Service-to-service check for the health records, screening and FHIR services
+// (see server/consent/consent-client.js); ?subject=<email or id>&purpose&recipient
+app.get('/api/internal/consents/check', requireConsentServiceAccess(CONSENT_SERVICE_TOKEN), (req, res) => {
+    const { subject, purpose, recipient } = req.query;
+    if (!subject || !purpose) {
+        return res.status(400).json({ error: 'subject and purpose are required' });
+    }
+    res.json({ success: true, data: consentService.check({ subject, purpose, recipient }) });
+});
+
+// Data subject requests: a patient's export (right of access) and erasure of their data
+// across the main server and the standalone services
+const dataSubjects = new DataSubjectService({
+    database,
+    services: DATA_SUBJECT_SERVICES.map(name => new DataSubjectClient({ name, baseUrl: SERVICE_URLS[name], token: DATA_SUBJECT_SERVICE_TOKEN })),
+    publicUser: toPublicUser,
+    secret: process.env.DATA_REQUEST_SIGNING_KEY || process.env.AUDIT_SIGNING_KEY || JWT_SECRET,
+    exportDir: process.env.DATA_EXPORT_DIR || path.join(path.dirname(DATA_FILE), 'exports'),
+    exportTtlMs: DATA_EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000,
+    issuer: APP_BASE_URL
+});
+dataSubjects.pruneExports();
+
+const receiptUrl = (request) => `${APP_BASE_URL}/api/data-requests/${request.id}/receipt`;
+
+const withRequestDetails = (request) => {
+    const patient = database.users.findById(request.patientId);
+    const { subjectEmail, ...fields } = request;
+    return {
+        ...fields,
+        patient: patient ? { id: patient.id, name: patient.name, email: patient.email } : null,
+        legalHold: dataSubjects.activeHold(request.patientId),
+        ...(request.receipt ? { receiptUrl: receiptUrl(request) } : {})
+    };
+};
+
+// Erase the patient everywhere; once done, email them the signed receipt
+const runErasure = async (request, patient, processedBy) => {
+    const { name } = patient;
+    const email = request.subjectEmail;
+    const processed = await dataSubjects.erase(request, patient, processedBy);
+    if (processed.status !== 'completed') {
+        return processed;
+    }
+
+    try {
+        await mailer.send({
+            to: email,
+            ...erasureReceiptEmail({
+                name,
+                url: receiptUrl(processed),
+                retained: processed.results.filter(result => result.action === 'retained' && result.count > 0).length
+            })
+        });
+    } catch (error) {
+        console.error('Failed to send erasure receipt:', error);
+    }
+    return processed;
+};
+
+// Erasure needs an admin's go-ahead; tell everyone who can give it
+const notifyErasureRequest = (request, patient) => {
+    const roles = allRoles()
+        .filter(role => hasPermission(role.permissions, 'dataRequests:manage'))
+        .map(role => role.id);
+
+    notificationService.create({
+        title: 'Account deletion requested',
+        message: `${patient.name} asked for their account and data to be deleted.${request.reason ? ` Reason: ${request.reason}` : ''}`,
+        type: 'warning',
+        priority: 'medium',
+        deliveryMethod: 'all',
+        audience: { roles }
+    }, patient.id);
+};
+
+// Patients file requests for their own data; exports run straight away
+app.post('/api/data-requests', authenticateToken, auditLog('create', 'data subject request'), async (req, res) => {
+    if (req.account.role !== 'patient') {
+        return res.status(403).json({ error: 'Only patients can make data subject requests' });
+    }
+
+    const { error, value } = validateDataRequest(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid data request', details: error });
+    }
+
+    if (value.type === 'erasure') {
+        const existing = dataSubjects.pendingErasure(req.account.id);
+        if (existing) {
+            return res.status(409).json({ error: 'An account deletion request is already open', data: withRequestDetails(existing) });
+        }
+        const request = dataSubjects.open(req.account, value);
+        notifyErasureRequest(request, req.account);
+        return res.status(202).json({ success: true, data: withRequestDetails(request) });
+    }
+
+    dataSubjects.pruneExports();
+    try {
+        const request = await dataSubjects.export(dataSubjects.open(req.account, value), req.account);
+        if (request.status === 'failed') {
+            return res.status(502).json({ error: 'Export could not be completed', details: request.errors, data: withRequestDetails(request) });
+        }
+        res.status(201).json({ success: true, data: withRequestDetails(request) });
+    } catch (error) {
+        console.error('Data export error:', error);
+        res.status(500).json({ error: 'Export could not be completed' });
+    }
+});
+
+app.get('/api/data-requests', authenticateToken, (req, res) => {
+    const requests = database.dataSubjectRequests
+        .filter(request => request.patientId === req.user.id)
+        .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt))
+        .map(withRequestDetails);
+
+    res.json({ success: true, data: requests });
+});
+
+app.get('/api/data-requests/:id', authenticateToken, (req, res) => {
+    const request = database.dataSubjectRequests.findById(req.params.id);
+    if (!request || request.patientId !== req.user.id) {
+        return res.status(404).json({ error: 'Data request not found' });
+    }
+    res.json({ success: true, data: withRequestDetails(request) });
+});
+
+app.get('/api/data-requests/:id/archive', authenticateToken, auditLog('download', 'data export'), (req, res) => {
+    const request = database.dataSubjectRequests.findById(req.params.id);
+    if (!request || request.patientId !== req.user.id || request.type !== 'export') {
+        return res.status(404).json({ error: 'Data request not found' });
+    }
+    if (request.status !== 'completed') {
+        return res.status(409).json({ error: `Export is ${request.status}` });
+    }
+
+    res.download(dataSubjects.archivePath(request), request.archive.fileName);
+});
+
+// Withdraw an erasure request before it is processed
+app.delete('/api/data-requests/:id', authenticateToken, auditLog('cancel', 'data subject request'), (req, res) => {
+    const request = database.dataSubjectRequests.findById(req.params.id);
+    if (!request || request.patientId !== req.user.id) {
+        return res.status(404).json({ error: 'Data request not found' });
+    }
+    if (request.status !== 'pending') {
+        return res.status(409).json({ error: `Data request is already ${request.status}` });
+    }
+
+    const cancelled = database.dataSubjectRequests.update(request.id, { status: 'cancelled', completedAt: new Date().toISOString() });
+    res.json({ success: true, data: withRequestDetails(cancelled) });
+});
+
+// Signed erasure receipts are public: they name the patient only by id and a hash of their email
+app.get('/api/data-requests/:id/receipt', (req, res) => {
+    const request = database.dataSubjectRequests.findById(req.params.id);
+    if (!request || !request.receipt) {
+        return res.status(404).json({ error: 'Receipt not found' });
+    }
+    res.json({ success: true, data: request.receipt });
+});
+
+app.post('/api/data-requests/receipts/verify', (req, res) => {
+    res.json({ success: true, data: { valid: dataSubjects.verifyReceipt(req.body) } });
+});
+
+// Request queue; ?type=export|erasure, ?status=
+app.get('/api/admin/data-requests', authenticateToken, requirePermission('dataRequests:manage'), (req, res) => {
+    const { type, status } = req.query;
+    if (type !== undefined && !DATA_REQUEST_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of ${DATA_REQUEST_TYPES.join(', ')}` });
+    }
+    if (status !== undefined && !DATA_REQUEST_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${DATA_REQUEST_STATUSES.join(', ')}` });
+    }
+
+    const requests = database.dataSubjectRequests
+        .filter(request => (!type || request.type === type) && (!status || request.status === status))
+        .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt))
+        .map(withRequestDetails);
+
+    res.json({
+        success: true,
+        data: requests,
+        pending: database.dataSubjectRequests.count(request => request.type === 'erasure' && request.status === 'pending')
+    });
+});
+
+// Run an erasure everywhere (again, after a failure); emails the patient their receipt
+app.post('/api/admin/data-requests/:id/process', authenticateToken, requirePermission('dataRequests:manage'), auditLog('process', 'data subject request'), async (req, res) => {
+    const request = database.dataSubjectRequests.findById(req.params.id);
+    if (!request || request.type !== 'erasure') {
+        return res.status(404).json({ error: 'Erasure request not found' });
+    }
+    if (!['pending', 'failed'].includes(request.status)) {
+        return res.status(409).json({ error: `Erasure request is already ${request.status}` });
+    }
+    const patient = database.users.findById(request.patientId);
+    if (!patient) {
+        return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    let processed;
+    try {
+        processed = await runErasure(request, patient, req.user.id);
+    } catch (error) {
+        console.error('Data erasure error:', error);
+        database.dataSubjectRequests.update(request.id, { status: 'failed', errors: [error.message] });
+        return res.status(500).json({ error: 'Erasure could not be completed' });
+    }
+    if (processed.status === 'failed') {
+        return res.status(502).json({ error: 'Erasure could not be completed', details: processed.errors, data: withRequestDetails(processed) });
+    }
+
+    res.json({ success: true, data: withRequestDetails(processed) });
+});
+
+app.post('/api/admin/data-requests/:id/reject', authenticateToken, requirePermission('dataRequests:manage'), auditLog('reject', 'data subject request'), (req, res) => {
+    const request = database.dataSubjectRequests.findById(req.params.id);
+    if (!request || request.type !== 'erasure') {
+        return res.status(404).json({ error: 'Erasure request not found' });
+    }
+    if (!['pending', 'failed'].includes(request.status)) {
+        return res.status(409).json({ error: `Erasure request is already ${request.status}` });
+    }
+
+    const { error, value } = validateRejection(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid rejection', details: error });
+    }
+
+    const rejected = database.dataSubjectRequests.update(request.id, {
+        status: 'rejected',
+        rejectionReason: value.reason,
+        processedBy: req.user.id,
+        completedAt: new Date().toISOString()
+    });
+    notificationService.create({
+        title: 'Account deletion request declined',
+        message: `Your request to delete your account was declined: ${value.reason}`,
+        type: 'info',
+        priority: 'medium',
+        deliveryMethod: 'all',
+        audience: { userIds: [request.patientId] }
+    }, req.user.id);
+
+    res.json({ success: true, data: withRequestDetails(rejected) });
+});
+
+// Legal holds keep a patient's clinical records through erasure until released
+app.get('/api/admin/legal-holds', authenticateToken, requirePermission('dataRequests:manage'), (req, res) => {
+    const holds = database.legalHolds.all()
+        .filter(hold => req.query.active !== 'true' || !hold.releasedAt)
+        .sort((a, b) => new Date(b.placedAt) - new Date(a.placedAt));
+
+    res.json({ success: true, data: holds });
+});
+
+app.post('/api/admin/legal-holds', authenticateToken, requirePermission('dataRequests:manage'), auditLog('create', 'legal hold'), (req, res) => {
+    const { error, value } = validateLegalHold(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid legal hold', details: error });
+    }
+
+    const patient = database.users.findById(value.patientId);
+    if (!patient || patient.role !== 'patient') {
+        return res.status(404).json({ error: 'Patient not found' });
+    }
+    const existing = dataSubjects.activeHold(patient.id);
+    if (existing) {
+        return res.status(409).json({ error: 'This patient is already under a legal hold', data: existing });
+    }
+
+    res.status(201).json({ success: true, data: dataSubjects.placeHold(value, req.user.id) });
+});
+
+app.post('/api/admin/legal-holds/:id/release', authenticateToken, requirePermission('dataRequests:manage'), auditLog('release', 'legal hold'), (req, res) => {
+    const hold = database.legalHolds.findById(req.params.id);
+    if (!hold) {
+        return res.status(404).json({ error: 'Legal hold not found' });
+    }
+    if (hold.releasedAt) {
+        return res.status(409).json({ error: 'Legal hold has already been released' });
+    }
+
+    res.json({ success: true, data: dataSubjects.releaseHold(hold, req.user.id) });
+});
+
+// Backups of the main store and every standalone service
+const backups = new BackupService({
+    database,
+    systemSettings,
+    services: BACKUP_SERVICES.map(name => new BackupClient({ name, baseUrl: SERVICE_URLS[name], token: BACKUP_SERVICE_TOKEN })),
+    secret: process.env.BACKUP_ENCRYPTION_KEY || null,
+    backupDir: process.env.BACKUP_DIR || path.join(path.dirname(DATA_FILE), 'backups'),
+    dataSubjects
+});
+const backupSchedule = backups.scheduleBackups(BACKUP_CRON, systemSettings.get('general', 'timeZone'));
+
+// Creating, verifying and restoring archives all need BACKUP_ENCRYPTION_KEY
+const requireBackupKey = (req, res, next) => (backups.keyConfigured
+    ? next()
+    : res.status(503).json({ error: BACKUP_KEY_REQUIRED }));
+
+app.get('/api/admin/backups', authenticateToken, requirePermission('backups:manage'), (req, res) => {
+    res.json({ success: true, data: backups.list(), settings: backups.settings() });
+});
+
+app.post('/api/admin/backups', authenticateToken, requirePermission('backups:manage'), requireBackupKey, auditLog('create', 'backup'), async (req, res) => {
+    if (backups.busy) {
+        return res.status(409).json({ error: 'Another backup or restore is in progress' });
+    }
+
+    let backup;
+    try {
+        backup = await backups.create({ trigger: 'manual', createdBy: req.user.id });
+    } catch (error) {
+        console.error('Backup error:', error);
+        return res.status(502).json({ error: 'Backup could not be completed', details: [error.message] });
+    }
+    backups.prune();
+
+    res.status(201).json({ success: true, data: backup });
+});
+
+app.get('/api/admin/backups/settings', authenticateToken, requirePermission('backups:manage'), (req, res) => {
+    res.json({ success: true, data: backups.settings() });
+});
+
+app.put('/api/admin/backups/settings', authenticateToken, requirePermission('backups:manage'), (req, res) => {
+    const { error, value } = systemSettings.validate({ backup: req.body });
+    if (error) {
+        return res.status(400).json({ error: 'Invalid backup settings', details: error });
+    }
+
+    systemSettings.update(value, req.user.id);
+    const pruned = value.backup.retentionDays ? backups.prune() : [];
+
+    recordAudit(req, {
+        userId: req.user.id,
+        action: 'update',
+        resource: 'backup settings',
+        details: `Updated ${Object.keys(value.backup).join(', ')}${pruned.length > 0 ? `; removed ${pruned.join(', ')}` : ''}`
+    });
+
+    res.json({ success: true, data: backups.settings() });
+});
+
+app.post('/api/admin/backups/:id/verify', authenticateToken, requirePermission('backups:manage'), requireBackupKey, auditLog('verify', 'backup'), (req, res) => {
+    if (!backups.exists(req.params.id)) {
+        return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    res.json({ success: true, data: { id: req.params.id, ...backups.verify(req.params.id) } });
+});
+
+// Dry run by default; { "dryRun": false } restores for real
+app.post('/api/admin/backups/:id/restore', authenticateToken, requirePermission('backups:manage'), requireBackupKey, async (req, res) => {
+    const { error, value } = validateRestore(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid restore request', details: error });
+    }
+    if (!backups.exists(req.params.id)) {
+        return res.status(404).json({ error: 'Backup not found' });
+    }
+    if (backups.busy) {
+        return res.status(409).json({ error: 'Another backup or restore is in progress' });
+    }
+
+    let report;
+    try {
+        report = await backups.restore(req.params.id, { dryRun: value.dryRun, restoredBy: req.user.id });
+    } catch (error) {
+        console.error('Restore error:', error);
+        return res.status(422).json({ error: 'Backup cannot be restored', details: [error.message] });
+    }
+
+    // Recorded after the restore so the entry lands in the preserved audit trail
+    recordAudit(req, {
+        userId: req.user.id,
+        action: value.dryRun ? 'restore_dry_run' : 'restore',
+        resource: 'backup',
+        status: report.errors.length > 0 ? 'error' : 'success',
+        details: `${value.dryRun ? 'Dry run of restoring' : 'Restored'} ${report.backupId}` +
+            (report.preRestoreBackupId ? `; previous state saved as ${report.preRestoreBackupId}` : '')
+    });
+
+    // Restored settings take effect like edited ones
+    if (!value.dryRun) {
+        applySettings();
+    }
+
+    if (report.errors.length > 0) {
+        return res.status(502).json({ error: value.dryRun ? 'Some services could not be checked' : 'Restore did not complete', details: report.errors, data: report });
+    }
+    res.json({ success: true, data: report });
+});
+
+// Maintenance windows; the status is public so pages and the other services can follow it
+app.get('/api/maintenance/status', (req, res) => {
+    res.json({ success: true, data: { ...maintenance.status(), windows: maintenance.scheduled().map(publicWindow) } });
+});
+
+app.get('/api/admin/maintenance/windows', authenticateToken, requirePermission('maintenance:manage'), (req, res) => {
+    res.json({ success: true, data: maintenance.list() });
+});
+
+app.post('/api/admin/maintenance/windows', authenticateToken, requirePermission('maintenance:manage'), auditLog('create', 'maintenance window'), (req, res) => {
+    const { error, value } = validateMaintenanceWindow(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid maintenance window', details: error });
+    }
+    const overlap = maintenance.overlapping(value);
+    if (overlap) {
+        return res.status(409).json({ error: 'Another maintenance window overlaps this one', data: overlap });
+    }
+
+    const window = maintenance.schedule(value, req.user.id);
+    io.emit('maintenance-scheduled', publicWindow(window));
+    res.status(201).json({ success: true, data: window });
+});
+
+app.post('/api/admin/maintenance/windows/:id/cancel', authenticateToken, requirePermission('maintenance:manage'), auditLog('cancel', 'maintenance window'), (req, res) => {
+    const window = database.maintenanceWindows.findById(req.params.id);
+    if (!window) {
+        return res.status(404).json({ error: 'Maintenance window not found' });
+    }
+    if (window.cancelledAt || new Date(window.endsAt) <= new Date()) {
+        return res.status(409).json({ error: 'Maintenance window is already over or cancelled' });
+    }
+
+    const updated = maintenance.cancel(window, req.user.id);
+    if (updated.cancelledAt) {
+        io.emit('maintenance-cancelled', publicWindow(updated));
+    }
+    res.json({ success: true, data: updated });
+});
+
+// System settings
+// Apply settings to the running server; with history `entries`, only the sections they touch
+const applySettings = (entries) => {
+    const touched = (section) => !entries || entries.some(entry => entry.section === section);
+
+    if (touched('security')) {
+        sessions.idleTimeoutMs = systemSettings.get('security', 'sessionTimeoutMinutes') * 60 * 1000;
+    }
+    if (touched('notifications')) {
+        mailer.configure(mailTransport());
+    }
+    if (touched('general')) {
+        const timeZone = systemSettings.get('general', 'timeZone');
+        notificationDispatch.setTime(new CronTime(NOTIFICATION_DISPATCH_CRON, timeZone));
+        backupSchedule.setTime(new CronTime(BACKUP_CRON, timeZone));
+    }
+};
+systemSettings.onChange(applySettings);
+
+// Sections the caller may see and change
+const settingsSections = (req) => SECTIONS.filter(section => hasPermission(req.permissions, SETTINGS[section].permission));
+
+const describeSettingChange = (entry) => {
+    const user = entry.changedBy && database.users.findById(entry.changedBy);
+    return {
+        ...systemSettings.describe(entry),
+        changedBy: user ? { id: user.id, name: user.name, email: user.email } : entry.changedBy
+    };
+};
+
+// Public settings (time zone, session timeout, password policy) for pages and the other services
+app.get('/api/settings/public', (req, res) => {
+    res.json({ success: true, data: systemSettings.publicValues() });
+});
+
+app.get('/api/admin/settings', authenticateToken, (req, res) => {
+    const sections = settingsSections(req);
+    if (sections.length === 0) {
+        return res.status(403).json({ error: 'Insufficient permissions', required: 'settings:manage' });
+    }
+
+    res.json({ success: true, data: systemSettings.view(sections), definitions: systemSettings.definitions(sections) });
+});
+
+app.put('/api/admin/settings', authenticateToken, (req, res) => {
+    const { error, value } = systemSettings.validate(req.body, settingsContext());
+    if (error) {
+        return res.status(400).json({ error: 'Invalid settings', details: error });
+    }
+
+    const sections = Object.keys(value).filter(section => Object.keys(value[section]).length > 0);
+    const forbidden = sections.find(section => !settingsSections(req).includes(section));
+    if (forbidden) {
+        return res.status(403).json({ error: 'Insufficient permissions', required: SETTINGS[forbidden].permission });
+    }
+
+    const entries = systemSettings.update(value, req.user.id);
+
+    recordAudit(req, {
+        userId: req.user.id,
+        action: 'update',
+        resource: 'settings',
+        details: entries.length > 0
+            ? `Updated ${entries.map(entry => `${entry.section}.${entry.key}`).join(', ')}`
+            : 'No changes'
+    });
+
+    res.json({ success: true, data: systemSettings.view(sections), changes: entries.map(describeSettingChange) });
+});
+
+app.get('/api/admin/settings/history', authenticateToken, (req, res) => {
+    const { error, value } = parseHistoryQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid query', details: error });
+    }
+
+    const sections = settingsSections(req);
+    if (sections.length === 0 || (value.section && !sections.includes(value.section))) {
+        return res.status(403).json({ error: 'Insufficient permissions', required: SETTINGS[value.section || 'general'].permission });
+    }
+
+    res.json({ success: true, data: systemSettings.list({ ...value, sections }).map(describeSettingChange) });
+});
+
+// Put a setting back to the value it had before a change
+app.post('/api/admin/settings/history/:id/revert', authenticateToken, (req, res) => {
+    const entry = database.settingsHistory.findById(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Setting change not found' });
+    }
+    if (!settingsSections(req).includes(entry.section)) {
+        return res.status(403).json({ error: 'Insufficient permissions', required: SETTINGS[entry.section].permission });
+    }
+    if (!systemSettings.revertible(entry)) {
+        return res.status(422).json({ error: 'Secret settings are not kept in the history; enter the previous value again instead' });
+    }
+
+    const { error, value } = systemSettings.validate(systemSettings.revertChanges(entry), settingsContext());
+    if (error) {
+        return res.status(422).json({ error: 'The previous value is no longer valid', details: error });
+    }
+
+    const [reverted] = systemSettings.update(value, req.user.id, { revertOf: entry.id });
+    if (!reverted) {
+        return res.status(409).json({ error: 'The setting already has this value' });
+    }
+
+    recordAudit(req, {
+        userId: req.user.id,
+        action: 'revert',
+        resource: 'settings',
+        details: `Reverted ${entry.section}.${entry.key} to its value before ${entry.id}`
+    });
+
+    res.json({ success: true, data: describeSettingChange(reverted) });
+});
+
+// Send a test message to the caller through the current mail settings
+app.post('/api/admin/settings/test-email', authenticateToken, requirePermission('settings:manage'), auditLog('test', 'email settings'), async (req, res) => {
+    try {
+        const info = await mailer.send({
+            to: req.user.email,
+            subject: 'OneCare test email',
+            text: 'Your OneCare email settings work.'
+        });
+        res.json({ success: true, data: { to: req.user.email, transport: mailer.kind, messageId: info.messageId } });
+    } catch (error) {
+        console.error('Test email error:', error);
+        res.status(502).json({ error: 'Test email could not be sent', details: [error.message] });
+    }
+});
+
+// Health data routes
+app.get('/api/patient/health-data', authenticateToken, requirePermission('healthData:read'), (req, res) => {
+    const patientId = req.query.patientId || req.user.id;
+    if (!canAccessPatient(req, 'healthData:read', patientId)) {
+        return res.status(403).json({ error: 'Not permitted to view this patient\'s health data' });
+    }
+
+    const healthData = database.healthData.filter(data => data.patientId === patientId);
+    
+    res.json({ success: true, data: healthData });
+});
+
+// Aggregated views of one patient's measurements; ?patientId= for other patients' records
+const healthDataQuery = (parse) => (req, res, next) => {
+    const { error, value } = parse(req.query);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid query', details: error });
+    }
+
+    const patientId = value.patientId || req.user.id;
+    if (!canAccessPatient(req, 'healthData:read', patientId)) {
+        return res.status(403).json({ error: 'Not permitted to view this patient\'s health data' });
+    }
+
+    req.healthQuery = value;
+    req.healthRecords = database.healthData.filter(data => data.patientId === patientId);
+    next();
+};
+
+// ?metric=heartRate&from&to&bucket=1h → min/max/avg/count per bucket
+app.get('/api/patient/health-data/series', authenticateToken, requirePermission('healthData:read'), healthDataQuery(parseSeriesQuery), (req, res) => {
+    res.json({ success: true, data: computeSeries(req.healthRecords, req.healthQuery) });
+});
+
+// ?metrics=heartRate,weight → most recent reading of each
+app.get('/api/patient/health-data/latest', authenticateToken, requirePermission('healthData:read'), healthDataQuery(parseLatestQuery), (req, res) => {
+    res.json({ success: true, data: latestValues(req.healthRecords, req.healthQuery.metrics) });
+});
+
+// ?metric=heartRate&window=7d&at → rolling baseline and the latest reading's deviation
+app.get('/api/patient/health-data/baseline', authenticateToken, requirePermission('healthData:read'), healthDataQuery(parseBaselineQuery), (req, res) => {
+    res.json({ success: true, data: computeBaseline(req.healthRecords, req.healthQuery) });
+});
+
+// Measurements are validated per type and stored in canonical UCUM units (see server/health)
+app.post('/api/patient/health-data', authenticateToken, requirePermission('healthData:write'), (req, res) => {
+    const { error, value } = validateHealthData(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid health data', details: error });
+    }
+
+    const patientId = value.patientId || req.user.id;
+    if (!canAccessPatient(req, 'healthData:write', patientId)) {
+        return res.status(403).json({ error: 'Not permitted to record health data for this patient' });
+    }
+
+    const now = new Date().toISOString();
+    const healthRecord = database.healthData.insert({
+        id: `health_${crypto.randomBytes(8).toString('hex')}`,
+        patientId,
+        type: value.type,
+        data: value.data,
+        ...(value.notes ? { notes: value.notes } : {}),
+        timestamp: value.recordedAt ? value.recordedAt.toISOString() : now,
+        recordedBy: req.user.id,
+        createdAt: now
+    });
+
+    res.status(201).json({ success: true, data: healthRecord });
+});
+
+// Appointments routes
+app.get('/api/appointments', authenticateToken, requirePermission('appointments:read'), (req, res) => {
+    const appointments = database.appointments.filter(apt => canAccessAppointment(req, 'appointments:read', apt));
+
+    res.json({ success: true, data: appointments });
+});
+
+app.post('/api/appointments', authenticateToken, requirePermission('appointments:write'), (req, res) => {
+    const { providerId, title, description, startTime, type, rrule, exdates = [] } = req.body;
+    const patientId = req.body.patientId || req.user.id;
+
+    const provider = database.users.find(u => u.id === providerId && u.role === 'provider');
+    if (!provider) {
+        return res.status(400).json({ error: 'Unknown provider' });
+    }
+
+    // New bookings need access to the patient, not just to the provider's calendar
+    if (!canAccessPatient(req, 'appointments:write', patientId)) {
+        return res.status(403).json({ error: 'Not permitted to book appointments for this patient' });
+    }
+
+    if (!startTime || isNaN(new Date(startTime))) {
+        return res.status(400).json({ error: 'A valid startTime is required' });
+    }
+
+    // Default the end time from the provider's duration for this visit type
+    const schedule = getProviderSchedule(providerId);
+    const endTime = req.body.endTime ||
+        new Date(new Date(startTime).getTime() + getVisitDuration(schedule, type) * 60000).toISOString();
+
+    if (rrule) {
+        return createAppointmentSeries(req, res, { patientId, endTime, exdates });
+    }
+
+    const rejection = checkBookable(providerId, startTime, endTime);
+    if (rejection) {
+        return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    const appointment = {
+        id: `apt_${Date.now()}`,
+        patientId,
+        providerId,
+        title,
+        description,
+        startTime: new Date(startTime).toISOString(),
+        endTime: new Date(endTime).toISOString(),
+        status: 'scheduled',
         type,
+        history: [historyEntry(null, 'scheduled', req.user)],
+        createdBy: req.user.id,
         createdAt: new Date().toISOString()
     };
 
-    database.appointments.push(appointment);
+    database.appointments.insert(appointment);
 
     // Emit real-time update
     io.emit('new-appointment', appointment);
@@ -515,6 +2898,477 @@ app.post('/api/appointments', authenticateToken, (req, res) => {
     res.json({ success: true, data: appointment });
 });
 
+// Book every occurrence of an RRULE series up front so availability,
+// lifecycle transitions and reporting all work per occurrence. patientId is the one the
+// booking route resolved (the caller when none is given).
+const createAppointmentSeries = (req, res, { patientId, endTime, exdates }) => {
+    const { providerId, title, description, startTime, type, rrule } = req.body;
+
+    const { error, value: rule } = parseRRule(rrule);
+    if (error) {
+        return res.status(400).json({ error: `Invalid recurrence rule: ${error}` });
+    }
+
+    const dtstart = new Date(startTime);
+    const duration = new Date(endTime) - dtstart;
+    if (!(duration > 0)) {
+        return res.status(400).json({ error: 'endTime must be after startTime' });
+    }
+
+    const expansion = expandRRule(rule, dtstart, { exdates });
+    if (expansion.error) {
+        return res.status(400).json({ error: expansion.error });
+    }
+
+    const conflicts = expansion.value
+        .map(start => ({
+            startTime: start.toISOString(),
+            rejection: checkBookable(providerId, start, new Date(start.getTime() + duration))
+        }))
+        .filter(result => result.rejection)
+        .map(result => ({ startTime: result.startTime, error: result.rejection.error }));
+
+    if (conflicts.length > 0) {
+        return res.status(409).json({ error: 'Some occurrences cannot be booked', conflicts });
+    }
+
+    const now = new Date().toISOString();
+    const series = {
+        id: `series_${Date.now()}`,
+        patientId,
+        providerId,
+        title,
+        description,
+        type,
+        rrule: stringifyRRule(rule),
+        dtstart: dtstart.toISOString(),
+        duration: duration / 60000,
+        exdates: exdates.map(date => new Date(date).toISOString()),
+        status: 'active',
+        createdBy: req.user.id,
+        createdAt: now
+    };
+
+    const occurrences = expansion.value.map((start, index) => ({
+        id: `apt_${Date.now()}_${index + 1}`,
+        patientId: series.patientId,
+        providerId,
+        title,
+        description,
+        startTime: start.toISOString(),
+        endTime: new Date(start.getTime() + duration).toISOString(),
+        status: 'scheduled',
+        type,
+        seriesId: series.id,
+        recurrenceId: start.toISOString(),
+        history: [historyEntry(null, 'scheduled', req.user)],
+        createdBy: req.user.id,
+        createdAt: now
+    }));
+
+    database.appointmentSeries.insert(series);
+    occurrences.forEach(occurrence => {
+        database.appointments.insert(occurrence);
+        io.emit('new-appointment', occurrence);
+    });
+
+    res.json({ success: true, data: occurrences[0], series, occurrences });
+};
+
+app.get('/api/appointments/:id', authenticateToken, (req, res) => {
+    const appointment = database.appointments.findById(req.params.id);
+    if (!appointment || !canAccessAppointment(req, 'appointments:read', appointment)) {
+        return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    res.json({ success: true, data: appointment });
+});
+
+// Single-event .ics download
+app.get('/api/appointments/:id/ics', authenticateToken, (req, res) => {
+    const appointment = database.appointments.findById(req.params.id);
+    if (!appointment || !canAccessAppointment(req, 'appointments:read', appointment)) {
+        return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="appointment-${appointment.id}.ics"`);
+    res.send(buildCalendar([appointmentEvent(appointment)]));
+});
+
+// Edit details or times of one occurrence (scope=occurrence, default) or of
+// every still-open occurrence in its series (scope=series)
+app.put('/api/appointments/:id', authenticateToken, auditLog('update', 'appointment'), (req, res) => {
+    const { scope = 'occurrence', title, description, type, startTime, endTime } = req.body;
+
+    const appointment = database.appointments.findById(req.params.id);
+    if (!appointment || !canAccessAppointment(req, 'appointments:read', appointment)) {
+        return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    if (!canAccessAppointment(req, 'appointments:write', appointment)) {
+        return res.status(403).json({ error: 'Not permitted to edit this appointment' });
+    }
+
+    const editRejection = validateEdit(appointment, scope);
+    if (editRejection) {
+        return res.status(editRejection.status).json({ error: editRejection.error });
+    }
+
+    const details = {};
+    if (title !== undefined) details.title = title;
+    if (description !== undefined) details.description = description;
+    if (type !== undefined) details.type = type;
+
+    // New times are applied as a shift relative to this appointment
+    const targets = editTargets(appointment, database.appointments.all(), scope);
+    const targetIds = targets.map(apt => apt.id);
+    const { error, value: plan } = planTimes(appointment, targets, { startTime, endTime });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    if (plan.timesChanged) {
+        const conflicts = plan.planned
+            .map(({ apt, start, end }) => ({ startTime: start.toISOString(), rejection: checkBookable(apt.providerId, start, end, targetIds) }))
+            .filter(result => result.rejection)
+            .map(result => ({ startTime: result.startTime, error: result.rejection.error }));
+
+        if (conflicts.length > 0) {
+            return res.status(409).json({ error: 'The new time cannot be booked', conflicts });
+        }
+    }
+
+    const now = new Date().toISOString();
+    const updated = plan.planned.map(({ apt, start, end }) => database.appointments.update(apt.id, {
+        ...details,
+        startTime: start.toISOString(),
+        endTime: end.toISOString(),
+        updatedAt: now
+    }));
+
+    // Series-wide time changes move the rule itself, so every instance id
+    // (and exception) shifts with it
+    if (scope === 'series') {
+        const series = database.appointmentSeries.findById(appointment.seriesId);
+        if (plan.shift !== 0) {
+            database.appointments
+                .filter(apt => apt.seriesId === series.id)
+                .forEach(apt => database.appointments.update(apt.id, { recurrenceId: shiftDate(apt.recurrenceId, plan.shift) }));
+        }
+        database.appointmentSeries.update(series.id, seriesChanges(series, { details, shift: plan.shift, duration: plan.duration, now }));
+    }
+
+    updated.forEach(apt => io.emit('appointment-updated', apt));
+
+    res.json({ success: true, data: updated[0], updated });
+});
+
+// Lifecycle transitions: confirm, check in, start, complete, cancel, no-show, reschedule
+app.patch('/api/appointments/:id', authenticateToken, auditLog('update', 'appointment'), (req, res) => {
+    const { status, reason, startTime, endTime, scope = 'occurrence' } = req.body;
+
+    const appointment = database.appointments.findById(req.params.id);
+    if (!appointment || !canAccessAppointment(req, 'appointments:read', appointment)) {
+        return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    if (!status) {
+        return res.status(400).json({ error: 'Target status is required' });
+    }
+
+    if (scope === 'series') {
+        return cancelAppointmentSeries(req, res, appointment);
+    }
+
+    const rejection = validateTransition(appointment, status, permission => canAccessAppointment(req, permission, appointment));
+    if (rejection) {
+        return res.status(rejection.status).json({ error: rejection.error, allowed: rejection.allowed });
+    }
+
+    // Rescheduling closes this appointment and books a linked replacement
+    let replacement = null;
+    if (status === 'rescheduled') {
+        if (!startTime || !endTime) {
+            return res.status(400).json({ error: 'startTime and endTime are required to reschedule' });
+        }
+
+        const slotRejection = checkBookable(appointment.providerId, startTime, endTime, appointment.id);
+        if (slotRejection) {
+            return res.status(slotRejection.status).json({ error: slotRejection.error });
+        }
+
+        replacement = {
+            id: `apt_${Date.now()}`,
+            patientId: appointment.patientId,
+            providerId: appointment.providerId,
+            title: appointment.title,
+            description: appointment.description,
+            startTime: new Date(startTime).toISOString(),
+            endTime: new Date(endTime).toISOString(),
+            status: 'scheduled',
+            type: appointment.type,
+            rescheduledFrom: appointment.id,
+            history: [historyEntry(null, 'scheduled', req.user, reason)],
+            createdBy: req.user.id,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    const updated = database.appointments.update(appointment.id, {
+        ...applyTransition(appointment, status, req.user, reason),
+        ...(replacement && { rescheduledTo: replacement.id })
+    });
+
+    if (replacement) {
+        database.appointments.insert(replacement);
+        io.emit('new-appointment', replacement);
+    }
+
+    // Emit real-time update
+    io.emit('appointment-status-changed', {
+        appointment: updated,
+        transition: updated.history[updated.history.length - 1],
+        replacement
+    });
+
+    res.json({ success: true, data: updated, replacement });
+});
+
+// Cancel every remaining occurrence of a series (PATCH with scope=series)
+const cancelAppointmentSeries = (req, res, appointment) => {
+    const { status, reason } = req.body;
+
+    if (status !== 'cancelled') {
+        return res.status(400).json({ error: 'Only cancellation can be applied to a whole series' });
+    }
+
+    if (!appointment.seriesId) {
+        return res.status(400).json({ error: 'Appointment is not part of a series' });
+    }
+
+    const rejection = validateTransition(appointment, status, permission => canAccessAppointment(req, permission, appointment));
+    if (rejection) {
+        return res.status(rejection.status).json({ error: rejection.error, allowed: rejection.allowed });
+    }
+
+    const cancelled = seriesCancellations(appointment, database.appointments.all(), (apt, permission) => canAccessAppointment(req, permission, apt))
+        .map(apt => database.appointments.update(apt.id, applyTransition(apt, status, req.user, reason)));
+
+    const series = database.appointmentSeries.update(appointment.seriesId, {
+        status: 'cancelled',
+        updatedAt: new Date().toISOString()
+    });
+
+    cancelled.forEach(apt => {
+        io.emit('appointment-status-changed', {
+            appointment: apt,
+            transition: apt.history[apt.history.length - 1],
+            replacement: null
+        });
+    });
+
+    res.json({ success: true, data: series, cancelled });
+};
+
+// Calendar feed routes
+// Only a hash of the feed token is stored, so the URL carrying it can be shown once, when issued
+const issueCalendarFeed = (req, userId) => {
+    const token = crypto.randomBytes(24).toString('hex');
+    const user = database.users.update(userId, { calendarTokenHash: hashToken(token) });
+    return user && `${req.protocol}://${req.get('host')}/api/calendar/${user.id}.ics?token=${token}`;
+};
+
+// Sets the feed up on first use; afterwards only reports that it exists (reset for a new URL)
+app.get('/api/calendar/feed', authenticateToken, (req, res) => {
+    const user = database.users.findById(req.user.id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const url = user.calendarTokenHash ? null : issueCalendarFeed(req, user.id);
+    res.json({ success: true, data: { active: true, url } });
+});
+
+// Rotating the token revokes every existing subscription URL
+app.post('/api/calendar/feed/reset', authenticateToken, auditLog('update', 'calendar feed'), (req, res) => {
+    const url = issueCalendarFeed(req, req.user.id);
+    if (!url) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, data: { active: true, url } });
+});
+
+// Subscribed calendar apps cannot send headers, so the feed is authorized by its token
+app.get('/api/calendar/:userId.ics', (req, res) => {
+    const user = database.users.findById(req.params.userId);
+    const token = String(req.query.token || '');
+
+    const valid = user && user.calendarTokenHash &&
+        crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(user.calendarTokenHash));
+    if (!valid) {
+        return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const appointments = database.appointments.filter(apt => apt.patientId === user.id || apt.providerId === user.id);
+    const seriesIds = new Set(appointments.map(apt => apt.seriesId).filter(Boolean));
+    const series = database.appointmentSeries.filter(s => seriesIds.has(s.id));
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(buildCalendar(calendarEvents(appointments, series), { name: `OneCare - ${user.name}` }));
+});
+
+// Provider availability routes
+app.get('/api/providers', authenticateToken, (req, res) => {
+    const providers = database.users
+        .filter(u => u.role === 'provider' && u.isActive)
+        .map(({ id, name, specialization }) => ({ id, name, specialization }));
+
+    res.json({ success: true, data: providers });
+});
+
+// The signed-in clinician's current patients with their next and last visits; ?role=primary|consulting|nurse
+app.get('/api/providers/me/patients', authenticateToken, (req, res) => {
+    const { role } = req.query;
+    if (role !== undefined && !CARE_TEAM_ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of ${CARE_TEAM_ROLES.join(', ')}` });
+    }
+
+    const now = new Date();
+    const panel = careTeam.active({ providerId: req.user.id }, now)
+        .filter(assignment => !role || assignment.role === role)
+        .map(assignment => {
+            const patient = database.users.findById(assignment.patientId);
+            if (!patient) {
+                return null;
+            }
+
+            const visits = database.appointments
+                .filter(apt => apt.patientId === patient.id && apt.status !== 'cancelled')
+                .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+            const lastVisit = visits.filter(apt => new Date(apt.startTime) <= now).pop() || null;
+            const nextVisit = visits.find(apt => new Date(apt.startTime) > now) || null;
+            const readings = database.healthData.filter(data => data.patientId === patient.id);
+
+            return {
+                patient: {
+                    id: patient.id,
+                    name: patient.name,
+                    email: patient.email,
+                    dateOfBirth: patient.dateOfBirth || null,
+                    isActive: patient.isActive
+                },
+                assignment: {
+                    id: assignment.id,
+                    role: assignment.role,
+                    startDate: assignment.startDate,
+                    endDate: assignment.endDate
+                },
+                lastVisit: lastVisit && { id: lastVisit.id, startTime: lastVisit.startTime, status: lastVisit.status, providerId: lastVisit.providerId },
+                nextVisit: nextVisit && { id: nextVisit.id, startTime: nextVisit.startTime, status: nextVisit.status, providerId: nextVisit.providerId },
+                lastReadingAt: readings.reduce((latest, data) => (!latest || data.timestamp > latest ? data.timestamp : latest), null)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.patient.name.localeCompare(b.patient.name));
+
+    res.json({ success: true, data: panel });
+});
+
+app.get('/api/providers/:id/schedule', authenticateToken, (req, res) => {
+    if (!database.users.find(u => u.id === req.params.id && u.role === 'provider')) {
+        return res.status(404).json({ error: 'Provider not found' });
+    }
+
+    res.json({ success: true, data: getProviderSchedule(req.params.id) });
+});
+
+app.put('/api/providers/:id/schedule', authenticateToken, requirePermission('schedules:write'), auditLog('update', 'provider schedule'), (req, res) => {
+    const providerId = req.params.id;
+
+    const scopes = grantedScopes(req.permissions, 'schedules:write');
+    if (!scopes.includes('any') && !(scopes.includes('own') && req.user.id === providerId)) {
+        return res.status(403).json({ error: 'Not permitted to edit this provider\'s schedule' });
+    }
+
+    if (!database.users.find(u => u.id === providerId && u.role === 'provider')) {
+        return res.status(404).json({ error: 'Provider not found' });
+    }
+
+    const { error, value } = validateSchedule(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid schedule', details: error });
+    }
+
+    const existing = database.providerSchedules.find(s => s.providerId === providerId);
+    const changes = { ...value, updatedBy: req.user.id, updatedAt: new Date().toISOString() };
+
+    const schedule = existing
+        ? database.providerSchedules.update(existing.id, changes)
+        : database.providerSchedules.insert({ id: `schedule_${providerId}`, providerId, ...changes });
+
+    res.json({ success: true, data: schedule });
+});
+
+app.get('/api/providers/:id/slots', authenticateToken, (req, res) => {
+    const { from, to, type } = req.query;
+    const providerId = req.params.id;
+
+    if (!database.users.find(u => u.id === providerId && u.role === 'provider')) {
+        return res.status(404).json({ error: 'Provider not found' });
+    }
+
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+    if (!from || !to || isNaN(fromDate) || isNaN(toDate) || toDate <= fromDate) {
+        return res.status(400).json({ error: 'Valid from and to dates are required' });
+    }
+
+    if (toDate - fromDate > MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ error: `Search range cannot exceed ${MAX_SEARCH_DAYS} days` });
+    }
+
+    const schedule = getProviderSchedule(providerId);
+    const slots = generateSlots(schedule, {
+        providerId,
+        from: fromDate,
+        to: toDate,
+        type,
+        appointments: database.appointments.all()
+    });
+
+    res.json({
+        success: true,
+        data: slots,
+        duration: getVisitDuration(schedule, type),
+        total: slots.length
+    });
+});
+
+// Sockets that pass an access token (handshake auth.token) are tied to their account
+// and join their personal `user:<id>` room for notifications
+io.use((socket, next) => {
+    const { token } = socket.handshake.auth || {};
+    if (!token) {
+        return next();
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+        const account = !err && sessions.isActive(database.sessions.findById(user.sessionId)) &&
+            database.users.findById(user.id);
+        if (!account || !account.isActive) {
+            return next(new Error('Invalid or expired token'));
+        }
+
+        socket.userId = account.id;
+        socket.userRole = account.role;
+        socket.authenticated = true;
+        socket.join(`user:${account.id}`);
+        next();
+    });
+});
+
 // WebSocket connection handling
 io.on('connection', (socket) => {
     console.log('User connected:', socket.id);
@@ -522,9 +3376,12 @@ io.on('connection', (socket) => {
     // Join room based on user role
     socket.on('join-room', (data) => {
         const { userId, role } = data;
-        socket.join(`${role}s`); // Join patients, providers, or admins room
-        socket.userId = userId;
-        socket.userRole = role;
+        // Authenticated sockets keep the identity from their token
+        if (!socket.authenticated) {
+            socket.userId = userId;
+            socket.userRole = role;
+        }
+        socket.join(`${socket.userRole}s`); // Join patients, providers, or admins room
 
         // Send active user count to admins
         io.to('admins').emit('active-users-update', {
@@ -535,10 +3392,10 @@ io.on('connection', (socket) => {
 
     // Handle real-time monitoring updates
     socket.on('request-metrics', () => {
-        if (socket.userRole === 'admin') {
-            // Send real-time system metrics
-            setInterval(() => {
-                socket.emit('system-metrics-update', database.systemMetrics);
+        if (socket.userRole === 'admin' && !socket.metricsTimer) {
+            socket.emit('system-metrics-update', metrics.snapshot());
+            socket.metricsTimer = setInterval(() => {
+                socket.emit('system-metrics-update', metrics.snapshot());
             }, 5000);
         }
     });
@@ -558,6 +3415,7 @@ io.on('connection', (socket) => {
 
     socket.on('disconnect', () => {
         console.log('User disconnected:', socket.id);
+        clearInterval(socket.metricsTimer);
         
         // Update active user count
         io.to('admins').emit('active-users-update', {
@@ -578,6 +3436,14 @@ app.use((req, res) => {
     res.status(404).json({ error: 'Endpoint not found' });
 });
 
+// Flush pending writes on shutdown (start-servers.js stops children with SIGINT)
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        database.flush();
+        process.exit(0);
+    });
+});
+
 // Start server
 server.listen(PORT, () => {
     console.log(`🏥 OneCare Healthcare Platform Server running on port ${PORT}`);
@@ -585,10 +3451,10 @@ server.listen(PORT, () => {
     console.log(`🔧 API: http://localhost:${PORT}/api`);
     console.log(`📊 WebSocket: Enabled for real-time features`);
     
-    // Initialize sample data
-    console.log(`👥 Sample Users: ${database.users.length} (admin@onecare.com / admin123)`);
-    console.log(`📅 Sample Appointments: ${database.appointments.length}`);
-    console.log(`🔔 Sample Notifications: ${database.notifications.length}`);
+    console.log(`🗄️  Storage: ${STORAGE_DRIVER}${STORAGE_DRIVER === 'file' ? ` (${DATA_FILE})` : ''}, schema v${database.schemaVersion}`);
+    console.log(`👥 Users: ${database.users.count()}`);
+    console.log(`📅 Appointments: ${database.appointments.count()}`);
+    console.log(`🔔 Notifications: ${database.notifications.count()}`);
 });
 
 module.exports = { app, server, io, database };
\ No newline at end of file
@@ -0,0 +1,322 @@
+/**
+ * Admin Analytics
+ * Platform statistics computed from stored users, appointments and audit activity
+ * Features: signups and active users per day/week/month, appointment volume by type,
+ * status and provider, no-show rate, time-to-appointment, signup cohort retention,
+ * comparison with the preceding period, CSV reports
+ */
+
+const Joi = require('joi');
+const { APPOINTMENT_STATUSES } = require('../appointments/lifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGE_DAYS = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+
+// Upper bound on chart points, so a long range at day granularity is rejected
+const MAX_PERIODS = 400;
+
+const ANALYTICS_REPORTS = ['timeseries', 'providers', 'cohorts'];
+
+const analyticsQuerySchema = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    // Presets used by admin-analytics.html when from/to are not given
+    range: Joi.string().valid(...Object.keys(RANGE_DAYS)).default('30d'),
+    granularity: Joi.string().valid('day', 'week', 'month'),
+    // Retention columns per cohort row (period 0 is the signup period)
+    cohortPeriods: Joi.number().integer().min(1).max(24).default(6),
+    format: Joi.string().valid('json', 'csv').default('json'),
+    report: Joi.string().valid(...ANALYTICS_REPORTS).default('timeseries')
+}).custom((query, helpers) => {
+    if (query.from && query.to && query.from >= query.to) {
+        return helpers.message('"from" must be before "to"');
+    }
+    return query;
+});
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const percent = (part, whole) => (whole ? round(part / whole * 100) : null);
+
+// UTC start of the day, ISO week (Monday) or month containing `date`
+function periodStart(date, granularity) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (granularity === 'week') {
+        start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    } else if (granularity === 'month') {
+        start.setUTCDate(1);
+    }
+    return start;
+}
+
+function nextPeriod(start, granularity) {
+    const next = new Date(start);
+    if (granularity === 'month') {
+        next.setUTCMonth(next.getUTCMonth() + 1);
+    } else {
+        next.setUTCDate(next.getUTCDate() + (granularity === 'week' ? 7 : 1));
+    }
+    return next;
+}
+
+const periodKey = (date) => date.toISOString().slice(0, 10);
+
+// Period keys covering [from, to)
+function periodKeys(from, to, granularity) {
+    const keys = [];
+    for (let start = periodStart(from, granularity); start < to; start = nextPeriod(start, granularity)) {
+        keys.push(periodKey(start));
+    }
+    return keys;
+}
+
+const keyOf = (time, granularity) => periodKey(periodStart(new Date(time), granularity));
+
+/**
+ * Validate and normalise query-string parameters.
+ * Returns { value } (with from/to/granularity resolved) or { error: [messages] }.
+ */
+function parseAnalyticsQuery(input, now = new Date()) {
+    const { error, value } = analyticsQuerySchema.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+
+    value.to = value.to || now;
+    value.from = value.from || new Date(value.to.getTime() - RANGE_DAYS[value.range] * DAY_MS);
+    if (value.from >= value.to) {
+        return { error: ['"from" must be before "to"'] };
+    }
+
+    if (!value.granularity) {
+        const days = (value.to - value.from) / DAY_MS;
+        value.granularity = days <= 31 ? 'day' : days <= 183 ? 'week' : 'month';
+    }
+    if (periodKeys(value.from, value.to, value.granularity).length > MAX_PERIODS) {
+        return { error: [`"granularity" ${value.granularity} gives more than ${MAX_PERIODS} periods for this range`] };
+    }
+
+    return { value };
+}
+
+function countBy(items, keyFn) {
+    const counts = {};
+    for (const item of items) {
+        const key = keyFn(item) || 'unknown';
+        counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
+}
+
+// Lead time statistics in days for appointments with both createdAt and startTime
+function leadTimes(appointments) {
+    const days = appointments
+        .filter(apt => apt.createdAt && apt.startTime)
+        .map(apt => (new Date(apt.startTime) - new Date(apt.createdAt)) / DAY_MS)
+        .filter(value => value >= 0)
+        .sort((a, b) => a - b);
+
+    if (days.length === 0) {
+        return { count: 0, averageDays: null, medianDays: null, p90Days: null };
+    }
+    // Linear interpolation between the closest ranks
+    const at = (q) => {
+        const position = (days.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return days[lower] + (days[upper] - days[lower]) * (position - lower);
+    };
+    return {
+        count: days.length,
+        averageDays: round(days.reduce((sum, value) => sum + value, 0) / days.length),
+        medianDays: round(at(0.5)),
+        p90Days: round(at(0.9))
+    };
+}
+
+// No-shows as a share of appointments that reached an outcome (completed or no-show)
+function noShowRate(appointments) {
+    const noShows = appointments.filter(apt => apt.status === 'no-show').length;
+    const completed = appointments.filter(apt => apt.status === 'completed').length;
+    return percent(noShows, noShows + completed);
+}
+
+const change = (current, previous) => ({ current, previous, changePercent: percent(current - previous, previous) });
+
+/**
+ * Compute analytics for query (see parseAnalyticsQuery).
+ * `activity` is a list of { userId, timestamp } (successful audit entries); a user is
+ * active in a period when they have any activity in it. `providerName(id)` labels providers.
+ */
+function computeAnalytics({ users, appointments, activity, providerName }, query) {
+    const { from, to, granularity, cohortPeriods } = query;
+    const inRange = (time, start = from, end = to) => {
+        const date = new Date(time);
+        return date >= start && date < end;
+    };
+
+    const previousFrom = new Date(from.getTime() - (to - from));
+    const keys = periodKeys(from, to, granularity);
+
+    // Distinct active users per period
+    const activeSets = (entries) => {
+        const sets = new Map();
+        for (const { userId, timestamp } of entries) {
+            const key = keyOf(timestamp, granularity);
+            if (!sets.has(key)) sets.set(key, new Set());
+            sets.get(key).add(userId);
+        }
+        return sets;
+    };
+    // Cohorts look at whole periods, the growth chart only at activity inside the range
+    const activeByPeriod = activeSets(activity);
+    const activeInRange = activeSets(activity.filter(entry => inRange(entry.timestamp)));
+    const activeBetween = (start, end) => new Set(activity
+        .filter(entry => inRange(entry.timestamp, start, end))
+        .map(entry => entry.userId)).size;
+
+    const signups = users.filter(user => user.createdAt && inRange(user.createdAt));
+    const scheduled = appointments.filter(apt => apt.startTime && inRange(apt.startTime));
+    const booked = appointments.filter(apt => apt.createdAt && inRange(apt.createdAt));
+
+    const signupsByPeriod = countBy(signups, user => keyOf(user.createdAt, granularity));
+    const scheduledByPeriod = {};
+    for (const apt of scheduled) {
+        const key = keyOf(apt.startTime, granularity);
+        scheduledByPeriod[key] = scheduledByPeriod[key] || [];
+        scheduledByPeriod[key].push(apt);
+    }
+
+    const byStatus = Object.fromEntries(APPOINTMENT_STATUSES.map(status => [status, keys.map(key =>
+        (scheduledByPeriod[key] || []).filter(apt => apt.status === status).length)]));
+
+    const providers = Object.entries(countBy(scheduled, apt => apt.providerId))
+        .map(([providerId, total]) => {
+            const own = scheduled.filter(apt => (apt.providerId || 'unknown') === providerId);
+            return {
+                providerId,
+                providerName: providerName(providerId),
+                appointments: total,
+                completed: own.filter(apt => apt.status === 'completed').length,
+                noShows: own.filter(apt => apt.status === 'no-show').length,
+                cancelled: own.filter(apt => apt.status === 'cancelled').length,
+                noShowRate: noShowRate(own),
+                averageDaysToAppointment: leadTimes(own).averageDays
+            };
+        })
+        .sort((a, b) => b.appointments - a.appointments);
+
+    // Signup cohorts in the range; retention counts only periods that have started before `to`
+    const cohortMembers = {};
+    for (const user of signups) {
+        const key = keyOf(user.createdAt, granularity);
+        cohortMembers[key] = cohortMembers[key] || [];
+        cohortMembers[key].push(user.id);
+    }
+    const cohorts = keys.filter(key => cohortMembers[key]).map(key => {
+        const members = cohortMembers[key];
+        const active = [];
+        let start = new Date(`${key}T00:00:00Z`);
+        for (let period = 0; period < cohortPeriods; period++, start = nextPeriod(start, granularity)) {
+            if (start >= to) {
+                active.push(null);
+                continue;
+            }
+            const seen = activeByPeriod.get(periodKey(start)) || new Set();
+            active.push(members.filter(id => seen.has(id)).length);
+        }
+        return {
+            cohort: key,
+            size: members.length,
+            active,
+            retention: active.map(count => (count === null ? null : percent(count, members.length)))
+        };
+    });
+
+    const activeUsers = activeBetween(from, to);
+    const previousSignups = users.filter(user => user.createdAt && inRange(user.createdAt, previousFrom, from)).length;
+    const previousScheduled = appointments.filter(apt => apt.startTime && inRange(apt.startTime, previousFrom, from));
+
+    return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        granularity,
+        summary: {
+            totalUsers: users.length,
+            activeAccounts: users.filter(user => user.isActive).length,
+            totalAppointments: appointments.length,
+            newUsers: change(signups.length, previousSignups),
+            activeUsers: change(activeUsers, activeBetween(previousFrom, from)),
+            appointments: change(scheduled.length, previousScheduled.length),
+            noShowRate: { current: noShowRate(scheduled), previous: noShowRate(previousScheduled) },
+            averageDaysToAppointment: leadTimes(booked).averageDays
+        },
+        userGrowth: {
+            labels: keys,
+            newUsers: keys.map(key => signupsByPeriod[key] || 0),
+            activeUsers: keys.map(key => (activeInRange.get(key) || new Set()).size)
+        },
+        userDistribution: countBy(users, user => user.role),
+        appointments: {
+            volume: {
+                labels: keys,
+                total: keys.map(key => (scheduledByPeriod[key] || []).length),
+                byStatus
+            },
+            byType: countBy(scheduled, apt => apt.type),
+            byStatus: countBy(scheduled, apt => apt.status),
+            byProvider: providers,
+            noShowRate: noShowRate(scheduled),
+            // From booking (createdAt) to the appointment, for appointments booked in the range
+            timeToAppointment: leadTimes(booked)
+        },
+        cohorts: {
+            granularity,
+            periods: cohortPeriods,
+            rows: cohorts
+        }
+    };
+}
+
+/**
+ * Flatten one report of computed analytics into { columns, rows } for CSV export.
+ */
+function analyticsReport(analytics, report) {
+    if (report === 'providers') {
+        return {
+            columns: ['providerId', 'providerName', 'appointments', 'completed', 'noShows', 'cancelled', 'noShowRate', 'averageDaysToAppointment'],
+            rows: analytics.appointments.byProvider
+        };
+    }
+
+    if (report === 'cohorts') {
+        const periods = Array.from({ length: analytics.cohorts.periods }, (_, index) => `period${index}`);
+        return {
+            columns: ['cohort', 'size', ...periods],
+            rows: analytics.cohorts.rows.map(row => ({
+                cohort: row.cohort,
+                size: row.size,
+                ...Object.fromEntries(periods.map((column, index) => [column, row.retention[index]]))
+            }))
+        };
+    }
+
+    const { userGrowth, appointments } = analytics;
+    return {
+        columns: ['period', 'newUsers', 'activeUsers', 'appointments', ...APPOINTMENT_STATUSES],
+        rows: userGrowth.labels.map((period, index) => ({
+            period,
+            newUsers: userGrowth.newUsers[index],
+            activeUsers: userGrowth.activeUsers[index],
+            appointments: appointments.volume.total[index],
+            ...Object.fromEntries(APPOINTMENT_STATUSES.map(status => [status, appointments.volume.byStatus[status][index]]))
+        }))
+    };
+}
+
+module.exports = {
+    parseAnalyticsQuery,
+    computeAnalytics,
+    analyticsReport
+};
@@ -0,0 +1,138 @@
+const { parseAnalyticsQuery, computeAnalytics, analyticsReport } = require('./analytics');
+
+const at = (day) => `2024-${day}T09:00:00Z`;
+
+const users = [
+    { id: 'admin_1', role: 'admin', isActive: true, createdAt: at('02-27') },
+    { id: 'patient_1', role: 'patient', isActive: true, createdAt: at('03-05') },
+    { id: 'patient_2', role: 'patient', isActive: false, createdAt: at('03-06') },
+    { id: 'provider_1', role: 'provider', isActive: true, createdAt: at('03-12') }
+];
+
+const activity = [
+    { userId: 'admin_1', timestamp: at('02-28') },
+    { userId: 'patient_1', timestamp: at('03-05') },
+    { userId: 'patient_1', timestamp: at('03-13') },
+    { userId: 'patient_2', timestamp: at('03-06') },
+    { userId: 'provider_1', timestamp: at('03-12') }
+];
+
+const appointments = [
+    { id: 'apt_0', providerId: 'doc_1', type: 'consultation', status: 'completed', createdAt: at('02-15'), startTime: at('02-20') },
+    { id: 'apt_1', providerId: 'doc_1', type: 'consultation', status: 'completed', createdAt: at('03-01'), startTime: at('03-07') },
+    { id: 'apt_2', providerId: 'doc_1', type: 'follow-up', status: 'no-show', createdAt: at('03-05'), startTime: at('03-08') },
+    { id: 'apt_3', providerId: 'doc_2', type: 'consultation', status: 'completed', createdAt: at('03-05'), startTime: at('03-14') },
+    { id: 'apt_4', providerId: 'doc_1', type: 'follow-up', status: 'cancelled', createdAt: at('03-10'), startTime: at('03-15') }
+];
+
+const providerName = (id) => ({ doc_1: 'Dr. One', doc_2: 'Dr. Two' })[id];
+
+// Two ISO weeks starting Monday 4 March 2024
+const query = () => parseAnalyticsQuery({
+    from: '2024-03-04T00:00:00Z',
+    to: '2024-03-18T00:00:00Z',
+    granularity: 'week',
+    cohortPeriods: 3
+}).value;
+
+const compute = () => computeAnalytics({ users, appointments, activity, providerName }, query());
+
+describe('parseAnalyticsQuery', () => {
+    const now = new Date('2024-06-01T00:00:00Z');
+
+    test('defaults to the last 30 days by day', () => {
+        const { value } = parseAnalyticsQuery({}, now);
+        expect(value.to).toEqual(now);
+        expect(value.from).toEqual(new Date('2024-05-02T00:00:00Z'));
+        expect(value.granularity).toBe('day');
+        expect(value).toMatchObject({ format: 'json', report: 'timeseries', cohortPeriods: 6 });
+    });
+
+    test('picks a coarser granularity for longer ranges', () => {
+        expect(parseAnalyticsQuery({ range: '90d' }, now).value.granularity).toBe('week');
+        expect(parseAnalyticsQuery({ range: '1y' }, now).value.granularity).toBe('month');
+    });
+
+    test('rejects an empty or inverted range', () => {
+        expect(parseAnalyticsQuery({ from: '2024-03-10', to: '2024-03-01' }, now).error).toEqual(['"from" must be before "to"']);
+        expect(parseAnalyticsQuery({ from: '2024-07-01' }, now).error).toEqual(['"from" must be before "to"']);
+    });
+
+    test('rejects ranges with too many chart points', () => {
+        const { error } = parseAnalyticsQuery({ from: '2020-01-01', to: '2024-01-01', granularity: 'day' }, now);
+        expect(error).toEqual(['"granularity" day gives more than 400 periods for this range']);
+    });
+
+    test('rejects unknown values', () => {
+        expect(parseAnalyticsQuery({ range: '2w', format: 'xml' }, now).error).toHaveLength(2);
+    });
+});
+
+describe('computeAnalytics', () => {
+    test('compares the range with the preceding period of the same length', () => {
+        expect(compute().summary).toEqual({
+            totalUsers: 4,
+            activeAccounts: 3,
+            totalAppointments: 5,
+            newUsers: { current: 3, previous: 1, changePercent: 200 },
+            activeUsers: { current: 3, previous: 1, changePercent: 200 },
+            appointments: { current: 4, previous: 1, changePercent: 300 },
+            noShowRate: { current: 33.3, previous: 0 },
+            averageDaysToAppointment: 5.7
+        });
+    });
+
+    test('charts signups, active users and appointment volume per period', () => {
+        const analytics = compute();
+        expect(analytics.userGrowth).toEqual({
+            labels: ['2024-03-04', '2024-03-11'],
+            newUsers: [2, 1],
+            activeUsers: [2, 2]
+        });
+        expect(analytics.appointments.volume.total).toEqual([2, 2]);
+        expect(analytics.appointments.volume.byStatus).toMatchObject({ completed: [1, 1], 'no-show': [1, 0], cancelled: [0, 1] });
+        expect(analytics.userDistribution).toEqual({ admin: 1, patient: 2, provider: 1 });
+    });
+
+    test('breaks appointments down by type and provider', () => {
+        const { appointments: stats } = compute();
+        expect(stats.byType).toEqual({ consultation: 2, 'follow-up': 2 });
+        expect(stats.byProvider).toEqual([
+            { providerId: 'doc_1', providerName: 'Dr. One', appointments: 3, completed: 1, noShows: 1, cancelled: 1, noShowRate: 50, averageDaysToAppointment: 4.7 },
+            { providerId: 'doc_2', providerName: 'Dr. Two', appointments: 1, completed: 1, noShows: 0, cancelled: 0, noShowRate: 0, averageDaysToAppointment: 9 }
+        ]);
+    });
+
+    test('measures time to appointment for appointments booked in the range', () => {
+        expect(compute().appointments.timeToAppointment).toEqual({ count: 3, averageDays: 5.7, medianDays: 5, p90Days: 8.2 });
+    });
+
+    test('tracks retention of signup cohorts, leaving periods after the range empty', () => {
+        expect(compute().cohorts).toEqual({
+            granularity: 'week',
+            periods: 3,
+            rows: [
+                { cohort: '2024-03-04', size: 2, active: [2, 1, null], retention: [100, 50, null] },
+                { cohort: '2024-03-11', size: 1, active: [1, null, null], retention: [100, null, null] }
+            ]
+        });
+    });
+});
+
+describe('analyticsReport', () => {
+    test('flattens the time series', () => {
+        const { columns, rows } = analyticsReport(compute(), 'timeseries');
+        expect(columns.slice(0, 4)).toEqual(['period', 'newUsers', 'activeUsers', 'appointments']);
+        expect(rows[0]).toMatchObject({ period: '2024-03-04', newUsers: 2, activeUsers: 2, appointments: 2, completed: 1, 'no-show': 1 });
+    });
+
+    test('gives one retention column per cohort period', () => {
+        const { columns, rows } = analyticsReport(compute(), 'cohorts');
+        expect(columns).toEqual(['cohort', 'size', 'period0', 'period1', 'period2']);
+        expect(rows[0]).toEqual({ cohort: '2024-03-04', size: 2, period0: 100, period1: 50, period2: null });
+    });
+
+    test('lists providers', () => {
+        expect(analyticsReport(compute(), 'providers').rows.map(row => row.providerId)).toEqual(['doc_1', 'doc_2']);
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * Provider Availability
+ * Weekly schedule templates and bookable slot search for providers
+ * Features: working hours, breaks, holidays, visit-type durations, double-booking detection
+ */
+
+const Joi = require('joi');
+const moment = require('moment');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Statuses that still occupy the provider's time
+const BLOCKING_STATUSES = ['scheduled', 'confirmed', 'checked-in', 'in-progress'];
+
+// Longest range a single slot search may cover
+const MAX_SEARCH_DAYS = 31;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const timeRange = Joi.object({
+    start: Joi.string().pattern(TIME_PATTERN).required(),
+    end: Joi.string().pattern(TIME_PATTERN).required()
+});
+
+const scheduleSchema = Joi.object({
+    // Offset of the provider's local clock from UTC, e.g. '+05:30' or '-08:00'
+    utcOffset: Joi.string().pattern(/^[+-]([01]\d|2[0-3]):[0-5]\d$/).default('+00:00'),
+    weeklyHours: Joi.object(
+        DAYS.reduce((keys, day) => ({ ...keys, [day]: Joi.array().items(timeRange).default([]) }), {})
+    ).required(),
+    breaks: Joi.array().items(timeRange.keys({
+        days: Joi.array().items(Joi.string().valid(...DAYS)).default(DAYS)
+    })).default([]),
+    holidays: Joi.array().items(Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)).default([]),
+    visitTypes: Joi.object().pattern(Joi.string(), Joi.number().integer().min(5).max(480)).default({}),
+    defaultDuration: Joi.number().integer().min(5).max(480).default(30),
+    // Minutes between slot start times; defaults to the visit duration
+    slotInterval: Joi.number().integer().min(5).max(480)
+});
+
+const DEFAULT_SCHEDULE = {
+    utcOffset: '+00:00',
+    weeklyHours: {
+        sun: [],
+        mon: [{ start: '09:00', end: '17:00' }],
+        tue: [{ start: '09:00', end: '17:00' }],
+        wed: [{ start: '09:00', end: '17:00' }],
+        thu: [{ start: '09:00', end: '17:00' }],
+        fri: [{ start: '09:00', end: '17:00' }],
+        sat: []
+    },
+    breaks: [{ start: '12:00', end: '13:00', days: DAYS }],
+    holidays: [],
+    visitTypes: {
+        consultation: 30,
+        'follow-up': 20,
+        physical: 45,
+        screening: 30,
+        telehealth: 20
+    },
+    defaultDuration: 30
+};
+
+function validateSchedule(input) {
+    const { error, value } = scheduleSchema.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+    return { value };
+}
+
+function getVisitDuration(schedule, type) {
+    return (type && schedule.visitTypes[type]) || schedule.defaultDuration;
+}
+
+function overlaps(startA, endA, startB, endB) {
+    return startA < endB && startB < endA;
+}
+
+// Resolve an 'HH:mm' wall-clock time on a provider-local day
+function atTime(localDay, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return localDay.clone().hours(hours).minutes(minutes).seconds(0).milliseconds(0);
+}
+
+function blockingAppointments(appointments, providerId, ignoreIds = []) {
+    const ignored = [].concat(ignoreIds);
+    return appointments.filter(apt =>
+        apt.providerId === providerId &&
+        !ignored.includes(apt.id) &&
+        BLOCKING_STATUSES.includes(apt.status)
+    );
+}
+
+function findConflict(appointments, providerId, startTime, endTime, ignoreIds) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    return blockingAppointments(appointments, providerId, ignoreIds).find(apt =>
+        overlaps(start, end, new Date(apt.startTime), new Date(apt.endTime))
+    ) || null;
+}
+
+// Open working intervals (breaks removed) for one provider-local day
+function workingIntervals(schedule, localDay) {
+    if (schedule.holidays.includes(localDay.format('YYYY-MM-DD'))) {
+        return [];
+    }
+
+    const day = DAYS[localDay.day()];
+    const breaks = schedule.breaks
+        .filter(b => (b.days || DAYS).includes(day))
+        .map(b => ({ start: atTime(localDay, b.start), end: atTime(localDay, b.end) }));
+
+    const intervals = [];
+    (schedule.weeklyHours[day] || []).forEach(window => {
+        let pieces = [{ start: atTime(localDay, window.start), end: atTime(localDay, window.end) }];
+
+        breaks.forEach(b => {
+            pieces = pieces.flatMap(piece => {
+                if (!overlaps(piece.start, piece.end, b.start, b.end)) return [piece];
+                return [
+                    { start: piece.start, end: moment.min(piece.end, b.start) },
+                    { start: moment.max(piece.start, b.end), end: piece.end }
+                ].filter(part => part.start.isBefore(part.end));
+            });
+        });
+
+        intervals.push(...pieces);
+    });
+
+    return intervals;
+}
+
+function isWithinWorkingHours(schedule, startTime, endTime) {
+    const start = moment(startTime).utcOffset(schedule.utcOffset);
+    const end = moment(endTime).utcOffset(schedule.utcOffset);
+
+    return workingIntervals(schedule, start.clone().startOf('day')).some(interval =>
+        !start.isBefore(interval.start) && !end.isAfter(interval.end)
+    );
+}
+
+/**
+ * List free slots for a provider between `from` and `to` for the given visit type.
+ */
+function generateSlots(schedule, { providerId, from, to, type, appointments, now = new Date() }) {
+    const duration = getVisitDuration(schedule, type);
+    const step = schedule.slotInterval || duration;
+    const rangeStart = moment.max(moment(from), moment(now));
+    const rangeEnd = moment(to);
+    const busy = blockingAppointments(appointments, providerId);
+
+    const slots = [];
+    const day = moment(from).utcOffset(schedule.utcOffset).startOf('day');
+    const lastDay = moment(to).utcOffset(schedule.utcOffset).startOf('day');
+
+    for (; !day.isAfter(lastDay); day.add(1, 'day')) {
+        workingIntervals(schedule, day).forEach(interval => {
+            for (const cursor = interval.start.clone(); ; cursor.add(step, 'minutes')) {
+                const slotEnd = cursor.clone().add(duration, 'minutes');
+                if (slotEnd.isAfter(interval.end)) break;
+                if (cursor.isBefore(rangeStart) || slotEnd.isAfter(rangeEnd)) continue;
+
+                const taken = busy.some(apt =>
+                    overlaps(cursor.toDate(), slotEnd.toDate(), new Date(apt.startTime), new Date(apt.endTime))
+                );
+                if (!taken) {
+                    slots.push({
+                        startTime: cursor.toISOString(),
+                        endTime: slotEnd.toISOString(),
+                        duration,
+                        type: type || null
+                    });
+                }
+            }
+        });
+    }
+
+    return slots;
+}
+
+module.exports = {
+    DAYS,
+    BLOCKING_STATUSES,
+    MAX_SEARCH_DAYS,
+    DEFAULT_SCHEDULE,
+    validateSchedule,
+    getVisitDuration,
+    findConflict,
+    isWithinWorkingHours,
+    generateSlots
+};
@@ -0,0 +1,144 @@
+const {
+    DEFAULT_SCHEDULE,
+    validateSchedule,
+    getVisitDuration,
+    findConflict,
+    isWithinWorkingHours,
+    generateSlots
+} = require('./availability');
+
+// 2024-01-08 is a Monday
+const MONDAY = '2024-01-08';
+const at = (time, day = MONDAY) => `${day}T${time}:00.000Z`;
+const booked = (id, start, end, status = 'scheduled', providerId = 'provider_1') =>
+    ({ id, providerId, startTime: at(start), endTime: at(end), status });
+
+const slotStarts = (slots) => slots.map(slot => slot.startTime.slice(11, 16));
+
+describe('validateSchedule', () => {
+    test('fills in the defaults', () => {
+        const { value } = validateSchedule({ weeklyHours: { mon: [{ start: '08:00', end: '12:00' }] } });
+
+        expect(value).toMatchObject({ utcOffset: '+00:00', breaks: [], holidays: [], visitTypes: {}, defaultDuration: 30 });
+        expect(value.weeklyHours.tue).toEqual([]);
+    });
+
+    test('reports every problem', () => {
+        const { error } = validateSchedule({
+            utcOffset: '5:30',
+            weeklyHours: { mon: [{ start: '9am', end: '17:00' }] },
+            defaultDuration: 2
+        });
+
+        expect(error).toHaveLength(3);
+    });
+});
+
+describe('getVisitDuration', () => {
+    test('uses the visit type\'s duration, else the default', () => {
+        expect(getVisitDuration(DEFAULT_SCHEDULE, 'physical')).toBe(45);
+        expect(getVisitDuration(DEFAULT_SCHEDULE, 'unknown')).toBe(30);
+        expect(getVisitDuration(DEFAULT_SCHEDULE)).toBe(30);
+    });
+});
+
+describe('findConflict', () => {
+    const appointments = [
+        booked('apt_1', '09:00', '09:30'),
+        booked('apt_2', '10:00', '10:30', 'cancelled'),
+        booked('apt_3', '11:00', '11:30', 'scheduled', 'provider_2')
+    ];
+
+    test('finds overlapping bookings of the provider', () => {
+        expect(findConflict(appointments, 'provider_1', at('09:15'), at('09:45'))).toBe(appointments[0]);
+    });
+
+    test('allows back-to-back bookings', () => {
+        expect(findConflict(appointments, 'provider_1', at('09:30'), at('10:00'))).toBeNull();
+        expect(findConflict(appointments, 'provider_1', at('08:30'), at('09:00'))).toBeNull();
+    });
+
+    test('ignores closed appointments, other providers and the appointments being moved', () => {
+        expect(findConflict(appointments, 'provider_1', at('10:00'), at('10:30'))).toBeNull();
+        expect(findConflict(appointments, 'provider_1', at('11:00'), at('11:30'))).toBeNull();
+        expect(findConflict(appointments, 'provider_1', at('09:00'), at('09:30'), 'apt_1')).toBeNull();
+        expect(findConflict(appointments, 'provider_1', at('09:00'), at('09:30'), ['apt_9', 'apt_1'])).toBeNull();
+    });
+});
+
+describe('isWithinWorkingHours', () => {
+    test('accepts times inside the working hours and outside breaks', () => {
+        expect(isWithinWorkingHours(DEFAULT_SCHEDULE, at('09:00'), at('12:00'))).toBe(true);
+        expect(isWithinWorkingHours(DEFAULT_SCHEDULE, at('13:00'), at('17:00'))).toBe(true);
+    });
+
+    test('rejects times overlapping breaks, the end of the day or days off', () => {
+        expect(isWithinWorkingHours(DEFAULT_SCHEDULE, at('11:45'), at('12:15'))).toBe(false);
+        expect(isWithinWorkingHours(DEFAULT_SCHEDULE, at('16:45'), at('17:15'))).toBe(false);
+        expect(isWithinWorkingHours(DEFAULT_SCHEDULE, at('10:00', '2024-01-07'), at('10:30', '2024-01-07'))).toBe(false);
+        expect(isWithinWorkingHours({ ...DEFAULT_SCHEDULE, holidays: [MONDAY] }, at('10:00'), at('10:30'))).toBe(false);
+    });
+
+    test('reads the hours on the provider\'s local clock', () => {
+        const schedule = { ...DEFAULT_SCHEDULE, utcOffset: '+05:30' };
+
+        // 09:00 in +05:30 is 03:30 UTC
+        expect(isWithinWorkingHours(schedule, at('03:30'), at('04:00'))).toBe(true);
+        expect(isWithinWorkingHours(schedule, at('09:00'), at('09:30'))).toBe(true);
+        expect(isWithinWorkingHours(schedule, at('12:00'), at('12:30'))).toBe(false);
+    });
+});
+
+describe('generateSlots', () => {
+    const search = (overrides = {}) => generateSlots(DEFAULT_SCHEDULE, {
+        providerId: 'provider_1',
+        from: at('00:00'),
+        to: at('23:59'),
+        appointments: [],
+        now: new Date('2024-01-01T00:00:00Z'),
+        ...overrides
+    });
+
+    test('lists the day\'s slots around the lunch break', () => {
+        const slots = search();
+
+        expect(slots).toHaveLength(14);
+        expect(slotStarts(slots)).toEqual(expect.arrayContaining(['09:00', '11:30', '13:00', '16:30']));
+        expect(slotStarts(slots)).not.toContain('12:00');
+        expect(slots[0]).toEqual({ startTime: at('09:00'), endTime: at('09:30'), duration: 30, type: null });
+    });
+
+    test('sizes slots by visit type', () => {
+        const slots = search({ type: 'physical' });
+
+        expect(slotStarts(slots)).toEqual(['09:00', '09:45', '10:30', '11:15', '13:00', '13:45', '14:30', '15:15', '16:00']);
+        expect(slots[0]).toMatchObject({ duration: 45, type: 'physical' });
+    });
+
+    test('leaves out booked and past slots', () => {
+        const slots = search({
+            appointments: [booked('apt_1', '09:00', '09:45'), booked('apt_2', '10:00', '10:30', 'cancelled')],
+            now: new Date(at('14:10'))
+        });
+
+        expect(slotStarts(slots)).toEqual(['14:30', '15:00', '15:30', '16:00', '16:30']);
+
+        const morning = search({ appointments: [booked('apt_1', '09:00', '09:45')], to: at('11:00') });
+        expect(slotStarts(morning)).toEqual(['10:00', '10:30']);
+    });
+
+    test('offers nothing on weekends and holidays', () => {
+        expect(search({ from: at('00:00', '2024-01-06'), to: at('23:59', '2024-01-07') })).toEqual([]);
+        expect(generateSlots({ ...DEFAULT_SCHEDULE, holidays: [MONDAY] }, {
+            providerId: 'provider_1', from: at('00:00'), to: at('23:59'), appointments: [], now: new Date('2024-01-01T00:00:00Z')
+        })).toEqual([]);
+    });
+
+    test('steps by the slot interval when one is set', () => {
+        const slots = generateSlots({ ...DEFAULT_SCHEDULE, slotInterval: 15 }, {
+            providerId: 'provider_1', from: at('09:00'), to: at('10:00'), appointments: [], now: new Date('2024-01-01T00:00:00Z')
+        });
+
+        expect(slotStarts(slots)).toEqual(['09:00', '09:15', '09:30']);
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * iCalendar Export
+ * Builds RFC 5545 calendars for single appointments and per-user subscription feeds
+ * Recurring series are written as one master VEVENT with RRULE/EXDATE plus
+ * RECURRENCE-ID overrides for occurrences that were moved or edited.
+ */
+
+const PRODUCT_ID = '-//OneCare Healthcare Platform//Appointments//EN';
+const UID_DOMAIN = 'onecare';
+
+// Occurrences in these states are dropped from a series with EXDATE
+const EXCLUDED_STATUSES = ['cancelled', 'rescheduled'];
+
+const ICAL_STATUS = {
+    'scheduled': 'TENTATIVE',
+    'confirmed': 'CONFIRMED',
+    'checked-in': 'CONFIRMED',
+    'in-progress': 'CONFIRMED',
+    'completed': 'CONFIRMED',
+    'no-show': 'CONFIRMED',
+    'cancelled': 'CANCELLED',
+    'rescheduled': 'CANCELLED'
+};
+
+function formatDateTime(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+function buildEvent(event) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatDateTime(event.stamp || new Date())}`
+    ];
+
+    if (event.recurrenceId) lines.push(`RECURRENCE-ID:${formatDateTime(event.recurrenceId)}`);
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    lines.push(`DTEND:${formatDateTime(event.end)}`);
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    if (event.exdates && event.exdates.length > 0) {
+        lines.push(`EXDATE:${event.exdates.map(formatDateTime).join(',')}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    lines.push('END:VEVENT');
+
+    return lines;
+}
+
+function buildCalendar(events, { name } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    events.forEach(event => lines.push(...buildEvent(event)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function appointmentEvent(appointment) {
+    return {
+        uid: `${appointment.id}@${UID_DOMAIN}`,
+        start: appointment.startTime,
+        end: appointment.endTime,
+        summary: appointment.title || 'Appointment',
+        description: appointment.description,
+        status: ICAL_STATUS[appointment.status],
+        stamp: appointment.updatedAt || appointment.createdAt
+    };
+}
+
+function seriesEvents(series, occurrences) {
+    const duration = series.duration * 60000;
+    const uid = `${series.id}@${UID_DOMAIN}`;
+
+    const exdates = [
+        ...series.exdates,
+        ...occurrences
+            .filter(apt => EXCLUDED_STATUSES.includes(apt.status))
+            .map(apt => apt.recurrenceId)
+    ];
+
+    const master = {
+        uid,
+        start: series.dtstart,
+        end: new Date(new Date(series.dtstart).getTime() + duration).toISOString(),
+        rrule: series.rrule,
+        exdates,
+        summary: series.title || 'Appointment',
+        description: series.description,
+        status: series.status === 'cancelled' ? 'CANCELLED' : undefined,
+        stamp: series.updatedAt || series.createdAt
+    };
+
+    // Occurrences that no longer match the rule's defaults become overrides
+    const overrides = occurrences
+        .filter(apt => !EXCLUDED_STATUSES.includes(apt.status))
+        .filter(apt =>
+            new Date(apt.startTime).getTime() !== new Date(apt.recurrenceId).getTime() ||
+            new Date(apt.endTime) - new Date(apt.startTime) !== duration ||
+            apt.title !== series.title ||
+            apt.description !== series.description
+        )
+        .map(apt => ({ ...appointmentEvent(apt), uid, recurrenceId: apt.recurrenceId }));
+
+    return [master, ...overrides];
+}
+
+/**
+ * Build VEVENTs for a set of appointments, collapsing recurring series.
+ */
+function calendarEvents(appointments, seriesList) {
+    const events = [];
+
+    appointments
+        .filter(apt => !apt.seriesId)
+        .forEach(apt => events.push(appointmentEvent(apt)));
+
+    seriesList.forEach(series => {
+        const occurrences = appointments.filter(apt => apt.seriesId === series.id);
+        events.push(...seriesEvents(series, occurrences));
+    });
+
+    return events;
+}
+
+module.exports = {
+    buildCalendar,
+    appointmentEvent,
+    calendarEvents
+};
@@ -0,0 +1,126 @@
+const { buildCalendar, appointmentEvent, calendarEvents } = require('./ical');
+
+const appointment = (overrides) => ({
+    id: 'apt_1',
+    title: 'Checkup',
+    description: 'Annual review',
+    status: 'confirmed',
+    startTime: '2024-01-08T09:00:00.000Z',
+    endTime: '2024-01-08T09:30:00.000Z',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    ...overrides
+});
+
+const series = {
+    id: 'series_1',
+    title: 'Physio',
+    description: 'Knee rehab',
+    rrule: 'FREQ=WEEKLY;COUNT=4',
+    dtstart: '2024-01-08T09:00:00.000Z',
+    duration: 30,
+    exdates: ['2024-01-15T09:00:00.000Z'],
+    status: 'active',
+    createdAt: '2024-01-01T00:00:00.000Z'
+};
+
+const occurrence = (week, overrides = {}) => {
+    const recurrenceId = new Date(Date.parse(series.dtstart) + week * 7 * 24 * 60 * 60 * 1000).toISOString();
+    return appointment({
+        id: `apt_s${week}`,
+        seriesId: series.id,
+        recurrenceId,
+        title: series.title,
+        description: series.description,
+        startTime: recurrenceId,
+        endTime: new Date(Date.parse(recurrenceId) + 30 * 60000).toISOString(),
+        ...overrides
+    });
+};
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+describe('buildCalendar', () => {
+    test('writes a CRLF calendar with one VEVENT per appointment', () => {
+        const ics = buildCalendar([appointmentEvent(appointment())], { name: 'OneCare - Ada' });
+
+        expect(ics.endsWith('\r\n')).toBe(true);
+        expect(ics.split('\r\n')).toEqual(expect.arrayContaining([
+            'BEGIN:VCALENDAR',
+            'X-WR-CALNAME:OneCare - Ada',
+            'BEGIN:VEVENT',
+            'UID:apt_1@onecare',
+            'DTSTAMP:20240101T000000Z',
+            'DTSTART:20240108T090000Z',
+            'DTEND:20240108T093000Z',
+            'SUMMARY:Checkup',
+            'DESCRIPTION:Annual review',
+            'STATUS:CONFIRMED',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ]));
+    });
+
+    test('escapes text values', () => {
+        const ics = buildCalendar([appointmentEvent(appointment({ title: 'Follow-up; bloods, ECG', description: 'Bring C:\\notes\nFast from 8pm' }))]);
+
+        expect(ics).toContain('SUMMARY:Follow-up\\; bloods\\, ECG\r\n');
+        expect(ics).toContain('DESCRIPTION:Bring C:\\\\notes\\nFast from 8pm\r\n');
+    });
+
+    test('folds lines over 75 octets without splitting characters', () => {
+        const description = 'Überweisung '.repeat(20).trim();
+        const ics = buildCalendar([appointmentEvent(appointment({ description }))]);
+
+        ics.split('\r\n').forEach(line => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+        expect(unfold(ics)).toContain(`DESCRIPTION:${description}\r\n`);
+    });
+
+    test('maps appointment statuses to iCalendar ones', () => {
+        expect(appointmentEvent(appointment({ status: 'scheduled' })).status).toBe('TENTATIVE');
+        expect(appointmentEvent(appointment({ status: 'completed' })).status).toBe('CONFIRMED');
+        expect(appointmentEvent(appointment({ status: 'cancelled' })).status).toBe('CANCELLED');
+    });
+});
+
+describe('calendarEvents', () => {
+    test('writes a series as one master event with its rule and exceptions', () => {
+        const occurrences = [occurrence(0), occurrence(2, { status: 'cancelled' }), occurrence(3)];
+        const [master, ...rest] = calendarEvents(occurrences, [series]);
+
+        expect(rest).toEqual([]);
+        expect(master).toMatchObject({
+            uid: 'series_1@onecare',
+            start: series.dtstart,
+            end: '2024-01-08T09:30:00.000Z',
+            rrule: 'FREQ=WEEKLY;COUNT=4',
+            exdates: ['2024-01-15T09:00:00.000Z', '2024-01-22T09:00:00.000Z']
+        });
+
+        const ics = buildCalendar([master]);
+        expect(ics).toContain('RRULE:FREQ=WEEKLY;COUNT=4\r\n');
+        expect(ics).toContain('EXDATE:20240115T090000Z,20240122T090000Z\r\n');
+    });
+
+    test('writes moved or edited occurrences as overrides of the series', () => {
+        const moved = occurrence(1, { startTime: '2024-01-15T11:00:00.000Z', endTime: '2024-01-15T11:30:00.000Z' });
+        const renamed = occurrence(3, { title: 'Physio (last session)' });
+        const events = calendarEvents([occurrence(0), moved, renamed], [series]);
+
+        expect(events.slice(1)).toEqual([
+            expect.objectContaining({ uid: 'series_1@onecare', recurrenceId: moved.recurrenceId, start: moved.startTime }),
+            expect.objectContaining({ uid: 'series_1@onecare', recurrenceId: renamed.recurrenceId, summary: 'Physio (last session)' })
+        ]);
+        expect(buildCalendar(events)).toContain('RECURRENCE-ID:20240115T090000Z\r\nDTSTART:20240115T110000Z\r\n');
+    });
+
+    test('keeps appointments outside series as single events', () => {
+        const events = calendarEvents([appointment(), occurrence(0)], [series]);
+
+        expect(events.map(event => event.uid)).toEqual(['apt_1@onecare', 'series_1@onecare']);
+    });
+
+    test('marks cancelled series as cancelled', () => {
+        const [master] = calendarEvents([], [{ ...series, status: 'cancelled' }]);
+        expect(master.status).toBe('CANCELLED');
+    });
+});
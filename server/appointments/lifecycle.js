@@ -0,0 +1,92 @@
+/**
+ * Appointment Lifecycle
+ * State machine for appointment status changes
+ * Features: allowed transitions, per-transition permissions, transition history
+ */
+
+// scheduled → confirmed → checked-in → in-progress → completed,
+// plus the terminal side exits cancelled / no-show / rescheduled
+const TRANSITIONS = {
+    'scheduled': ['confirmed', 'cancelled', 'rescheduled', 'no-show'],
+    'confirmed': ['checked-in', 'cancelled', 'rescheduled', 'no-show'],
+    'checked-in': ['in-progress', 'cancelled'],
+    'in-progress': ['completed'],
+    'completed': [],
+    'cancelled': [],
+    'no-show': [],
+    'rescheduled': []
+};
+
+// Permission (checked against the appointment) needed to move an appointment INTO each status
+const TRANSITION_PERMISSIONS = {
+    'confirmed': 'appointments:confirm',
+    'checked-in': 'appointments:write',
+    'in-progress': 'appointments:clinical',
+    'completed': 'appointments:clinical',
+    'cancelled': 'appointments:write',
+    'no-show': 'appointments:confirm',
+    'rescheduled': 'appointments:write'
+};
+
+const APPOINTMENT_STATUSES = Object.keys(TRANSITIONS);
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Check whether `appointment` may move to status `to`. `isAllowed(permission)` reports
+ * whether the acting user holds the permission for this appointment.
+ * Returns null when allowed, otherwise { status, error } ready to send back.
+ */
+function validateTransition(appointment, to, isAllowed) {
+    if (!APPOINTMENT_STATUSES.includes(to)) {
+        return { status: 400, error: `Unknown appointment status: ${to}` };
+    }
+
+    if (!canTransition(appointment.status, to)) {
+        return {
+            status: 409,
+            error: `Cannot change appointment from ${appointment.status} to ${to}`,
+            allowed: TRANSITIONS[appointment.status] || []
+        };
+    }
+
+    if (!isAllowed(TRANSITION_PERMISSIONS[to])) {
+        return { status: 403, error: `Marking an appointment ${to} requires ${TRANSITION_PERMISSIONS[to]}` };
+    }
+
+    return null;
+}
+
+function historyEntry(from, to, user, reason) {
+    return {
+        from,
+        to,
+        changedBy: user.id,
+        role: user.role,
+        reason: reason || null,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Build the changes for an already-validated transition. The caller persists them.
+ */
+function applyTransition(appointment, to, user, reason) {
+    return {
+        status: to,
+        history: [...(appointment.history || []), historyEntry(appointment.status, to, user, reason)],
+        updatedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    APPOINTMENT_STATUSES,
+    TRANSITIONS,
+    TRANSITION_PERMISSIONS,
+    canTransition,
+    validateTransition,
+    applyTransition,
+    historyEntry
+};
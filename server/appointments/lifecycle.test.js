@@ -0,0 +1,98 @@
+const {
+    APPOINTMENT_STATUSES,
+    TRANSITIONS,
+    canTransition,
+    validateTransition,
+    applyTransition
+} = require('./lifecycle');
+
+const user = { id: 'provider_1', role: 'provider' };
+const appointment = (status) => ({ id: 'apt_1', status, history: [{ from: null, to: 'scheduled', changedBy: 'patient_1' }] });
+const allowAll = () => true;
+
+describe('canTransition', () => {
+    test('follows the visit from booking to completion', () => {
+        expect(canTransition('scheduled', 'confirmed')).toBe(true);
+        expect(canTransition('confirmed', 'checked-in')).toBe(true);
+        expect(canTransition('checked-in', 'in-progress')).toBe(true);
+        expect(canTransition('in-progress', 'completed')).toBe(true);
+    });
+
+    test('does not skip steps or go back', () => {
+        expect(canTransition('scheduled', 'in-progress')).toBe(false);
+        expect(canTransition('confirmed', 'scheduled')).toBe(false);
+        expect(canTransition('in-progress', 'cancelled')).toBe(false);
+    });
+
+    test('ends at the terminal statuses', () => {
+        ['completed', 'cancelled', 'no-show', 'rescheduled'].forEach(status => {
+            expect(TRANSITIONS[status]).toEqual([]);
+            APPOINTMENT_STATUSES.forEach(to => expect(canTransition(status, to)).toBe(false));
+        });
+    });
+
+    test('knows nothing about unknown statuses', () => {
+        expect(canTransition('pending', 'confirmed')).toBe(false);
+    });
+});
+
+describe('validateTransition', () => {
+    test('allows a valid transition the user holds the permission for', () => {
+        expect(validateTransition(appointment('scheduled'), 'confirmed', allowAll)).toBeNull();
+    });
+
+    test('rejects unknown target statuses', () => {
+        expect(validateTransition(appointment('scheduled'), 'done', allowAll)).toEqual({ status: 400, error: 'Unknown appointment status: done' });
+    });
+
+    test('rejects transitions the state machine does not allow, listing the allowed ones', () => {
+        expect(validateTransition(appointment('checked-in'), 'no-show', allowAll)).toEqual({
+            status: 409,
+            error: 'Cannot change appointment from checked-in to no-show',
+            allowed: ['in-progress', 'cancelled']
+        });
+    });
+
+    test('asks for the permission of the target status', () => {
+        const isAllowed = jest.fn(permission => permission === 'appointments:write');
+
+        expect(validateTransition(appointment('scheduled'), 'cancelled', isAllowed)).toBeNull();
+        expect(validateTransition(appointment('scheduled'), 'confirmed', isAllowed)).toEqual({
+            status: 403,
+            error: 'Marking an appointment confirmed requires appointments:confirm'
+        });
+        expect(validateTransition(appointment('checked-in'), 'in-progress', isAllowed)).toEqual({
+            status: 403,
+            error: 'Marking an appointment in-progress requires appointments:clinical'
+        });
+        expect(isAllowed.mock.calls.map(([permission]) => permission)).toEqual([
+            'appointments:write', 'appointments:confirm', 'appointments:clinical'
+        ]);
+    });
+});
+
+describe('applyTransition', () => {
+    test('sets the status and appends to the history without touching the original', () => {
+        const original = appointment('scheduled');
+        const changes = applyTransition(original, 'cancelled', user, 'Feeling better');
+
+        expect(changes.status).toBe('cancelled');
+        expect(changes.history).toHaveLength(2);
+        expect(changes.history[1]).toEqual({
+            from: 'scheduled',
+            to: 'cancelled',
+            changedBy: 'provider_1',
+            role: 'provider',
+            reason: 'Feeling better',
+            timestamp: expect.any(String)
+        });
+        expect(changes.updatedAt).toEqual(expect.any(String));
+        expect(original.history).toHaveLength(1);
+    });
+
+    test('starts a history for appointments without one', () => {
+        const changes = applyTransition({ id: 'apt_2', status: 'scheduled' }, 'confirmed', user);
+
+        expect(changes.history).toEqual([expect.objectContaining({ from: 'scheduled', to: 'confirmed', reason: null })]);
+    });
+});
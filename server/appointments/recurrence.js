@@ -0,0 +1,193 @@
+/**
+ * Appointment Recurrence
+ * RFC 5545 RRULE parsing and expansion for recurring appointment series
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL and BYDAY (weekly).
+ * All arithmetic is done in UTC, matching how appointment times are stored.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Every occurrence is booked up front, so series must be bounded
+const MAX_OCCURRENCES = 104;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseUntil(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+    if (!match) return null;
+
+    const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+    return new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds));
+}
+
+/**
+ * Parse an RRULE string (with or without the leading "RRULE:").
+ * Returns { value } with the parsed rule, or { error } describing the problem.
+ */
+function parseRRule(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+        return { error: 'RRULE must be a non-empty string' };
+    }
+
+    const rule = { interval: 1 };
+    const parts = input.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+    for (const part of parts) {
+        const [rawKey, rawValue = ''] = part.split('=');
+        const key = rawKey.toUpperCase();
+        const value = rawValue.toUpperCase();
+
+        switch (key) {
+            case 'FREQ':
+                if (!FREQUENCIES.includes(value)) {
+                    return { error: `Unsupported FREQ: ${rawValue}` };
+                }
+                rule.freq = value;
+                break;
+            case 'INTERVAL':
+                rule.interval = parseInt(value, 10);
+                if (!(rule.interval >= 1)) {
+                    return { error: 'INTERVAL must be a positive integer' };
+                }
+                break;
+            case 'COUNT':
+                rule.count = parseInt(value, 10);
+                if (!(rule.count >= 1)) {
+                    return { error: 'COUNT must be a positive integer' };
+                }
+                break;
+            case 'UNTIL':
+                rule.until = parseUntil(value);
+                if (!rule.until) {
+                    return { error: 'UNTIL must be a date (YYYYMMDD) or UTC date-time (YYYYMMDDTHHMMSSZ)' };
+                }
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',');
+                if (rule.byDay.some(day => !WEEKDAYS.includes(day))) {
+                    return { error: `Unsupported BYDAY value: ${rawValue}` };
+                }
+                break;
+            case 'WKST':
+                break;
+            default:
+                return { error: `Unsupported RRULE part: ${rawKey}` };
+        }
+    }
+
+    if (!rule.freq) {
+        return { error: 'RRULE must include FREQ' };
+    }
+
+    if (rule.count && rule.until) {
+        return { error: 'RRULE cannot include both COUNT and UNTIL' };
+    }
+
+    if (!rule.count && !rule.until) {
+        return { error: 'RRULE must include COUNT or UNTIL' };
+    }
+
+    if (rule.byDay && rule.freq !== 'WEEKLY') {
+        return { error: 'BYDAY is only supported with FREQ=WEEKLY' };
+    }
+
+    return { value: rule };
+}
+
+function formatUntil(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Canonical string form, as written to the iCalendar feed
+function stringifyRRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+    return parts.join(';');
+}
+
+function addMonths(date, months) {
+    const result = new Date(date);
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+
+    // Months without the start day (e.g. the 31st) produce no instance, per RFC 5545
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    if (date.getUTCDate() > lastDay) return null;
+
+    result.setUTCDate(date.getUTCDate());
+    return result;
+}
+
+// Candidate instance starts for the k-th period of the rule, in order
+function periodInstances(rule, dtstart, k) {
+    const step = k * rule.interval;
+
+    switch (rule.freq) {
+        case 'DAILY':
+            return [new Date(dtstart.getTime() + step * DAY_MS)];
+        case 'WEEKLY': {
+            if (!rule.byDay) {
+                return [new Date(dtstart.getTime() + step * 7 * DAY_MS)];
+            }
+            // Weeks start on Monday (RFC 5545 default WKST)
+            const mondayOffset = (dtstart.getUTCDay() + 6) % 7;
+            const weekStart = dtstart.getTime() - mondayOffset * DAY_MS + step * 7 * DAY_MS;
+            return rule.byDay
+                .map(day => (WEEKDAYS.indexOf(day) + 6) % 7)
+                .sort((a, b) => a - b)
+                .map(offset => new Date(weekStart + offset * DAY_MS));
+        }
+        case 'MONTHLY':
+            return [addMonths(dtstart, step)].filter(Boolean);
+        case 'YEARLY':
+            return [addMonths(dtstart, step * 12)].filter(Boolean);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Expand a parsed rule into instance start dates.
+ * COUNT is applied before exceptions are removed, as RFC 5545 requires.
+ * Returns { value: Date[] } or { error } if the series is too long.
+ */
+function expandRRule(rule, dtstart, { exdates = [] } = {}) {
+    const excluded = new Set(exdates.map(date => new Date(date).getTime()));
+    const instances = [];
+    let generated = 0;
+
+    for (let k = 0; ; k++) {
+        const candidates = periodInstances(rule, dtstart, k);
+
+        for (const candidate of candidates) {
+            if (candidate < dtstart) continue;
+            if (rule.until && candidate > rule.until) return { value: instances };
+            if (rule.count && generated >= rule.count) return { value: instances };
+
+            generated++;
+            if (generated > MAX_OCCURRENCES) {
+                return { error: `A series cannot have more than ${MAX_OCCURRENCES} occurrences` };
+            }
+
+            if (!excluded.has(candidate.getTime())) {
+                instances.push(candidate);
+            }
+        }
+
+        // Guard against rules that never produce an instance (e.g. Feb 30th yearly)
+        if (k > MAX_OCCURRENCES * 12) {
+            return { value: instances };
+        }
+    }
+}
+
+module.exports = {
+    MAX_OCCURRENCES,
+    parseRRule,
+    stringifyRRule,
+    expandRRule
+};
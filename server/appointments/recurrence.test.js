@@ -0,0 +1,93 @@
+const { MAX_OCCURRENCES, parseRRule, stringifyRRule, expandRRule } = require('./recurrence');
+
+const expand = (rrule, dtstart, options) => {
+    const { value: rule } = parseRRule(rrule);
+    const { value, error } = expandRRule(rule, new Date(dtstart), options);
+    return error ? { error } : value.map(date => date.toISOString());
+};
+
+describe('parseRRule', () => {
+    test('parses a weekly rule with or without the RRULE: prefix', () => {
+        const expected = { freq: 'WEEKLY', interval: 2, byDay: ['MO', 'TH'], count: 6 };
+        expect(parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=6')).toEqual({ value: expected });
+        expect(parseRRule('freq=weekly;interval=2;byday=mo,th;count=6')).toEqual({ value: expected });
+    });
+
+    test('reads UNTIL as a date (end of day) or a UTC date-time', () => {
+        expect(parseRRule('FREQ=DAILY;UNTIL=20240131').value.until.toISOString()).toBe('2024-01-31T23:59:59.000Z');
+        expect(parseRRule('FREQ=DAILY;UNTIL=20240131T090000Z').value.until.toISOString()).toBe('2024-01-31T09:00:00.000Z');
+    });
+
+    test.each([
+        ['', 'RRULE must be a non-empty string'],
+        ['COUNT=3', 'RRULE must include FREQ'],
+        ['FREQ=HOURLY;COUNT=3', 'Unsupported FREQ: HOURLY'],
+        ['FREQ=DAILY', 'RRULE must include COUNT or UNTIL'],
+        ['FREQ=DAILY;COUNT=3;UNTIL=20240131', 'RRULE cannot include both COUNT and UNTIL'],
+        ['FREQ=DAILY;COUNT=0', 'COUNT must be a positive integer'],
+        ['FREQ=DAILY;INTERVAL=-1;COUNT=3', 'INTERVAL must be a positive integer'],
+        ['FREQ=DAILY;UNTIL=tomorrow', 'UNTIL must be a date (YYYYMMDD) or UTC date-time (YYYYMMDDTHHMMSSZ)'],
+        ['FREQ=WEEKLY;BYDAY=XX;COUNT=3', 'Unsupported BYDAY value: XX'],
+        ['FREQ=MONTHLY;BYDAY=MO;COUNT=3', 'BYDAY is only supported with FREQ=WEEKLY'],
+        ['FREQ=MONTHLY;BYMONTHDAY=1;COUNT=3', 'Unsupported RRULE part: BYMONTHDAY']
+    ])('rejects %j', (rrule, error) => {
+        expect(parseRRule(rrule)).toEqual({ error });
+    });
+
+    test('stringifyRRule writes the canonical form back', () => {
+        expect(stringifyRRule(parseRRule('byday=mo,we;freq=weekly;count=4').value)).toBe('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4');
+        expect(stringifyRRule(parseRRule('FREQ=DAILY;INTERVAL=3;UNTIL=20240131T090000Z').value)).toBe('FREQ=DAILY;INTERVAL=3;UNTIL=20240131T090000Z');
+    });
+});
+
+describe('expandRRule', () => {
+    test('steps daily and weekly rules by their interval', () => {
+        expect(expand('FREQ=DAILY;INTERVAL=2;COUNT=3', '2024-01-01T09:00:00Z')).toEqual([
+            '2024-01-01T09:00:00.000Z', '2024-01-03T09:00:00.000Z', '2024-01-05T09:00:00.000Z'
+        ]);
+        expect(expand('FREQ=WEEKLY;COUNT=3', '2024-01-01T09:00:00Z')).toEqual([
+            '2024-01-01T09:00:00.000Z', '2024-01-08T09:00:00.000Z', '2024-01-15T09:00:00.000Z'
+        ]);
+    });
+
+    test('expands BYDAY within each week, skipping days before the start', () => {
+        // 2024-01-03 is a Wednesday, so that week only has Friday left
+        expect(expand('FREQ=WEEKLY;BYDAY=FR,MO;COUNT=4', '2024-01-03T14:30:00Z')).toEqual([
+            '2024-01-05T14:30:00.000Z', '2024-01-08T14:30:00.000Z', '2024-01-12T14:30:00.000Z', '2024-01-15T14:30:00.000Z'
+        ]);
+    });
+
+    test('stops at UNTIL, inclusive', () => {
+        expect(expand('FREQ=DAILY;UNTIL=20240103', '2024-01-01T09:00:00Z')).toHaveLength(3);
+        expect(expand('FREQ=DAILY;UNTIL=20240103T090000Z', '2024-01-01T09:00:00Z')).toHaveLength(3);
+        expect(expand('FREQ=DAILY;UNTIL=20240103T085959Z', '2024-01-01T09:00:00Z')).toHaveLength(2);
+    });
+
+    test('skips months without the start day', () => {
+        expect(expand('FREQ=MONTHLY;COUNT=4', '2024-01-31T09:00:00Z')).toEqual([
+            '2024-01-31T09:00:00.000Z', '2024-03-31T09:00:00.000Z', '2024-05-31T09:00:00.000Z', '2024-07-31T09:00:00.000Z'
+        ]);
+        expect(expand('FREQ=YEARLY;COUNT=2', '2024-02-29T09:00:00Z')).toEqual([
+            '2024-02-29T09:00:00.000Z', '2028-02-29T09:00:00.000Z'
+        ]);
+    });
+
+    test('counts excluded dates towards COUNT', () => {
+        expect(expand('FREQ=DAILY;COUNT=3', '2024-01-01T09:00:00Z', { exdates: ['2024-01-02T09:00:00.000Z'] })).toEqual([
+            '2024-01-01T09:00:00.000Z', '2024-01-03T09:00:00.000Z'
+        ]);
+    });
+
+    test('refuses series longer than the booking limit', () => {
+        expect(expand(`FREQ=DAILY;COUNT=${MAX_OCCURRENCES}`, '2024-01-01T09:00:00Z')).toHaveLength(MAX_OCCURRENCES);
+        expect(expand(`FREQ=DAILY;COUNT=${MAX_OCCURRENCES + 1}`, '2024-01-01T09:00:00Z')).toEqual({
+            error: `A series cannot have more than ${MAX_OCCURRENCES} occurrences`
+        });
+    });
+
+    test('keeps skipping missing days until UNTIL', () => {
+        expect(expand('FREQ=YEARLY;UNTIL=20330101', '2024-02-29T09:00:00Z')).toEqual([
+            '2024-02-29T09:00:00.000Z', '2028-02-29T09:00:00.000Z', '2032-02-29T09:00:00.000Z'
+        ]);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Appointment Series Edits
+ * Plans edits of one occurrence of a recurring series or of every still-open occurrence in it
+ * New times are given for the appointment being edited and applied to the others as the same
+ * shift; series-wide shifts move the rule (DTSTART, EXDATEs, UNTIL) and each RECURRENCE-ID too.
+ */
+
+const { BLOCKING_STATUSES } = require('./availability');
+const { validateTransition } = require('./lifecycle');
+const { parseRRule, stringifyRRule } = require('./recurrence');
+
+const EDIT_SCOPES = ['occurrence', 'series'];
+
+/**
+ * Check whether `appointment` may be edited at `scope`.
+ * Returns null when it may, otherwise { status, error } ready to send back.
+ */
+function validateEdit(appointment, scope) {
+    if (!EDIT_SCOPES.includes(scope)) {
+        return { status: 400, error: 'scope must be occurrence or series' };
+    }
+
+    if (scope === 'series' && !appointment.seriesId) {
+        return { status: 400, error: 'Appointment is not part of a series' };
+    }
+
+    if (!BLOCKING_STATUSES.includes(appointment.status)) {
+        return { status: 409, error: `Cannot edit a ${appointment.status} appointment` };
+    }
+
+    return null;
+}
+
+// The appointment itself, or every still-open occurrence of its series
+function editTargets(appointment, appointments, scope) {
+    return scope === 'series'
+        ? appointments.filter(apt => apt.seriesId === appointment.seriesId && BLOCKING_STATUSES.includes(apt.status))
+        : [appointment];
+}
+
+/**
+ * New times for each target from the edited appointment's new startTime/endTime (either may
+ * be left out: the start stays, the length is kept). Returns { error } or
+ * { value: { planned: [{ apt, start, end }], shift, duration, timesChanged } }, in ms.
+ */
+function planTimes(appointment, targets, { startTime, endTime } = {}) {
+    const currentStart = new Date(appointment.startTime);
+    const currentDuration = new Date(appointment.endTime) - currentStart;
+
+    const newStart = startTime ? new Date(startTime) : currentStart;
+    const newEnd = endTime ? new Date(endTime) : new Date(newStart.getTime() + currentDuration);
+    if (isNaN(newStart) || isNaN(newEnd) || newEnd <= newStart) {
+        return { error: 'endTime must be after startTime' };
+    }
+
+    const shift = newStart - currentStart;
+    const duration = newEnd - newStart;
+    const planned = targets.map(apt => {
+        const start = new Date(new Date(apt.startTime).getTime() + shift);
+        return { apt, start, end: new Date(start.getTime() + duration) };
+    });
+
+    return { value: { planned, shift, duration, timesChanged: shift !== 0 || duration !== currentDuration } };
+}
+
+const shiftDate = (date, shift) => new Date(new Date(date).getTime() + shift).toISOString();
+
+/**
+ * Changes to the series record for a series-wide edit: the edited details, the new length and,
+ * when the times moved, the rule's start, exceptions and UNTIL. Each occurrence's recurrenceId
+ * moves by the same `shift` (see shiftDate).
+ */
+function seriesChanges(series, { details = {}, shift, duration, now = new Date().toISOString() }) {
+    const changes = { ...details, duration: duration / 60000, updatedAt: now };
+    if (shift === 0) {
+        return changes;
+    }
+
+    changes.dtstart = shiftDate(series.dtstart, shift);
+    changes.exdates = series.exdates.map(date => shiftDate(date, shift));
+
+    const { value: rule } = parseRRule(series.rrule);
+    if (rule.until) {
+        rule.until = new Date(rule.until.getTime() + shift);
+        changes.rrule = stringifyRRule(rule);
+    }
+    return changes;
+}
+
+// Occurrences of the series that the user may still cancel; `isAllowed(apt, permission)`
+function seriesCancellations(appointment, appointments, isAllowed) {
+    return appointments.filter(apt => apt.seriesId === appointment.seriesId &&
+        !validateTransition(apt, 'cancelled', permission => isAllowed(apt, permission)));
+}
+
+module.exports = {
+    EDIT_SCOPES,
+    validateEdit,
+    editTargets,
+    planTimes,
+    shiftDate,
+    seriesChanges,
+    seriesCancellations
+};
@@ -0,0 +1,135 @@
+const { validateEdit, editTargets, planTimes, shiftDate, seriesChanges, seriesCancellations } = require('./series');
+
+const HOUR = 60 * 60 * 1000;
+const WEEK = 7 * 24 * HOUR;
+
+const series = {
+    id: 'series_1',
+    rrule: 'FREQ=WEEKLY;UNTIL=20240129T235959Z',
+    dtstart: '2024-01-08T09:00:00.000Z',
+    duration: 30,
+    exdates: ['2024-01-15T09:00:00.000Z']
+};
+
+// Weekly occurrences from 2024-01-08 09:00, the week-1 one an exception
+const occurrence = (week, status = 'scheduled') => {
+    const start = shiftDate(series.dtstart, week * WEEK);
+    return {
+        id: `apt_${week}`,
+        seriesId: series.id,
+        recurrenceId: start,
+        startTime: start,
+        endTime: shiftDate(start, HOUR / 2),
+        status
+    };
+};
+
+const appointments = [
+    occurrence(0, 'completed'),
+    occurrence(2),
+    occurrence(3, 'confirmed'),
+    { id: 'apt_other', seriesId: 'series_2', startTime: '2024-01-22T10:00:00.000Z', endTime: '2024-01-22T10:30:00.000Z', status: 'scheduled' },
+    { id: 'apt_single', startTime: '2024-01-23T10:00:00.000Z', endTime: '2024-01-23T10:30:00.000Z', status: 'scheduled' }
+];
+
+const times = (plan) => plan.planned.map(({ apt, start, end }) => [apt.id, start.toISOString(), end.toISOString()]);
+
+describe('validateEdit', () => {
+    test('allows open appointments at either scope', () => {
+        expect(validateEdit(occurrence(2), 'occurrence')).toBeNull();
+        expect(validateEdit(occurrence(2), 'series')).toBeNull();
+        expect(validateEdit(appointments[4], 'occurrence')).toBeNull();
+    });
+
+    test('rejects unknown scopes, series edits outside a series and closed appointments', () => {
+        expect(validateEdit(occurrence(2), 'following')).toEqual({ status: 400, error: 'scope must be occurrence or series' });
+        expect(validateEdit(appointments[4], 'series')).toEqual({ status: 400, error: 'Appointment is not part of a series' });
+        expect(validateEdit(occurrence(0, 'completed'), 'occurrence')).toEqual({ status: 409, error: 'Cannot edit a completed appointment' });
+    });
+});
+
+describe('editTargets', () => {
+    test('an occurrence edit touches only that appointment', () => {
+        expect(editTargets(appointments[1], appointments, 'occurrence')).toEqual([appointments[1]]);
+    });
+
+    test('a series edit touches the series\' open occurrences only', () => {
+        expect(editTargets(appointments[1], appointments, 'series').map(apt => apt.id)).toEqual(['apt_2', 'apt_3']);
+    });
+});
+
+describe('planTimes', () => {
+    test('moving one occurrence leaves the rest of the series alone', () => {
+        const { value } = planTimes(appointments[1], [appointments[1]], { startTime: '2024-01-22T11:00:00.000Z' });
+
+        expect(times(value)).toEqual([['apt_2', '2024-01-22T11:00:00.000Z', '2024-01-22T11:30:00.000Z']]);
+        expect(value).toMatchObject({ shift: 2 * HOUR, duration: HOUR / 2, timesChanged: true });
+    });
+
+    test('moving the series shifts every target by the edited appointment\'s move', () => {
+        const targets = editTargets(appointments[1], appointments, 'series');
+        const { value } = planTimes(appointments[1], targets, { startTime: '2024-01-22T08:00:00.000Z', endTime: '2024-01-22T09:00:00.000Z' });
+
+        expect(times(value)).toEqual([
+            ['apt_2', '2024-01-22T08:00:00.000Z', '2024-01-22T09:00:00.000Z'],
+            ['apt_3', '2024-01-29T08:00:00.000Z', '2024-01-29T09:00:00.000Z']
+        ]);
+    });
+
+    test('a new end time alone changes the length, not the start', () => {
+        const { value } = planTimes(appointments[1], [appointments[1]], { endTime: '2024-01-22T10:00:00.000Z' });
+
+        expect(value).toMatchObject({ shift: 0, duration: HOUR, timesChanged: true });
+    });
+
+    test('details-only edits keep the times', () => {
+        const { value } = planTimes(appointments[1], [appointments[1]], {});
+
+        expect(times(value)).toEqual([['apt_2', appointments[1].startTime, appointments[1].endTime]]);
+        expect(value.timesChanged).toBe(false);
+    });
+
+    test('rejects an end before the start', () => {
+        expect(planTimes(appointments[1], [appointments[1]], { startTime: '2024-01-22T10:00:00.000Z', endTime: '2024-01-22T09:00:00.000Z' }))
+            .toEqual({ error: 'endTime must be after startTime' });
+        expect(planTimes(appointments[1], [appointments[1]], { startTime: 'soon' })).toEqual({ error: 'endTime must be after startTime' });
+    });
+});
+
+describe('seriesChanges', () => {
+    test('without a move, records the details and length only', () => {
+        expect(seriesChanges(series, { details: { title: 'Physio' }, shift: 0, duration: HOUR, now: 'now' }))
+            .toEqual({ title: 'Physio', duration: 60, updatedAt: 'now' });
+    });
+
+    test('a move shifts the rule\'s start, exceptions and UNTIL', () => {
+        expect(seriesChanges(series, { shift: -HOUR, duration: HOUR / 2, now: 'now' })).toEqual({
+            duration: 30,
+            updatedAt: 'now',
+            dtstart: '2024-01-08T08:00:00.000Z',
+            exdates: ['2024-01-15T08:00:00.000Z'],
+            rrule: 'FREQ=WEEKLY;UNTIL=20240129T225959Z'
+        });
+    });
+
+    test('COUNT rules keep their rule', () => {
+        const changes = seriesChanges({ ...series, rrule: 'FREQ=WEEKLY;COUNT=4' }, { shift: HOUR, duration: HOUR / 2 });
+
+        expect(changes).not.toHaveProperty('rrule');
+        expect(changes.dtstart).toBe('2024-01-08T10:00:00.000Z');
+    });
+});
+
+describe('seriesCancellations', () => {
+    test('cancels the open occurrences the user may cancel', () => {
+        const allowed = seriesCancellations(appointments[1], appointments, () => true);
+        expect(allowed.map(apt => apt.id)).toEqual(['apt_2', 'apt_3']);
+    });
+
+    test('skips occurrences the user lacks the permission for', () => {
+        const isAllowed = jest.fn((apt, permission) => permission === 'appointments:write' && apt.id !== 'apt_3');
+
+        expect(seriesCancellations(appointments[1], appointments, isAllowed).map(apt => apt.id)).toEqual(['apt_2']);
+        expect(isAllowed).toHaveBeenCalledWith(appointments[2], 'appointments:write');
+    });
+});
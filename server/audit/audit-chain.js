@@ -0,0 +1,300 @@
+/**
+ * Audit Chain
+ * Tamper-evident, append-only audit trail shared by the platform services
+ * Features: SHA-256 hash chain (each entry carries the previous entry's hash), HMAC-signed
+ * checkpoints, chain verification reporting the first broken link, retention that moves old
+ * entries into read-only archive segments instead of discarding them
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('../storage/store');
+
+// prevHash of the first entry in a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with object keys sorted, so a hash does not depend on property order
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function entryHash(entry) {
+    const { hash, ...content } = entry;
+    return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+const sha256File = (filePath) => crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+class AuditChain {
+    /**
+     * entries, checkpoints and archives are store collections (see server/storage/store.js).
+     * secret signs checkpoints; archiveDir receives archived segments.
+     */
+    constructor({ entries, checkpoints, archives, secret, archiveDir }) {
+        this.entries = entries;
+        this.checkpoints = checkpoints;
+        this.archives = archives;
+        this.secret = secret;
+        this.archiveDir = archiveDir;
+        this.tip = null;
+    }
+
+    // Sequence number and hash of the latest entry, live or archived
+    head() {
+        if (!this.tip) {
+            this.tip = this.findHead();
+        }
+        return { ...this.tip };
+    }
+
+    findHead() {
+        const live = this.entries.all();
+        if (live.length > 0) {
+            const last = live[live.length - 1];
+            return { seq: last.seq, hash: last.hash };
+        }
+
+        const archived = this.archives.all();
+        if (archived.length > 0) {
+            const last = archived[archived.length - 1];
+            return { seq: last.toSeq, hash: last.lastHash };
+        }
+
+        return { seq: 0, hash: GENESIS_HASH };
+    }
+
+    // Append an entry to the chain and return the stored copy
+    append(fields) {
+        const { seq, hash } = this.head();
+        const entry = {
+            ...fields,
+            id: fields.id || `log_${seq + 1}`,
+            timestamp: fields.timestamp || new Date().toISOString(),
+            seq: seq + 1,
+            prevHash: hash
+        };
+        entry.hash = entryHash(entry);
+
+        this.entries.insert(entry);
+        this.tip = { seq: entry.seq, hash: entry.hash };
+        return { ...entry };
+    }
+
+    sign(checkpoint) {
+        return crypto.createHmac('sha256', this.secret)
+            .update(`${checkpoint.seq}:${checkpoint.hash}:${checkpoint.createdAt}`)
+            .digest('hex');
+    }
+
+    // Sign the current head. Returns null when nothing was appended since the last checkpoint.
+    checkpoint() {
+        const { seq, hash } = this.head();
+        const checkpoints = this.checkpoints.all();
+        const last = checkpoints[checkpoints.length - 1];
+        if (seq === 0 || (last && last.seq === seq)) {
+            return null;
+        }
+
+        const checkpoint = { id: `ckpt_${seq}`, seq, hash, createdAt: new Date().toISOString() };
+        checkpoint.signature = this.sign(checkpoint);
+        return this.checkpoints.insert(checkpoint);
+    }
+
+    /**
+     * Move entries older than `before` (a Date) out of the live log into a read-only
+     * JSONL segment in archiveDir. Returns the archive record, or null if nothing is due.
+     */
+    archive(before) {
+        const live = this.entries.all();
+        const due = [];
+        for (const entry of live) {
+            // Only a prefix can move, so the live log always continues the archived chain
+            if (new Date(entry.timestamp) >= before) break;
+            due.push(entry);
+        }
+        if (due.length === 0) {
+            return null;
+        }
+
+        const first = due[0];
+        const last = due[due.length - 1];
+        const file = `audit-${String(first.seq).padStart(10, '0')}-${String(last.seq).padStart(10, '0')}.jsonl`;
+        const filePath = path.join(this.archiveDir, file);
+
+        fs.mkdirSync(this.archiveDir, { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, due.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+        fs.chmodSync(filePath, 0o444);
+
+        const record = this.archives.insert({
+            id: `archive_${first.seq}_${last.seq}`,
+            file,
+            fromSeq: first.seq,
+            toSeq: last.seq,
+            firstPrevHash: first.prevHash,
+            lastHash: last.hash,
+            entryCount: due.length,
+            sha256: sha256File(filePath),
+            archivedAt: new Date().toISOString()
+        });
+
+        this.entries.removeWhere(entry => entry.seq <= last.seq);
+        return record;
+    }
+
+    // Entries in archive segments, oldest first (missing segments are skipped)
+    * archivedEntries() {
+        for (const archive of this.archives.all()) {
+            const filePath = path.join(this.archiveDir, archive.file);
+            if (!fs.existsSync(filePath)) continue;
+
+            const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+            for (const line of lines) {
+                yield JSON.parse(line);
+            }
+        }
+    }
+
+    /**
+     * Archive entries older than retentionDays and sign a checkpoint now and then every
+     * intervalMinutes. The timer does not keep the process alive.
+     */
+    scheduleMaintenance({ retentionDays, intervalMinutes }) {
+        const run = () => {
+            try {
+                this.archive(new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000));
+                this.checkpoint();
+            } catch (error) {
+                console.error('Audit maintenance failed:', error.message);
+            }
+        };
+
+        run();
+        return setInterval(run, intervalMinutes * 60 * 1000).unref();
+    }
+
+    /**
+     * Walk the archived and live chain and check every checkpoint.
+     * Returns { valid, checkedEntries, checkedCheckpoints, head, firstBrokenLink } where
+     * firstBrokenLink is null or { seq, id, reason }.
+     */
+    verify() {
+        let expected = { seq: 0, hash: GENESIS_HASH };
+        let checkedEntries = 0;
+        const hashes = new Map();
+
+        const report = (firstBrokenLink) => ({
+            valid: !firstBrokenLink,
+            checkedEntries,
+            checkedCheckpoints: this.checkpoints.count(),
+            head: this.head(),
+            firstBrokenLink
+        });
+
+        const checkEntry = (entry) => {
+            if (entry.seq !== expected.seq + 1) {
+                return { seq: expected.seq + 1, id: entry.id, reason: `Entry missing or out of order (found seq ${entry.seq})` };
+            }
+            if (entry.prevHash !== expected.hash) {
+                return { seq: entry.seq, id: entry.id, reason: 'prevHash does not match the previous entry' };
+            }
+            if (entryHash(entry) !== entry.hash) {
+                return { seq: entry.seq, id: entry.id, reason: 'Entry contents do not match its hash' };
+            }
+            expected = { seq: entry.seq, hash: entry.hash };
+            hashes.set(entry.seq, entry.hash);
+            checkedEntries++;
+            return null;
+        };
+
+        for (const archive of this.archives.all()) {
+            const filePath = path.join(this.archiveDir, archive.file);
+            if (!fs.existsSync(filePath)) {
+                return report({ seq: archive.fromSeq, id: archive.id, reason: `Archive segment ${archive.file} is missing` });
+            }
+            if (sha256File(filePath) !== archive.sha256) {
+                return report({ seq: archive.fromSeq, id: archive.id, reason: `Archive segment ${archive.file} was modified` });
+            }
+
+            const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+            for (const line of lines) {
+                const broken = checkEntry(JSON.parse(line));
+                if (broken) return report(broken);
+            }
+        }
+
+        for (const entry of this.entries.all()) {
+            const broken = checkEntry(entry);
+            if (broken) return report(broken);
+        }
+
+        // Checkpoints catch a rewritten or truncated chain that is otherwise self-consistent
+        for (const checkpoint of this.checkpoints.all()) {
+            const signature = Buffer.from(this.sign(checkpoint), 'hex');
+            const stored = Buffer.from(String(checkpoint.signature), 'hex');
+            if (stored.length !== signature.length || !crypto.timingSafeEqual(stored, signature)) {
+                return report({ seq: checkpoint.seq, id: checkpoint.id, reason: 'Checkpoint signature is invalid' });
+            }
+            if (!hashes.has(checkpoint.seq)) {
+                return report({ seq: checkpoint.seq, id: checkpoint.id, reason: 'Entries covered by a signed checkpoint were removed' });
+            }
+            if (hashes.get(checkpoint.seq) !== checkpoint.hash) {
+                return report({ seq: checkpoint.seq, id: checkpoint.id, reason: 'Entry does not match its signed checkpoint' });
+            }
+        }
+
+        return report(null);
+    }
+}
+
+const auditMigrations = [
+    {
+        version: 1,
+        description: 'Create audit chain collections',
+        up(data) {
+            ['auditLogs', 'auditCheckpoints', 'auditArchives'].forEach(name => {
+                data.collections[name] = data.collections[name] || [];
+            });
+        }
+    }
+];
+
+/**
+ * Standalone audit chain with its own store, for services without a platform data store.
+ * Archives go to a directory named after the store file ("screening-audit.json" archives into
+ * "screening-audit-archive"), so services sharing a data directory keep their segments apart.
+ */
+function createAuditChain({ driver = 'file', filePath, secret }) {
+    const store = createStore({ driver, filePath, migrations: auditMigrations });
+    return new AuditChain({
+        entries: store.auditLogs,
+        checkpoints: store.auditCheckpoints,
+        archives: store.auditArchives,
+        secret,
+        archiveDir: path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}-archive`)
+    });
+}
+
+module.exports = {
+    GENESIS_HASH,
+    canonicalJson,
+    AuditChain,
+    createAuditChain
+};
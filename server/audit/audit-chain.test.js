@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestStore } = require('../storage/test-store');
+const { GENESIS_HASH, canonicalJson, AuditChain, createAuditChain } = require('./audit-chain');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('canonicalJson', () => {
+    test('does not depend on property order', () => {
+        expect(canonicalJson({ b: 1, a: { d: [1, 2], c: null } })).toBe(canonicalJson({ a: { c: null, d: [1, 2] }, b: 1 }));
+    });
+
+    test('leaves out undefined properties', () => {
+        expect(canonicalJson({ a: 1, b: undefined })).toBe('{"a":1}');
+    });
+});
+
+describe('AuditChain', () => {
+    let dir;
+    let chain;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-chain-'));
+        const store = createTestStore();
+        chain = new AuditChain({
+            entries: store.auditLogs,
+            checkpoints: store.auditCheckpoints,
+            archives: store.auditArchives,
+            secret: 'test-secret',
+            archiveDir: path.join(dir, 'audit-archive')
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const appendDays = (days) => days.map((daysAgo, index) => chain.append({
+        action: `action_${index + 1}`,
+        userId: 'admin_001',
+        timestamp: new Date(Date.now() - daysAgo * DAY).toISOString()
+    }));
+
+    test('links each entry to the previous one', () => {
+        const [first, second] = appendDays([2, 1]);
+
+        expect(first).toMatchObject({ seq: 1, prevHash: GENESIS_HASH });
+        expect(second).toMatchObject({ seq: 2, prevHash: first.hash });
+        expect(chain.head()).toEqual({ seq: 2, hash: second.hash });
+    });
+
+    test('verifies an untouched chain', () => {
+        appendDays([3, 2, 1]);
+        chain.checkpoint();
+
+        expect(chain.verify()).toMatchObject({ valid: true, checkedEntries: 3, checkedCheckpoints: 1, firstBrokenLink: null });
+    });
+
+    test('reports the first entry whose contents were changed', () => {
+        appendDays([3, 2, 1]);
+        chain.entries.findById('log_2').action = 'nothing_to_see';
+
+        expect(chain.verify()).toMatchObject({
+            valid: false,
+            checkedEntries: 1,
+            firstBrokenLink: { seq: 2, id: 'log_2', reason: 'Entry contents do not match its hash' }
+        });
+    });
+
+    test('reports a removed entry', () => {
+        appendDays([3, 2, 1]);
+        chain.entries.remove('log_2');
+
+        expect(chain.verify().firstBrokenLink).toMatchObject({ seq: 2, id: 'log_3' });
+    });
+
+    test('reports entries cut from the end of the chain after a checkpoint', () => {
+        appendDays([3, 2, 1]);
+        chain.checkpoint();
+        chain.entries.remove('log_3');
+
+        expect(chain.verify().firstBrokenLink).toEqual({
+            seq: 3,
+            id: 'ckpt_3',
+            reason: 'Entries covered by a signed checkpoint were removed'
+        });
+    });
+
+    test('reports a forged checkpoint', () => {
+        appendDays([1]);
+        const checkpoint = chain.checkpoint();
+        chain.checkpoints.update(checkpoint.id, { signature: 'ab'.repeat(32) });
+
+        expect(chain.verify().firstBrokenLink).toMatchObject({ reason: 'Checkpoint signature is invalid' });
+    });
+
+    test('signs a checkpoint only when the chain has grown', () => {
+        expect(chain.checkpoint()).toBeNull();
+        appendDays([1]);
+        expect(chain.checkpoint()).toMatchObject({ id: 'ckpt_1', seq: 1 });
+        expect(chain.checkpoint()).toBeNull();
+    });
+
+    test('archives old entries into a read-only segment the chain still verifies through', () => {
+        appendDays([40, 35, 1]);
+        const record = chain.archive(new Date(Date.now() - 30 * DAY));
+
+        expect(record).toMatchObject({ fromSeq: 1, toSeq: 2, entryCount: 2 });
+        expect(chain.entries.all().map(entry => entry.seq)).toEqual([3]);
+        expect([...chain.archivedEntries()].map(entry => entry.seq)).toEqual([1, 2]);
+        expect(fs.statSync(path.join(dir, 'audit-archive', record.file)).mode & 0o222).toBe(0);
+
+        expect(chain.append({ action: 'after_archive' })).toMatchObject({ seq: 4 });
+        expect(chain.verify()).toMatchObject({ valid: true, checkedEntries: 4 });
+    });
+
+    test('reports a modified archive segment', () => {
+        appendDays([40, 1]);
+        const record = chain.archive(new Date(Date.now() - 30 * DAY));
+        const filePath = path.join(dir, 'audit-archive', record.file);
+        fs.chmodSync(filePath, 0o644);
+        fs.appendFileSync(filePath, '\n');
+
+        expect(chain.verify().firstBrokenLink).toMatchObject({ reason: `Archive segment ${record.file} was modified` });
+    });
+
+    test('does not archive anything newer than the cut-off', () => {
+        appendDays([1]);
+        expect(chain.archive(new Date(Date.now() - 30 * DAY))).toBeNull();
+    });
+});
+
+describe('createAuditChain', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-services-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('gives services sharing a data directory their own archive directories', () => {
+        const old = new Date(Date.now() - 40 * DAY).toISOString();
+        const chains = ['health-records-audit', 'screening-audit'].map(name =>
+            createAuditChain({ driver: 'memory', filePath: path.join(dir, `${name}.json`), secret: 'test-secret' }));
+
+        chains.forEach((chain, index) => {
+            chain.append({ action: `service_${index}`, timestamp: old });
+            chain.archive(new Date());
+        });
+
+        expect(fs.readdirSync(dir).sort()).toEqual(['health-records-audit-archive', 'screening-audit-archive']);
+        chains.forEach(chain => expect(chain.verify()).toMatchObject({ valid: true, checkedEntries: 1 }));
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * Audit Log Queries
+ * Filtering, sorting and cursor pagination for audit log listings and exports
+ * Features: time range (explicit or preset), user/role/action/resource/status/IP filters,
+ * free-text search, stable sort with opaque cursors
+ */
+
+const Joi = require('joi');
+
+const AUDIT_SORT_FIELDS = ['timestamp', 'seq', 'action', 'resource', 'status', 'userId', 'ipAddress'];
+
+const AUDIT_EXPORT_COLUMNS = [
+    'seq', 'id', 'timestamp', 'userId', 'userRole', 'action', 'resource',
+    'status', 'ipAddress', 'userAgent', 'details', 'hash'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const auditQuerySchema = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    // Presets used by admin-audit-logs.html; 'custom' (or none) means from/to
+    dateRange: Joi.string().valid('today', 'yesterday', 'week', 'month', 'custom', 'all'),
+    userId: Joi.string(),
+    userRole: Joi.string(),
+    action: Joi.string(),
+    resource: Joi.string(),
+    status: Joi.string().valid('success', 'error', 'pending'),
+    // Exact address or a prefix such as "10.0."
+    ip: Joi.string(),
+    search: Joi.string().allow(''),
+    sort: Joi.string().valid(...AUDIT_SORT_FIELDS).default('timestamp'),
+    order: Joi.string().valid('asc', 'desc').default('desc'),
+    limit: Joi.number().integer().min(1).max(500).default(50),
+    cursor: Joi.string(),
+    format: Joi.string().valid('json', 'csv', 'ndjson').default('json'),
+    includeArchived: Joi.boolean().default(false)
+})
+    .rename('actionType', 'action', { ignoreUndefined: true, override: true })
+    .custom((query, helpers) => {
+        if (query.from && query.to && query.from > query.to) {
+            return helpers.message('"from" must be before "to"');
+        }
+        return query;
+    });
+
+function decodeCursor(cursor) {
+    try {
+        const [value, seq] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Number.isInteger(seq) ? { value, seq } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+const encodeCursor = (entry, sort) => Buffer.from(JSON.stringify([entry[sort] ?? null, entry.seq])).toString('base64url');
+
+// [from, to) for a dateRange preset, relative to `now`
+function presetRange(dateRange, now) {
+    const midnight = new Date(now);
+    midnight.setHours(0, 0, 0, 0);
+
+    switch (dateRange) {
+        case 'today':
+            return { from: midnight, to: null };
+        case 'yesterday':
+            return { from: new Date(midnight.getTime() - DAY_MS), to: midnight };
+        case 'week':
+            return { from: new Date(now.getTime() - 7 * DAY_MS), to: null };
+        case 'month':
+            return { from: new Date(now.getTime() - 30 * DAY_MS), to: null };
+        default:
+            return { from: null, to: null };
+    }
+}
+
+/**
+ * Validate and normalise query-string parameters.
+ * Returns { value } or { error: [messages] }.
+ */
+function parseAuditQuery(input, now = new Date()) {
+    const { error, value } = auditQuerySchema.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+
+    if (value.cursor) {
+        value.cursor = decodeCursor(value.cursor);
+        if (!value.cursor) {
+            return { error: ['"cursor" is invalid'] };
+        }
+    }
+
+    if (value.dateRange && !['custom', 'all'].includes(value.dateRange)) {
+        Object.assign(value, presetRange(value.dateRange, now));
+    }
+
+    return { value };
+}
+
+// `roleOf(userId)` resolves the role used by the userRole filter
+function matchesAuditQuery(entry, query, roleOf) {
+    const time = new Date(entry.timestamp);
+    if (query.from && time < query.from) return false;
+    if (query.to && time >= query.to) return false;
+    if (query.userId && entry.userId !== query.userId) return false;
+    if (query.userRole && roleOf(entry.userId) !== query.userRole) return false;
+    if (query.action && entry.action !== query.action) return false;
+    if (query.resource && String(entry.resource).toLowerCase() !== query.resource.toLowerCase()) return false;
+    if (query.status && entry.status !== query.status) return false;
+    if (query.ip && !String(entry.ipAddress || '').startsWith(query.ip)) return false;
+
+    if (query.search) {
+        const search = query.search.toLowerCase();
+        return ['details', 'resource', 'action', 'userId']
+            .some(field => String(entry[field] || '').toLowerCase().includes(search));
+    }
+    return true;
+}
+
+// Order by the sort field, then seq, so every entry has a unique position for cursors
+function compareEntries(a, b, { sort, order }) {
+    const direction = order === 'asc' ? 1 : -1;
+    const left = a[sort] ?? '';
+    const right = b[sort] ?? '';
+    if (left < right) return -direction;
+    if (left > right) return direction;
+    return (a.seq - b.seq) * direction;
+}
+
+/**
+ * Filter and sort entries. For JSON listings, returns one page after the cursor
+ * with the cursor for the next page (null on the last page).
+ */
+function queryAuditEntries(entries, query, roleOf) {
+    const matching = entries
+        .filter(entry => matchesAuditQuery(entry, query, roleOf))
+        .sort((a, b) => compareEntries(a, b, query));
+
+    if (query.format !== 'json') {
+        return { entries: matching, total: matching.length, nextCursor: null };
+    }
+
+    let start = 0;
+    if (query.cursor) {
+        const position = { [query.sort]: query.cursor.value, seq: query.cursor.seq };
+        start = matching.findIndex(entry => compareEntries(entry, position, query) > 0);
+        if (start === -1) start = matching.length;
+    }
+
+    const page = matching.slice(start, start + query.limit);
+    const hasMore = start + query.limit < matching.length;
+
+    return {
+        entries: page,
+        total: matching.length,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], query.sort) : null
+    };
+}
+
+module.exports = {
+    AUDIT_SORT_FIELDS,
+    AUDIT_EXPORT_COLUMNS,
+    parseAuditQuery,
+    matchesAuditQuery,
+    queryAuditEntries
+};
@@ -0,0 +1,119 @@
+const { parseAuditQuery, matchesAuditQuery, queryAuditEntries } = require('./audit-query');
+
+const roles = { admin_1: 'admin', provider_1: 'provider', patient_1: 'patient' };
+const roleOf = (userId) => roles[userId];
+
+const entry = (seq, fields) => ({
+    id: `log_${seq}`,
+    seq,
+    timestamp: new Date(Date.UTC(2024, 5, 1, 8 + seq)).toISOString(),
+    userId: 'admin_1',
+    action: 'view',
+    resource: 'user',
+    status: 'success',
+    ipAddress: '10.0.0.1',
+    details: '',
+    ...fields
+});
+
+const entries = [
+    entry(1, { action: 'login', resource: 'session', userId: 'patient_1', ipAddress: '203.0.113.7' }),
+    entry(2, { action: 'update', resource: 'Appointment', userId: 'provider_1', details: 'Rescheduled follow-up' }),
+    entry(3, { action: 'delete', status: 'error', details: 'User not found' }),
+    entry(4, { action: 'login', resource: 'session', userId: 'provider_1', ipAddress: '10.0.4.2' }),
+    entry(5, { action: 'export', resource: 'audit log' })
+];
+
+const query = (input) => {
+    const { value, error } = parseAuditQuery(input, new Date('2024-06-01T15:30:00Z'));
+    if (error) throw new Error(error.join('; '));
+    return value;
+};
+
+const ids = (result) => result.entries.map(item => item.seq);
+
+describe('parseAuditQuery', () => {
+    test('applies the defaults', () => {
+        expect(query({})).toEqual({ sort: 'timestamp', order: 'desc', limit: 50, format: 'json', includeArchived: false });
+    });
+
+    test('accepts the page\'s actionType as action', () => {
+        expect(query({ actionType: 'login' }).action).toBe('login');
+    });
+
+    test('turns a date preset into a range', () => {
+        expect(query({ dateRange: 'week' })).toMatchObject({ from: new Date('2024-05-25T15:30:00Z'), to: null });
+
+        const midnight = new Date('2024-06-01T15:30:00Z');
+        midnight.setHours(0, 0, 0, 0);
+        expect(query({ dateRange: 'yesterday' })).toMatchObject({ from: new Date(midnight.getTime() - 24 * 60 * 60 * 1000), to: midnight });
+        expect(query({ dateRange: 'custom', from: '2024-06-01' }).from).toEqual(new Date('2024-06-01'));
+    });
+
+    test('rejects bad values, reversed ranges and forged cursors', () => {
+        expect(parseAuditQuery({ sort: 'password', limit: 0 }).error).toHaveLength(2);
+        expect(parseAuditQuery({ from: '2024-06-02', to: '2024-06-01' }).error).toEqual(['"from" must be before "to"']);
+        expect(parseAuditQuery({ cursor: 'not-a-cursor' }).error).toEqual(['"cursor" is invalid']);
+    });
+});
+
+describe('matchesAuditQuery', () => {
+    const matching = (input) => entries.filter(item => matchesAuditQuery(item, query(input), roleOf)).map(item => item.seq);
+
+    test('filters by each field', () => {
+        expect(matching({ userId: 'provider_1' })).toEqual([2, 4]);
+        expect(matching({ userRole: 'admin' })).toEqual([3, 5]);
+        expect(matching({ action: 'login' })).toEqual([1, 4]);
+        expect(matching({ resource: 'appointment' })).toEqual([2]);
+        expect(matching({ status: 'error' })).toEqual([3]);
+        expect(matching({ ip: '10.0.' })).toEqual([2, 3, 4, 5]);
+    });
+
+    test('limits by time, `to` exclusive', () => {
+        expect(matching({ from: entries[1].timestamp, to: entries[3].timestamp })).toEqual([2, 3]);
+    });
+
+    test('searches details, resource, action and user case-insensitively', () => {
+        expect(matching({ search: 'FOLLOW-UP' })).toEqual([2]);
+        expect(matching({ search: 'audit' })).toEqual([5]);
+        expect(matching({ search: 'patient_' })).toEqual([1]);
+        expect(matching({ search: '' })).toEqual([1, 2, 3, 4, 5]);
+    });
+});
+
+describe('queryAuditEntries', () => {
+    test('sorts newest first by default', () => {
+        expect(ids(queryAuditEntries(entries, query({}), roleOf))).toEqual([5, 4, 3, 2, 1]);
+    });
+
+    test('breaks ties on the sort field by sequence', () => {
+        expect(ids(queryAuditEntries(entries, query({ sort: 'action', order: 'asc' }), roleOf))).toEqual([3, 5, 1, 4, 2]);
+    });
+
+    test('pages with cursors until the last page', () => {
+        const pages = [];
+        let cursor;
+        do {
+            const result = queryAuditEntries(entries, query({ sort: 'action', limit: 2, ...(cursor && { cursor }) }), roleOf);
+            expect(result.total).toBe(5);
+            pages.push(ids(result));
+            cursor = result.nextCursor;
+        } while (cursor);
+
+        expect(pages).toEqual([[2, 4], [1, 5], [3]]);
+    });
+
+    test('a cursor still works after entries before it are added', () => {
+        const first = queryAuditEntries(entries, query({ limit: 2 }), roleOf);
+        const grown = [...entries, entry(6, { action: 'login' })];
+
+        expect(ids(queryAuditEntries(grown, query({ limit: 2, cursor: first.nextCursor }), roleOf))).toEqual([3, 2]);
+    });
+
+    test('exports return every match without paging', () => {
+        const result = queryAuditEntries(entries, query({ format: 'csv', limit: 1 }), roleOf);
+
+        expect(ids(result)).toEqual([5, 4, 3, 2, 1]);
+        expect(result.nextCursor).toBeNull();
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Action Tokens
+ * Expiring, single-use tokens for emailed account links (password reset, email verification)
+ * Only a SHA-256 hash of each token is stored; issuing a new token for the same
+ * user and purpose invalidates any earlier unused one.
+ */
+
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class ActionTokenService {
+    constructor({ tokens }) {
+        this.tokens = tokens;
+    }
+
+    // Returns the raw token to embed in the emailed link
+    issue(userId, purpose, ttlMs) {
+        this.invalidate(userId, purpose);
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = Date.now();
+
+        this.tokens.insert({
+            id: `tok_${crypto.randomBytes(8).toString('hex')}`,
+            userId,
+            purpose,
+            tokenHash: hashToken(token),
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttlMs).toISOString(),
+            usedAt: null
+        });
+
+        return token;
+    }
+
+    /**
+     * Redeem a token for the given purpose.
+     * Returns { record } on success or { error } if unknown, expired or already used.
+     */
+    consume(token, purpose) {
+        const tokenHash = hashToken(token || '');
+        const record = this.tokens.find(t => t.tokenHash === tokenHash && t.purpose === purpose);
+
+        if (!record || record.usedAt || new Date(record.expiresAt) <= new Date()) {
+            return { error: 'Invalid or expired link' };
+        }
+
+        return { record: this.tokens.update(record.id, { usedAt: new Date().toISOString() }) };
+    }
+
+    invalidate(userId, purpose) {
+        return this.tokens.removeWhere(t => t.userId === userId && t.purpose === purpose && !t.usedAt);
+    }
+
+    // Drop used and expired tokens
+    prune() {
+        const now = new Date();
+        return this.tokens.removeWhere(t => t.usedAt || new Date(t.expiresAt) <= now);
+    }
+}
+
+module.exports = { ActionTokenService };
@@ -0,0 +1,124 @@
+/**
+ * Login Throttle
+ * Brute-force protection for password sign-in
+ * Features: per-account failure counters and temporary lockout (persisted on the user
+ * record), per-IP failure counters and blocking (in memory), progressive response delay
+ */
+
+// Failed attempts from one IP are counted over this sliding window
+const IP_WINDOW_MS = 15 * 60 * 1000;
+
+// Progressive delay: 250ms doubling per consecutive failure, capped
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 8000;
+
+const secondsUntil = (time, now) => Math.max(1, Math.ceil((new Date(time).getTime() - now) / 1000));
+
+class LoginThrottle {
+    constructor({ users }) {
+        this.users = users;
+        this.ipFailures = new Map();
+    }
+
+    delayFor(failures) {
+        if (failures <= 1) return 0;
+        return Math.min(BASE_DELAY_MS * 2 ** (failures - 2), MAX_DELAY_MS);
+    }
+
+    ipState(ip, now = Date.now()) {
+        const state = this.ipFailures.get(ip);
+        if (!state) return { failures: [], blockedUntil: null };
+
+        // Forget failures that slid out of the window
+        state.failures = state.failures.filter(time => now - time < IP_WINDOW_MS);
+        if (state.blockedUntil && state.blockedUntil <= now) {
+            state.blockedUntil = null;
+        }
+        if (state.failures.length === 0 && !state.blockedUntil) {
+            this.ipFailures.delete(ip);
+        }
+        return state;
+    }
+
+    // Returns { retryAfter } (seconds) if the IP is blocked, otherwise null
+    checkIp(ip, now = Date.now()) {
+        const { blockedUntil } = this.ipState(ip, now);
+        return blockedUntil ? { retryAfter: secondsUntil(blockedUntil, now) } : null;
+    }
+
+    // Returns { retryAfter } (seconds) if the account is locked, otherwise null
+    checkAccount(user, now = Date.now()) {
+        if (user.lockedUntil && new Date(user.lockedUntil).getTime() > now) {
+            return { retryAfter: secondsUntil(user.lockedUntil, now) };
+        }
+        return null;
+    }
+
+    /**
+     * Count a failed attempt against the IP and, when known, the account.
+     * Returns { accountFailures, ipFailures, accountLocked, ipBlocked, delayMs };
+     * the *Locked/*Blocked flags are true only on the attempt that trips the limit.
+     */
+    recordFailure({ user, ip, policy, now = Date.now() }) {
+        const lockoutMs = policy.lockoutDurationMinutes * 60 * 1000;
+
+        const state = this.ipState(ip, now);
+        state.failures.push(now);
+        this.ipFailures.set(ip, state);
+
+        const ipFailures = state.failures.length;
+        let ipBlocked = false;
+        if (ipFailures >= policy.ipLockoutThreshold && !state.blockedUntil) {
+            state.blockedUntil = now + lockoutMs;
+            state.failures = [];
+            ipBlocked = true;
+        }
+
+        let accountFailures = 0;
+        let accountLocked = false;
+        if (user) {
+            // A lock that has expired starts a fresh count
+            const expired = user.lockedUntil && new Date(user.lockedUntil).getTime() <= now;
+            accountFailures = (expired ? 0 : user.failedLoginAttempts || 0) + 1;
+            accountLocked = accountFailures >= policy.lockoutThreshold;
+
+            this.users.update(user.id, {
+                failedLoginAttempts: accountLocked ? 0 : accountFailures,
+                lastFailedLoginAt: new Date(now).toISOString(),
+                lockedUntil: accountLocked ? new Date(now + lockoutMs).toISOString() : null
+            });
+        }
+
+        return {
+            accountFailures,
+            ipFailures,
+            accountLocked,
+            ipBlocked,
+            delayMs: this.delayFor(Math.max(accountFailures, ipFailures))
+        };
+    }
+
+    recordSuccess(user) {
+        if (user.failedLoginAttempts || user.lockedUntil) {
+            this.users.update(user.id, { failedLoginAttempts: 0, lockedUntil: null });
+        }
+    }
+
+    unlock(user) {
+        return this.users.update(user.id, { failedLoginAttempts: 0, lockedUntil: null });
+    }
+
+    unblockIp(ip) {
+        return this.ipFailures.delete(ip);
+    }
+
+    // Currently blocked IPs, for the admin view
+    blockedIps(now = Date.now()) {
+        return [...this.ipFailures.keys()]
+            .map(ip => ({ ip, ...this.ipState(ip, now) }))
+            .filter(state => state.blockedUntil)
+            .map(state => ({ ip: state.ip, blockedUntil: new Date(state.blockedUntil).toISOString() }));
+    }
+}
+
+module.exports = { LoginThrottle };
@@ -0,0 +1,97 @@
+const { createTestStore } = require('../storage/test-store');
+const { LoginThrottle } = require('./login-throttle');
+
+const policy = { lockoutThreshold: 3, lockoutDurationMinutes: 15, ipLockoutThreshold: 5 };
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+describe('LoginThrottle', () => {
+    let store;
+    let throttle;
+
+    beforeAll(() => {
+        store = createTestStore();
+    });
+
+    beforeEach(() => {
+        store.users.removeWhere(() => true);
+        store.users.insert({ id: 'user_1', email: 'user@example.com', failedLoginAttempts: 0, lockedUntil: null });
+        throttle = new LoginThrottle({ users: store.users });
+    });
+
+    const user = () => store.users.findById('user_1');
+    const fail = (ip = '203.0.113.1', now = NOW) => throttle.recordFailure({ user: user(), ip, policy, now });
+
+    test('locks the account on the attempt that reaches the threshold', () => {
+        expect(fail()).toMatchObject({ accountFailures: 1, accountLocked: false });
+        expect(fail()).toMatchObject({ accountFailures: 2, accountLocked: false });
+        expect(fail()).toMatchObject({ accountFailures: 3, accountLocked: true });
+
+        expect(user().lockedUntil).toBe(new Date(NOW + 15 * MINUTE).toISOString());
+        expect(throttle.checkAccount(user(), NOW)).toEqual({ retryAfter: 15 * 60 });
+    });
+
+    test('lets the account in again once the lock expires, with a fresh count', () => {
+        fail(); fail(); fail();
+        const later = NOW + 16 * MINUTE;
+
+        expect(throttle.checkAccount(user(), later)).toBeNull();
+        expect(fail('203.0.113.1', later)).toMatchObject({ accountFailures: 1, accountLocked: false });
+    });
+
+    test('clears the failure count on a successful sign-in', () => {
+        fail(); fail();
+        throttle.recordSuccess(user());
+
+        expect(user().failedLoginAttempts).toBe(0);
+        expect(fail()).toMatchObject({ accountFailures: 1 });
+    });
+
+    test('unlocks an account on request', () => {
+        fail(); fail(); fail();
+        throttle.unlock(user());
+
+        expect(throttle.checkAccount(user(), NOW)).toBeNull();
+    });
+
+    test('blocks an IP across accounts and unblocks it after the lockout', () => {
+        const ip = '198.51.100.7';
+        for (let attempt = 1; attempt < 5; attempt++) {
+            expect(throttle.recordFailure({ user: null, ip, policy, now: NOW })).toMatchObject({ ipBlocked: false });
+        }
+        expect(throttle.recordFailure({ user: null, ip, policy, now: NOW })).toMatchObject({ ipFailures: 5, ipBlocked: true });
+
+        expect(throttle.checkIp(ip, NOW)).toEqual({ retryAfter: 15 * 60 });
+        expect(throttle.checkIp('198.51.100.8', NOW)).toBeNull();
+        expect(throttle.blockedIps(NOW)).toEqual([{ ip, blockedUntil: new Date(NOW + 15 * MINUTE).toISOString() }]);
+        expect(throttle.checkIp(ip, NOW + 15 * MINUTE)).toBeNull();
+    });
+
+    test('forgets IP failures that slid out of the window', () => {
+        const ip = '198.51.100.9';
+        for (let attempt = 0; attempt < 4; attempt++) {
+            throttle.recordFailure({ user: null, ip, policy, now: NOW });
+        }
+
+        const result = throttle.recordFailure({ user: null, ip, policy, now: NOW + 16 * MINUTE });
+        expect(result).toMatchObject({ ipFailures: 1, ipBlocked: false });
+    });
+
+    test('unblocks an IP on request', () => {
+        const ip = '198.51.100.10';
+        for (let attempt = 0; attempt < 5; attempt++) {
+            throttle.recordFailure({ user: null, ip, policy, now: NOW });
+        }
+        throttle.unblockIp(ip);
+
+        expect(throttle.checkIp(ip, NOW)).toBeNull();
+    });
+
+    test('slows down repeated failures progressively, up to a cap', () => {
+        expect(throttle.delayFor(1)).toBe(0);
+        expect(throttle.delayFor(2)).toBe(250);
+        expect(throttle.delayFor(3)).toBe(500);
+        expect(throttle.delayFor(4)).toBe(1000);
+        expect(throttle.delayFor(20)).toBe(8000);
+    });
+});
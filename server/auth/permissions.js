@@ -0,0 +1,200 @@
+/**
+ * Permission Catalogue
+ * Permissions and role definitions for the main platform
+ * Permissions are "<resource>:<action>" or, for patient data, "<resource>:<action>:<scope>" where
+ * scope is own (the user's own records), assigned (patients/appointments the user is
+ * assigned to) or any. A role is a named set of permissions; "*" grants everything.
+ */
+
+const Joi = require('joi');
+
+const SCOPES = ['own', 'assigned', 'any'];
+
+const CATALOGUE = {
+    'appointments:read': { scoped: true, description: 'View appointments' },
+    'appointments:write': { scoped: true, description: 'Book, edit, check in, cancel and reschedule appointments' },
+    'appointments:confirm': { scoped: true, description: 'Confirm appointments and mark no-shows' },
+    'appointments:clinical': { scoped: true, description: 'Start and complete visits' },
+    'healthData:read': { scoped: true, description: 'View health data' },
+    'healthData:write': { scoped: true, description: 'Record health data' },
+    'schedules:write': { scoped: true, description: 'Edit provider schedules' },
+    'users:read': { description: 'View user accounts' },
+    'users:write': { description: 'Create and edit user accounts' },
+    'users:delete': { description: 'Delete user accounts' },
+    'roles:manage': { description: 'Create, edit and delete roles' },
+    'careTeams:manage': { description: 'Assign clinicians to patients\' care teams' },
+    'emergencyAccess:request': { description: 'Open time-limited emergency access to patients outside the care team' },
+    'emergencyAccess:review': { description: 'Review emergency access overrides' },
+    'consents:manage': { description: 'Publish new versions of consent texts' },
+    'dataRequests:manage': { description: 'Process patients\' export and erasure requests and place legal holds' },
+    'backups:manage': { description: 'Create, verify and restore backups and set the backup schedule' },
+    'maintenance:manage': { description: 'Schedule maintenance windows and use the platform during them' },
+    'settings:manage': { description: 'Change general, notification and integration settings and revert setting changes' },
+    'security:manage': { description: 'Manage security policy, sessions, lockouts and two-factor resets' },
+    'analytics:read': { description: 'View platform analytics' },
+    'notifications:manage': { description: 'Send and manage platform notifications' },
+    'auditLogs:read': { description: 'View audit logs' },
+    'system:read': { description: 'View system metrics' }
+};
+
+// Every concrete permission string with its description
+const PERMISSIONS = Object.entries(CATALOGUE).flatMap(([base, { scoped, description }]) =>
+    scoped
+        ? SCOPES.map(scope => ({ id: `${base}:${scope}`, description: `${description} (${scope})` }))
+        : [{ id: base, description }]
+);
+
+const PERMISSION_IDS = PERMISSIONS.map(permission => permission.id);
+
+// Built-in roles cannot be edited or deleted
+const SYSTEM_ROLES = [
+    {
+        id: 'patient',
+        name: 'Patient',
+        description: 'Patients managing their own care',
+        permissions: [
+            'appointments:read:own',
+            'appointments:write:own',
+            'healthData:read:own',
+            'healthData:write:own'
+        ]
+    },
+    {
+        id: 'provider',
+        name: 'Healthcare Provider',
+        description: 'Clinicians seeing their own patients',
+        permissions: [
+            'appointments:read:assigned',
+            'appointments:write:assigned',
+            'appointments:confirm:assigned',
+            'appointments:clinical:assigned',
+            'healthData:read:assigned',
+            'healthData:write:assigned',
+            'schedules:write:own',
+            'emergencyAccess:request'
+        ]
+    },
+    {
+        id: 'admin',
+        name: 'Administrator',
+        description: 'Full platform administration',
+        permissions: ['*']
+    }
+];
+
+// Clinic roles created on first run; admins may edit or remove them
+const DEFAULT_CUSTOM_ROLES = [
+    {
+        id: 'nurse',
+        name: 'Nurse',
+        description: 'Clinical staff rooming and recording vitals for the patients of their care teams',
+        permissions: [
+            'appointments:read:assigned',
+            'appointments:write:assigned',
+            'healthData:read:assigned',
+            'healthData:write:assigned'
+        ]
+    },
+    {
+        id: 'front-desk',
+        name: 'Front Desk',
+        description: 'Reception staff booking, confirming and checking in appointments for the patients of their care teams',
+        permissions: [
+            'appointments:read:assigned',
+            'appointments:write:assigned',
+            'appointments:confirm:assigned'
+        ]
+    },
+    {
+        id: 'billing',
+        name: 'Billing',
+        description: 'Billing staff reviewing completed visits',
+        permissions: [
+            'appointments:read:any',
+            'analytics:read'
+        ]
+    },
+    {
+        id: 'caregiver',
+        name: 'Caregiver',
+        description: 'Family members or carers supporting assigned patients',
+        permissions: [
+            'appointments:read:assigned',
+            'appointments:write:assigned',
+            'healthData:read:assigned'
+        ]
+    }
+];
+
+const roleSchema = Joi.object({
+    id: Joi.string().pattern(/^[a-z][a-z0-9-]{1,31}$/).required()
+        .messages({ 'string.pattern.base': 'id must be 2-32 lowercase letters, digits or dashes' }),
+    name: Joi.string().trim().min(2).max(64).required(),
+    description: Joi.string().allow('').max(256).default(''),
+    permissions: Joi.array().items(Joi.string().valid(...PERMISSION_IDS)).unique().required()
+});
+
+// For updates the id comes from the URL and every field is optional, without defaults
+const roleUpdateSchema = roleSchema.fork(['id', 'name', 'permissions'], field => field.optional()).keys({
+    id: Joi.forbidden(),
+    description: Joi.string().allow('').max(256)
+}).min(1);
+
+function validateRole(input, { update = false } = {}) {
+    const schema = update ? roleUpdateSchema : roleSchema;
+    const { error, value } = schema.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+    return { value };
+}
+
+/**
+ * Scopes at which a permission list grants `base` (e.g. 'appointments:read').
+ * Returns an array of scopes for scoped permissions, or ['any'] / [] for unscoped ones.
+ */
+function grantedScopes(permissions, base) {
+    if (permissions.includes('*')) return SCOPES.slice();
+    if (!CATALOGUE[base] || !CATALOGUE[base].scoped) {
+        return permissions.includes(base) ? ['any'] : [];
+    }
+    return SCOPES.filter(scope => permissions.includes(`${base}:${scope}`));
+}
+
+// True if the list grants `permission` ("base" at any scope, or "base:scope" exactly)
+function hasPermission(permissions, permission) {
+    const [resource, action, scope] = permission.split(':');
+    const scopes = grantedScopes(permissions, `${resource}:${action}`);
+    return scope ? scopes.includes(scope) : scopes.length > 0;
+}
+
+/**
+ * True if the list grants `base` for one record at some scope: any, own when `isOwn()`
+ * holds or assigned when `isAssigned()` does. The checks only run for scopes held.
+ */
+function grantsRecordAccess(permissions, base, { isOwn = () => false, isAssigned = () => false } = {}) {
+    return grantedScopes(permissions, base).some(scope =>
+        scope === 'any' ||
+        (scope === 'own' && isOwn()) ||
+        (scope === 'assigned' && isAssigned())
+    );
+}
+
+// True if `permissions` include everything in `granted`, so their holder may hand those out
+function coversPermissions(permissions, granted) {
+    if (permissions.includes('*')) return true;
+    return granted.every(permission => permission !== '*' && hasPermission(permissions, permission));
+}
+
+module.exports = {
+    SCOPES,
+    PERMISSIONS,
+    PERMISSION_IDS,
+    SYSTEM_ROLES,
+    DEFAULT_CUSTOM_ROLES,
+    validateRole,
+    grantedScopes,
+    hasPermission,
+    grantsRecordAccess,
+    coversPermissions
+};
@@ -0,0 +1,126 @@
+const {
+    SYSTEM_ROLES,
+    DEFAULT_CUSTOM_ROLES,
+    validateRole,
+    grantedScopes,
+    hasPermission,
+    grantsRecordAccess,
+    coversPermissions
+} = require('./permissions');
+
+const permissionsOf = (roleId) => [...SYSTEM_ROLES, ...DEFAULT_CUSTOM_ROLES].find(role => role.id === roleId).permissions;
+
+describe('permission checks', () => {
+    test('grantedScopes lists the scopes held for a scoped permission', () => {
+        expect(grantedScopes(permissionsOf('patient'), 'healthData:read')).toEqual(['own']);
+        expect(grantedScopes(permissionsOf('provider'), 'appointments:confirm')).toEqual(['assigned']);
+        expect(grantedScopes(['appointments:read:own', 'appointments:read:any'], 'appointments:read')).toEqual(['own', 'any']);
+        expect(grantedScopes(permissionsOf('admin'), 'healthData:write')).toEqual(['own', 'assigned', 'any']);
+    });
+
+    test('grantedScopes treats unscoped permissions as any or nothing', () => {
+        expect(grantedScopes(['users:read'], 'users:read')).toEqual(['any']);
+        expect(grantedScopes(['users:read'], 'users:write')).toEqual([]);
+    });
+
+    test('hasPermission passes a bare scoped permission at any scope and a scoped one exactly', () => {
+        const patient = permissionsOf('patient');
+        expect(hasPermission(patient, 'appointments:read')).toBe(true);
+        expect(hasPermission(patient, 'appointments:read:own')).toBe(true);
+        expect(hasPermission(patient, 'appointments:read:any')).toBe(false);
+        expect(hasPermission(patient, 'appointments:confirm')).toBe(false);
+        expect(hasPermission(patient, 'users:read')).toBe(false);
+        expect(hasPermission(['*'], 'system:read')).toBe(true);
+    });
+});
+
+describe('grantsRecordAccess', () => {
+    const record = { isOwn: () => false, isAssigned: () => false };
+
+    test('own scope covers only the user\'s own records', () => {
+        const patient = permissionsOf('patient');
+        expect(grantsRecordAccess(patient, 'healthData:read', { ...record, isOwn: () => true })).toBe(true);
+        expect(grantsRecordAccess(patient, 'healthData:read', { ...record, isAssigned: () => true })).toBe(false);
+        expect(grantsRecordAccess(patient, 'healthData:read', record)).toBe(false);
+    });
+
+    test('assigned scope covers only records of the user\'s patients', () => {
+        const nurse = permissionsOf('nurse');
+        expect(grantsRecordAccess(nurse, 'healthData:write', { ...record, isAssigned: () => true })).toBe(true);
+        expect(grantsRecordAccess(nurse, 'healthData:write', { ...record, isOwn: () => true })).toBe(false);
+        expect(grantsRecordAccess(nurse, 'healthData:write', record)).toBe(false);
+    });
+
+    test('any scope covers every record', () => {
+        expect(grantsRecordAccess(permissionsOf('billing'), 'appointments:read', record)).toBe(true);
+        expect(grantsRecordAccess(permissionsOf('admin'), 'healthData:write', record)).toBe(true);
+    });
+
+    test('a permission held at no scope covers nothing', () => {
+        const everything = { isOwn: () => true, isAssigned: () => true };
+        expect(grantsRecordAccess(permissionsOf('billing'), 'healthData:read', everything)).toBe(false);
+        expect(grantsRecordAccess(permissionsOf('front-desk'), 'appointments:clinical', everything)).toBe(false);
+    });
+
+    test('only runs the checks for scopes the user holds', () => {
+        const isOwn = jest.fn(() => true);
+        const isAssigned = jest.fn(() => true);
+
+        grantsRecordAccess(permissionsOf('caregiver'), 'healthData:read', { isOwn, isAssigned });
+
+        expect(isOwn).not.toHaveBeenCalled();
+        expect(isAssigned).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('coversPermissions', () => {
+    test('admins may grant every role', () => {
+        [...SYSTEM_ROLES, ...DEFAULT_CUSTOM_ROLES].forEach(role => {
+            expect(coversPermissions(permissionsOf('admin'), role.permissions)).toBe(true);
+        });
+    });
+
+    test('a role covers itself and subsets of itself', () => {
+        const provider = permissionsOf('provider');
+        expect(coversPermissions(provider, provider)).toBe(true);
+        expect(coversPermissions(provider, permissionsOf('caregiver'))).toBe(true);
+        expect(coversPermissions(provider, [])).toBe(true);
+    });
+
+    test('a narrower scope does not cover a wider one', () => {
+        expect(coversPermissions(['appointments:read:assigned'], ['appointments:read:any'])).toBe(false);
+        expect(coversPermissions(permissionsOf('nurse'), permissionsOf('billing'))).toBe(false);
+    });
+
+    test('only "*" covers "*"', () => {
+        const everyPermission = [...new Set([...SYSTEM_ROLES, ...DEFAULT_CUSTOM_ROLES]
+            .flatMap(role => role.permissions)
+            .filter(permission => permission !== '*'))];
+
+        expect(coversPermissions(everyPermission, ['*'])).toBe(false);
+        expect(coversPermissions(['*'], ['*'])).toBe(true);
+    });
+
+    test('users with users:write alone cannot grant the admin role', () => {
+        expect(coversPermissions(['users:read', 'users:write'], permissionsOf('admin'))).toBe(false);
+        expect(coversPermissions(['users:read', 'users:write'], ['users:read'])).toBe(true);
+    });
+});
+
+describe('validateRole', () => {
+    test('accepts a role made of catalogue permissions', () => {
+        const { value } = validateRole({ id: 'lab-tech', name: 'Lab Tech', permissions: ['healthData:read:assigned'] });
+        expect(value).toEqual({ id: 'lab-tech', name: 'Lab Tech', description: '', permissions: ['healthData:read:assigned'] });
+    });
+
+    test('rejects unknown permissions, "*" and bad ids', () => {
+        expect(validateRole({ id: 'x1', name: 'X', permissions: ['healthData:read:everyone'] }).error).toBeDefined();
+        expect(validateRole({ id: 'root', name: 'Root', permissions: ['*'] }).error).toBeDefined();
+        expect(validateRole({ id: 'Bad Id', name: 'Bad', permissions: [] }).error).toBeDefined();
+    });
+
+    test('updates may not change the id', () => {
+        expect(validateRole({ name: 'Renamed' }, { update: true }).value).toEqual({ name: 'Renamed' });
+        expect(validateRole({ id: 'other' }, { update: true }).error).toBeDefined();
+    });
+});
@@ -0,0 +1,37 @@
+/**
+ * Security Policy
+ * Admin-configurable authentication rules for the main platform
+ * Features: per-role two-factor enforcement, password strength requirements, sign-in lockout limits
+ */
+
+// Defaults of the settings registry's security section (server/settings/settings.js), where the policy is stored
+const DEFAULT_SECURITY_POLICY = {
+    twoFactorRequiredRoles: [],
+    passwordMinLength: 8,
+    passwordRequireSpecialChars: false,
+    // Failed sign-ins before an account is locked, and for how long
+    lockoutThreshold: 5,
+    lockoutDurationMinutes: 15,
+    // Failed sign-ins from one IP (any account) within 15 minutes before it is blocked
+    ipLockoutThreshold: 20
+};
+
+// List of reasons the password does not satisfy the policy (empty when it does)
+function checkPassword(password, policy) {
+    const problems = [];
+
+    if (typeof password !== 'string' || password.length < policy.passwordMinLength) {
+        problems.push(`Password must be at least ${policy.passwordMinLength} characters long`);
+    }
+
+    if (policy.passwordRequireSpecialChars && !/[^A-Za-z0-9]/.test(password || '')) {
+        problems.push('Password must contain at least one special character');
+    }
+
+    return problems;
+}
+
+module.exports = {
+    DEFAULT_SECURITY_POLICY,
+    checkPassword
+};
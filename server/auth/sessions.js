@@ -0,0 +1,175 @@
+/**
+ * Session Service
+ * Server-side sessions behind the main platform's JWT access tokens
+ * Features: short-lived access tokens, rotating refresh tokens with reuse detection,
+ * idle timeout, logout, sign-out-everywhere and admin revocation
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// How many superseded refresh tokens to remember per session for reuse detection
+const ROTATED_HASH_LIMIT = 20;
+
+class SessionService {
+    // idleTimeoutMs (null for none) can be changed on a running service; it applies to existing sessions too
+    constructor({ sessions, jwtSecret, accessTokenTtl = '15m', refreshTokenTtlMs = 7 * 24 * 60 * 60 * 1000, idleTimeoutMs = null }) {
+        this.sessions = sessions;
+        this.jwtSecret = jwtSecret;
+        this.accessTokenTtl = accessTokenTtl;
+        this.refreshTokenTtlMs = refreshTokenTtlMs;
+        this.idleTimeoutMs = idleTimeoutMs;
+    }
+
+    isActive(session) {
+        const now = Date.now();
+        return Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > now &&
+            (!this.idleTimeoutMs || now - new Date(session.lastActivity).getTime() <= this.idleTimeoutMs);
+    }
+
+    signAccessToken(user, sessionId) {
+        return jwt.sign(
+            { id: user.id, email: user.email, role: user.role, sessionId },
+            this.jwtSecret,
+            { expiresIn: this.accessTokenTtl }
+        );
+    }
+
+    // Refresh tokens are opaque: "<sessionId>.<secret>"; only the secret's hash is stored
+    newRefreshToken(sessionId) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+    }
+
+    /**
+     * Start a session for a freshly authenticated user.
+     * `twoFactorPending` sessions may only be used to enroll in two-factor authentication.
+     * Returns { session, accessToken, refreshToken }.
+     */
+    issue(user, { ipAddress, userAgent, twoFactorPending = false } = {}) {
+        const now = new Date();
+        const sessionId = `sess_${crypto.randomBytes(12).toString('hex')}`;
+        const refresh = this.newRefreshToken(sessionId);
+
+        const session = this.sessions.insert({
+            id: sessionId,
+            userId: user.id,
+            refreshTokenHash: refresh.hash,
+            rotatedHashes: [],
+            ipAddress,
+            userAgent,
+            twoFactorPending,
+            createdAt: now.toISOString(),
+            lastActivity: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.refreshTokenTtlMs).toISOString(),
+            revokedAt: null,
+            revokedReason: null
+        });
+
+        return {
+            session,
+            accessToken: this.signAccessToken(user, sessionId),
+            refreshToken: refresh.token
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new access/refresh pair.
+     * Presenting an already-rotated token revokes the whole session, since it
+     * means the token was copied. Returns { session, refreshToken } on success
+     * or { error, reuseDetected, session } on failure.
+     */
+    rotate(refreshToken) {
+        const [sessionId, secret] = String(refreshToken || '').split('.');
+        const session = sessionId && secret ? this.sessions.findById(sessionId) : null;
+
+        if (!session) {
+            return { error: 'Invalid refresh token' };
+        }
+
+        const hash = hashToken(secret);
+
+        if (session.rotatedHashes.includes(hash)) {
+            this.revoke(session.id, 'refresh_token_reuse');
+            return { error: 'Refresh token reuse detected', reuseDetected: true, session };
+        }
+
+        if (hash !== session.refreshTokenHash || !this.isActive(session)) {
+            return { error: 'Invalid refresh token' };
+        }
+
+        const refresh = this.newRefreshToken(session.id);
+        const now = new Date();
+        const updated = this.sessions.update(session.id, {
+            refreshTokenHash: refresh.hash,
+            rotatedHashes: [...session.rotatedHashes, hash].slice(-ROTATED_HASH_LIMIT),
+            lastActivity: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.refreshTokenTtlMs).toISOString()
+        });
+
+        return { session: updated, refreshToken: refresh.token };
+    }
+
+    completeTwoFactor(sessionId) {
+        return this.sessions.update(sessionId, { twoFactorPending: false });
+    }
+
+    touch(sessionId) {
+        return this.sessions.update(sessionId, { lastActivity: new Date().toISOString() });
+    }
+
+    revoke(sessionId, reason = 'logout') {
+        const session = this.sessions.findById(sessionId);
+        if (!session || session.revokedAt) {
+            return session || null;
+        }
+
+        return this.sessions.update(sessionId, {
+            revokedAt: new Date().toISOString(),
+            revokedReason: reason
+        });
+    }
+
+    revokeAllForUser(userId, reason = 'logout_all', exceptSessionId = null) {
+        return this.listForUser(userId)
+            .filter(session => session.id !== exceptSessionId)
+            .map(session => this.revoke(session.id, reason));
+    }
+
+    listForUser(userId) {
+        return this.sessions.filter(session => session.userId === userId && this.isActive(session));
+    }
+
+    listActive() {
+        return this.sessions.filter(session => this.isActive(session));
+    }
+
+    // Safe view of a session for API responses
+    describe(session, currentSessionId) {
+        return {
+            id: session.id,
+            userId: session.userId,
+            ipAddress: session.ipAddress,
+            userAgent: session.userAgent,
+            twoFactorPending: Boolean(session.twoFactorPending),
+            createdAt: session.createdAt,
+            lastActivity: session.lastActivity,
+            expiresAt: session.expiresAt,
+            revokedAt: session.revokedAt,
+            revokedReason: session.revokedReason,
+            current: session.id === currentSessionId
+        };
+    }
+
+    // Drop sessions that expired or were revoked more than `retentionMs` ago
+    prune(retentionMs = 30 * 24 * 60 * 60 * 1000) {
+        const cutoff = Date.now() - retentionMs;
+        return this.sessions.removeWhere(session =>
+            new Date(session.revokedAt || session.expiresAt).getTime() < cutoff
+        );
+    }
+}
+
+module.exports = { SessionService, hashToken };
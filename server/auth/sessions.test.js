@@ -0,0 +1,132 @@
+const jwt = require('jsonwebtoken');
+const { createTestStore } = require('../storage/test-store');
+const { SessionService, hashToken } = require('./sessions');
+
+const SECRET = 'test-secret';
+const user = { id: 'user_1', email: 'user@example.com', role: 'patient' };
+const client = { ipAddress: '203.0.113.1', userAgent: 'jest' };
+
+describe('SessionService', () => {
+    let store;
+    let sessions;
+
+    beforeAll(() => {
+        store = createTestStore();
+    });
+
+    beforeEach(() => {
+        store.sessions.removeWhere(() => true);
+        sessions = new SessionService({ sessions: store.sessions, jwtSecret: SECRET });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('issues an access token for the session and stores only the refresh token\'s hash', () => {
+        const { session, accessToken, refreshToken } = sessions.issue(user, client);
+
+        expect(jwt.verify(accessToken, SECRET)).toMatchObject({ id: 'user_1', role: 'patient', sessionId: session.id });
+        expect(refreshToken.startsWith(`${session.id}.`)).toBe(true);
+
+        const stored = store.sessions.findById(session.id);
+        expect(stored.refreshTokenHash).toBe(hashToken(refreshToken.split('.')[1]));
+        expect(JSON.stringify(stored)).not.toContain(refreshToken.split('.')[1]);
+        expect(sessions.isActive(stored)).toBe(true);
+    });
+
+    test('rotation swaps the refresh token and extends the session', () => {
+        jest.useFakeTimers({ now: new Date('2024-06-01T12:00:00Z') });
+        const { session, refreshToken } = sessions.issue(user, client);
+
+        jest.setSystemTime(new Date('2024-06-02T12:00:00Z'));
+        const rotated = sessions.rotate(refreshToken);
+
+        expect(rotated.error).toBeUndefined();
+        expect(rotated.refreshToken).not.toBe(refreshToken);
+        expect(rotated.session.rotatedHashes).toEqual([hashToken(refreshToken.split('.')[1])]);
+        expect(rotated.session.expiresAt).toBe('2024-06-09T12:00:00.000Z');
+        expect(sessions.rotate(rotated.refreshToken).session.id).toBe(session.id);
+    });
+
+    test('replaying a rotated refresh token revokes the session', () => {
+        const { session, refreshToken } = sessions.issue(user, client);
+        const { refreshToken: current } = sessions.rotate(refreshToken);
+
+        const replay = sessions.rotate(refreshToken);
+        expect(replay).toMatchObject({ error: 'Refresh token reuse detected', reuseDetected: true });
+        expect(store.sessions.findById(session.id)).toMatchObject({ revokedReason: 'refresh_token_reuse' });
+
+        // The thief and the user are both signed out
+        expect(sessions.rotate(current)).toEqual({ error: 'Invalid refresh token' });
+    });
+
+    test('rejects malformed, unknown and forged refresh tokens', () => {
+        const { session } = sessions.issue(user, client);
+
+        expect(sessions.rotate(undefined)).toEqual({ error: 'Invalid refresh token' });
+        expect(sessions.rotate('no-dot')).toEqual({ error: 'Invalid refresh token' });
+        expect(sessions.rotate('sess_unknown.secret')).toEqual({ error: 'Invalid refresh token' });
+        expect(sessions.rotate(`${session.id}.forged`)).toEqual({ error: 'Invalid refresh token' });
+        expect(sessions.isActive(store.sessions.findById(session.id))).toBe(true);
+    });
+
+    test('sessions end after the refresh lifetime or when idle too long', () => {
+        jest.useFakeTimers({ now: new Date('2024-06-01T12:00:00Z') });
+        sessions = new SessionService({ sessions: store.sessions, jwtSecret: SECRET, refreshTokenTtlMs: 60 * 60 * 1000, idleTimeoutMs: 10 * 60 * 1000 });
+        const { session, refreshToken } = sessions.issue(user, client);
+
+        jest.setSystemTime(new Date('2024-06-01T12:09:00Z'));
+        expect(sessions.isActive(session)).toBe(true);
+
+        jest.setSystemTime(new Date('2024-06-01T12:11:00Z'));
+        expect(sessions.isActive(session)).toBe(false);
+        expect(sessions.rotate(refreshToken)).toEqual({ error: 'Invalid refresh token' });
+
+        sessions.idleTimeoutMs = null;
+        expect(sessions.isActive(session)).toBe(true);
+
+        jest.setSystemTime(new Date('2024-06-01T13:01:00Z'));
+        expect(sessions.isActive(session)).toBe(false);
+    });
+
+    test('revokeAllForUser signs out everywhere but the session kept', () => {
+        const first = sessions.issue(user, client).session;
+        const second = sessions.issue(user, client).session;
+        const other = sessions.issue({ ...user, id: 'user_2' }, client).session;
+
+        expect(sessions.revokeAllForUser('user_1', 'logout_all', second.id)).toHaveLength(1);
+        expect(sessions.listForUser('user_1').map(session => session.id)).toEqual([second.id]);
+        expect(store.sessions.findById(first.id)).toMatchObject({ revokedReason: 'logout_all' });
+        expect(sessions.isActive(store.sessions.findById(other.id))).toBe(true);
+    });
+
+    test('revoking twice keeps the first reason', () => {
+        const { session } = sessions.issue(user, client);
+
+        sessions.revoke(session.id, 'logout');
+        expect(sessions.revoke(session.id, 'admin_revoked')).toMatchObject({ revokedReason: 'logout' });
+        expect(sessions.revoke('sess_missing')).toBeNull();
+    });
+
+    test('describe leaves out the token hashes', () => {
+        const { session } = sessions.issue(user, client);
+        const described = sessions.describe(session, session.id);
+
+        expect(described).toMatchObject({ id: session.id, current: true, twoFactorPending: false });
+        expect(described).not.toHaveProperty('refreshTokenHash');
+        expect(described).not.toHaveProperty('rotatedHashes');
+    });
+
+    test('prune drops sessions that ended before the retention period', () => {
+        const old = sessions.issue(user, client).session;
+        const recent = sessions.issue(user, client).session;
+        store.sessions.update(old.id, { revokedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString() });
+        sessions.revoke(recent.id);
+
+        sessions.prune();
+
+        expect(store.sessions.findById(old.id)).toBeFalsy();
+        expect(store.sessions.findById(recent.id)).toBeTruthy();
+    });
+});
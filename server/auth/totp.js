@@ -0,0 +1,151 @@
+/**
+ * TOTP Two-Factor Authentication
+ * RFC 6238 time-based one-time passwords (RFC 4226 HOTP, HMAC-SHA1) and recovery codes
+ * Features: base32 secrets, otpauth:// enrollment URIs, clock-drift window, replay protection
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+
+// Accept codes from one step either side of the server clock
+const DRIFT_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+// 160-bit secret, the length RFC 4226 recommends for HMAC-SHA1
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function timeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD);
+}
+
+function generateTotp(secret, time = Date.now()) {
+    return hotp(secret, timeStep(time));
+}
+
+/**
+ * Check a code against the secret.
+ * Returns the matched time step, or null. Steps at or before `lastUsedStep`
+ * are rejected so an observed code cannot be replayed.
+ */
+function verifyTotp(secret, code, { time = Date.now(), lastUsedStep = -1 } = {}) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(candidate)) return null;
+
+    const current = timeStep(time);
+    for (let step = current - DRIFT_WINDOW; step <= current + DRIFT_WINDOW; step++) {
+        if (step <= lastUsedStep) continue;
+
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+function otpauthUri(secret, { issuer, account }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) =>
+    crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Generate one-time recovery codes ("xxxxx-xxxxx").
+ * Returns { codes, hashes }; only the hashes are stored.
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Index of the matching unused recovery code hash, or -1
+function findRecoveryCode(hashes, code) {
+    if (!normalizeRecoveryCode(code)) return -1;
+    return hashes.indexOf(hashRecoveryCode(code));
+}
+
+module.exports = {
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    otpauthUri,
+    generateRecoveryCodes,
+    findRecoveryCode
+};
@@ -0,0 +1,87 @@
+const {
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    otpauthUri,
+    generateRecoveryCodes,
+    findRecoveryCode
+} = require('./totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+    test('matches the RFC 6238 SHA-1 test vectors', () => {
+        expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+        expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+        expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+        expect(generateTotp(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+    });
+
+    test('generates 160-bit base32 secrets', () => {
+        const secret = generateSecret();
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(generateSecret()).not.toBe(secret);
+    });
+
+    test('accepts codes within one step of the clock and returns the matched step', () => {
+        const secret = generateSecret();
+        const time = 1700000000 * 1000;
+        const step = Math.floor(time / 30000);
+
+        expect(verifyTotp(secret, generateTotp(secret, time), { time })).toBe(step);
+        expect(verifyTotp(secret, generateTotp(secret, time - 30000), { time })).toBe(step - 1);
+        expect(verifyTotp(secret, generateTotp(secret, time + 30000), { time })).toBe(step + 1);
+        expect(verifyTotp(secret, generateTotp(secret, time - 60000), { time })).toBeNull();
+    });
+
+    test('rejects a code whose step was already used', () => {
+        const secret = generateSecret();
+        const time = 1700000000 * 1000;
+        const code = generateTotp(secret, time);
+        const step = verifyTotp(secret, code, { time });
+
+        expect(verifyTotp(secret, code, { time, lastUsedStep: step })).toBeNull();
+    });
+
+    test('rejects malformed codes', () => {
+        const secret = generateSecret();
+        expect(verifyTotp(secret, '')).toBeNull();
+        expect(verifyTotp(secret, '12345')).toBeNull();
+        expect(verifyTotp(secret, 'abcdef')).toBeNull();
+        expect(verifyTotp(secret, undefined)).toBeNull();
+    });
+
+    test('builds an otpauth enrollment URI', () => {
+        const uri = new URL(otpauthUri(RFC_SECRET, { issuer: 'OneCare', account: 'patient@email.com' }));
+        expect(`${uri.protocol}//${uri.host}`).toBe('otpauth://totp');
+        expect(decodeURIComponent(uri.pathname)).toBe('/OneCare:patient@email.com');
+        expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+        expect(uri.searchParams.get('issuer')).toBe('OneCare');
+        expect(uri.searchParams.get('digits')).toBe('6');
+        expect(uri.searchParams.get('period')).toBe('30');
+    });
+});
+
+describe('recovery codes', () => {
+    test('returns the codes once and keeps only their hashes', () => {
+        const { codes, hashes } = generateRecoveryCodes();
+        expect(codes).toHaveLength(10);
+        expect(hashes).toHaveLength(10);
+        codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+        hashes.forEach(hash => expect(codes).not.toContain(hash));
+    });
+
+    test('finds a code regardless of case, spacing and dashes', () => {
+        const { codes, hashes } = generateRecoveryCodes(3);
+        expect(findRecoveryCode(hashes, codes[1])).toBe(1);
+        expect(findRecoveryCode(hashes, ` ${codes[2].toUpperCase().replace('-', '')} `)).toBe(2);
+    });
+
+    test('does not match unknown or empty codes', () => {
+        const { hashes } = generateRecoveryCodes(3);
+        expect(findRecoveryCode(hashes, 'aaaaa-bbbbb')).toBe(-1);
+        expect(findRecoveryCode(hashes, '')).toBe(-1);
+        expect(findRecoveryCode(hashes, '--')).toBe(-1);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Two-Factor Service
+ * TOTP enrollment, sign-in verification and recovery codes for platform users
+ * State lives on the user record under `twoFactor`; secrets never leave the server
+ * after enrollment and recovery codes are stored hashed.
+ */
+
+const {
+    generateSecret,
+    verifyTotp,
+    otpauthUri,
+    generateRecoveryCodes,
+    findRecoveryCode
+} = require('./totp');
+
+class TwoFactorService {
+    constructor({ users, issuer = 'OneCare' }) {
+        this.users = users;
+        this.issuer = issuer;
+    }
+
+    isEnabled(user) {
+        return Boolean(user.twoFactor && user.twoFactor.enabled);
+    }
+
+    isRequired(user, policy) {
+        return policy.twoFactorRequiredRoles.includes(user.role);
+    }
+
+    status(user, policy) {
+        const twoFactor = user.twoFactor || {};
+        return {
+            enabled: this.isEnabled(user),
+            required: this.isRequired(user, policy),
+            enrolledAt: twoFactor.enrolledAt || null,
+            recoveryCodesRemaining: (twoFactor.recoveryCodeHashes || []).length
+        };
+    }
+
+    /**
+     * Start (or restart) enrollment with a fresh secret.
+     * The secret only becomes active once confirmed with a valid code.
+     */
+    beginEnrollment(user) {
+        const secret = generateSecret();
+
+        this.users.update(user.id, {
+            twoFactor: { ...(user.twoFactor || {}), enabled: false, pendingSecret: secret }
+        });
+
+        return {
+            secret,
+            otpauthUri: otpauthUri(secret, { issuer: this.issuer, account: user.email })
+        };
+    }
+
+    // Returns { recoveryCodes } on success or { error }
+    completeEnrollment(user, code) {
+        const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+        if (!pendingSecret) {
+            return { error: 'No two-factor enrollment in progress' };
+        }
+
+        const step = verifyTotp(pendingSecret, code);
+        if (step === null) {
+            return { error: 'Invalid verification code' };
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        this.users.update(user.id, {
+            twoFactor: {
+                enabled: true,
+                secret: pendingSecret,
+                enrolledAt: new Date().toISOString(),
+                lastUsedStep: step,
+                recoveryCodeHashes: hashes
+            }
+        });
+
+        return { recoveryCodes: codes };
+    }
+
+    /**
+     * Check a sign-in second factor: either a TOTP `otp` or a one-time `recoveryCode`.
+     * Returns { method, recoveryCodesRemaining } on success or { error }.
+     */
+    verify(user, { otp, recoveryCode }) {
+        const twoFactor = user.twoFactor;
+
+        if (otp) {
+            const step = verifyTotp(twoFactor.secret, otp, { lastUsedStep: twoFactor.lastUsedStep });
+            if (step === null) {
+                return { error: 'Invalid two-factor code' };
+            }
+            this.users.update(user.id, { twoFactor: { ...twoFactor, lastUsedStep: step } });
+            return { method: 'totp', recoveryCodesRemaining: twoFactor.recoveryCodeHashes.length };
+        }
+
+        if (recoveryCode) {
+            const index = findRecoveryCode(twoFactor.recoveryCodeHashes, recoveryCode);
+            if (index === -1) {
+                return { error: 'Invalid recovery code' };
+            }
+            const remaining = twoFactor.recoveryCodeHashes.filter((hash, i) => i !== index);
+            this.users.update(user.id, { twoFactor: { ...twoFactor, recoveryCodeHashes: remaining } });
+            return { method: 'recovery_code', recoveryCodesRemaining: remaining.length };
+        }
+
+        return { error: 'Two-factor code required' };
+    }
+
+    // Replace every recovery code; the old ones stop working immediately
+    regenerateRecoveryCodes(user) {
+        const { codes, hashes } = generateRecoveryCodes();
+        this.users.update(user.id, { twoFactor: { ...user.twoFactor, recoveryCodeHashes: hashes } });
+        return codes;
+    }
+
+    disable(user) {
+        return this.users.update(user.id, { twoFactor: null });
+    }
+}
+
+module.exports = { TwoFactorService };
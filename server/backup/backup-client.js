@@ -0,0 +1,72 @@
+/**
+ * Backup Client
+ * Snapshot and restore calls to the backup endpoints each standalone service (health records,
+ * screening, FHIR) exposes under /internal/backup, so the main server can back up and restore
+ * every service together
+ *
+ * Snapshots: { service, datasets: { name: [documents] }, files: [{ name, data (base64) }] }
+ * Restores take a snapshot plus dryRun and answer { service, changes: { name: diff }, files: { written, removed } }
+ */
+
+const { requireServiceToken, InternalServiceClient } = require('../utils/internal-service');
+
+// Request body limit for restores, which carry a service's whole snapshot
+const RESTORE_BODY_LIMIT = process.env.BACKUP_RESTORE_BODY_LIMIT || '500mb';
+
+class BackupClient extends InternalServiceClient {
+    /**
+     * name labels the service in archives; baseUrl is the service root; token is the
+     * shared BACKUP_SERVICE_TOKEN.
+     */
+    constructor({ name, baseUrl, token = null, timeoutMs = 120000, fetch }) {
+        super({ name, baseUrl, prefix: '/internal/backup', token, timeoutMs, fetch });
+    }
+
+    snapshot() {
+        return this.call('snapshot', {});
+    }
+
+    // Replace the service's data with a snapshot; with dryRun only report the changes
+    restore({ datasets, files }, { dryRun }) {
+        return this.call('restore', { datasets, files, dryRun });
+    }
+}
+
+// Guard for the services' backup endpoints; closed until BACKUP_SERVICE_TOKEN is set
+const requireBackupServiceAccess = (token) =>
+    requireServiceToken(token, { label: 'Backups', envVar: 'BACKUP_SERVICE_TOKEN' });
+
+/**
+ * What replacing `current` documents with `backup` ones would change, matching by id:
+ * { current, backup, added, removed, changed } counts.
+ */
+function diffDocuments(current, backup) {
+    const existing = new Map(current.map(doc => [doc.id, JSON.stringify(doc)]));
+    const restored = new Set();
+    let added = 0;
+    let changed = 0;
+
+    backup.forEach(doc => {
+        restored.add(doc.id);
+        if (!existing.has(doc.id)) {
+            added++;
+        } else if (existing.get(doc.id) !== JSON.stringify(doc)) {
+            changed++;
+        }
+    });
+
+    return {
+        current: current.length,
+        backup: backup.length,
+        added,
+        removed: current.filter(doc => !restored.has(doc.id)).length,
+        changed
+    };
+}
+
+module.exports = {
+    BackupClient,
+    requireBackupServiceAccess,
+    diffDocuments,
+    RESTORE_BODY_LIMIT
+};
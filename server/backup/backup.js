@@ -0,0 +1,431 @@
+/**
+ * Backups
+ * Encrypted point-in-time backups of the main store and every standalone service (see
+ * backup-client.js), including the health-records upload directory
+ * Features: one archive per backup, scheduled backups with retention, integrity checks on
+ * demand, restore into the running system with a dry run reporting what would change
+ *
+ * Archive layout: "OCBK1\n", header length (uint32 BE), JSON header, AES-256-GCM ciphertext,
+ * 16-byte auth tag. The header (id, time, services, record counts) stays readable so backups
+ * can be listed without the key; it is authenticated as additional data. The ciphertext is the
+ * gzipped payload { main, services }, whose SHA-256 the header records.
+ */
+
+const Joi = require('joi');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { CronJob } = require('cron');
+const { Store, MemoryDriver } = require('../storage/store');
+const { diffDocuments } = require('./backup-client');
+
+const MAGIC = Buffer.from('OCBK1\n');
+const AUTH_TAG_BYTES = 16;
+const ARCHIVE_EXTENSION = '.ocbk';
+
+const DEFAULT_BACKUP_SETTINGS = {
+    enabled: true,
+    retentionDays: 30
+};
+
+/**
+ * Collections a restore keeps as they are: the audit trail is append-only, restored sessions
+ * would revive signed-out tokens, and data-subject requests and legal holds record obligations
+ * that outlive any backup (erasures completed since the backup are run again).
+ */
+const PRESERVED_COLLECTIONS = ['auditLogs', 'auditCheckpoints', 'auditArchives', 'sessions', 'dataSubjectRequests', 'legalHolds'];
+
+const validateRestore = (input) => {
+    const { error, value } = Joi.object({
+        // Restores only report unless asked explicitly to go ahead
+        dryRun: Joi.boolean().default(true)
+    }).validate(input || {}, { abortEarly: false, stripUnknown: true });
+    return error ? { error: error.details.map(detail => detail.message) } : { value };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const deriveKey = (secret, salt) => crypto.scryptSync(secret, salt, 32);
+
+// Without an encryption key no archive is written or read
+const BACKUP_KEY_REQUIRED = 'Backups are disabled until BACKUP_ENCRYPTION_KEY is set';
+
+const backupId = (date) => `bk_${date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')}_${crypto.randomBytes(3).toString('hex')}`;
+
+// Record counts per dataset, kept in the header
+const summarize = ({ main, services }) => ({
+    main: Object.fromEntries(Object.entries(main.collections).map(([name, docs]) => [name, docs.length])),
+    ...Object.fromEntries(Object.entries(services).map(([name, { datasets, files }]) => [name, {
+        ...Object.fromEntries(Object.entries(datasets).map(([dataset, docs]) => [dataset, docs.length])),
+        ...(files.length > 0 ? { files: files.length } : {})
+    }]))
+});
+
+class BackupService {
+    /**
+     * database is the main store; systemSettings is the settings registry holding the backup
+     * settings; services are BackupClients for the standalone services; secret is the passphrase
+     * archive keys are derived from (BACKUP_ENCRYPTION_KEY; without it backups can be listed but
+     * not created, verified or restored); backupDir holds the archives; dataSubjects re-applies
+     * erasures after a restore.
+     */
+    constructor({ database, systemSettings, services, secret, backupDir, dataSubjects }) {
+        this.database = database;
+        this.systemSettings = systemSettings;
+        this.services = services;
+        this.secret = secret;
+        this.backupDir = backupDir;
+        this.dataSubjects = dataSubjects;
+        this.busy = false;
+    }
+
+    get keyConfigured() {
+        return Boolean(this.secret);
+    }
+
+    // Archive key for `salt`; refuses to work without a configured passphrase
+    key(salt) {
+        if (!this.keyConfigured) {
+            throw new Error(BACKUP_KEY_REQUIRED);
+        }
+        return deriveKey(this.secret, salt);
+    }
+
+    // Settings
+
+    settings() {
+        return this.systemSettings.section('backup');
+    }
+
+    // Archives
+
+    archivePath(id) {
+        return path.join(this.backupDir, `${path.basename(id)}${ARCHIVE_EXTENSION}`);
+    }
+
+    exists(id) {
+        return /^bk_[\w]+$/.test(id) && fs.existsSync(this.archivePath(id));
+    }
+
+    // The readable header of an archive file, or null when the file is not a backup
+    readHeader(file) {
+        const fd = fs.openSync(file, 'r');
+        try {
+            const prefix = Buffer.alloc(MAGIC.length + 4);
+            if (fs.readSync(fd, prefix, 0, prefix.length, 0) < prefix.length || !prefix.subarray(0, MAGIC.length).equals(MAGIC)) {
+                return null;
+            }
+            const header = Buffer.alloc(prefix.readUInt32BE(MAGIC.length));
+            fs.readSync(fd, header, 0, header.length, prefix.length);
+            return JSON.parse(header.toString('utf8'));
+        } catch (error) {
+            return null;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    // Every backup, newest first, with its size on disk
+    list() {
+        if (!fs.existsSync(this.backupDir)) {
+            return [];
+        }
+        return fs.readdirSync(this.backupDir)
+            .filter(name => name.endsWith(ARCHIVE_EXTENSION))
+            .map(name => {
+                const file = path.join(this.backupDir, name);
+                const header = this.readHeader(file);
+                return header && {
+                    id: header.id,
+                    createdAt: header.createdAt,
+                    trigger: header.trigger,
+                    createdBy: header.createdBy,
+                    schemaVersion: header.schemaVersion,
+                    services: header.services,
+                    summary: header.summary,
+                    bytes: fs.statSync(file).size
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    find(id) {
+        return this.exists(id) ? this.list().find(backup => backup.id === id) || null : null;
+    }
+
+    encrypt(header, payload) {
+        const salt = crypto.randomBytes(16);
+        const key = this.key(salt);
+        const iv = crypto.randomBytes(12);
+        const headerBytes = Buffer.from(JSON.stringify({
+            ...header,
+            encryption: { cipher: 'aes-256-gcm', kdf: 'scrypt', salt: salt.toString('base64'), iv: iv.toString('base64') }
+        }));
+
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(headerBytes);
+        const ciphertext = Buffer.concat([cipher.update(zlib.gzipSync(payload)), cipher.final()]);
+
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(headerBytes.length);
+        return Buffer.concat([MAGIC, length, headerBytes, ciphertext, cipher.getAuthTag()]);
+    }
+
+    /**
+     * Decrypt and check a backup. Returns { header, payload }; throws when the archive
+     * was altered, is truncated or was made with another key.
+     */
+    read(id) {
+        const archive = fs.readFileSync(this.archivePath(id));
+        if (!archive.subarray(0, MAGIC.length).equals(MAGIC)) {
+            throw new Error('Not a backup archive');
+        }
+        const headerLength = archive.readUInt32BE(MAGIC.length);
+        const headerStart = MAGIC.length + 4;
+        const headerBytes = archive.subarray(headerStart, headerStart + headerLength);
+        const header = JSON.parse(headerBytes.toString('utf8'));
+        const { salt, iv } = header.encryption;
+        const key = this.key(Buffer.from(salt, 'base64'));
+
+        let compressed;
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+            decipher.setAAD(headerBytes);
+            decipher.setAuthTag(archive.subarray(archive.length - AUTH_TAG_BYTES));
+            compressed = Buffer.concat([decipher.update(archive.subarray(headerStart + headerLength, archive.length - AUTH_TAG_BYTES)), decipher.final()]);
+        } catch (error) {
+            throw new Error('Decryption failed: the archive was altered or the backup key is wrong');
+        }
+
+        const payload = zlib.gunzipSync(compressed);
+        if (sha256(payload) !== header.payload.sha256) {
+            throw new Error('Payload checksum mismatch');
+        }
+        return { header, payload: JSON.parse(payload.toString('utf8')) };
+    }
+
+    // Guard against overlapping backups and restores
+    async exclusive(task) {
+        if (this.busy) {
+            throw new Error('Another backup or restore is in progress');
+        }
+        this.busy = true;
+        try {
+            return await task();
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    // Create
+
+    /**
+     * Snapshot every service and write one archive. Any service that cannot be reached fails
+     * the backup rather than producing one that cannot restore the whole system.
+     */
+    create({ trigger = 'manual', createdBy = null } = {}) {
+        // trigger is manual, scheduled or pre-restore
+        if (!this.keyConfigured) {
+            return Promise.reject(new Error(BACKUP_KEY_REQUIRED));
+        }
+        return this.exclusive(() => this.write({ trigger, createdBy }));
+    }
+
+    async write({ trigger, createdBy }) {
+        const services = {};
+        const errors = [];
+        for (const client of this.services) {
+            try {
+                const snapshot = await client.snapshot();
+                services[client.name] = { datasets: snapshot.datasets || {}, files: snapshot.files || [] };
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        if (errors.length > 0) {
+            throw new Error(`Backup failed: ${errors.join('; ')}`);
+        }
+
+        const createdAt = new Date();
+        const content = { main: this.database.data, services };
+        const payload = Buffer.from(JSON.stringify(content));
+        const header = {
+            id: backupId(createdAt),
+            createdAt: createdAt.toISOString(),
+            trigger,
+            createdBy,
+            schemaVersion: this.database.schemaVersion,
+            services: ['main', ...Object.keys(services)],
+            summary: summarize(content),
+            payload: { bytes: payload.length, sha256: sha256(payload) }
+        };
+
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        // Written under a temporary name so a crash never leaves a partial archive in the list
+        const file = this.archivePath(header.id);
+        fs.writeFileSync(`${file}.tmp`, this.encrypt(header, payload), { mode: 0o600 });
+        fs.renameSync(`${file}.tmp`, file);
+
+        return this.find(header.id);
+    }
+
+    // Delete backups older than the retention period, always keeping the newest
+    prune(retentionDays = this.settings().retentionDays, now = new Date()) {
+        const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+        return this.list()
+            .slice(1)
+            .filter(backup => new Date(backup.createdAt) < cutoff)
+            .map(backup => {
+                fs.rmSync(this.archivePath(backup.id), { force: true });
+                return backup.id;
+            });
+    }
+
+    // Back up on the cron schedule (in `timeZone`, default the server's) while backups are
+    // enabled, applying retention after each
+    scheduleBackups(cronTime = '0 2 * * *', timeZone) {
+        if (!this.keyConfigured) {
+            console.warn(`⚠️  ${BACKUP_KEY_REQUIRED}`);
+        }
+        const run = async () => {
+            if (!this.settings().enabled || !this.keyConfigured || this.busy) {
+                return;
+            }
+            try {
+                const backup = await this.create({ trigger: 'scheduled' });
+                const pruned = this.prune();
+                console.log(`💾 Backup ${backup.id} written (${backup.bytes} bytes)${pruned.length > 0 ? `, ${pruned.length} expired backup(s) removed` : ''}`);
+            } catch (error) {
+                console.error('Scheduled backup failed:', error.message);
+            }
+        };
+
+        this.prune();
+        return CronJob.from({ cronTime, onTick: run, start: true, timeZone });
+    }
+
+    // Verify
+
+    /**
+     * Decrypt a backup and check its checksum and record counts against the header.
+     * Returns { valid, errors, checkedServices }.
+     */
+    verify(id) {
+        let header;
+        let payload;
+        try {
+            ({ header, payload } = this.read(id));
+        } catch (error) {
+            return { valid: false, errors: [error.message], checkedServices: [] };
+        }
+
+        const errors = [];
+        const actual = summarize(payload);
+        header.services.forEach(service => {
+            if (!actual[service]) {
+                errors.push(`${service} snapshot missing`);
+            } else if (JSON.stringify(actual[service]) !== JSON.stringify(header.summary[service])) {
+                errors.push(`${service} record counts do not match the header`);
+            }
+        });
+        return { valid: errors.length === 0, errors, checkedServices: header.services };
+    }
+
+    // Restore
+
+    // A backup's main store brought up to the current schema
+    migrated(main) {
+        const store = new Store({ driver: new MemoryDriver(), migrations: this.database.migrations });
+        store.data = main;
+        store.migrate();
+        return store.data;
+    }
+
+    // Completed erasures a restore of `main` would bring the patients of back
+    erasuresUndone(main, createdAt) {
+        const users = main.collections.users || [];
+        return this.dataSubjects.erasuresSince(new Date(createdAt))
+            .filter(request => users.some(user => user.id === request.patientId && !user.erasedAt))
+            .map(request => request.id);
+    }
+
+    /**
+     * Restore a backup into the running system, or with dryRun report what would change.
+     * A real restore first backs up the current state (trigger "pre-restore") so it can be
+     * undone, then restores the standalone services and finally the main store.
+     * Resolves with { backupId, createdAt, dryRun, main, services, erasures, preRestoreBackupId, errors }.
+     */
+    restore(id, { dryRun = true, restoredBy = null } = {}) {
+        return this.exclusive(async () => {
+            const { header, payload } = this.read(id);
+            if (header.schemaVersion > this.database.latestVersion) {
+                throw new Error(`Backup schema version ${header.schemaVersion} is newer than this server supports (${this.database.latestVersion})`);
+            }
+
+            const main = this.migrated(payload.main);
+            const collections = {};
+            Object.keys(main.collections)
+                .filter(name => !PRESERVED_COLLECTIONS.includes(name))
+                .forEach(name => {
+                    collections[name] = diffDocuments(this.database.data.collections[name] || [], main.collections[name]);
+                });
+
+            const report = {
+                backupId: header.id,
+                createdAt: header.createdAt,
+                dryRun,
+                main: { collections, preserved: PRESERVED_COLLECTIONS },
+                services: {},
+                // Services this server has, but the backup does not, are left as they are
+                skippedServices: this.services.map(client => client.name).filter(name => !payload.services[name]),
+                erasures: { reapply: this.erasuresUndone(main, header.createdAt) },
+                preRestoreBackupId: null,
+                errors: []
+            };
+
+            const clients = this.services.filter(client => payload.services[client.name]);
+            if (dryRun) {
+                for (const client of clients) {
+                    try {
+                        report.services[client.name] = await client.restore(payload.services[client.name], { dryRun: true });
+                    } catch (error) {
+                        report.services[client.name] = { error: error.message };
+                        report.errors.push(error.message);
+                    }
+                }
+                return report;
+            }
+
+            report.preRestoreBackupId = (await this.write({ trigger: 'pre-restore', createdBy: restoredBy })).id;
+
+            for (const client of clients) {
+                try {
+                    report.services[client.name] = await client.restore(payload.services[client.name], { dryRun: false });
+                } catch (error) {
+                    // Stop before the main store; the pre-restore backup puts back what did change
+                    report.services[client.name] = { error: error.message };
+                    report.errors.push(error.message);
+                    return report;
+                }
+            }
+
+            const kept = Object.fromEntries(PRESERVED_COLLECTIONS.map(name => [name, this.database.data.collections[name]]));
+            this.database.replace({ ...main, collections: { ...main.collections, ...kept } });
+
+            const { reapplied, errors } = await this.dataSubjects.reapplyErasures(new Date(header.createdAt));
+            report.erasures.reapplied = reapplied;
+            report.errors.push(...errors);
+            return report;
+        });
+    }
+}
+
+module.exports = {
+    DEFAULT_BACKUP_SETTINGS,
+    PRESERVED_COLLECTIONS,
+    BACKUP_KEY_REQUIRED,
+    validateRestore,
+    BackupService
+};
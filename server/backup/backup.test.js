@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestStore } = require('../storage/test-store');
+const { BACKUP_KEY_REQUIRED, BackupService } = require('./backup');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const fakeService = (name, { fail = false } = {}) => ({
+    name,
+    snapshot: jest.fn(async () => {
+        if (fail) throw new Error(`${name} service unavailable: connect ECONNREFUSED`);
+        return { datasets: { records: [{ id: 'rec_1' }, { id: 'rec_2' }] }, files: [] };
+    }),
+    restore: jest.fn(async (snapshot, { dryRun }) => ({ dryRun, records: snapshot.datasets.records.length }))
+});
+
+describe('BackupService', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-'));
+        store = createTestStore();
+        store.users.insert({ id: 'patient_1', role: 'patient', name: 'Pat Doe', email: 'pat@example.com' });
+        store.sessions.insert({ id: 'sess_1', userId: 'patient_1' });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const backupService = ({ secret = 'backup-passphrase', services = [fakeService('screening')] } = {}) => new BackupService({
+        database: store,
+        systemSettings: { section: () => ({ enabled: true, retentionDays: 30 }) },
+        services,
+        secret,
+        backupDir: dir,
+        dataSubjects: {
+            erasuresSince: () => [],
+            reapplyErasures: jest.fn(async () => ({ reapplied: [], errors: [] }))
+        }
+    });
+
+    test('writes an encrypted archive whose header can be listed without the key', async () => {
+        const backup = await backupService().create({ createdBy: 'admin_001' });
+
+        expect(backup).toMatchObject({
+            trigger: 'manual',
+            createdBy: 'admin_001',
+            services: ['main', 'screening'],
+            summary: { main: expect.objectContaining({ users: 1, sessions: 1 }), screening: { records: 2 } }
+        });
+        expect(fs.readFileSync(path.join(dir, `${backup.id}.ocbk`)).includes('pat@example.com')).toBe(false);
+        expect(backupService({ secret: null }).list().map(item => item.id)).toEqual([backup.id]);
+    });
+
+    test('verifies an untouched archive', async () => {
+        const backups = backupService();
+        const backup = await backups.create();
+
+        expect(backups.verify(backup.id)).toEqual({ valid: true, errors: [], checkedServices: ['main', 'screening'] });
+    });
+
+    test('detects altered archives and the wrong key', async () => {
+        const backups = backupService();
+        const backup = await backups.create();
+        const file = path.join(dir, `${backup.id}.ocbk`);
+        const original = fs.readFileSync(file);
+
+        const failure = { valid: false, errors: ['Decryption failed: the archive was altered or the backup key is wrong'], checkedServices: [] };
+        expect(backupService({ secret: 'another-passphrase' }).verify(backup.id)).toEqual(failure);
+
+        const ciphertext = Buffer.from(original);
+        ciphertext[ciphertext.length - 30] ^= 1;
+        fs.writeFileSync(file, ciphertext);
+        expect(backups.verify(backup.id)).toEqual(failure);
+
+        // The readable header is authenticated too
+        fs.writeFileSync(file, Buffer.from(original.toString('latin1').replace('"trigger":"manual"', '"trigger":"manuel"'), 'latin1'));
+        expect(backups.verify(backup.id)).toEqual(failure);
+    });
+
+    test('refuses to create or read archives without an encryption key', async () => {
+        const backup = await backupService().create();
+        const keyless = backupService({ secret: null });
+
+        expect(keyless.keyConfigured).toBe(false);
+        await expect(keyless.create()).rejects.toThrow(BACKUP_KEY_REQUIRED);
+        expect(keyless.verify(backup.id)).toEqual({ valid: false, errors: [BACKUP_KEY_REQUIRED], checkedServices: [] });
+        await expect(keyless.restore(backup.id)).rejects.toThrow(BACKUP_KEY_REQUIRED);
+    });
+
+    test('fails the backup when a service cannot be reached', async () => {
+        const backups = backupService({ services: [fakeService('screening', { fail: true })] });
+
+        await expect(backups.create()).rejects.toThrow('Backup failed: screening service unavailable: connect ECONNREFUSED');
+        expect(backups.list()).toEqual([]);
+    });
+
+    test('reports what a restore would change without changing anything', async () => {
+        const services = [fakeService('screening')];
+        const backups = backupService({ services });
+        const backup = await backups.create();
+        store.users.insert({ id: 'patient_2', role: 'patient', name: 'New Patient', email: 'new@example.com' });
+
+        const report = await backups.restore(backup.id);
+        expect(report).toMatchObject({ backupId: backup.id, dryRun: true, preRestoreBackupId: null, errors: [] });
+        expect(report.main.collections.users).toMatchObject({ current: 2, backup: 1, added: 0, removed: 1, changed: 0 });
+        expect(report.main.collections.sessions).toBeUndefined();
+        expect(report.services.screening).toEqual({ dryRun: true, records: 2 });
+        expect(store.users.count()).toBe(2);
+    });
+
+    test('restores the backup after saving the current state, keeping preserved collections', async () => {
+        const services = [fakeService('screening')];
+        const backups = backupService({ services });
+        const backup = await backups.create();
+        store.users.insert({ id: 'patient_2', role: 'patient', name: 'New Patient', email: 'new@example.com' });
+        store.sessions.insert({ id: 'sess_2', userId: 'patient_2' });
+
+        const report = await backups.restore(backup.id, { dryRun: false, restoredBy: 'admin_001' });
+        expect(report.errors).toEqual([]);
+        expect(services[0].restore).toHaveBeenCalledWith(expect.any(Object), { dryRun: false });
+        expect(backups.dataSubjects.reapplyErasures).toHaveBeenCalledWith(new Date(backup.createdAt));
+
+        expect(store.users.all().map(user => user.id)).toEqual(['patient_1']);
+        expect(store.sessions.all().map(session => session.id)).toEqual(['sess_1', 'sess_2']);
+        expect(backups.find(report.preRestoreBackupId)).toMatchObject({ trigger: 'pre-restore', createdBy: 'admin_001' });
+    });
+
+    test('removes expired backups but always keeps the newest', async () => {
+        const backups = backupService();
+        await backups.create();
+        await backups.create();
+
+        expect(backups.prune(30, new Date(Date.now() + 40 * DAY))).toHaveLength(1);
+        expect(backups.list()).toHaveLength(1);
+    });
+
+    test('runs one backup or restore at a time', async () => {
+        const backups = backupService();
+        const first = backups.create();
+
+        await expect(backups.create()).rejects.toThrow('Another backup or restore is in progress');
+        await first;
+    });
+});
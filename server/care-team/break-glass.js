@@ -0,0 +1,119 @@
+/**
+ * Break-the-Glass Access
+ * Time-limited emergency access to a patient outside the clinician's care team
+ * Features: mandatory justification, automatic expiry, ending early, a count of the
+ * accesses made under each grant, retrospective admin review (approved or flagged)
+ */
+
+const Joi = require('joi');
+const crypto = require('crypto');
+
+// pending until an admin reviews the override after the fact
+const EMERGENCY_ACCESS_REVIEWS = ['pending', 'approved', 'flagged'];
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+/**
+ * Validate an override request. The patient is given by id or email; durationMinutes
+ * defaults to an hour, capped at `maxMinutes`.
+ */
+function validateEmergencyAccess(input, { maxMinutes }) {
+    const schema = Joi.object({
+        patientId: Joi.string().trim(),
+        patientEmail: Joi.string().trim().email(),
+        reason: Joi.string().trim().min(20).max(1000).required()
+            .messages({ 'string.min': '{{#label}} must explain the emergency (at least {{#limit}} characters)' }),
+        durationMinutes: Joi.number().integer().min(5).max(maxMinutes).default(Math.min(DEFAULT_DURATION_MINUTES, maxMinutes))
+    }).xor('patientId', 'patientEmail');
+
+    const { error, value } = schema.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+    return { value };
+}
+
+const reviewSchema = Joi.object({
+    decision: Joi.string().valid('approved', 'flagged').required(),
+    // Flagging needs the reviewer's findings
+    comment: Joi.string().trim().max(1000).allow('')
+        .when('decision', { is: 'flagged', then: Joi.string().min(1).required() })
+});
+
+function validateReview(input) {
+    const { error, value } = reviewSchema.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+    return { value };
+}
+
+// 'active' until expiresAt unless ended early ('ended'), then 'expired'
+function grantStatus(grant, at = new Date()) {
+    if (grant.endedAt) return 'ended';
+    return new Date(grant.expiresAt) > at ? 'active' : 'expired';
+}
+
+class BreakGlassService {
+    // grants is a store collection
+    constructor({ grants }) {
+        this.grants = grants;
+    }
+
+    activeGrant(userId, patientId, at = new Date()) {
+        return this.grants.find(grant =>
+            grant.userId === userId && grant.patientId === patientId && grantStatus(grant, at) === 'active') || null;
+    }
+
+    open({ userId, patientId, reason, durationMinutes }) {
+        const now = new Date();
+        return this.grants.insert({
+            id: `btg_${crypto.randomBytes(8).toString('hex')}`,
+            userId,
+            patientId,
+            reason,
+            durationMinutes,
+            startedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + durationMinutes * 60 * 1000).toISOString(),
+            endedAt: null,
+            endedBy: null,
+            accessCount: 0,
+            lastAccessAt: null,
+            reviewStatus: 'pending',
+            reviewedBy: null,
+            reviewedAt: null,
+            reviewComment: ''
+        });
+    }
+
+    recordAccess(grant) {
+        return this.grants.update(grant.id, {
+            accessCount: (grant.accessCount || 0) + 1,
+            lastAccessAt: new Date().toISOString()
+        });
+    }
+
+    end(grant, endedBy) {
+        return this.grants.update(grant.id, { endedAt: new Date().toISOString(), endedBy });
+    }
+
+    // Record the admin's decision; flagging also ends a grant that is still active
+    review(grant, { decision, comment = '' }, reviewedBy) {
+        const now = new Date().toISOString();
+        return this.grants.update(grant.id, {
+            reviewStatus: decision,
+            reviewedBy,
+            reviewedAt: now,
+            reviewComment: comment,
+            ...(decision === 'flagged' && grantStatus(grant) === 'active' ? { endedAt: now, endedBy: reviewedBy } : {})
+        });
+    }
+}
+
+module.exports = {
+    EMERGENCY_ACCESS_REVIEWS,
+    validateEmergencyAccess,
+    validateReview,
+    grantStatus,
+    BreakGlassService
+};
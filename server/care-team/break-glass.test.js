@@ -0,0 +1,98 @@
+const { createTestStore } = require('../storage/test-store');
+const { validateEmergencyAccess, validateReview, grantStatus, BreakGlassService } = require('./break-glass');
+
+const REASON = 'Unconscious patient brought into the ED, no care team reachable';
+const MINUTE = 60 * 1000;
+
+describe('validateEmergencyAccess', () => {
+    test('takes the patient by id or email and defaults to an hour', () => {
+        expect(validateEmergencyAccess({ patientId: 'patient_1', reason: REASON }, { maxMinutes: 240 }).value)
+            .toEqual({ patientId: 'patient_1', reason: REASON, durationMinutes: 60 });
+        expect(validateEmergencyAccess({ patientEmail: 'ada@example.com', reason: REASON }, { maxMinutes: 30 }).value.durationMinutes).toBe(30);
+    });
+
+    test('needs a real justification, one patient and a duration within the policy', () => {
+        expect(validateEmergencyAccess({ patientId: 'patient_1', reason: 'urgent' }, { maxMinutes: 240 }).error)
+            .toEqual(['"reason" must explain the emergency (at least 20 characters)']);
+        expect(validateEmergencyAccess({ patientId: 'patient_1', patientEmail: 'ada@example.com', reason: REASON }, { maxMinutes: 240 }).error).toHaveLength(1);
+        expect(validateEmergencyAccess({ patientId: 'patient_1', reason: REASON, durationMinutes: 300 }, { maxMinutes: 240 }).error).toHaveLength(1);
+    });
+});
+
+describe('validateReview', () => {
+    test('flagging needs a comment, approving does not', () => {
+        expect(validateReview({ decision: 'approved' }).value).toEqual({ decision: 'approved' });
+        expect(validateReview({ decision: 'flagged', comment: 'No emergency on record' }).value.comment).toBe('No emergency on record');
+        expect(validateReview({ decision: 'flagged' }).error).toEqual(['"comment" is required']);
+        expect(validateReview({ decision: 'pending' }).error).toHaveLength(1);
+    });
+});
+
+describe('BreakGlassService', () => {
+    let store;
+    let breakGlass;
+
+    beforeAll(() => {
+        store = createTestStore();
+    });
+
+    beforeEach(() => {
+        store.emergencyAccessGrants.removeWhere(() => true);
+        breakGlass = new BreakGlassService({ grants: store.emergencyAccessGrants });
+    });
+
+    const open = () => breakGlass.open({ userId: 'provider_1', patientId: 'patient_1', reason: REASON, durationMinutes: 30 });
+
+    test('a grant is active for its duration, for that clinician and patient only', () => {
+        const grant = open();
+        const start = new Date(grant.startedAt);
+
+        expect(grant).toMatchObject({ reviewStatus: 'pending', accessCount: 0 });
+        expect(breakGlass.activeGrant('provider_1', 'patient_1', new Date(start.getTime() + 29 * MINUTE))).toMatchObject({ id: grant.id });
+        expect(breakGlass.activeGrant('provider_1', 'patient_1', new Date(start.getTime() + 30 * MINUTE))).toBeNull();
+        expect(breakGlass.activeGrant('provider_2', 'patient_1')).toBeNull();
+        expect(breakGlass.activeGrant('provider_1', 'patient_2')).toBeNull();
+    });
+
+    test('grantStatus reports active, expired and ended', () => {
+        const grant = open();
+
+        expect(grantStatus(grant)).toBe('active');
+        expect(grantStatus(grant, new Date(Date.parse(grant.expiresAt) + 1))).toBe('expired');
+        expect(grantStatus(breakGlass.end(grant, 'provider_1'))).toBe('ended');
+        expect(breakGlass.activeGrant('provider_1', 'patient_1')).toBeNull();
+    });
+
+    test('counts each access made under the grant', () => {
+        const grant = open();
+        breakGlass.recordAccess(grant);
+        const updated = breakGlass.recordAccess(store.emergencyAccessGrants.findById(grant.id));
+
+        expect(updated.accessCount).toBe(2);
+        expect(updated.lastAccessAt).toEqual(expect.any(String));
+    });
+
+    test('approving records the review and leaves the grant running', () => {
+        const reviewed = breakGlass.review(open(), { decision: 'approved' }, 'admin_1');
+
+        expect(reviewed).toMatchObject({ reviewStatus: 'approved', reviewedBy: 'admin_1', reviewComment: '', endedAt: null });
+        expect(grantStatus(reviewed)).toBe('active');
+    });
+
+    test('flagging ends a grant that is still active', () => {
+        const reviewed = breakGlass.review(open(), { decision: 'flagged', comment: 'No emergency on record' }, 'admin_1');
+
+        expect(reviewed).toMatchObject({ reviewStatus: 'flagged', reviewComment: 'No emergency on record', endedBy: 'admin_1' });
+        expect(grantStatus(reviewed)).toBe('ended');
+    });
+
+    test('flagging an expired grant keeps its expiry', () => {
+        const grant = open();
+        store.emergencyAccessGrants.update(grant.id, { expiresAt: new Date(Date.now() - MINUTE).toISOString() });
+
+        const reviewed = breakGlass.review(store.emergencyAccessGrants.findById(grant.id), { decision: 'flagged', comment: 'Too broad' }, 'admin_1');
+
+        expect(reviewed).toMatchObject({ reviewStatus: 'flagged', endedAt: null });
+        expect(grantStatus(reviewed)).toBe('expired');
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Care Teams
+ * Patient ↔ clinician assignments that decide which patients a clinician may see
+ * Features: team roles (primary, consulting, nurse), start and optional end dates,
+ * at most one primary clinician per patient at a time, ended assignments kept as history
+ */
+
+const Joi = require('joi');
+const crypto = require('crypto');
+
+const CARE_TEAM_ROLES = ['primary', 'consulting', 'nurse'];
+
+const assignmentSchema = Joi.object({
+    patientId: Joi.string().trim().required(),
+    providerId: Joi.string().trim().required(),
+    role: Joi.string().valid(...CARE_TEAM_ROLES).required(),
+    startDate: Joi.date().iso(),
+    // Exclusive; null or absent for open-ended assignments
+    endDate: Joi.date().iso().allow(null),
+    notes: Joi.string().trim().max(500).allow('')
+});
+
+// Patient and provider are fixed once assigned; end the assignment and create a new one instead
+const assignmentUpdateSchema = assignmentSchema.fork(['patientId', 'providerId'], key => key.forbidden())
+    .fork(['role'], key => key.optional());
+
+/**
+ * Validate a new assignment, or an update merged over `existing`.
+ * Returns { value } with startDate defaulted to now, or { error: [messages] }.
+ */
+function validateAssignment(input, existing = null, now = new Date()) {
+    const schema = existing ? assignmentUpdateSchema : assignmentSchema;
+    const { error, value } = schema.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+
+    const startDate = value.startDate || (existing ? new Date(existing.startDate) : now);
+    const endDate = value.endDate !== undefined ? value.endDate : (existing && existing.endDate ? new Date(existing.endDate) : null);
+    if (endDate && endDate <= startDate) {
+        return { error: ['"endDate" must be after "startDate"'] };
+    }
+
+    return {
+        value: {
+            ...value,
+            startDate: startDate.toISOString(),
+            endDate: endDate ? endDate.toISOString() : null
+        }
+    };
+}
+
+const isActive = (assignment, at = new Date()) =>
+    new Date(assignment.startDate) <= at && (!assignment.endDate || new Date(assignment.endDate) > at);
+
+// Whether two [startDate, endDate) periods share any time
+const overlaps = (a, b) =>
+    (!b.endDate || new Date(a.startDate) < new Date(b.endDate)) &&
+    (!a.endDate || new Date(b.startDate) < new Date(a.endDate));
+
+class CareTeamService {
+    // assignments and users are store collections
+    constructor({ assignments, users }) {
+        this.assignments = assignments;
+        this.users = users;
+    }
+
+    // Assignments in effect at `at`, optionally for one patient and/or provider
+    active({ patientId, providerId } = {}, at = new Date()) {
+        return this.assignments.filter(assignment =>
+            (!patientId || assignment.patientId === patientId) &&
+            (!providerId || assignment.providerId === providerId) &&
+            isActive(assignment, at));
+    }
+
+    isMember(providerId, patientId, at = new Date()) {
+        return this.active({ patientId, providerId }, at).length > 0;
+    }
+
+    // User ids of the patient's current care team
+    teamOf(patientId) {
+        return [...new Set(this.active({ patientId }).map(assignment => assignment.providerId))];
+    }
+
+    // Problems with the accounts a new assignment refers to
+    unknownReferences({ patientId, providerId }) {
+        const patient = this.users.findById(patientId);
+        const provider = this.users.findById(providerId);
+        return [
+            ...(!patient || patient.role !== 'patient' ? [`Unknown patient: ${patientId}`] : []),
+            ...(!provider || provider.role === 'patient' ? [`Unknown clinician: ${providerId}`] : [])
+        ];
+    }
+
+    /**
+     * Overlaps for a validated assignment (merged over `existing` for updates): the same
+     * clinician assigned twice, or a second primary clinician for the same period.
+     */
+    conflicts(value, existing = null) {
+        const assignment = { ...existing, ...value };
+        const errors = [];
+
+        const others = this.assignments.filter(other =>
+            other.patientId === assignment.patientId &&
+            (!existing || other.id !== existing.id) &&
+            overlaps(other, assignment));
+
+        if (others.some(other => other.providerId === assignment.providerId)) {
+            errors.push('This clinician is already on the patient\'s care team for an overlapping period');
+        }
+        if (assignment.role === 'primary' && others.some(other => other.role === 'primary')) {
+            errors.push('The patient already has a primary clinician for an overlapping period');
+        }
+        return errors;
+    }
+
+    assign(value, createdBy) {
+        const now = new Date().toISOString();
+        return this.assignments.insert({
+            id: `cta_${crypto.randomBytes(8).toString('hex')}`,
+            patientId: value.patientId,
+            providerId: value.providerId,
+            role: value.role,
+            startDate: value.startDate,
+            endDate: value.endDate,
+            notes: value.notes || '',
+            createdBy,
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    update(assignment, value) {
+        return this.assignments.update(assignment.id, { ...value, updatedAt: new Date().toISOString() });
+    }
+
+    /**
+     * End an assignment now, keeping it as history. One that has not started yet
+     * is deleted instead; returns null in that case.
+     */
+    end(assignment, at = new Date()) {
+        if (new Date(assignment.startDate) > at) {
+            this.assignments.remove(assignment.id);
+            return null;
+        }
+        return this.assignments.update(assignment.id, { endDate: at.toISOString(), updatedAt: at.toISOString() });
+    }
+}
+
+module.exports = {
+    CARE_TEAM_ROLES,
+    validateAssignment,
+    isActive,
+    CareTeamService
+};
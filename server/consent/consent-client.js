@@ -0,0 +1,45 @@
+/**
+ * Consent Client
+ * Consent checks against the main platform server, for the standalone services
+ * (health records, screening, FHIR) that keep no consent data of their own
+ * Checks fail closed: when the main server cannot be reached the action is refused.
+ */
+
+const { requireServiceToken, InternalServiceClient } = require('../utils/internal-service');
+
+class ConsentClient extends InternalServiceClient {
+    // baseUrl is the main server; token is the shared CONSENT_SERVICE_TOKEN
+    constructor({ baseUrl, token = null, timeoutMs = 5000, fetch }) {
+        super({ name: 'Consent', baseUrl, prefix: '/api/internal/consents', token, timeoutMs, fetch });
+    }
+
+    /**
+     * Whether `subject` (patient email or id) consents to `purpose`, for `recipient`
+     * when sharing. Resolves with { allowed, reason, consentId }.
+     */
+    async check({ subject, purpose, recipient }) {
+        try {
+            const result = await this.get('check', { subject, purpose, ...(recipient ? { recipient } : {}) });
+            return result.data;
+        } catch (error) {
+            return { allowed: false, reason: error.message, consentId: null };
+        }
+    }
+
+    // Patients may always export their own data; anyone else needs provider sharing consent naming them
+    async checkExport({ subject, requester }) {
+        if (String(subject).toLowerCase() === String(requester).toLowerCase()) {
+            return { allowed: true, reason: null, consentId: null };
+        }
+        return this.check({ subject, purpose: 'provider_sharing', recipient: requester });
+    }
+}
+
+// Guard for the consent check endpoint; closed until CONSENT_SERVICE_TOKEN is set
+const requireConsentServiceAccess = (token) =>
+    requireServiceToken(token, { label: 'Consent checks', envVar: 'CONSENT_SERVICE_TOKEN' });
+
+module.exports = {
+    ConsentClient,
+    requireConsentServiceAccess
+};
@@ -0,0 +1,46 @@
+const { ConsentClient } = require('./consent-client');
+
+describe('ConsentClient', () => {
+    const reply = (status, body) => jest.fn(async () => ({ ok: status < 300, status, json: async () => body }));
+
+    const client = (fetch) => new ConsentClient({ baseUrl: 'http://localhost:3000/', token: 's3cret', fetch });
+
+    test('asks the main server with the consent service token', async () => {
+        const decision = { allowed: true, reason: null, consentId: 'consent_1' };
+        const fetch = reply(200, { success: true, data: decision });
+
+        await expect(client(fetch).check({ subject: 'ada@example.com', purpose: 'provider_sharing', recipient: 'dr@example.com' }))
+            .resolves.toEqual(decision);
+
+        const [url, request] = fetch.mock.calls[0];
+        expect(url).toBe('http://localhost:3000/api/internal/consents/check?subject=ada%40example.com&purpose=provider_sharing&recipient=dr%40example.com');
+        expect(request).toMatchObject({ method: 'GET', headers: { 'Authorization': 'Bearer s3cret' } });
+    });
+
+    test('fails closed when the main server refuses or cannot be reached', async () => {
+        await expect(client(reply(503, { error: 'Consent checks are disabled until CONSENT_SERVICE_TOKEN is set' })).check({ subject: 'ada@example.com', purpose: 'research' }))
+            .resolves.toEqual({
+                allowed: false,
+                reason: 'Consent service responded with HTTP 503: Consent checks are disabled until CONSENT_SERVICE_TOKEN is set',
+                consentId: null
+            });
+
+        const unreachable = jest.fn(async () => {
+            throw new Error('connect ECONNREFUSED');
+        });
+        await expect(client(unreachable).check({ subject: 'ada@example.com', purpose: 'research' }))
+            .resolves.toEqual({ allowed: false, reason: 'Consent service unavailable: connect ECONNREFUSED', consentId: null });
+    });
+
+    test('lets patients export their own records without asking', async () => {
+        const fetch = reply(200, { data: { allowed: false, reason: 'No consent', consentId: null } });
+
+        await expect(client(fetch).checkExport({ subject: 'Ada@example.com', requester: 'ada@example.com' }))
+            .resolves.toEqual({ allowed: true, reason: null, consentId: null });
+        expect(fetch).not.toHaveBeenCalled();
+
+        await expect(client(fetch).checkExport({ subject: 'ada@example.com', requester: 'dr@example.com' }))
+            .resolves.toMatchObject({ allowed: false });
+        expect(fetch.mock.calls[0][0]).toContain('purpose=provider_sharing&recipient=dr%40example.com');
+    });
+});
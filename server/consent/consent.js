@@ -0,0 +1,249 @@
+/**
+ * Consent Registry
+ * Per-purpose patient consents recorded against versioned consent text
+ * Features: effective periods, revocation with a reason, named recipients for provider
+ * sharing, re-consent when a new text version requires it, FHIR R4 Consent resources
+ *
+ * Purposes: ml_risk_scoring (ML risk assessments), research (inclusion in research data),
+ * provider_sharing (sharing records with the named recipients, and exports of the
+ * patient's data requested by anyone else), marketing.
+ */
+
+const Joi = require('joi');
+const crypto = require('crypto');
+
+const CONSENT_PURPOSES = {
+    ml_risk_scoring: {
+        title: 'ML Risk Scoring',
+        actReason: { code: 'HOPERAT', display: 'healthcare operations' },
+        scope: 'patient-privacy'
+    },
+    research: {
+        title: 'Research',
+        actReason: { code: 'HRESCH', display: 'healthcare research' },
+        scope: 'research'
+    },
+    provider_sharing: {
+        title: 'Sharing With Named Providers',
+        actReason: { code: 'TREAT', display: 'treatment' },
+        scope: 'patient-privacy'
+    },
+    marketing: {
+        title: 'Marketing',
+        actReason: { code: 'HMARKT', display: 'healthcare marketing' },
+        scope: 'patient-privacy'
+    }
+};
+
+const PURPOSE_IDS = Object.keys(CONSENT_PURPOSES);
+
+const consentSchema = Joi.object({
+    purpose: Joi.string().valid(...PURPOSE_IDS).required(),
+    // The text version the patient was shown; must be the current one
+    documentVersion: Joi.number().integer().min(1).required(),
+    effectiveFrom: Joi.date().iso(),
+    effectiveUntil: Joi.date().iso().allow(null),
+    recipients: Joi.when('purpose', {
+        is: 'provider_sharing',
+        then: Joi.array().items(Joi.string().trim().lowercase().email()).min(1).unique().required(),
+        otherwise: Joi.forbidden()
+    })
+});
+
+const documentSchema = Joi.object({
+    purpose: Joi.string().valid(...PURPOSE_IDS).required(),
+    text: Joi.string().trim().min(20).max(10000).required(),
+    // Earlier consents stop counting until the patient agrees to this version
+    reconsentRequired: Joi.boolean().default(false)
+});
+
+const validate = (schema, input) => {
+    const { error, value } = schema.validate(input, { abortEarly: false, stripUnknown: true });
+    return error ? { error: error.details.map(detail => detail.message) } : { value };
+};
+
+/**
+ * Validate a consent. Returns { value } with effectiveFrom defaulted to now, or
+ * { error: [messages] }.
+ */
+function validateConsent(input, now = new Date()) {
+    const { error, value } = validate(consentSchema, input);
+    if (error) {
+        return { error };
+    }
+
+    const effectiveFrom = value.effectiveFrom || now;
+    if (value.effectiveUntil && value.effectiveUntil <= effectiveFrom) {
+        return { error: ['"effectiveUntil" must be after "effectiveFrom"'] };
+    }
+    return {
+        value: {
+            ...value,
+            effectiveFrom: effectiveFrom.toISOString(),
+            effectiveUntil: value.effectiveUntil ? value.effectiveUntil.toISOString() : null
+        }
+    };
+}
+
+const validateConsentDocument = (input) => validate(documentSchema, input);
+
+// 'active', 'pending' (starts later), 'expired' or 'revoked'
+function consentStatus(consent, at = new Date()) {
+    if (consent.revokedAt) return 'revoked';
+    if (new Date(consent.effectiveFrom) > at) return 'pending';
+    if (consent.effectiveUntil && new Date(consent.effectiveUntil) <= at) return 'expired';
+    return 'active';
+}
+
+class ConsentService {
+    // consents, documents and users are store collections
+    constructor({ consents, documents, users }) {
+        this.consents = consents;
+        this.documents = documents;
+        this.users = users;
+    }
+
+    // Latest text version for a purpose
+    currentDocument(purpose) {
+        return this.documents
+            .filter(document => document.purpose === purpose)
+            .reduce((latest, document) => (!latest || document.version > latest.version ? document : latest), null);
+    }
+
+    publishDocument({ purpose, text, reconsentRequired }, createdBy) {
+        const current = this.currentDocument(purpose);
+        const version = current ? current.version + 1 : 1;
+        const now = new Date().toISOString();
+        return this.documents.insert({
+            id: `cdoc_${purpose}_v${version}`,
+            purpose,
+            version,
+            title: CONSENT_PURPOSES[purpose].title,
+            text,
+            reconsentRequired,
+            effectiveDate: now,
+            createdBy,
+            createdAt: now
+        });
+    }
+
+    // The patient account for a user id or email, or null
+    subjectOf(subject) {
+        const key = String(subject || '').toLowerCase();
+        return this.users.find(user => user.role === 'patient' && (user.id === subject || user.email.toLowerCase() === key)) || null;
+    }
+
+    grant(patientId, value) {
+        const document = this.currentDocument(value.purpose);
+        return this.consents.insert({
+            id: `consent_${crypto.randomBytes(8).toString('hex')}`,
+            patientId,
+            purpose: value.purpose,
+            documentId: document.id,
+            documentVersion: document.version,
+            recipients: value.recipients || [],
+            effectiveFrom: value.effectiveFrom,
+            effectiveUntil: value.effectiveUntil,
+            grantedAt: new Date().toISOString(),
+            revokedAt: null,
+            revocationReason: null
+        });
+    }
+
+    revoke(consent, reason = '') {
+        return this.consents.update(consent.id, { revokedAt: new Date().toISOString(), revocationReason: reason || null });
+    }
+
+    /**
+     * Whether `subject` (patient id or email) has consented to `purpose` at `at`;
+     * provider_sharing also needs `recipient` (an email) to be named on the consent.
+     * Returns { allowed, reason, consentId }.
+     */
+    check({ subject, purpose, recipient, at = new Date() }) {
+        if (!CONSENT_PURPOSES[purpose]) {
+            return { allowed: false, reason: `Unknown consent purpose: ${purpose}`, consentId: null };
+        }
+        const patient = this.subjectOf(subject);
+        if (!patient) {
+            return { allowed: false, reason: 'No consent on record for this patient', consentId: null };
+        }
+
+        const current = this.currentDocument(purpose);
+        const minimumVersion = current && current.reconsentRequired ? current.version : 1;
+        const consent = this.consents.find(item =>
+            item.patientId === patient.id &&
+            item.purpose === purpose &&
+            consentStatus(item, at) === 'active' &&
+            item.documentVersion >= minimumVersion &&
+            (purpose !== 'provider_sharing' || item.recipients.includes(String(recipient || '').toLowerCase())));
+
+        if (consent) {
+            return { allowed: true, reason: null, consentId: consent.id };
+        }
+        return {
+            allowed: false,
+            reason: purpose === 'provider_sharing'
+                ? `${patient.name} has not consented to sharing with ${recipient || 'this recipient'}`
+                : `${patient.name} has not consented to ${CONSENT_PURPOSES[purpose].title.toLowerCase()}`,
+            consentId: null
+        };
+    }
+
+    // Patients may always export their own data; anyone else needs provider sharing consent naming them
+    checkExport({ subject, requester, at = new Date() }) {
+        const patient = this.subjectOf(subject);
+        if (patient && String(patient.email).toLowerCase() === String(requester).toLowerCase()) {
+            return { allowed: true, reason: null, consentId: null };
+        }
+        return this.check({ subject, purpose: 'provider_sharing', recipient: requester, at });
+    }
+}
+
+/**
+ * FHIR R4 Consent resource for a consent; `baseUrl` is where consent texts are served.
+ */
+function toFhirConsent(consent, { patient, baseUrl, at = new Date() }) {
+    const purpose = CONSENT_PURPOSES[consent.purpose];
+    const status = consentStatus(consent, at);
+    return {
+        resourceType: 'Consent',
+        id: consent.id,
+        meta: { lastUpdated: consent.revokedAt || consent.grantedAt },
+        status: status === 'active' || status === 'pending' ? 'active' : 'inactive',
+        scope: {
+            coding: [{ system: 'http://terminology.hl7.org/CodeSystem/consentscope', code: purpose.scope }]
+        },
+        category: [{
+            coding: [{ system: 'http://loinc.org', code: '59284-0', display: 'Patient Consent' }],
+            text: purpose.title
+        }],
+        patient: { reference: `Patient/${consent.patientId}`, display: patient ? patient.name : undefined },
+        dateTime: consent.grantedAt,
+        policy: [{ uri: `${baseUrl}/api/consent-documents/${consent.documentId}` }],
+        provision: {
+            type: 'permit',
+            period: {
+                start: consent.effectiveFrom,
+                ...(consent.revokedAt || consent.effectiveUntil ? { end: consent.revokedAt || consent.effectiveUntil } : {})
+            },
+            purpose: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ActReason', ...purpose.actReason }],
+            ...(consent.recipients.length > 0 ? {
+                actor: consent.recipients.map(email => ({
+                    role: {
+                        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ParticipationType', code: 'IRCP', display: 'information recipient' }]
+                    },
+                    reference: { display: email }
+                }))
+            } : {})
+        }
+    };
+}
+
+module.exports = {
+    CONSENT_PURPOSES,
+    validateConsent,
+    validateConsentDocument,
+    consentStatus,
+    ConsentService,
+    toFhirConsent
+};
@@ -0,0 +1,137 @@
+const { createTestStore } = require('../storage/test-store');
+const { validateConsent, consentStatus, ConsentService, toFhirConsent } = require('./consent');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('validateConsent', () => {
+    const now = new Date('2024-06-01T00:00:00Z');
+
+    test('starts the consent now unless told otherwise', () => {
+        expect(validateConsent({ purpose: 'research', documentVersion: 1 }, now).value).toEqual({
+            purpose: 'research',
+            documentVersion: 1,
+            effectiveFrom: now.toISOString(),
+            effectiveUntil: null
+        });
+    });
+
+    test('requires named recipients for provider sharing only', () => {
+        expect(validateConsent({ purpose: 'provider_sharing', documentVersion: 1 }, now).error).toEqual(['"recipients" is required']);
+        expect(validateConsent({ purpose: 'research', documentVersion: 1, recipients: ['a@b.com'] }, now).error).toEqual(['"recipients" is not allowed']);
+        expect(validateConsent({ purpose: 'provider_sharing', documentVersion: 1, recipients: ['Dr.Smith@Hospital.com'] }, now).value.recipients)
+            .toEqual(['dr.smith@hospital.com']);
+    });
+
+    test('rejects a period that ends before it starts', () => {
+        const { error } = validateConsent({ purpose: 'research', documentVersion: 1, effectiveUntil: '2024-05-01T00:00:00Z' }, now);
+        expect(error).toEqual(['"effectiveUntil" must be after "effectiveFrom"']);
+    });
+});
+
+describe('consentStatus', () => {
+    const at = new Date('2024-06-01T00:00:00Z');
+    const consent = { effectiveFrom: '2024-05-01T00:00:00Z', effectiveUntil: '2024-07-01T00:00:00Z', revokedAt: null };
+
+    test('follows the effective period and revocation', () => {
+        expect(consentStatus(consent, at)).toBe('active');
+        expect(consentStatus({ ...consent, effectiveFrom: '2024-06-02T00:00:00Z' }, at)).toBe('pending');
+        expect(consentStatus({ ...consent, effectiveUntil: '2024-06-01T00:00:00Z' }, at)).toBe('expired');
+        expect(consentStatus({ ...consent, revokedAt: '2024-05-15T00:00:00Z' }, at)).toBe('revoked');
+    });
+});
+
+describe('ConsentService', () => {
+    let store;
+    let consent;
+
+    beforeAll(() => {
+        store = createTestStore();
+        store.users.insert({ id: 'patient_1', role: 'patient', name: 'Pat Doe', email: 'pat@example.com' });
+        store.users.insert({ id: 'provider_1', role: 'provider', name: 'Dr. Smith', email: 'dr.smith@hospital.com' });
+    });
+
+    beforeEach(() => {
+        store.consents.removeWhere(() => true);
+        store.consentDocuments.removeWhere(document => document.version > 1);
+        consent = new ConsentService({ consents: store.consents, documents: store.consentDocuments, users: store.users });
+    });
+
+    const grant = (input) => consent.grant('patient_1', validateConsent({ documentVersion: 1, ...input }).value);
+
+    test('allows a purpose only while an active consent covers it', () => {
+        expect(consent.check({ subject: 'patient_1', purpose: 'research' })).toEqual({
+            allowed: false,
+            reason: 'Pat Doe has not consented to research',
+            consentId: null
+        });
+
+        const granted = grant({ purpose: 'research' });
+        expect(consent.check({ subject: 'pat@example.com', purpose: 'research' })).toEqual({ allowed: true, reason: null, consentId: granted.id });
+
+        consent.revoke(granted, 'Changed my mind');
+        expect(consent.check({ subject: 'patient_1', purpose: 'research' }).allowed).toBe(false);
+        expect(store.consents.findById(granted.id).revocationReason).toBe('Changed my mind');
+    });
+
+    test('ignores consents outside their effective period', () => {
+        grant({ purpose: 'ml_risk_scoring', effectiveUntil: new Date(Date.now() + DAY).toISOString() });
+
+        expect(consent.check({ subject: 'patient_1', purpose: 'ml_risk_scoring' }).allowed).toBe(true);
+        expect(consent.check({ subject: 'patient_1', purpose: 'ml_risk_scoring', at: new Date(Date.now() + 2 * DAY) }).allowed).toBe(false);
+    });
+
+    test('shares only with the named recipients', () => {
+        grant({ purpose: 'provider_sharing', recipients: ['dr.smith@hospital.com'] });
+
+        expect(consent.check({ subject: 'patient_1', purpose: 'provider_sharing', recipient: 'Dr.Smith@hospital.com' }).allowed).toBe(true);
+        expect(consent.check({ subject: 'patient_1', purpose: 'provider_sharing', recipient: 'other@hospital.com' })).toMatchObject({
+            allowed: false,
+            reason: 'Pat Doe has not consented to sharing with other@hospital.com'
+        });
+    });
+
+    test('requires consent to a new text version when it asks for re-consent', () => {
+        grant({ purpose: 'research' });
+        consent.publishDocument({ purpose: 'research', text: 'Updated research consent text.', reconsentRequired: false }, 'admin_001');
+        expect(consent.check({ subject: 'patient_1', purpose: 'research' }).allowed).toBe(true);
+
+        const document = consent.publishDocument({ purpose: 'research', text: 'Research consent text, third edition.', reconsentRequired: true }, 'admin_001');
+        expect(document).toMatchObject({ id: 'cdoc_research_v3', version: 3, title: 'Research' });
+        expect(consent.check({ subject: 'patient_1', purpose: 'research' }).allowed).toBe(false);
+
+        grant({ purpose: 'research', documentVersion: 3 });
+        expect(consent.check({ subject: 'patient_1', purpose: 'research' }).allowed).toBe(true);
+    });
+
+    test('rejects unknown purposes and subjects that are not patients', () => {
+        expect(consent.check({ subject: 'patient_1', purpose: 'telemarketing' }).reason).toBe('Unknown consent purpose: telemarketing');
+        expect(consent.check({ subject: 'provider_1', purpose: 'research' }).reason).toBe('No consent on record for this patient');
+    });
+
+    test('lets patients export their own data and others only with sharing consent', () => {
+        expect(consent.checkExport({ subject: 'patient_1', requester: 'PAT@example.com' }).allowed).toBe(true);
+        expect(consent.checkExport({ subject: 'patient_1', requester: 'dr.smith@hospital.com' }).allowed).toBe(false);
+
+        const granted = grant({ purpose: 'provider_sharing', recipients: ['dr.smith@hospital.com'] });
+        expect(consent.checkExport({ subject: 'patient_1', requester: 'dr.smith@hospital.com' })).toEqual({ allowed: true, reason: null, consentId: granted.id });
+    });
+
+    test('describes a consent as a FHIR Consent resource', () => {
+        const granted = grant({ purpose: 'provider_sharing', recipients: ['dr.smith@hospital.com'] });
+        const resource = toFhirConsent(granted, { patient: store.users.findById('patient_1'), baseUrl: 'https://onecare.example.com' });
+
+        expect(resource).toMatchObject({
+            resourceType: 'Consent',
+            id: granted.id,
+            status: 'active',
+            patient: { reference: 'Patient/patient_1', display: 'Pat Doe' },
+            policy: [{ uri: `https://onecare.example.com/api/consent-documents/${granted.documentId}` }],
+            provision: {
+                type: 'permit',
+                purpose: [{ code: 'TREAT' }],
+                actor: [{ reference: { display: 'dr.smith@hospital.com' } }]
+            }
+        });
+        expect(toFhirConsent(consent.revoke(granted), { patient: null, baseUrl: '' }).status).toBe('inactive');
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * Mailer
+ * Outgoing email for the main platform through a pluggable nodemailer transport
+ * Transports: 'smtp' (SMTP_* settings), 'file' (JSON messages written to an outbox
+ * directory, for development and testing), or any nodemailer transport instance.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+class Mailer {
+    constructor({ transport = 'file', from, outboxDir, smtp = {} }) {
+        this.from = from;
+        this.outboxDir = outboxDir;
+        this.configure({ transport, smtp });
+    }
+
+    // Switch transport or SMTP settings; messages already being sent finish on the old transport
+    configure({ transport = 'file', smtp = {} }) {
+        this.kind = typeof transport === 'string' ? transport : 'custom';
+
+        if (transport === 'smtp') {
+            this.transporter = nodemailer.createTransport({
+                host: smtp.host,
+                port: smtp.port,
+                secure: smtp.secure,
+                auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+            });
+        } else if (transport === 'file') {
+            this.transporter = nodemailer.createTransport({ jsonTransport: true });
+        } else if (typeof transport === 'string') {
+            throw new Error(`Unknown mail transport: ${transport}`);
+        } else {
+            this.transporter = nodemailer.createTransport(transport);
+        }
+    }
+
+    /**
+     * Send a message. Resolves with nodemailer's info object; with the file
+     * transport `info.file` is the path of the written message.
+     */
+    async send({ to, subject, text, html }) {
+        const kind = this.kind;
+        const info = await this.transporter.sendMail({ from: this.from, to, subject, text, html });
+
+        if (kind === 'file') {
+            fs.mkdirSync(this.outboxDir, { recursive: true });
+            const messageId = String(info.messageId).replace(/[^a-zA-Z0-9.-]/g, '');
+            info.file = path.join(this.outboxDir, `${Date.now()}-${messageId}.json`);
+            fs.writeFileSync(info.file, JSON.stringify(JSON.parse(info.message), null, 2));
+        }
+
+        return info;
+    }
+}
+
+module.exports = { Mailer };
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Mailer } = require('./mailer');
+const { passwordResetEmail } = require('./templates');
+
+const FROM = 'OneCare <no-reply@onecare.local>';
+
+describe('Mailer', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('the file transport writes each message to the outbox as JSON', async () => {
+        const outboxDir = path.join(dir, 'outbox');
+        const mailer = new Mailer({ from: FROM, outboxDir });
+
+        const info = await mailer.send({ to: 'ada@example.com', subject: 'Hello', text: 'Plain', html: '<p>Rich</p>' });
+
+        expect(path.dirname(info.file)).toBe(outboxDir);
+        expect(JSON.parse(fs.readFileSync(info.file, 'utf8'))).toMatchObject({
+            from: { address: 'no-reply@onecare.local', name: 'OneCare' },
+            to: [{ address: 'ada@example.com', name: '' }],
+            subject: 'Hello',
+            text: 'Plain',
+            html: '<p>Rich</p>'
+        });
+    });
+
+    test('keeps one file per message', async () => {
+        const mailer = new Mailer({ from: FROM, outboxDir: dir });
+
+        const first = await mailer.send({ to: 'ada@example.com', subject: 'One', text: '1' });
+        const second = await mailer.send({ to: 'ada@example.com', subject: 'Two', text: '2' });
+
+        expect(first.file).not.toBe(second.file);
+        expect(fs.readdirSync(dir)).toHaveLength(2);
+    });
+
+    test('sends a rendered template', async () => {
+        const mailer = new Mailer({ from: FROM, outboxDir: dir });
+        const url = 'https://onecare.example/reset-password.html?token=abc&x=<1>';
+
+        const info = await mailer.send({ to: 'ada@example.com', ...passwordResetEmail({ name: 'Ada', url, expiresInMinutes: 30 }) });
+        const message = JSON.parse(fs.readFileSync(info.file, 'utf8'));
+
+        expect(message.subject).toBe('Reset your OneCare password');
+        expect(message.text).toContain(`Reset your password: ${url}`);
+        expect(message.text).toContain('expires in 30 minutes');
+        expect(message.html).toContain('token=abc&amp;x=&lt;1&gt;');
+        expect(message.html).not.toContain('<1>');
+    });
+
+    test('hands messages to a custom transport instead of the outbox', async () => {
+        const sent = [];
+        const transport = {
+            name: 'capture',
+            version: '1',
+            send(mail, callback) {
+                sent.push(mail.data);
+                callback(null, { messageId: 'captured' });
+            }
+        };
+        const mailer = new Mailer({ transport, from: FROM, outboxDir: dir });
+
+        const info = await mailer.send({ to: 'ada@example.com', subject: 'Hi', text: 'Hi' });
+
+        expect(mailer.kind).toBe('custom');
+        expect(info).toEqual({ messageId: 'captured' });
+        expect(sent).toEqual([expect.objectContaining({ from: FROM, to: 'ada@example.com', subject: 'Hi' })]);
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    test('configure switches the transport for later messages', async () => {
+        const mailer = new Mailer({ from: FROM, outboxDir: dir });
+        mailer.configure({ transport: 'smtp', smtp: { host: 'smtp.example.com', port: 587, user: 'mailer', pass: 'secret' } });
+
+        expect(mailer.kind).toBe('smtp');
+        expect(mailer.transporter.options).toMatchObject({ host: 'smtp.example.com', port: 587, auth: { user: 'mailer', pass: 'secret' } });
+    });
+
+    test('refuses unknown transports', () => {
+        expect(() => new Mailer({ transport: 'pigeon', from: FROM, outboxDir: dir })).toThrow('Unknown mail transport: pigeon');
+    });
+});
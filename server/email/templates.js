@@ -0,0 +1,88 @@
+/**
+ * Account Email Templates
+ * Subject, plain-text and HTML bodies for account emails
+ */
+
+const escapeHtml = (value) => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function layout(heading, paragraphs, action) {
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #1e293b; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h2 style="color: #667eea;">${escapeHtml(heading)}</h2>
+    ${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n    ')}
+    <p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 12px 24px; background: #667eea; color: #fff; border-radius: 8px; text-decoration: none;">${escapeHtml(action.label)}</a></p>
+    <p style="color: #64748b; font-size: 12px;">If the button does not work, paste this link into your browser:<br>${escapeHtml(action.url)}</p>
+</body>
+</html>`;
+}
+
+function passwordResetEmail({ name, url, expiresInMinutes }) {
+    const paragraphs = [
+        `Hello ${name || 'there'},`,
+        'We received a request to reset your OneCare password.',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.`
+    ];
+
+    return {
+        subject: 'Reset your OneCare password',
+        text: `${paragraphs.join('\n\n')}\n\nReset your password: ${url}\n`,
+        html: layout('Reset your password', paragraphs, { url, label: 'Reset Password' })
+    };
+}
+
+function emailVerificationEmail({ name, url, expiresInMinutes }) {
+    const paragraphs = [
+        `Welcome to OneCare, ${name || 'there'}!`,
+        'Please confirm your email address to activate your account.',
+        `This link expires in ${Math.round(expiresInMinutes / 60)} hours.`
+    ];
+
+    return {
+        subject: 'Verify your OneCare email address',
+        text: `${paragraphs.join('\n\n')}\n\nVerify your email: ${url}\n`,
+        html: layout('Verify your email address', paragraphs, { url, label: 'Verify Email' })
+    };
+}
+
+function inviteEmail({ name, url, expiresInMinutes }) {
+    const paragraphs = [
+        `Hello ${name || 'there'},`,
+        'An account has been created for you on OneCare. Choose a password to start using it.',
+        `This link expires in ${Math.round(expiresInMinutes / 60 / 24)} days and can only be used once.`
+    ];
+
+    return {
+        subject: 'You have been invited to OneCare',
+        text: `${paragraphs.join('\n\n')}\n\nSet up your account: ${url}\n`,
+        html: layout('Set up your OneCare account', paragraphs, { url, label: 'Set Up Account' })
+    };
+}
+
+function erasureReceiptEmail({ name, url, retained }) {
+    const paragraphs = [
+        `Hello ${name || 'there'},`,
+        'Your request to delete your OneCare account has been completed. You can no longer sign in, and your personal data has been erased or anonymized across our services.',
+        retained > 0
+            ? `Some records (${retained} datasets) had to be kept, for example our audit trail or records under a legal hold. The receipt lists each one and why.`
+            : 'The receipt lists everything that was removed.',
+        'The receipt is signed, so you can use it as proof of deletion. This is the last email we will send to this address.'
+    ];
+
+    return {
+        subject: 'Your OneCare account has been deleted',
+        text: `${paragraphs.join('\n\n')}\n\nYour deletion receipt: ${url}\n`,
+        html: layout('Your account has been deleted', paragraphs, { url, label: 'View Receipt' })
+    };
+}
+
+module.exports = {
+    passwordResetEmail,
+    emailVerificationEmail,
+    inviteEmail,
+    erasureReceiptEmail
+};
@@ -0,0 +1,153 @@
+/**
+ * Patient Health Data
+ * Validation and unit normalization of recorded measurements
+ * Features: a schema per measurement type, physiologic range checks, quantities
+ * normalized to a canonical UCUM unit per field with the submitted value kept as `original`
+ */
+
+const Joi = require('joi');
+const { ucumCode, convert, unitsOf } = require('./units');
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * A measured quantity: { value, unit } in any unit of `dimension`, or a bare number
+ * taken to be in `canonical`. Stored as { value, unit, original: { value, unit } } with
+ * value in `canonical`; [min, max] is the physiologic range in the canonical unit.
+ */
+function quantity(dimension, canonical, [min, max], { integer = false } = {}) {
+    return Joi.alternatives()
+        .try(
+            Joi.number(),
+            Joi.object({
+                value: Joi.number().required(),
+                unit: Joi.string().trim().required()
+            })
+        )
+        .custom((input, helpers) => {
+            const original = typeof input === 'number' ? { value: input, unit: canonical } : input;
+            const unit = ucumCode(dimension, original.unit);
+            if (!unit) {
+                return helpers.message(`{{#label}} unit "${original.unit}" is not a ${dimension} unit (use one of ${unitsOf(dimension).join(', ')})`);
+            }
+
+            const value = round(convert(original.value, unit, canonical, dimension));
+            if (value < min || value > max) {
+                return helpers.message(`{{#label}} ${original.value} ${original.unit} is outside the physiologic range ${min}–${max} ${canonical}`);
+            }
+            if (integer && !Number.isInteger(value)) {
+                return helpers.message('{{#label}} must be a whole number');
+            }
+
+            return { value, unit: canonical, original: { value: original.value, unit } };
+        });
+}
+
+const MEASUREMENTS = {
+    systolic: quantity('pressure', 'mm[Hg]', [50, 260]),
+    diastolic: quantity('pressure', 'mm[Hg]', [30, 160]),
+    heartRate: quantity('rate', '/min', [20, 250]),
+    respiratoryRate: quantity('rate', '/min', [4, 60]),
+    temperature: quantity('temperature', 'Cel', [30, 45]),
+    oxygenSaturation: quantity('fraction', '%', [50, 100]),
+    weight: quantity('mass', 'kg', [0.5, 500]),
+    height: quantity('length', 'cm', [30, 272]),
+    glucose: quantity('glucose', 'mg/dL', [10, 1000]),
+    sleepDuration: quantity('duration', 'h', [0, 24]),
+    steps: quantity('count', '{steps}', [0, 100000], { integer: true }),
+    distance: quantity('length', 'km', [0, 300]),
+    activeTime: quantity('duration', 'min', [0, 1440])
+};
+
+// Systolic above diastolic, checked once both are normalized
+const bloodPressure = Joi.object({
+    systolic: MEASUREMENTS.systolic.required(),
+    diastolic: MEASUREMENTS.diastolic.required()
+}).custom((reading, helpers) => (reading.systolic.value > reading.diastolic.value
+    ? reading
+    : helpers.message('{{#label}} systolic must be higher than diastolic')));
+
+const HEALTH_DATA_SCHEMAS = {
+    vital_signs: Joi.object({
+        bloodPressure,
+        heartRate: MEASUREMENTS.heartRate,
+        respiratoryRate: MEASUREMENTS.respiratoryRate,
+        temperature: MEASUREMENTS.temperature,
+        oxygenSaturation: MEASUREMENTS.oxygenSaturation,
+        weight: MEASUREMENTS.weight,
+        height: MEASUREMENTS.height
+    }).or('bloodPressure', 'heartRate', 'respiratoryRate', 'temperature', 'oxygenSaturation', 'weight', 'height'),
+
+    blood_pressure: bloodPressure.keys({
+        heartRate: MEASUREMENTS.heartRate
+    }),
+
+    heart_rate: Joi.object({
+        heartRate: MEASUREMENTS.heartRate.required()
+    }),
+
+    temperature: Joi.object({
+        temperature: MEASUREMENTS.temperature.required()
+    }),
+
+    oxygen_saturation: Joi.object({
+        oxygenSaturation: MEASUREMENTS.oxygenSaturation.required()
+    }),
+
+    weight: Joi.object({
+        weight: MEASUREMENTS.weight.required(),
+        height: MEASUREMENTS.height
+    }),
+
+    glucose: Joi.object({
+        glucose: MEASUREMENTS.glucose.required(),
+        context: Joi.string().valid('fasting', 'before_meal', 'after_meal', 'bedtime', 'random').default('random')
+    }),
+
+    sleep: Joi.object({
+        duration: MEASUREMENTS.sleepDuration.required(),
+        deepSleep: MEASUREMENTS.sleepDuration,
+        quality: Joi.string().valid('poor', 'fair', 'good', 'excellent'),
+        start: Joi.date().iso(),
+        end: Joi.date().iso()
+            .when('start', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('start')) })
+            .messages({ 'date.greater': '{{#label}} must be after "start"' })
+    }).with('end', 'start'),
+
+    activity: Joi.object({
+        steps: MEASUREMENTS.steps,
+        distance: MEASUREMENTS.distance,
+        activeTime: MEASUREMENTS.activeTime
+    }).or('steps', 'distance', 'activeTime')
+};
+
+const HEALTH_DATA_TYPES = Object.keys(HEALTH_DATA_SCHEMAS);
+
+const recordSchema = Joi.object({
+    patientId: Joi.string().trim(),
+    type: Joi.string().valid(...HEALTH_DATA_TYPES).required(),
+    data: Joi.alternatives().conditional('type', {
+        switch: HEALTH_DATA_TYPES.map(type => ({ is: type, then: HEALTH_DATA_SCHEMAS[type] })),
+        otherwise: Joi.object()
+    }).required(),
+    // When the measurement was taken; defaults to now
+    recordedAt: Joi.date().iso().max('now').messages({ 'date.max': '{{#label}} cannot be in the future' }),
+    notes: Joi.string().trim().max(1000).allow('')
+});
+
+/**
+ * Validate a health data submission and normalize its units.
+ * Returns { value } with `data` normalized, or { error: [messages] }.
+ */
+function validateHealthData(input) {
+    const { error, value } = recordSchema.validate(input, { abortEarly: false });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+    return { value };
+}
+
+module.exports = {
+    HEALTH_DATA_TYPES,
+    validateHealthData
+};
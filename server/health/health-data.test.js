@@ -0,0 +1,66 @@
+const { validateHealthData } = require('./health-data');
+
+const record = (type, data, fields = {}) => validateHealthData({ type, data, ...fields });
+
+describe('validateHealthData', () => {
+    test('stores quantities in the canonical unit with what was submitted', () => {
+        const { value } = record('weight', { weight: { value: 154, unit: 'lbs' }, height: { value: 5.75, unit: 'ft' } });
+
+        expect(value.data).toEqual({
+            weight: { value: 69.85, unit: 'kg', original: { value: 154, unit: '[lb_av]' } },
+            height: { value: 175.26, unit: 'cm', original: { value: 5.75, unit: '[ft_i]' } }
+        });
+    });
+
+    test('takes bare numbers to be in the canonical unit', () => {
+        const { value } = record('heart_rate', { heartRate: 72 });
+
+        expect(value.data.heartRate).toEqual({ value: 72, unit: '/min', original: { value: 72, unit: '/min' } });
+    });
+
+    test('normalizes nested blood pressure readings', () => {
+        const { value } = record('vital_signs', {
+            bloodPressure: { systolic: { value: 16, unit: 'kPa' }, diastolic: { value: 80, unit: 'mmHg' } },
+            temperature: { value: 98.6, unit: '°F' }
+        });
+
+        expect(value.data.bloodPressure.systolic).toMatchObject({ value: 120.01, unit: 'mm[Hg]' });
+        expect(value.data.bloodPressure.diastolic).toMatchObject({ value: 80, unit: 'mm[Hg]' });
+        expect(value.data.temperature).toMatchObject({ value: 37, unit: 'Cel' });
+    });
+
+    test('checks the range after converting', () => {
+        expect(record('temperature', { temperature: { value: 104, unit: '[degF]' } }).value.data.temperature.value).toBe(40);
+        expect(record('temperature', { temperature: { value: 115, unit: '[degF]' } }).error)
+            .toEqual(['"data.temperature" 115 [degF] is outside the physiologic range 30–45 Cel']);
+        expect(record('glucose', { glucose: { value: 0.2, unit: 'mmol/L' } }).error).toHaveLength(1);
+    });
+
+    test('rejects units of the wrong dimension, listing the right ones', () => {
+        expect(record('weight', { weight: { value: 70, unit: 'cm' } }).error)
+            .toEqual(['"data.weight" unit "cm" is not a mass unit (use one of kg, g, [lb_av], [oz_av])']);
+    });
+
+    test('requires whole steps', () => {
+        expect(record('activity', { steps: 8000 }).value.data.steps.value).toBe(8000);
+        expect(record('activity', { steps: 8000.5 }).error).toEqual(['"data.steps" must be a whole number']);
+    });
+
+    test('requires systolic above diastolic', () => {
+        expect(record('blood_pressure', { systolic: 80, diastolic: 90 }).error)
+            .toEqual(['"data" systolic must be higher than diastolic']);
+    });
+
+    test('defaults the glucose context and checks sleep times', () => {
+        expect(record('glucose', { glucose: 95 }).value.data.context).toBe('random');
+        expect(record('sleep', { duration: 7, start: '2024-06-01T23:00:00Z', end: '2024-06-01T22:00:00Z' }).error)
+            .toEqual(['"data.end" must be after "start"']);
+    });
+
+    test('rejects unknown types, empty readings and future times', () => {
+        expect(record('mood', {}).error).toHaveLength(1);
+        expect(record('vital_signs', {}).error).toHaveLength(1);
+        expect(record('heart_rate', { heartRate: 70 }, { recordedAt: '2999-01-01T00:00:00Z' }).error)
+            .toEqual(['"recordedAt" cannot be in the future']);
+    });
+});
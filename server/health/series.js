@@ -0,0 +1,235 @@
+/**
+ * Health Data Series
+ * Time-series queries over normalized health data records
+ * Features: per-metric readings across measurement types, min/max/avg/count buckets,
+ * latest values, rolling baselines with the latest reading's deviation
+ */
+
+const Joi = require('joi');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DURATION_MS = { m: 60 * 1000, h: HOUR_MS, d: 24 * HOUR_MS, w: 7 * 24 * HOUR_MS };
+
+// Upper bound on buckets per series request
+const MAX_BUCKETS = 1000;
+
+// Where each metric is stored, per record type (paths into the normalized `data`)
+const METRICS = {
+    systolic: { unit: 'mm[Hg]', sources: { vital_signs: ['bloodPressure', 'systolic'], blood_pressure: ['systolic'] } },
+    diastolic: { unit: 'mm[Hg]', sources: { vital_signs: ['bloodPressure', 'diastolic'], blood_pressure: ['diastolic'] } },
+    heartRate: { unit: '/min', sources: { vital_signs: ['heartRate'], blood_pressure: ['heartRate'], heart_rate: ['heartRate'] } },
+    respiratoryRate: { unit: '/min', sources: { vital_signs: ['respiratoryRate'] } },
+    temperature: { unit: 'Cel', sources: { vital_signs: ['temperature'], temperature: ['temperature'] } },
+    oxygenSaturation: { unit: '%', sources: { vital_signs: ['oxygenSaturation'], oxygen_saturation: ['oxygenSaturation'] } },
+    weight: { unit: 'kg', sources: { vital_signs: ['weight'], weight: ['weight'] } },
+    height: { unit: 'cm', sources: { vital_signs: ['height'], weight: ['height'] } },
+    glucose: { unit: 'mg/dL', sources: { glucose: ['glucose'] } },
+    sleepDuration: { unit: 'h', sources: { sleep: ['duration'] } },
+    steps: { unit: '{steps}', sources: { activity: ['steps'] } },
+    distance: { unit: 'km', sources: { activity: ['distance'] } },
+    activeTime: { unit: 'min', sources: { activity: ['activeTime'] } }
+};
+
+const METRIC_NAMES = Object.keys(METRICS);
+
+// "15m", "1h", "7d", "1w" → milliseconds
+const duration = Joi.string().pattern(/^[1-9]\d*[mhdw]$/).message('{{#label}} must be a duration such as 15m, 1h, 7d or 1w');
+const toMs = (value) => parseInt(value) * DURATION_MS[value.slice(-1)];
+
+const seriesQuerySchema = Joi.object({
+    patientId: Joi.string().trim(),
+    metric: Joi.string().valid(...METRIC_NAMES).required(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    bucket: duration.default('1h')
+});
+
+const latestQuerySchema = Joi.object({
+    patientId: Joi.string().trim(),
+    // Comma-separated; all metrics when omitted
+    metrics: Joi.string().trim()
+});
+
+const baselineQuerySchema = Joi.object({
+    patientId: Joi.string().trim(),
+    metric: Joi.string().valid(...METRIC_NAMES).required(),
+    // Trailing window the baseline is computed over, ending at `at`
+    window: duration.default('7d'),
+    at: Joi.date().iso()
+});
+
+const validate = (schema, input) => {
+    const { error, value } = schema.validate(input, { abortEarly: false, stripUnknown: true });
+    return error ? { error: error.details.map(detail => detail.message) } : { value };
+};
+
+/**
+ * Validate a series query. from/to default to the 24 hours before now.
+ * Returns { value } with bucketMs resolved, or { error: [messages] }.
+ */
+function parseSeriesQuery(input, now = new Date()) {
+    const { error, value } = validate(seriesQuerySchema, input);
+    if (error) {
+        return { error };
+    }
+
+    value.to = value.to || now;
+    value.from = value.from || new Date(value.to.getTime() - 24 * HOUR_MS);
+    value.bucketMs = toMs(value.bucket);
+    if (value.from >= value.to) {
+        return { error: ['"from" must be before "to"'] };
+    }
+    if ((value.to - value.from) / value.bucketMs > MAX_BUCKETS) {
+        return { error: [`"bucket" ${value.bucket} gives more than ${MAX_BUCKETS} buckets for this range`] };
+    }
+    return { value };
+}
+
+function parseLatestQuery(input) {
+    const { error, value } = validate(latestQuerySchema, input);
+    if (error) {
+        return { error };
+    }
+
+    const metrics = value.metrics ? value.metrics.split(',').map(name => name.trim()).filter(Boolean) : METRIC_NAMES;
+    const unknown = metrics.filter(name => !METRICS[name]);
+    if (unknown.length > 0) {
+        return { error: unknown.map(name => `Unknown metric: ${name}`) };
+    }
+    return { value: { ...value, metrics } };
+}
+
+function parseBaselineQuery(input, now = new Date()) {
+    const { error, value } = validate(baselineQuerySchema, input);
+    if (error) {
+        return { error };
+    }
+    return { value: { ...value, at: value.at || now, windowMs: toMs(value.window) } };
+}
+
+/**
+ * Readings of one metric from a patient's records, oldest first, as
+ * { time, value, recordId }. Records flagged unnormalized (unknown units) are skipped.
+ */
+function readings(records, metric) {
+    const { sources } = METRICS[metric];
+    return records
+        .filter(record => !record.unnormalized && sources[record.type])
+        .map(record => {
+            const quantity = sources[record.type].reduce((node, key) => (node ? node[key] : undefined), record.data);
+            return quantity && typeof quantity.value === 'number'
+                ? { time: record.timestamp, value: quantity.value, recordId: record.id }
+                : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => new Date(a.time) - new Date(b.time));
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function stats(values) {
+    if (values.length === 0) {
+        return { count: 0, min: null, max: null, avg: null };
+    }
+    return {
+        count: values.length,
+        min: values.reduce((min, value) => Math.min(min, value)),
+        max: values.reduce((max, value) => Math.max(max, value)),
+        avg: round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    };
+}
+
+/**
+ * Bucketed series for a parsed query. Buckets are aligned to the Unix epoch (UTC) and
+ * cover [from, to); empty buckets are included with count 0.
+ */
+function computeSeries(records, { metric, from, to, bucket, bucketMs }) {
+    const start = Math.floor(from.getTime() / bucketMs) * bucketMs;
+    const values = new Map();
+    readings(records, metric)
+        .filter(reading => new Date(reading.time) >= from && new Date(reading.time) < to)
+        .forEach(reading => {
+            const key = Math.floor(new Date(reading.time).getTime() / bucketMs) * bucketMs;
+            if (!values.has(key)) values.set(key, []);
+            values.get(key).push(reading.value);
+        });
+
+    const buckets = [];
+    for (let time = start; time < to.getTime(); time += bucketMs) {
+        buckets.push({ start: new Date(time).toISOString(), ...stats(values.get(time) || []) });
+    }
+
+    return {
+        metric,
+        unit: METRICS[metric].unit,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        bucket,
+        buckets
+    };
+}
+
+// Most recent reading per metric, for metrics that have any
+function latestValues(records, metrics) {
+    const latest = {};
+    metrics.forEach(metric => {
+        const all = readings(records, metric);
+        if (all.length > 0) {
+            latest[metric] = { ...all[all.length - 1], unit: METRICS[metric].unit };
+        }
+    });
+    return latest;
+}
+
+/**
+ * Baseline of a metric over the trailing window ending at `at`: mean, median, standard
+ * deviation and a normal range of mean ± 2 SD, with the latest reading in the window and
+ * its deviation from the mean in standard deviations (z-score).
+ */
+function computeBaseline(records, { metric, window, windowMs, at }) {
+    const from = new Date(at.getTime() - windowMs);
+    const inWindow = readings(records, metric)
+        .filter(reading => new Date(reading.time) >= from && new Date(reading.time) <= at);
+    const values = inWindow.map(reading => reading.value).sort((a, b) => a - b);
+
+    const result = {
+        metric,
+        unit: METRICS[metric].unit,
+        window,
+        from: from.toISOString(),
+        to: at.toISOString(),
+        count: values.length,
+        mean: null,
+        median: null,
+        stdDev: null,
+        normalRange: null,
+        latest: null
+    };
+    if (values.length === 0) {
+        return result;
+    }
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const stdDev = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+    const middle = Math.floor(values.length / 2);
+    const latest = inWindow[inWindow.length - 1];
+
+    return {
+        ...result,
+        mean: round(mean),
+        median: values.length % 2 ? values[middle] : round((values[middle - 1] + values[middle]) / 2),
+        stdDev: round(stdDev),
+        normalRange: { low: round(mean - 2 * stdDev), high: round(mean + 2 * stdDev) },
+        latest: { ...latest, deviation: stdDev > 0 ? round((latest.value - mean) / stdDev) : 0 }
+    };
+}
+
+module.exports = {
+    METRICS,
+    parseSeriesQuery,
+    parseLatestQuery,
+    parseBaselineQuery,
+    computeSeries,
+    latestValues,
+    computeBaseline
+};
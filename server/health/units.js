@@ -0,0 +1,107 @@
+/**
+ * Measurement Units
+ * UCUM unit codes for patient measurements and conversion between them
+ * Features: common spellings accepted as aliases (lb, °F, mmHg, bpm, mmol/l...),
+ * linear and offset (temperature) conversions within a dimension
+ */
+
+// Each unit converts to and from the dimension's base unit
+const linear = (factor) => ({ toBase: (v) => v * factor, fromBase: (v) => v / factor });
+
+const DIMENSIONS = {
+    temperature: {
+        units: {
+            'Cel': linear(1),
+            '[degF]': { toBase: (v) => (v - 32) * 5 / 9, fromBase: (v) => v * 9 / 5 + 32 },
+            'K': { toBase: (v) => v - 273.15, fromBase: (v) => v + 273.15 }
+        },
+        aliases: { '°C': 'Cel', 'C': 'Cel', 'degC': 'Cel', '°F': '[degF]', 'F': '[degF]', 'degF': '[degF]' }
+    },
+    mass: {
+        units: {
+            'kg': linear(1),
+            'g': linear(0.001),
+            '[lb_av]': linear(0.45359237),
+            '[oz_av]': linear(0.028349523125)
+        },
+        aliases: { 'lb': '[lb_av]', 'lbs': '[lb_av]', 'oz': '[oz_av]' }
+    },
+    length: {
+        units: {
+            'm': linear(1),
+            'cm': linear(0.01),
+            'mm': linear(0.001),
+            'km': linear(1000),
+            '[in_i]': linear(0.0254),
+            '[ft_i]': linear(0.3048),
+            '[mi_i]': linear(1609.344)
+        },
+        aliases: { 'in': '[in_i]', 'ft': '[ft_i]', 'mi': '[mi_i]' }
+    },
+    pressure: {
+        units: {
+            'mm[Hg]': linear(1),
+            'kPa': linear(7.50061683)
+        },
+        aliases: { 'mmHg': 'mm[Hg]' }
+    },
+    rate: {
+        units: {
+            '/min': linear(1),
+            '/s': linear(60),
+            '/h': linear(1 / 60)
+        },
+        aliases: { 'bpm': '/min', '{beats}/min': '/min', '{breaths}/min': '/min', 'breaths/min': '/min' }
+    },
+    fraction: {
+        units: {
+            '%': linear(1),
+            '1': linear(100)
+        },
+        aliases: {}
+    },
+    // Blood glucose (molar mass 180.156 g/mol)
+    glucose: {
+        units: {
+            'mg/dL': linear(1),
+            'mmol/L': linear(18.0156)
+        },
+        aliases: { 'mg/dl': 'mg/dL', 'mmol/l': 'mmol/L' }
+    },
+    count: {
+        units: {
+            '{steps}': linear(1)
+        },
+        aliases: { 'steps': '{steps}' }
+    },
+    duration: {
+        units: {
+            'h': linear(1),
+            'min': linear(1 / 60),
+            's': linear(1 / 3600)
+        },
+        aliases: { 'hr': 'h', 'hours': 'h', 'minutes': 'min' }
+    }
+};
+
+// UCUM code for `unit` in `dimension`, or null when it is not a unit of that dimension
+function ucumCode(dimension, unit) {
+    const { units, aliases } = DIMENSIONS[dimension];
+    const code = aliases[unit] || unit;
+    return units[code] ? code : null;
+}
+
+function convert(value, from, to, dimension) {
+    const { units } = DIMENSIONS[dimension];
+    return units[to].fromBase(units[from].toBase(value));
+}
+
+// UCUM codes accepted for a dimension, for error messages
+const unitsOf = (dimension) => Object.keys(DIMENSIONS[dimension].units);
+
+module.exports = {
+    DIMENSIONS,
+    ucumCode,
+    convert,
+    unitsOf
+};
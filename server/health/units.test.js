@@ -0,0 +1,50 @@
+const { DIMENSIONS, ucumCode, convert, unitsOf } = require('./units');
+
+describe('ucumCode', () => {
+    test('accepts UCUM codes and common spellings', () => {
+        expect(ucumCode('mass', 'kg')).toBe('kg');
+        expect(ucumCode('mass', 'lbs')).toBe('[lb_av]');
+        expect(ucumCode('temperature', '°F')).toBe('[degF]');
+        expect(ucumCode('pressure', 'mmHg')).toBe('mm[Hg]');
+        expect(ucumCode('rate', 'bpm')).toBe('/min');
+        expect(ucumCode('glucose', 'mmol/l')).toBe('mmol/L');
+    });
+
+    test('rejects units of other dimensions', () => {
+        expect(ucumCode('mass', 'cm')).toBeNull();
+        expect(ucumCode('length', 'bpm')).toBeNull();
+        expect(ucumCode('temperature', 'kelvin')).toBeNull();
+    });
+});
+
+describe('convert', () => {
+    test('converts linear units through the base unit', () => {
+        expect(convert(154, '[lb_av]', 'kg', 'mass')).toBeCloseTo(69.853, 3);
+        expect(convert(5.5, 'mmol/L', 'mg/dL', 'glucose')).toBeCloseTo(99.09, 2);
+        expect(convert(16, 'kPa', 'mm[Hg]', 'pressure')).toBeCloseTo(120.01, 2);
+        expect(convert(6, '[ft_i]', 'cm', 'length')).toBeCloseTo(182.88, 2);
+        expect(convert(90, 'min', 'h', 'duration')).toBe(1.5);
+        expect(convert(0.97, '1', '%', 'fraction')).toBeCloseTo(97, 10);
+    });
+
+    test('converts temperatures with their offsets', () => {
+        expect(convert(98.6, '[degF]', 'Cel', 'temperature')).toBeCloseTo(37, 10);
+        expect(convert(310.15, 'K', 'Cel', 'temperature')).toBeCloseTo(37, 10);
+        expect(convert(37, 'Cel', '[degF]', 'temperature')).toBeCloseTo(98.6, 10);
+    });
+
+    test('every unit round-trips through the base unit', () => {
+        Object.entries(DIMENSIONS).forEach(([dimension, { units }]) => {
+            const base = unitsOf(dimension)[0];
+            Object.keys(units).forEach(unit => {
+                expect(convert(convert(42, unit, base, dimension), base, unit, dimension)).toBeCloseTo(42, 9);
+            });
+        });
+    });
+
+    test('every alias names a unit of its dimension', () => {
+        Object.values(DIMENSIONS).forEach(({ units, aliases }) => {
+            Object.values(aliases).forEach(code => expect(units).toHaveProperty([code]));
+        });
+    });
+});
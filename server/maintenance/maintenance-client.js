@@ -0,0 +1,42 @@
+/**
+ * Maintenance Client
+ * Follows the main server's maintenance schedule for the standalone services (health records,
+ * screening, FHIR, WebSocket) so they close and reopen with it
+ * The schedule is polled and kept between polls, so windows start and end on time; when the
+ * main server cannot be reached the last schedule received stays in force.
+ */
+
+const jwt = require('jsonwebtoken');
+const { statusAt } = require('./maintenance');
+const { PollingClient } = require('../utils/polling-client');
+
+class MaintenanceClient extends PollingClient {
+    // baseUrl is the main server
+    constructor({ baseUrl, intervalSeconds, timeoutMs, fetch }) {
+        super({ baseUrl, path: '/api/maintenance/status', label: 'Maintenance schedule', intervalSeconds, timeoutMs, fetch });
+        this.windows = [];
+    }
+
+    receive(data) {
+        this.windows = data.windows;
+    }
+
+    status(now = new Date()) {
+        return statusAt(this.windows, now);
+    }
+}
+
+// Whether the request's bearer token, signed with `secret`, carries the admin role
+const bearerIsAdmin = (secret) => (req) => {
+    const header = req.headers['authorization'] || '';
+    try {
+        return jwt.verify(header.split(' ')[1] || '', secret).role === 'admin';
+    } catch (error) {
+        return false;
+    }
+};
+
+module.exports = {
+    MaintenanceClient,
+    bearerIsAdmin
+};
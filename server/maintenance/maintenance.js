@@ -0,0 +1,184 @@
+/**
+ * Maintenance Windows
+ * Scheduled periods when the platform is unavailable (full) or only serves reads (read-only)
+ * Features: windows scheduled ahead by admins and cancelled or ended early, a gate returning
+ * 503 with Retry-After to non-admin callers during a window, countdown announcements to
+ * socket clients before a window starts
+ *
+ * The main server owns the schedule; the standalone services follow it through
+ * MaintenanceClient (maintenance-client.js) and use the same gate and announcements.
+ */
+
+const Joi = require('joi');
+const crypto = require('crypto');
+
+const MAINTENANCE_MODES = ['full', 'read-only'];
+
+// Methods read-only windows still allow
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const validateMaintenanceWindow = (input, now = new Date()) => {
+    const { error, value } = Joi.object({
+        startsAt: Joi.date().iso().default(() => now),
+        endsAt: Joi.date().iso().greater(now).required(),
+        mode: Joi.string().valid(...MAINTENANCE_MODES).default('full'),
+        message: Joi.string().trim().max(500).allow('').default(''),
+        // How long before the start socket clients get a countdown
+        countdownMinutes: Joi.number().integer().min(0).max(1440).default(15)
+    }).validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+    if (value.endsAt <= value.startsAt) {
+        return { error: ['"endsAt" must be after "startsAt"'] };
+    }
+    return { value: { ...value, startsAt: value.startsAt.toISOString(), endsAt: value.endsAt.toISOString() } };
+};
+
+// What callers and other services see of a window
+const publicWindow = ({ id, mode, message, startsAt, endsAt, countdownMinutes }) =>
+    ({ id, mode, message, startsAt, endsAt, countdownMinutes });
+
+/**
+ * The window in force at `now` (full wins over read-only if they overlap) and the next one
+ * to start, from a list of scheduled windows: { active, upcoming }.
+ */
+function statusAt(windows, now = new Date()) {
+    const live = windows.filter(window => !window.cancelledAt && new Date(window.endsAt) > now);
+    const active = live
+        .filter(window => new Date(window.startsAt) <= now)
+        .sort((a, b) => MAINTENANCE_MODES.indexOf(a.mode) - MAINTENANCE_MODES.indexOf(b.mode))[0] || null;
+    const upcoming = live
+        .filter(window => new Date(window.startsAt) > now)
+        .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))[0] || null;
+
+    return {
+        active: active && publicWindow(active),
+        upcoming: upcoming && publicWindow(upcoming)
+    };
+}
+
+const blocks = (window, method) => window.mode === 'full' || !READ_METHODS.includes(method);
+
+const maintenanceBody = (error, active) => ({ error, code: 'MAINTENANCE', maintenance: active });
+
+/**
+ * Express middleware refusing requests under `paths` while a window is active: everything in
+ * a full window, writes in a read-only one. `status` returns { active }; `isAdmin(req)` lets
+ * admins through; `exempt` paths (sign-in, health checks) are always served; `body(error, active)`
+ * shapes the 503 response.
+ */
+function maintenanceGate({ status, isAdmin, paths = ['/api/'], exempt = [], body = maintenanceBody }) {
+    return (req, res, next) => {
+        if (!paths.some(p => req.path.startsWith(p)) || exempt.some(p => req.path.startsWith(p))) {
+            return next();
+        }
+
+        const { active } = status();
+        if (!active || !blocks(active, req.method) || isAdmin(req)) {
+            return next();
+        }
+
+        res.set('Retry-After', String(Math.max(1, Math.ceil((new Date(active.endsAt) - Date.now()) / 1000))));
+        res.status(503).json(body(active.mode === 'full'
+            ? 'The system is down for maintenance'
+            : 'The system is read-only during maintenance', active));
+    };
+}
+
+/**
+ * Announce windows to socket clients through `emit(event, payload)`:
+ * maintenance-countdown once a minute from countdownMinutes before the start,
+ * then maintenance-started and maintenance-ended.
+ */
+function announceMaintenance({ status, emit, intervalSeconds = 15 }) {
+    const countdowns = new Map();
+    let started = null;
+
+    const run = () => {
+        try {
+            const { active, upcoming } = status();
+            const now = Date.now();
+
+            if (upcoming) {
+                const secondsRemaining = Math.ceil((new Date(upcoming.startsAt) - now) / 1000);
+                const minute = Math.ceil(secondsRemaining / 60);
+                if (secondsRemaining <= upcoming.countdownMinutes * 60 && countdowns.get(upcoming.id) !== minute) {
+                    countdowns.set(upcoming.id, minute);
+                    emit('maintenance-countdown', { ...upcoming, secondsRemaining });
+                }
+            }
+
+            if (started && (!active || active.id !== started.id)) {
+                emit('maintenance-ended', started);
+                countdowns.delete(started.id);
+                started = null;
+            }
+            if (active && !started) {
+                started = active;
+                emit('maintenance-started', active);
+            }
+        } catch (error) {
+            console.error('Maintenance announcement failed:', error.message);
+        }
+    };
+
+    run();
+    return setInterval(run, intervalSeconds * 1000).unref();
+}
+
+class MaintenanceService {
+    constructor({ windows }) {
+        this.windows = windows;
+    }
+
+    status(now = new Date()) {
+        return statusAt(this.windows.all(), now);
+    }
+
+    // Scheduled windows that have not ended, soonest first
+    scheduled(now = new Date()) {
+        return this.windows
+            .filter(window => !window.cancelledAt && new Date(window.endsAt) > now)
+            .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+    }
+
+    list() {
+        return this.windows.all().sort((a, b) => new Date(b.startsAt) - new Date(a.startsAt));
+    }
+
+    overlapping({ startsAt, endsAt }, now = new Date()) {
+        return this.scheduled(now).find(window =>
+            new Date(window.startsAt) < new Date(endsAt) && new Date(startsAt) < new Date(window.endsAt)) || null;
+    }
+
+    schedule(value, createdBy) {
+        return this.windows.insert({
+            id: `mw_${crypto.randomBytes(8).toString('hex')}`,
+            ...value,
+            createdBy,
+            createdAt: new Date().toISOString(),
+            cancelledBy: null,
+            cancelledAt: null,
+            endedEarlyBy: null
+        });
+    }
+
+    // Windows that have started end now; later ones are cancelled
+    cancel(window, cancelledBy, now = new Date()) {
+        if (new Date(window.startsAt) <= now) {
+            return this.windows.update(window.id, { endsAt: now.toISOString(), endedEarlyBy: cancelledBy });
+        }
+        return this.windows.update(window.id, { cancelledBy, cancelledAt: now.toISOString() });
+    }
+}
+
+module.exports = {
+    MAINTENANCE_MODES,
+    validateMaintenanceWindow,
+    publicWindow,
+    statusAt,
+    maintenanceGate,
+    announceMaintenance,
+    MaintenanceService
+};
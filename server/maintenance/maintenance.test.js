@@ -0,0 +1,137 @@
+const jwt = require('jsonwebtoken');
+const { createTestStore } = require('../storage/test-store');
+const { validateMaintenanceWindow, statusAt, maintenanceGate, MaintenanceService } = require('./maintenance');
+const { MaintenanceClient, bearerIsAdmin } = require('./maintenance-client');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2024-06-01T12:00:00Z');
+const iso = (offsetHours) => new Date(NOW.getTime() + offsetHours * HOUR).toISOString();
+
+const window = (id, startsIn, endsIn, extra = {}) => ({
+    id, mode: 'full', message: '', countdownMinutes: 15, startsAt: iso(startsIn), endsAt: iso(endsIn), cancelledAt: null, ...extra
+});
+
+describe('validateMaintenanceWindow', () => {
+    test('starts now in full mode unless told otherwise', () => {
+        expect(validateMaintenanceWindow({ endsAt: iso(2) }, NOW).value).toEqual({
+            startsAt: NOW.toISOString(),
+            endsAt: iso(2),
+            mode: 'full',
+            message: '',
+            countdownMinutes: 15
+        });
+    });
+
+    test('rejects windows that end before they start or in the past', () => {
+        expect(validateMaintenanceWindow({ startsAt: iso(3), endsAt: iso(2) }, NOW).error).toEqual(['"endsAt" must be after "startsAt"']);
+        expect(validateMaintenanceWindow({ startsAt: iso(-3), endsAt: iso(-1) }, NOW).error).toHaveLength(1);
+        expect(validateMaintenanceWindow({ endsAt: iso(2), mode: 'partial' }, NOW).error).toHaveLength(1);
+    });
+});
+
+describe('statusAt', () => {
+    test('finds the active and the next window, ignoring cancelled and ended ones', () => {
+        const windows = [
+            window('ended', -3, -2),
+            window('cancelled', -1, 1, { cancelledAt: iso(-2) }),
+            window('active', -1, 1, { mode: 'read-only' }),
+            window('later', 5, 6),
+            window('next', 2, 3)
+        ];
+
+        const { active, upcoming } = statusAt(windows, NOW);
+        expect(active).toMatchObject({ id: 'active', mode: 'read-only' });
+        expect(active.cancelledAt).toBeUndefined();
+        expect(upcoming).toMatchObject({ id: 'next' });
+    });
+
+    test('prefers a full window over an overlapping read-only one', () => {
+        const windows = [window('read', -1, 1, { mode: 'read-only' }), window('full', -1, 1)];
+        expect(statusAt(windows, NOW).active.id).toBe('full');
+    });
+
+    test('reports nothing when no window is scheduled', () => {
+        expect(statusAt([], NOW)).toEqual({ active: null, upcoming: null });
+    });
+});
+
+describe('maintenanceGate', () => {
+    // Runs the gate on a request; resolves to 'next' or { status, headers, body }
+    const run = (active, { method = 'GET', path = '/api/users', admin = false } = {}) => new Promise((resolve) => {
+        const headers = {};
+        const res = {
+            set: (name, value) => { headers[name] = value; },
+            status: (status) => ({ json: (body) => resolve({ status, headers, body }) })
+        };
+        const gate = maintenanceGate({ status: () => ({ active }), isAdmin: () => admin, exempt: ['/api/auth/signin'] });
+        gate({ method, path }, res, () => resolve('next'));
+    });
+
+    const endsSoon = () => ({ ...window('mw_1', -1, 0), endsAt: new Date(Date.now() + 90 * 1000).toISOString() });
+
+    test('refuses every API request in a full window with Retry-After', async () => {
+        const result = await run(endsSoon());
+        expect(result).toMatchObject({
+            status: 503,
+            headers: { 'Retry-After': '90' },
+            body: { error: 'The system is down for maintenance', code: 'MAINTENANCE', maintenance: { id: 'mw_1' } }
+        });
+    });
+
+    test('refuses only writes in a read-only window', async () => {
+        const active = { ...endsSoon(), mode: 'read-only' };
+        expect(await run(active, { method: 'GET' })).toBe('next');
+        expect(await run(active, { method: 'POST' })).toMatchObject({ status: 503, body: { error: 'The system is read-only during maintenance' } });
+    });
+
+    test('lets admins, exempt paths and pages through', async () => {
+        expect(await run(endsSoon(), { admin: true })).toBe('next');
+        expect(await run(endsSoon(), { method: 'POST', path: '/api/auth/signin' })).toBe('next');
+        expect(await run(endsSoon(), { path: '/index.html' })).toBe('next');
+        expect(await run(null)).toBe('next');
+    });
+});
+
+describe('MaintenanceService', () => {
+    let service;
+
+    beforeAll(() => {
+        const store = createTestStore();
+        service = new MaintenanceService({ windows: store.maintenanceWindows });
+    });
+
+    test('finds overlapping windows and ends or cancels them', () => {
+        const running = service.schedule(validateMaintenanceWindow({ startsAt: iso(-1), endsAt: iso(1) }, new Date(iso(-2))).value, 'admin_001');
+        const later = service.schedule(validateMaintenanceWindow({ startsAt: iso(4), endsAt: iso(5) }, NOW).value, 'admin_001');
+
+        expect(service.overlapping({ startsAt: iso(4.5), endsAt: iso(6) }, NOW).id).toBe(later.id);
+        expect(service.overlapping({ startsAt: iso(2), endsAt: iso(3) }, NOW)).toBeNull();
+        expect(service.status(NOW).active.id).toBe(running.id);
+
+        expect(service.cancel(running, 'admin_001', NOW)).toMatchObject({ endsAt: NOW.toISOString(), endedEarlyBy: 'admin_001', cancelledAt: null });
+        expect(service.cancel(later, 'admin_001', NOW)).toMatchObject({ cancelledBy: 'admin_001', cancelledAt: NOW.toISOString() });
+        expect(service.status(NOW)).toEqual({ active: null, upcoming: null });
+    });
+});
+
+describe('MaintenanceClient', () => {
+    test('follows the schedule published by the main server', async () => {
+        const fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ success: true, data: { windows: [window('mw_1', -1, 1)] } }) }));
+        const client = new MaintenanceClient({ baseUrl: 'http://localhost:3000', fetch });
+
+        await client.refresh();
+        expect(fetch.mock.calls[0][0]).toBe('http://localhost:3000/api/maintenance/status');
+        expect(client.status(NOW).active.id).toBe('mw_1');
+        expect(client.status(new Date(iso(2))).active).toBeNull();
+    });
+
+    test('recognises admin bearer tokens', () => {
+        const isAdmin = bearerIsAdmin('jwt-secret');
+        const bearer = (payload, secret = 'jwt-secret') => ({ headers: { authorization: `Bearer ${jwt.sign(payload, secret)}` } });
+
+        expect(isAdmin(bearer({ role: 'admin' }))).toBe(true);
+        expect(isAdmin(bearer({ role: 'patient' }))).toBe(false);
+        expect(isAdmin(bearer({ role: 'admin' }, 'forged'))).toBe(false);
+        expect(isAdmin({ headers: {} })).toBe(false);
+    });
+});
@@ -0,0 +1,326 @@
+/**
+ * Process Metrics
+ * Request and runtime measurements for the monitoring dashboards and Prometheus
+ * Features: per-route request counts, latency histograms and error rates, event-loop lag,
+ * heap/RSS and CPU usage, pluggable gauges (socket connections), rolling windows at several
+ * resolutions for charts, Prometheus text exposition
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+const v8 = require('v8');
+const { requireServiceToken } = require('../utils/internal-service');
+
+// Latency histogram bucket bounds in seconds (Prometheus convention)
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// How often a sample is taken, and the chart windows built from the samples
+const SAMPLE_INTERVAL_MS = 5000;
+const WINDOWS = {
+    '1h': { stepMs: 5 * 1000, points: 720 },
+    '6h': { stepMs: 60 * 1000, points: 360 },
+    '24h': { stepMs: 5 * 60 * 1000, points: 288 },
+    '7d': { stepMs: 30 * 60 * 1000, points: 336 }
+};
+
+// The event-loop delay histogram times a timer firing this often; lag is the delay beyond it
+const EVENT_LOOP_RESOLUTION_MS = 20;
+
+// Sample fields added up within a window step; all other fields are averaged
+const COUNTER_FIELDS = ['requests', 'errors', 'latencyMs'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+// Upper bound of the bucket holding the q-th quantile, or the mean past the last bucket
+function histogramQuantile(stats, q) {
+    if (stats.count === 0) return 0;
+    const rank = q * stats.count;
+    for (let i = 0; i < LATENCY_BUCKETS.length; i++) {
+        if (stats.buckets[i] >= rank) return LATENCY_BUCKETS[i] * 1000;
+    }
+    return stats.durationSeconds / stats.count * 1000;
+}
+
+// Fixed-size series of points, each aggregating the samples of one step
+class RollingWindow {
+    constructor({ stepMs, points }) {
+        this.stepMs = stepMs;
+        this.capacity = points;
+        this.points = [];
+        this.current = null;
+    }
+
+    add(sample) {
+        const start = Math.floor(sample.timestamp / this.stepMs) * this.stepMs;
+        if (this.current && this.current.start !== start) {
+            this.points.push(this.finish(this.current));
+            if (this.points.length > this.capacity) this.points.shift();
+            this.current = null;
+        }
+        if (!this.current) {
+            this.current = { start, samples: 0, totals: {} };
+        }
+
+        this.current.samples++;
+        for (const [field, value] of Object.entries(sample)) {
+            if (field !== 'timestamp') {
+                this.current.totals[field] = (this.current.totals[field] || 0) + value;
+            }
+        }
+    }
+
+    finish({ start, samples, totals }) {
+        const point = { timestamp: new Date(start).toISOString() };
+        for (const [field, total] of Object.entries(totals)) {
+            if (!COUNTER_FIELDS.includes(field)) point[field] = round(total / samples);
+        }
+        point.requests = totals.requests;
+        point.errors = totals.errors;
+        point.errorRate = totals.requests ? round(totals.errors / totals.requests * 100) : 0;
+        point.responseTime = totals.requests ? round(totals.latencyMs / totals.requests) : 0;
+        return point;
+    }
+
+    // Completed points plus the step in progress, oldest first
+    series() {
+        return this.current ? [...this.points, this.finish(this.current)] : [...this.points];
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.startedAt = Date.now();
+        this.routes = new Map();
+        this.gauges = [];
+        this.windows = Object.fromEntries(Object.entries(WINDOWS).map(([name, options]) => [name, new RollingWindow(options)]));
+
+        this.eventLoop = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+        this.eventLoop.enable();
+        this.lastSample = { time: Date.now(), cpu: process.cpuUsage(), requests: 0, errors: 0, latencyMs: 0 };
+        this.latest = null;
+        this.totals = { requests: 0, errors: 0, latencyMs: 0 };
+    }
+
+    /**
+     * Register a gauge read at scrape/sample time. `collect()` returns a number or
+     * a list of { labels, value }. Gauges named in `sampleAs` are charted too.
+     */
+    gauge(name, help, collect, { sampleAs } = {}) {
+        this.gauges.push({ name, help, collect, sampleAs });
+    }
+
+    observeRequest({ method, route, status, durationSeconds }) {
+        const key = `${method} ${route}`;
+        let stats = this.routes.get(key);
+        if (!stats) {
+            stats = { method, route, count: 0, errors: 0, durationSeconds: 0, statuses: {}, buckets: LATENCY_BUCKETS.map(() => 0) };
+            this.routes.set(key, stats);
+        }
+
+        const isError = status >= 500;
+        stats.count++;
+        stats.durationSeconds += durationSeconds;
+        stats.statuses[status] = (stats.statuses[status] || 0) + 1;
+        if (isError) stats.errors++;
+        LATENCY_BUCKETS.forEach((bound, i) => {
+            if (durationSeconds <= bound) stats.buckets[i]++;
+        });
+
+        this.totals.requests++;
+        this.totals.latencyMs += durationSeconds * 1000;
+        if (isError) this.totals.errors++;
+    }
+
+    /**
+     * Express middleware timing every response. Routes are labelled by their pattern
+     * (/api/users/:id), so label cardinality stays bounded.
+     */
+    middleware() {
+        return (req, res, next) => {
+            const start = process.hrtime.bigint();
+            res.on('finish', () => {
+                let route = 'unmatched';
+                if (req.route) {
+                    route = `${req.baseUrl}${req.route.path}`;
+                } else if (req.method === 'GET' && res.statusCode < 400) {
+                    route = 'static';
+                }
+
+                this.observeRequest({
+                    method: req.method,
+                    route,
+                    status: res.statusCode,
+                    durationSeconds: Number(process.hrtime.bigint() - start) / 1e9
+                });
+            });
+            next();
+        };
+    }
+
+    gaugeValue(gauge) {
+        const value = gauge.collect();
+        return Array.isArray(value) ? value.reduce((sum, item) => sum + item.value, 0) : value;
+    }
+
+    // Mean or max event-loop lag in milliseconds since the last sample
+    eventLoopLag(stat = 'mean') {
+        if (this.eventLoop.count === 0) return 0;
+        return round(Math.max(0, this.eventLoop[stat] / 1e6 - EVENT_LOOP_RESOLUTION_MS));
+    }
+
+    memory() {
+        const usage = process.memoryUsage();
+        return {
+            rssBytes: usage.rss,
+            heapUsedBytes: usage.heapUsed,
+            heapTotalBytes: usage.heapTotal,
+            externalBytes: usage.external,
+            heapLimitBytes: v8.getHeapStatistics().heap_size_limit
+        };
+    }
+
+    // Take one sample since the previous one and add it to every window
+    sample(now = Date.now()) {
+        const elapsedMs = Math.max(1, now - this.lastSample.time);
+        const cpu = process.cpuUsage(this.lastSample.cpu);
+        const memory = this.memory();
+
+        const sample = {
+            timestamp: now,
+            requests: this.totals.requests - this.lastSample.requests,
+            errors: this.totals.errors - this.lastSample.errors,
+            latencyMs: this.totals.latencyMs - this.lastSample.latencyMs,
+            cpuUsage: round((cpu.user + cpu.system) / 1000 / elapsedMs * 100),
+            memoryUsage: round(memory.heapUsedBytes / memory.heapLimitBytes * 100),
+            heapUsedBytes: memory.heapUsedBytes,
+            rssBytes: memory.rssBytes,
+            eventLoopLag: this.eventLoopLag()
+        };
+        for (const gauge of this.gauges) {
+            if (gauge.sampleAs) sample[gauge.sampleAs] = this.gaugeValue(gauge);
+        }
+
+        this.eventLoop.reset();
+        this.lastSample = { time: now, cpu: process.cpuUsage(), ...this.totals };
+        this.latest = sample;
+        Object.values(this.windows).forEach(window => window.add(sample));
+        return sample;
+    }
+
+    // Sample every SAMPLE_INTERVAL_MS; the timer does not keep the process alive
+    start() {
+        this.sample();
+        return setInterval(() => this.sample(), SAMPLE_INTERVAL_MS).unref();
+    }
+
+    history(window = '1h') {
+        return this.windows[window] ? this.windows[window].series() : null;
+    }
+
+    /**
+     * Current values for the dashboards. Rates and averages cover the last hour;
+     * cpuUsage and eventLoopLag the latest sample.
+     */
+    snapshot() {
+        const recent = this.history('1h');
+        const windowRequests = recent.reduce((sum, point) => sum + point.requests, 0);
+        const windowErrors = recent.reduce((sum, point) => sum + point.errors, 0);
+        const windowLatency = recent.reduce((sum, point) => sum + point.responseTime * point.requests, 0);
+        const windowMinutes = Math.max(1, Math.min(60, (Date.now() - this.startedAt) / 60000));
+        const memory = this.memory();
+        const latest = this.latest || {};
+
+        const gauges = {};
+        for (const gauge of this.gauges) {
+            gauges[gauge.sampleAs || gauge.name] = this.gaugeValue(gauge);
+        }
+
+        return {
+            startedAt: new Date(this.startedAt).toISOString(),
+            uptimeSeconds: Math.round(process.uptime()),
+            cpuUsage: latest.cpuUsage || 0,
+            memoryUsage: round(memory.heapUsedBytes / memory.heapLimitBytes * 100),
+            memory,
+            eventLoopLag: latest.eventLoopLag || 0,
+            eventLoopLagMax: this.eventLoopLag('max'),
+            responseTime: windowRequests ? round(windowLatency / windowRequests) : 0,
+            requestsPerMinute: round(windowRequests / windowMinutes),
+            errorRate: windowRequests ? round(windowErrors / windowRequests * 100) : 0,
+            totalRequests: this.totals.requests,
+            totalErrors: this.totals.errors,
+            ...gauges,
+            routes: [...this.routes.values()]
+                .map(stats => ({
+                    method: stats.method,
+                    route: stats.route,
+                    count: stats.count,
+                    errors: stats.errors,
+                    errorRate: round(stats.errors / stats.count * 100),
+                    avgLatencyMs: round(stats.durationSeconds / stats.count * 1000),
+                    p95LatencyMs: round(histogramQuantile(stats, 0.95)),
+                    statuses: { ...stats.statuses }
+                }))
+                .sort((a, b) => b.count - a.count)
+        };
+    }
+
+    // Prometheus text exposition format (version 0.0.4)
+    toPrometheus() {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            samples.forEach(([labels, value, suffix = '']) => lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`));
+        };
+
+        const routes = [...this.routes.values()];
+        metric('http_requests_total', 'counter', 'HTTP requests by route and status code.',
+            routes.flatMap(stats => Object.entries(stats.statuses)
+                .map(([status, count]) => [{ method: stats.method, route: stats.route, status }, count])));
+
+        metric('http_request_duration_seconds', 'histogram', 'HTTP request latency by route.',
+            routes.flatMap(stats => {
+                const labels = { method: stats.method, route: stats.route };
+                return [
+                    ...LATENCY_BUCKETS.map((bound, i) => [{ ...labels, le: bound }, stats.buckets[i], '_bucket']),
+                    [{ ...labels, le: '+Inf' }, stats.count, '_bucket'],
+                    [labels, stats.durationSeconds, '_sum'],
+                    [labels, stats.count, '_count']
+                ];
+            }));
+
+        const cpu = process.cpuUsage();
+        const memory = this.memory();
+        metric('process_cpu_seconds_total', 'counter', 'User and system CPU time spent in seconds.', [[{}, (cpu.user + cpu.system) / 1e6]]);
+        metric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes.', [[{}, memory.rssBytes]]);
+        metric('process_start_time_seconds', 'gauge', 'Start time of the process since unix epoch in seconds.', [[{}, Math.round(this.startedAt / 1000)]]);
+        metric('process_uptime_seconds', 'gauge', 'Process uptime in seconds.', [[{}, Math.round(process.uptime())]]);
+        metric('nodejs_heap_size_used_bytes', 'gauge', 'V8 heap used in bytes.', [[{}, memory.heapUsedBytes]]);
+        metric('nodejs_heap_size_total_bytes', 'gauge', 'V8 heap allocated in bytes.', [[{}, memory.heapTotalBytes]]);
+        metric('nodejs_external_memory_bytes', 'gauge', 'Memory used by C++ objects bound to JavaScript in bytes.', [[{}, memory.externalBytes]]);
+        metric('nodejs_eventloop_lag_seconds', 'gauge', 'Mean event-loop delay over the latest sample interval.',
+            [[{}, ((this.latest && this.latest.eventLoopLag) || 0) / 1000]]);
+
+        for (const gauge of this.gauges) {
+            const value = gauge.collect();
+            metric(gauge.name, 'gauge', gauge.help, Array.isArray(value) ? value.map(item => [item.labels, item.value]) : [[{}, value]]);
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+// Guard for a scrape endpoint; closed until METRICS_TOKEN is set
+const requireMetricsAccess = (token) => requireServiceToken(token, { label: 'Metrics', envVar: 'METRICS_TOKEN' });
+
+module.exports = {
+    LATENCY_BUCKETS,
+    WINDOWS,
+    MetricsRegistry,
+    requireMetricsAccess
+};
@@ -0,0 +1,103 @@
+const { LATENCY_BUCKETS, MetricsRegistry } = require('./metrics');
+
+describe('MetricsRegistry', () => {
+    let metrics;
+
+    beforeEach(() => {
+        metrics = new MetricsRegistry();
+    });
+
+    afterEach(() => {
+        metrics.eventLoop.disable();
+    });
+
+    const observe = (route, status, durationSeconds, method = 'GET') =>
+        metrics.observeRequest({ method, route, status, durationSeconds });
+
+    test('summarises requests per route', () => {
+        observe('/api/users/:id', 200, 0.004);
+        observe('/api/users/:id', 200, 0.02);
+        observe('/api/users/:id', 503, 0.3);
+        observe('/api/health', 200, 0.001);
+
+        const { totalRequests, totalErrors, routes } = metrics.snapshot();
+        expect(totalRequests).toBe(4);
+        expect(totalErrors).toBe(1);
+        expect(routes[0]).toEqual({
+            method: 'GET',
+            route: '/api/users/:id',
+            count: 3,
+            errors: 1,
+            errorRate: 33.33,
+            avgLatencyMs: 108,
+            p95LatencyMs: 500,
+            statuses: { 200: 2, 503: 1 }
+        });
+    });
+
+    test('counts only server errors as errors', () => {
+        observe('/api/login', 401, 0.01, 'POST');
+        observe('/api/login', 404, 0.01, 'POST');
+
+        expect(metrics.snapshot().totalErrors).toBe(0);
+    });
+
+    test('aggregates samples into window steps', () => {
+        const start = Math.ceil(Date.now() / 60000) * 60000;
+        metrics.lastSample.time = start - 5000;
+
+        observe('/api/health', 200, 0.01);
+        metrics.sample(start);
+        observe('/api/health', 200, 0.03);
+        observe('/api/health', 500, 0.05);
+        metrics.sample(start + 5000);
+
+        const [point] = metrics.history('6h');
+        expect(point).toMatchObject({
+            timestamp: new Date(start).toISOString(),
+            requests: 3,
+            errors: 1,
+            errorRate: 33.33,
+            responseTime: 30
+        });
+        expect(metrics.history('1h')).toHaveLength(2);
+        expect(metrics.history('1y')).toBeNull();
+    });
+
+    test('reads registered gauges when sampling and in snapshots', () => {
+        metrics.gauge('socket_connections', 'Open socket connections.', () => [
+            { labels: { role: 'admin' }, value: 2 },
+            { labels: { role: 'patient' }, value: 5 }
+        ], { sampleAs: 'activeConnections' });
+
+        expect(metrics.sample().activeConnections).toBe(7);
+        expect(metrics.snapshot().activeConnections).toBe(7);
+    });
+
+    test('exposes counters, histograms and gauges in Prometheus text format', () => {
+        observe('/api/users/:id', 200, 0.02);
+        metrics.gauge('socket_connections', 'Open socket connections.', () => [{ labels: { role: 'admin' }, value: 2 }]);
+
+        const text = metrics.toPrometheus();
+        expect(text).toContain('# TYPE http_requests_total counter');
+        expect(text).toContain('http_requests_total{method="GET",route="/api/users/:id",status="200"} 1');
+        expect(text).toContain('http_request_duration_seconds_bucket{method="GET",route="/api/users/:id",le="0.01"} 0');
+        expect(text).toContain('http_request_duration_seconds_bucket{method="GET",route="/api/users/:id",le="0.025"} 1');
+        expect(text).toContain('http_request_duration_seconds_bucket{method="GET",route="/api/users/:id",le="+Inf"} 1');
+        expect(text).toContain('http_request_duration_seconds_count{method="GET",route="/api/users/:id"} 1');
+        expect(text).toContain('# TYPE socket_connections gauge');
+        expect(text).toContain('socket_connections{role="admin"} 2');
+        expect(text.endsWith('\n')).toBe(true);
+    });
+
+    test('escapes label values', () => {
+        observe('/a"b\\c', 200, 0.01);
+        expect(metrics.toPrometheus()).toContain('route="/a\\"b\\\\c"');
+    });
+
+    test('counts a request in every bucket at or above its latency', () => {
+        observe('/api/health', 200, 0.1);
+        const stats = metrics.routes.get('GET /api/health');
+        expect(stats.buckets).toEqual(LATENCY_BUCKETS.map(bound => (bound >= 0.1 ? 1 : 0)));
+    });
+});
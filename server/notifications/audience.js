@@ -0,0 +1,104 @@
+/**
+ * Notification Audiences
+ * Who a notification goes to
+ * Features: targeting by role, explicit user list, the care team of given patients or a
+ * saved segment (a named, reusable audience); legacy "recipients" presets
+ */
+
+const Joi = require('joi');
+
+const audienceSchema = Joi.object({
+    all: Joi.boolean(),
+    roles: Joi.array().items(Joi.string().trim()).unique(),
+    userIds: Joi.array().items(Joi.string().trim()).unique(),
+    // Patients whose care team (assigned clinicians) receives the notification
+    careTeamOf: Joi.array().items(Joi.string().trim()).unique(),
+    segmentId: Joi.string().trim()
+}).custom((audience, helpers) => {
+    const targeted = audience.all || audience.segmentId ||
+        ['roles', 'userIds', 'careTeamOf'].some(key => (audience[key] || []).length > 0);
+    return targeted ? audience : helpers.message('audience must target all users, roles, users, care teams or a segment');
+});
+
+const segmentSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(80).required(),
+    description: Joi.string().trim().max(500).allow(''),
+    // A segment cannot point at another segment
+    audience: audienceSchema.keys({ segmentId: Joi.forbidden() }).required()
+});
+
+// "recipients" values sent by earlier versions of admin-notifications.html
+const LEGACY_RECIPIENTS = {
+    all: { all: true },
+    patients: { roles: ['patient'] },
+    providers: { roles: ['provider'] },
+    admins: { roles: ['admin'] }
+};
+
+const validationErrors = (error) => error.details.map(detail => detail.message);
+
+// Returns { value } or { error: [messages] }
+function validateAudience(input) {
+    const { error, value } = audienceSchema.required().label('audience').validate(input, { abortEarly: false, stripUnknown: true });
+    return error ? { error: validationErrors(error) } : { value };
+}
+
+function validateSegment(input) {
+    const { error, value } = segmentSchema.validate(input, { abortEarly: false, stripUnknown: true });
+    return error ? { error: validationErrors(error) } : { value };
+}
+
+/**
+ * References in an audience that do not exist, as messages (empty when all resolve).
+ * `roleExists`, `userExists` and `segmentExists` are lookups against the current store.
+ */
+function unknownReferences(audience, { roleExists, userExists, segmentExists }) {
+    const errors = [];
+    (audience.roles || []).filter(role => !roleExists(role))
+        .forEach(role => errors.push(`Unknown role: ${role}`));
+    (audience.userIds || []).filter(id => !userExists(id))
+        .forEach(id => errors.push(`Unknown user: ${id}`));
+    (audience.careTeamOf || []).filter(id => !userExists(id))
+        .forEach(id => errors.push(`Unknown patient: ${id}`));
+    if (audience.segmentId && !segmentExists(audience.segmentId)) {
+        errors.push(`Unknown segment: ${audience.segmentId}`);
+    }
+    return errors;
+}
+
+/**
+ * Resolve an audience to the ids of active users, in user-store order.
+ * `careTeamOf(patientId)` returns user ids; `findSegment(id)` returns a saved segment.
+ */
+function resolveAudience(audience, { users, careTeamOf, findSegment }) {
+    const wanted = new Set(audience.userIds || []);
+    const roles = new Set(audience.roles || []);
+
+    for (const patientId of audience.careTeamOf || []) {
+        careTeamOf(patientId).forEach(id => wanted.add(id));
+    }
+
+    const everyone = Boolean(audience.all);
+    if (audience.segmentId) {
+        const segment = findSegment(audience.segmentId);
+        if (segment) {
+            const members = resolveAudience(segment.audience, { users, careTeamOf, findSegment });
+            members.forEach(id => wanted.add(id));
+        }
+    }
+
+    return users
+        .filter(user => user.isActive !== false)
+        .filter(user => everyone || roles.has(user.role) || wanted.has(user.id))
+        .map(user => user.id);
+}
+
+module.exports = {
+    audienceSchema,
+    segmentSchema,
+    LEGACY_RECIPIENTS,
+    validateAudience,
+    validateSegment,
+    unknownReferences,
+    resolveAudience
+};
@@ -0,0 +1,94 @@
+const { validateAudience, validateSegment, unknownReferences, resolveAudience } = require('./audience');
+
+const users = [
+    { id: 'admin_1', role: 'admin' },
+    { id: 'provider_1', role: 'provider' },
+    { id: 'provider_2', role: 'provider', isActive: false },
+    { id: 'nurse_1', role: 'nurse' },
+    { id: 'patient_1', role: 'patient' },
+    { id: 'patient_2', role: 'patient' }
+];
+
+const careTeams = { patient_1: ['provider_1', 'nurse_1'], patient_2: ['provider_2'] };
+const segments = {
+    seg_staff: { id: 'seg_staff', audience: { roles: ['provider', 'nurse'] } },
+    seg_patient: { id: 'seg_patient', audience: { userIds: ['patient_2'] } }
+};
+
+const resolve = (audience) => resolveAudience(audience, {
+    users,
+    careTeamOf: (patientId) => careTeams[patientId] || [],
+    findSegment: (id) => segments[id]
+});
+
+describe('validateAudience', () => {
+    test('accepts any one way of targeting', () => {
+        expect(validateAudience({ all: true })).toEqual({ value: { all: true } });
+        expect(validateAudience({ roles: [' nurse '] })).toEqual({ value: { roles: ['nurse'] } });
+        expect(validateAudience({ careTeamOf: ['patient_1'], segmentId: 'seg_staff' }).value).toBeDefined();
+    });
+
+    test('rejects audiences that target nobody', () => {
+        const message = ['audience must target all users, roles, users, care teams or a segment'];
+        expect(validateAudience({}).error).toEqual(message);
+        expect(validateAudience({ all: false, roles: [] }).error).toEqual(message);
+        expect(validateAudience(undefined).error).toEqual(['"audience" is required']);
+    });
+
+    test('rejects repeated entries', () => {
+        expect(validateAudience({ userIds: ['patient_1', 'patient_1'] }).error).toHaveLength(1);
+    });
+});
+
+describe('validateSegment', () => {
+    test('needs a name and a direct audience', () => {
+        expect(validateSegment({ name: 'Clinicians', audience: { roles: ['provider'] } }).value).toBeDefined();
+        expect(validateSegment({ audience: { roles: ['provider'] } }).error).toEqual(['"name" is required']);
+        expect(validateSegment({ name: 'Nested', audience: { segmentId: 'seg_staff' } }).error).toContain('"audience.segmentId" is not allowed');
+    });
+});
+
+describe('unknownReferences', () => {
+    test('names every role, user, patient and segment that does not exist', () => {
+        const lookups = {
+            roleExists: (role) => ['admin', 'provider'].includes(role),
+            userExists: (id) => users.some(user => user.id === id),
+            segmentExists: (id) => Boolean(segments[id])
+        };
+
+        expect(unknownReferences({ roles: ['provider'], userIds: ['patient_1'], segmentId: 'seg_staff' }, lookups)).toEqual([]);
+        expect(unknownReferences({ roles: ['wizard'], userIds: ['ghost'], careTeamOf: ['nobody'], segmentId: 'seg_x' }, lookups)).toEqual([
+            'Unknown role: wizard',
+            'Unknown user: ghost',
+            'Unknown patient: nobody',
+            'Unknown segment: seg_x'
+        ]);
+    });
+});
+
+describe('resolveAudience', () => {
+    test('all reaches every active user', () => {
+        expect(resolve({ all: true })).toEqual(['admin_1', 'provider_1', 'nurse_1', 'patient_1', 'patient_2']);
+    });
+
+    test('roles and users combine, once each, in user order', () => {
+        expect(resolve({ roles: ['patient'], userIds: ['admin_1', 'patient_1'] })).toEqual(['admin_1', 'patient_1', 'patient_2']);
+    });
+
+    test('care teams reach the patients\' active clinicians, not the patients', () => {
+        expect(resolve({ careTeamOf: ['patient_1', 'patient_2'] })).toEqual(['provider_1', 'nurse_1']);
+    });
+
+    test('segments resolve to their members as they are now', () => {
+        expect(resolve({ segmentId: 'seg_staff' })).toEqual(['provider_1', 'nurse_1']);
+        expect(resolve({ segmentId: 'seg_patient', roles: ['admin'] })).toEqual(['admin_1', 'patient_2']);
+    });
+
+    test('a deleted segment reaches nobody', () => {
+        expect(resolve({ segmentId: 'seg_gone' })).toEqual([]);
+    });
+
+    test('never reaches deactivated users', () => {
+        expect(resolve({ userIds: ['provider_2'], roles: ['provider'] })).toEqual(['provider_1']);
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Notification Channels
+ * Adapters that deliver a rendered notification to one recipient
+ * Channels: 'email' (through the platform Mailer), 'webhook' (signed JSON POST to the
+ * recipient's webhook URL) and 'capture' (records messages locally instead of sending,
+ * for development and testing). Every adapter has `deliver(message)` and rejects on failure
+ * so the delivery queue can retry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { notificationEmail, webhookPayload } = require('./templates');
+const { checkWebhookUrl, guardedLookup } = require('./webhook-target');
+
+const WEBHOOK_SIGNATURE_HEADER = 'X-OneCare-Signature';
+
+/*
+ * A message is { jobId, channel, user, notification, preferences, rendered } where
+ * `rendered` is the recipient's { locale, title, message } (see renderNotification).
+ */
+
+class EmailChannel {
+    constructor({ mailer, baseUrl }) {
+        this.mailer = mailer;
+        this.baseUrl = baseUrl;
+    }
+
+    async deliver({ user, rendered }) {
+        const info = await this.mailer.send({ to: user.email, ...notificationEmail(rendered, { url: this.baseUrl }) });
+        return { messageId: info.messageId };
+    }
+}
+
+/**
+ * Default webhook transport: POSTs `body` with Node's http/https, connecting only through
+ * `lookup`. Resolves with { status } once the response is read; redirects are not followed.
+ */
+function postWebhook(url, { headers, body, timeoutMs, lookup }) {
+    return new Promise((resolve, reject) => {
+        const transport = new URL(url).protocol === 'https:' ? https : http;
+        const request = transport.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup,
+            timeout: timeoutMs
+        }, (response) => {
+            response.on('error', reject);
+            response.on('end', () => resolve({ status: response.statusCode }));
+            response.resume();
+        });
+        request.on('timeout', () => request.destroy(new Error(`Webhook timed out after ${timeoutMs} ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+class WebhookChannel {
+    /**
+     * The body is signed with HMAC-SHA256 over `secret`; receivers compare the
+     * X-OneCare-Signature header ("sha256=<hex>") with their own digest.
+     * The URL is checked before every delivery and the connection only goes to public
+     * addresses (see webhook-target.js); `httpsOnly` also refuses plain http.
+     * `request(url, { headers, body, timeoutMs, lookup })` sends it (postWebhook by default).
+     */
+    constructor({ secret, httpsOnly = false, timeoutMs = 10000, request = postWebhook, lookup = guardedLookup }) {
+        this.secret = secret;
+        this.httpsOnly = httpsOnly;
+        this.timeoutMs = timeoutMs;
+        this.request = request;
+        this.lookup = lookup;
+    }
+
+    async deliver({ jobId, user, notification, preferences, rendered }) {
+        const problem = checkWebhookUrl(preferences.webhookUrl, { httpsOnly: this.httpsOnly });
+        if (problem) {
+            throw new Error(problem);
+        }
+
+        const body = JSON.stringify(webhookPayload(rendered, { notification, user, deliveryId: jobId }));
+        const signature = crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+
+        const { status } = await this.request(preferences.webhookUrl, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'OneCare-Notifications',
+                'X-OneCare-Delivery': jobId,
+                [WEBHOOK_SIGNATURE_HEADER]: `sha256=${signature}`
+            },
+            body,
+            timeoutMs: this.timeoutMs,
+            lookup: this.lookup
+        });
+        if (status < 200 || status >= 300) {
+            throw new Error(`Webhook responded with HTTP ${status}`);
+        }
+        return { status };
+    }
+}
+
+class CaptureChannel {
+    /**
+     * Keeps delivered messages in `messages`; with `file`, also appends them there
+     * as JSON lines.
+     */
+    constructor({ name, file = null }) {
+        this.name = name;
+        this.file = file;
+        this.messages = [];
+    }
+
+    async deliver({ jobId, user, notification, rendered }) {
+        const captured = {
+            channel: this.name,
+            jobId,
+            to: user.id,
+            notificationId: notification.id,
+            ...rendered,
+            capturedAt: new Date().toISOString()
+        };
+        this.messages.push(captured);
+
+        if (this.file) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.appendFileSync(this.file, `${JSON.stringify(captured)}\n`);
+        }
+        return { captured: true };
+    }
+}
+
+module.exports = {
+    WEBHOOK_SIGNATURE_HEADER,
+    EmailChannel,
+    postWebhook,
+    WebhookChannel,
+    CaptureChannel
+};
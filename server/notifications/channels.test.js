@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { WEBHOOK_SIGNATURE_HEADER, EmailChannel, postWebhook, WebhookChannel, CaptureChannel } = require('./channels');
+const { guardLookup } = require('./webhook-target');
+
+const message = (webhookUrl = 'https://hooks.example.com/onecare') => ({
+    jobId: 'job_1',
+    channel: 'webhook',
+    user: { id: 'patient_001', email: 'patient@email.com' },
+    notification: { id: 'notif_1', type: 'info', priority: 'high', sentAt: '2024-06-01T12:00:00.000Z' },
+    preferences: { webhookUrl },
+    rendered: { locale: 'en', title: 'Lab results ready', message: 'Your results are <in>.' }
+});
+
+// dns.lookup stand-in resolving every host to `address`
+const resolvesTo = (address) => (hostname, options, callback) => callback(null, [{ address, family: 4 }]);
+
+describe('EmailChannel', () => {
+    test('sends the rendered notification to the recipient', async () => {
+        const mailer = { send: jest.fn(async () => ({ messageId: 'msg_1' })) };
+        const channel = new EmailChannel({ mailer, baseUrl: 'https://onecare.example.com' });
+
+        await expect(channel.deliver(message())).resolves.toEqual({ messageId: 'msg_1' });
+        const sent = mailer.send.mock.calls[0][0];
+        expect(sent).toMatchObject({ to: 'patient@email.com', subject: 'Lab results ready' });
+        expect(sent.text).toContain('https://onecare.example.com');
+        expect(sent.html).toContain('Your results are &lt;in&gt;.');
+    });
+});
+
+describe('WebhookChannel', () => {
+    const respond = (status) => jest.fn(async () => ({ status }));
+
+    test('posts a signed JSON payload through the guarded lookup', async () => {
+        const request = respond(204);
+        const lookup = jest.fn();
+        const channel = new WebhookChannel({ secret: 'webhook-secret', request, lookup });
+
+        await expect(channel.deliver(message())).resolves.toEqual({ status: 204 });
+        const [url, sent] = request.mock.calls[0];
+        expect(url).toBe('https://hooks.example.com/onecare');
+        expect(sent).toMatchObject({ timeoutMs: 10000, lookup });
+        expect(JSON.parse(sent.body)).toMatchObject({
+            event: 'notification',
+            deliveryId: 'job_1',
+            notificationId: 'notif_1',
+            userId: 'patient_001',
+            title: 'Lab results ready'
+        });
+
+        const expected = crypto.createHmac('sha256', 'webhook-secret').update(sent.body).digest('hex');
+        expect(sent.headers[WEBHOOK_SIGNATURE_HEADER]).toBe(`sha256=${expected}`);
+        expect(sent.headers['X-OneCare-Delivery']).toBe('job_1');
+    });
+
+    test('rejects on an error or redirect response so the delivery is retried', async () => {
+        await expect(new WebhookChannel({ secret: 's', request: respond(502) }).deliver(message()))
+            .rejects.toThrow('Webhook responded with HTTP 502');
+        await expect(new WebhookChannel({ secret: 's', request: respond(302) }).deliver(message()))
+            .rejects.toThrow('Webhook responded with HTTP 302');
+    });
+
+    test('does not call private or non-https URLs', async () => {
+        const request = respond(200);
+        const channel = new WebhookChannel({ secret: 's', httpsOnly: true, request });
+
+        await expect(channel.deliver(message('http://hooks.example.com/onecare'))).rejects.toThrow('Webhook URL must use https');
+        await expect(channel.deliver(message('https://169.254.169.254/latest'))).rejects.toThrow('public internet address');
+        expect(request).not.toHaveBeenCalled();
+    });
+});
+
+describe('postWebhook', () => {
+    let server;
+    let received;
+
+    beforeEach(async () => {
+        received = [];
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ method: req.method, url: req.url, headers: req.headers, body });
+                res.writeHead(req.url === '/moved' ? 301 : 202, { Location: '/elsewhere' }).end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const hookUrl = (route) => `http://hooks.example.com:${server.address().port}${route}`;
+    const post = (route, lookup) => postWebhook(hookUrl(route), {
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"event":"notification"}',
+        timeoutMs: 1000,
+        lookup
+    });
+
+    test('posts the body to the address the lookup chose and reports the status', async () => {
+        await expect(post('/hook', resolvesTo('127.0.0.1'))).resolves.toEqual({ status: 202 });
+        expect(received).toEqual([expect.objectContaining({ method: 'POST', url: '/hook', body: '{"event":"notification"}' })]);
+        expect(received[0].headers).toMatchObject({ 'content-type': 'application/json', 'content-length': '24' });
+    });
+
+    test('does not follow redirects', async () => {
+        await expect(post('/moved', resolvesTo('127.0.0.1'))).resolves.toEqual({ status: 301 });
+        expect(received.map(({ url }) => url)).toEqual(['/moved']);
+    });
+
+    test('never connects when the guarded lookup finds a non-public address', async () => {
+        await expect(post('/hook', guardLookup(resolvesTo('127.0.0.1'))))
+            .rejects.toThrow('Webhook host hooks.example.com resolves to the non-public address 127.0.0.1');
+        expect(received).toEqual([]);
+    });
+});
+
+describe('CaptureChannel', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-channel-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('keeps delivered messages and appends them to the capture file', async () => {
+        const file = path.join(dir, 'outbox', 'email.jsonl');
+        const channel = new CaptureChannel({ name: 'email', file });
+
+        await expect(channel.deliver(message())).resolves.toEqual({ captured: true });
+        await channel.deliver({ ...message(), jobId: 'job_2' });
+
+        expect(channel.messages.map(captured => captured.jobId)).toEqual(['job_1', 'job_2']);
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(lines[0]).toMatchObject({ channel: 'email', jobId: 'job_1', to: 'patient_001', notificationId: 'notif_1', title: 'Lab results ready' });
+        expect(lines).toHaveLength(2);
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Notification Delivery Queue
+ * Persistent queue of per-recipient, per-channel delivery jobs
+ * Features: exponential backoff between attempts, dead-lettering after the last attempt,
+ * manual retry and discard of dead letters. Delivery is at-least-once: a job that was
+ * in flight when the server stopped is attempted again.
+ */
+
+const crypto = require('crypto');
+const { renderNotification } = require('./templates');
+const { preferencesOf } = require('./preferences');
+
+// pending → sent, or pending → dead after maxAttempts; dead → pending (retry) or discarded
+const JOB_STATUSES = ['pending', 'sent', 'dead', 'discarded'];
+
+class DeliveryQueue {
+    /**
+     * jobs, notifications and users are store collections; channels maps a channel
+     * name to an adapter (see channels.js).
+     */
+    constructor({ jobs, notifications, users, channels, maxAttempts = 6, baseDelayMs = 30 * 1000, maxDelayMs = 60 * 60 * 1000 }) {
+        this.jobs = jobs;
+        this.notifications = notifications;
+        this.users = users;
+        this.channels = channels;
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.running = null;
+    }
+
+    enqueue({ notificationId, userId, channel }) {
+        const now = new Date().toISOString();
+        return this.jobs.insert({
+            id: `job_${crypto.randomBytes(8).toString('hex')}`,
+            notificationId,
+            userId,
+            channel,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now,
+            sentAt: null
+        });
+    }
+
+    // Wait before attempt n + 1, after n failed attempts
+    backoff(attempts) {
+        return Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+    }
+
+    async attempt(job) {
+        const adapter = this.channels[job.channel];
+        const notification = this.notifications.findById(job.notificationId);
+        const user = this.users.findById(job.userId);
+        const now = new Date();
+
+        try {
+            if (!adapter) throw new Error(`Channel ${job.channel} is not configured`);
+            if (!notification) throw new Error('Notification no longer exists');
+            if (!user) throw new Error('Recipient no longer exists');
+
+            const preferences = preferencesOf(user);
+            await adapter.deliver({
+                jobId: job.id,
+                channel: job.channel,
+                user,
+                notification,
+                preferences,
+                rendered: renderNotification(notification, user, preferences.locale)
+            });
+            return this.jobs.update(job.id, {
+                status: 'sent',
+                attempts: job.attempts + 1,
+                lastError: null,
+                sentAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            const attempts = job.attempts + 1;
+            const dead = attempts >= this.maxAttempts;
+            return this.jobs.update(job.id, {
+                status: dead ? 'dead' : 'pending',
+                attempts,
+                lastError: error.message,
+                nextAttemptAt: dead ? null : new Date(now.getTime() + this.backoff(attempts)).toISOString(),
+                updatedAt: now.toISOString()
+            });
+        }
+    }
+
+    /**
+     * Attempt every pending job that is due, one at a time.
+     * Calls while a run is in progress join that run. Resolves with the attempted jobs.
+     */
+    process(now = new Date()) {
+        if (!this.running) {
+            this.running = (async () => {
+                const due = this.jobs
+                    .filter(job => job.status === 'pending' && new Date(job.nextAttemptAt) <= now)
+                    .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt));
+                const attempted = [];
+                for (const job of due) {
+                    attempted.push(await this.attempt(job));
+                }
+                return attempted;
+            })().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    // Process due jobs every `intervalMs`
+    start(intervalMs) {
+        const run = () => this.process().catch(error => console.error('Notification delivery failed:', error.message));
+        run();
+        return setInterval(run, intervalMs).unref();
+    }
+
+    // Requeue a dead letter for immediate delivery with a fresh set of attempts
+    retry(job) {
+        return this.jobs.update(job.id, {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    discard(job) {
+        return this.jobs.update(job.id, { status: 'discarded', nextAttemptAt: null, updatedAt: new Date().toISOString() });
+    }
+
+    // Job counts by channel and status for one notification
+    summary(notificationId) {
+        const summary = {};
+        this.jobs.filter(job => job.notificationId === notificationId).forEach(job => {
+            summary[job.channel] = summary[job.channel] || Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+            summary[job.channel][job.status] += 1;
+        });
+        return summary;
+    }
+}
+
+module.exports = {
+    JOB_STATUSES,
+    DeliveryQueue
+};
@@ -0,0 +1,330 @@
+/**
+ * Notification Service
+ * Targeted platform notifications with per-recipient inboxes
+ * Features: drafts, scheduled sends dispatched by a cron job, audience resolution at send
+ * time, one delivery record per recipient with delivered/read receipts, live push to
+ * connected users, email/webhook jobs on the delivery queue per recipient preferences,
+ * per-locale translations and {{variable}} templates
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const { CronJob } = require('cron');
+const { audienceSchema, LEGACY_RECIPIENTS, resolveAudience } = require('./audience');
+const { SUPPORTED_LOCALES, unknownVariables, renderNotification } = require('./templates');
+const { preferencesOf, channelsFor } = require('./preferences');
+
+const NOTIFICATION_TYPES = ['info', 'success', 'warning', 'error'];
+const NOTIFICATION_PRIORITIES = ['low', 'medium', 'high'];
+// Every method includes the in-app inbox; see METHOD_CHANNELS in preferences.js
+const DELIVERY_METHODS = ['in-app', 'email', 'webhook', 'all'];
+
+// draft → scheduled → sent, or draft/scheduled → sent directly; scheduled → cancelled
+const NOTIFICATION_STATUSES = ['draft', 'scheduled', 'sent', 'cancelled'];
+
+const notificationSchema = Joi.object({
+    title: Joi.string().trim().min(1).max(200),
+    message: Joi.string().trim().max(5000).allow(''),
+    type: Joi.string().valid(...NOTIFICATION_TYPES),
+    priority: Joi.string().valid(...NOTIFICATION_PRIORITIES),
+    deliveryMethod: Joi.string().valid(...DELIVERY_METHODS),
+    audience: audienceSchema,
+    // Title and message per locale; recipients without a translation get the defaults
+    translations: Joi.object(Object.fromEntries(SUPPORTED_LOCALES.map(locale => [locale, Joi.object({
+        title: Joi.string().trim().max(200),
+        message: Joi.string().trim().max(5000)
+    })]))).options({ stripUnknown: false }),
+    // Preset audiences from earlier clients; converted to `audience`
+    recipients: Joi.alternatives().try(
+        Joi.string().valid(...Object.keys(LEGACY_RECIPIENTS)),
+        Joi.array().items(Joi.string().valid(...Object.keys(LEGACY_RECIPIENTS))).length(1)
+    ),
+    // What saving does: keep a draft, schedule for sendAt, or send now
+    action: Joi.string().valid('draft', 'schedule', 'send'),
+    sendAt: Joi.date().iso()
+}).oxor('audience', 'recipients');
+
+const inboxQuerySchema = Joi.object({
+    unread: Joi.boolean().default(false),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    // Cursor: the nextBefore value of the previous page
+    before: Joi.date().iso()
+});
+
+const DEFAULTS = { type: 'info', priority: 'low', deliveryMethod: 'in-app', message: '' };
+
+/**
+ * Validate a create (or, with `existing`, an update) request.
+ * Returns { value } with `audience` resolved from legacy `recipients`, or { error: [messages] }.
+ */
+function validateNotification(input, existing = null, now = new Date()) {
+    const { error, value } = notificationSchema.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+
+    if (value.recipients) {
+        const preset = Array.isArray(value.recipients) ? value.recipients[0] : value.recipients;
+        value.audience = LEGACY_RECIPIENTS[preset];
+        delete value.recipients;
+    }
+
+    const merged = { ...DEFAULTS, ...(existing || {}), ...value, action: value.action || (existing ? 'draft' : 'send') };
+    const errors = [];
+    if (!merged.title) {
+        errors.push('"title" is required');
+    }
+    // Drafts may be saved incomplete; anything that will be sent needs content and an audience
+    if (merged.action !== 'draft') {
+        if (!merged.message) errors.push('"message" is required');
+        if (!merged.audience) errors.push('"audience" is required');
+    }
+    const texts = [merged.title, merged.message,
+        ...Object.values(merged.translations || {}).flatMap(t => [t.title, t.message])];
+    [...new Set(texts.flatMap(unknownVariables))]
+        .forEach(name => errors.push(`Unknown template variable {{${name}}}`));
+    if (merged.action === 'schedule') {
+        if (!value.sendAt) {
+            errors.push('"sendAt" is required to schedule');
+        } else if (value.sendAt <= now) {
+            errors.push('"sendAt" must be in the future');
+        }
+    }
+
+    return errors.length ? { error: errors } : { value };
+}
+
+// Query string of GET /api/notifications. Returns { value } or { error: [messages] }.
+function parseInboxQuery(input) {
+    const { error, value } = inboxQuerySchema.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+    return { value: { unreadOnly: value.unread, limit: value.limit, before: value.before ? value.before.toISOString() : null } };
+}
+
+class NotificationService {
+    /**
+     * notifications, deliveries and segments are store collections; users is the user collection.
+     * careTeamOf(patientId) lists the user ids looking after a patient.
+     * push(userId, item) delivers to a connected user and returns whether anyone received it.
+     * queue is the DeliveryQueue for email and webhook channels.
+     */
+    constructor({ notifications, deliveries, segments, users, careTeamOf, push = () => false, queue = null }) {
+        this.notifications = notifications;
+        this.deliveries = deliveries;
+        this.segments = segments;
+        this.users = users;
+        this.careTeamOf = careTeamOf;
+        this.push = push;
+        this.queue = queue;
+    }
+
+    recipientsOf(audience) {
+        return resolveAudience(audience, {
+            users: this.users.all(),
+            careTeamOf: this.careTeamOf,
+            findSegment: (id) => this.segments.findById(id)
+        });
+    }
+
+    // Create from a validated request (see validateNotification)
+    create({ action = 'send', sendAt, ...fields }, createdBy) {
+        const now = new Date().toISOString();
+        const notification = this.notifications.insert({
+            id: `notif_${crypto.randomBytes(8).toString('hex')}`,
+            ...DEFAULTS,
+            ...fields,
+            audience: fields.audience || null,
+            status: 'draft',
+            sendAt: null,
+            sentAt: null,
+            recipientCount: null,
+            createdAt: now,
+            createdBy,
+            updatedAt: now
+        });
+        return this.apply(notification, action, sendAt);
+    }
+
+    // Edit a draft or scheduled notification; sent and cancelled ones are read-only
+    update(notification, { action = 'draft', sendAt, ...fields }) {
+        const updated = this.notifications.update(notification.id, { ...fields, updatedAt: new Date().toISOString() });
+        return this.apply(updated, action, sendAt);
+    }
+
+    apply(notification, action, sendAt) {
+        if (action === 'send') {
+            return this.send(notification);
+        }
+        return this.notifications.update(notification.id, action === 'schedule'
+            ? { status: 'scheduled', sendAt: new Date(sendAt).toISOString() }
+            : { status: 'draft', sendAt: null });
+    }
+
+    /**
+     * Resolve the audience now and create one delivery per recipient.
+     * Recipients with a live connection get it pushed and count as delivered immediately;
+     * other channels are queued according to each recipient's preferences.
+     */
+    send(notification) {
+        const sentAt = new Date().toISOString();
+        const recipients = this.recipientsOf(notification.audience);
+        const sent = this.notifications.update(notification.id, {
+            status: 'sent',
+            sentAt,
+            recipientCount: recipients.length
+        });
+
+        for (const userId of recipients) {
+            const delivery = this.deliveries.insert({
+                id: `dlv_${crypto.randomBytes(8).toString('hex')}`,
+                notificationId: sent.id,
+                userId,
+                createdAt: sentAt,
+                deliveredAt: null,
+                readAt: null
+            });
+            if (this.push(userId, this.inboxItem(sent, delivery))) {
+                this.deliveries.update(delivery.id, { deliveredAt: new Date().toISOString() });
+            }
+            if (this.queue) {
+                channelsFor(sent.deliveryMethod, this.users.findById(userId))
+                    .forEach(channel => this.queue.enqueue({ notificationId: sent.id, userId, channel }));
+            }
+        }
+
+        if (this.queue) {
+            this.queue.process().catch(error => console.error('Notification delivery failed:', error.message));
+        }
+        return sent;
+    }
+
+    // Drafts are deleted; scheduled notifications are kept as cancelled
+    cancel(notification) {
+        if (notification.status === 'draft') {
+            this.notifications.remove(notification.id);
+            return null;
+        }
+        return this.notifications.update(notification.id, { status: 'cancelled', updatedAt: new Date().toISOString() });
+    }
+
+    // Send every scheduled notification that is due. Returns the sent notifications.
+    dispatchDue(now = new Date()) {
+        return this.notifications
+            .filter(notification => notification.status === 'scheduled' && new Date(notification.sendAt) <= now)
+            .map(notification => this.send(notification));
+    }
+
+    /**
+     * Dispatch due notifications now and then on every tick of `cronTime`
+     * (default every minute) in `timeZone` (default the server's). Returns the started CronJob.
+     */
+    scheduleDispatch(cronTime = '* * * * *', timeZone) {
+        const run = () => {
+            try {
+                const sent = this.dispatchDue();
+                if (sent.length > 0) {
+                    console.log(`🔔 Sent ${sent.length} scheduled notification(s)`);
+                }
+            } catch (error) {
+                console.error('Notification dispatch failed:', error.message);
+            }
+        };
+
+        run();
+        return CronJob.from({ cronTime, onTick: run, start: true, timeZone });
+    }
+
+    receipts(notificationId) {
+        const deliveries = this.deliveries.filter(delivery => delivery.notificationId === notificationId);
+        return {
+            recipients: deliveries.length,
+            delivered: deliveries.filter(delivery => delivery.deliveredAt).length,
+            read: deliveries.filter(delivery => delivery.readAt).length
+        };
+    }
+
+    // Per-recipient state for one notification
+    recipientStates(notificationId) {
+        return this.deliveries
+            .filter(delivery => delivery.notificationId === notificationId)
+            .map(({ userId, deliveredAt, readAt }) => ({ userId, deliveredAt, readAt }));
+    }
+
+    // Rendered for the recipient's locale and account
+    inboxItem(notification, delivery) {
+        const user = this.users.findById(delivery.userId) || {};
+        const { title, message } = renderNotification(notification, user, preferencesOf(user).locale);
+        return {
+            id: notification.id,
+            title,
+            message,
+            type: notification.type,
+            priority: notification.priority,
+            sentAt: notification.sentAt,
+            deliveredAt: delivery.deliveredAt,
+            readAt: delivery.readAt
+        };
+    }
+
+    /**
+     * A user's notifications, newest first. Fetching counts as delivery.
+     * `before` (an ISO time) pages back from the oldest item of the previous page.
+     */
+    inbox(userId, { unreadOnly = false, limit = 50, before = null } = {}) {
+        const deliveries = this.deliveries.filter(delivery =>
+            delivery.userId === userId && this.notifications.findById(delivery.notificationId));
+        const unreadCount = deliveries.filter(delivery => !delivery.readAt).length;
+
+        const matching = deliveries
+            .filter(delivery => !unreadOnly || !delivery.readAt)
+            .filter(delivery => !before || delivery.createdAt < before)
+            .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+        const page = matching.slice(0, limit);
+
+        const now = new Date().toISOString();
+        const items = page.map(delivery => {
+            const current = delivery.deliveredAt ? delivery : this.deliveries.update(delivery.id, { deliveredAt: now });
+            return this.inboxItem(this.notifications.findById(delivery.notificationId), current);
+        });
+
+        return {
+            items,
+            unreadCount,
+            nextBefore: matching.length > limit ? page[page.length - 1].createdAt : null
+        };
+    }
+
+    // Mark one notification read for a user. Returns the inbox item, or null if not theirs.
+    markRead(userId, notificationId) {
+        const delivery = this.deliveries.find(item => item.userId === userId && item.notificationId === notificationId);
+        if (!delivery) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const updated = delivery.readAt ? delivery : this.deliveries.update(delivery.id, {
+            deliveredAt: delivery.deliveredAt || now,
+            readAt: now
+        });
+        return this.inboxItem(this.notifications.findById(notificationId), updated);
+    }
+
+    markAllRead(userId) {
+        const now = new Date().toISOString();
+        const unread = this.deliveries.filter(delivery => delivery.userId === userId && !delivery.readAt);
+        unread.forEach(delivery => this.deliveries.update(delivery.id, {
+            deliveredAt: delivery.deliveredAt || now,
+            readAt: now
+        }));
+        return unread.length;
+    }
+}
+
+module.exports = {
+    NOTIFICATION_STATUSES,
+    validateNotification,
+    parseInboxQuery,
+    NotificationService
+};
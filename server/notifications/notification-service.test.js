@@ -0,0 +1,102 @@
+const { createTestStore } = require('../storage/test-store');
+const { validateNotification, NotificationService } = require('./notification-service');
+
+const USERS = [
+    { id: 'admin_1', name: 'Admin', email: 'admin@example.com', role: 'admin', isActive: true },
+    { id: 'provider_1', name: 'Dr Who', email: 'who@example.com', role: 'provider', isActive: true },
+    { id: 'patient_1', name: 'Ada', email: 'ada@example.com', role: 'patient', isActive: true },
+    { id: 'patient_2', name: 'Bob', email: 'bob@example.com', role: 'patient', isActive: false }
+];
+
+describe('NotificationService', () => {
+    let store;
+    let service;
+    let pushed;
+
+    beforeAll(() => {
+        store = createTestStore();
+    });
+
+    beforeEach(() => {
+        ['users', 'notifications', 'notificationDeliveries', 'notificationSegments']
+            .forEach(name => store[name].removeWhere(() => true));
+        USERS.forEach(user => store.users.insert({ ...user }));
+        pushed = [];
+        service = new NotificationService({
+            notifications: store.notifications,
+            deliveries: store.notificationDeliveries,
+            segments: store.notificationSegments,
+            users: store.users,
+            careTeamOf: (patientId) => (patientId === 'patient_1' ? ['provider_1'] : []),
+            // Only the provider is connected
+            push: (userId, item) => userId === 'provider_1' && pushed.push({ userId, item }) > 0
+        });
+    });
+
+    const send = (fields) => service.create({ title: 'Hello', message: 'Hi {{firstName}}', ...fields }, 'admin_1');
+    const recipientsOf = (notification) => service.recipientStates(notification.id).map(state => state.userId);
+
+    test('sends one delivery to each active user in the audience', () => {
+        const sent = send({ audience: { roles: ['patient', 'provider'] } });
+
+        expect(sent).toMatchObject({ status: 'sent', recipientCount: 2 });
+        expect(recipientsOf(sent)).toEqual(['provider_1', 'patient_1']);
+    });
+
+    test('targets care teams and saved segments', () => {
+        const segment = store.notificationSegments.insert({ id: 'seg_1', name: 'Admins', audience: { roles: ['admin'] } });
+
+        expect(recipientsOf(send({ audience: { careTeamOf: ['patient_1'] } }))).toEqual(['provider_1']);
+        expect(recipientsOf(send({ audience: { segmentId: segment.id } }))).toEqual(['admin_1']);
+    });
+
+    test('resolves the audience when the notification goes out, not when it is saved', () => {
+        const draft = send({ action: 'draft', audience: { roles: ['patient'] } });
+        expect(recipientsOf(draft)).toEqual([]);
+
+        store.users.update('patient_2', { isActive: true });
+        const sent = service.send(draft);
+
+        expect(recipientsOf(sent)).toEqual(['patient_1', 'patient_2']);
+    });
+
+    test('pushes to connected recipients and counts them delivered', () => {
+        const sent = send({ audience: { userIds: ['provider_1', 'patient_1'] } });
+
+        expect(pushed).toEqual([{ userId: 'provider_1', item: expect.objectContaining({ id: sent.id, message: 'Hi Dr' }) }]);
+        expect(service.receipts(sent.id)).toEqual({ recipients: 2, delivered: 1, read: 0 });
+    });
+
+    test('each recipient sees it in their inbox, rendered for them, until read', () => {
+        const sent = send({ audience: { roles: ['patient'] } });
+
+        expect(service.inbox('patient_1')).toMatchObject({ unreadCount: 1, items: [{ id: sent.id, message: 'Hi Ada' }] });
+        expect(service.inbox('admin_1').items).toEqual([]);
+
+        expect(service.markRead('patient_1', sent.id).readAt).toEqual(expect.any(String));
+        expect(service.markRead('admin_1', sent.id)).toBeNull();
+        expect(service.receipts(sent.id)).toEqual({ recipients: 1, delivered: 1, read: 1 });
+    });
+
+    test('dispatches scheduled notifications once they are due', () => {
+        const scheduled = send({ action: 'schedule', sendAt: '2024-06-01T09:00:00Z', audience: { all: true } });
+        expect(scheduled.status).toBe('scheduled');
+
+        expect(service.dispatchDue(new Date('2024-06-01T08:59:00Z'))).toEqual([]);
+        expect(service.dispatchDue(new Date('2024-06-01T09:00:00Z'))).toEqual([expect.objectContaining({ id: scheduled.id, recipientCount: 3 })]);
+        expect(service.dispatchDue(new Date('2024-06-01T09:01:00Z'))).toEqual([]);
+    });
+});
+
+describe('validateNotification', () => {
+    test('converts the legacy recipients presets to audiences', () => {
+        expect(validateNotification({ title: 'T', message: 'M', recipients: 'providers' }).value.audience).toEqual({ roles: ['provider'] });
+        expect(validateNotification({ title: 'T', message: 'M', recipients: ['all'] }).value.audience).toEqual({ all: true });
+    });
+
+    test('needs an audience for anything that will be sent', () => {
+        expect(validateNotification({ title: 'T', message: 'M' }).error).toEqual(['"audience" is required']);
+        expect(validateNotification({ title: 'T', action: 'draft' }).value).toBeDefined();
+        expect(validateNotification({ title: 'T', message: 'M', audience: { all: true }, recipients: 'all' }).error).toHaveLength(1);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Notification Preferences
+ * Per-user channel choices and locale, stored on the user record
+ * Features: defaults for users who never saved settings, validation of the settings
+ * modal form (webhooks only to public addresses), channel selection for a notification's
+ * delivery method
+ */
+
+const Joi = require('joi');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('./templates');
+const { checkWebhookUrl } = require('./webhook-target');
+
+// Field names follow the settings form in js/profile-modal.js
+const DEFAULT_PREFERENCES = {
+    locale: DEFAULT_LOCALE,
+    emailNotifications: true,
+    webhookNotifications: false,
+    webhookUrl: null,
+    appointmentReminders: true,
+    medicationReminders: true,
+    screeningAlerts: true
+};
+
+const preferencesSchema = Joi.object({
+    locale: Joi.string().valid(...SUPPORTED_LOCALES),
+    emailNotifications: Joi.boolean(),
+    webhookNotifications: Joi.boolean(),
+    webhookUrl: Joi.string().trim().uri({ scheme: ['https', 'http'] }).max(2000).allow(null, ''),
+    appointmentReminders: Joi.boolean(),
+    medicationReminders: Joi.boolean(),
+    screeningAlerts: Joi.boolean()
+});
+
+// Channels used for each delivery method besides the in-app inbox, which always applies
+const METHOD_CHANNELS = {
+    'in-app': [],
+    email: ['email'],
+    webhook: ['webhook'],
+    all: ['email', 'webhook']
+};
+
+const preferencesOf = (user) => ({ ...DEFAULT_PREFERENCES, ...(user.notificationPreferences || {}) });
+
+/**
+ * Validate an update against the user's current preferences; `httpsOnly` rejects plain
+ * http webhook URLs. Returns { value } (the full merged preferences) or { error: [messages] }.
+ */
+function validatePreferences(input, user, { httpsOnly = false } = {}) {
+    const { error, value } = preferencesSchema.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+
+    const merged = { ...preferencesOf(user), ...value };
+    merged.webhookUrl = merged.webhookUrl || null;
+    if (merged.webhookNotifications && !merged.webhookUrl) {
+        return { error: ['"webhookUrl" is required to receive webhook notifications'] };
+    }
+    const problem = merged.webhookUrl && checkWebhookUrl(merged.webhookUrl, { httpsOnly });
+    if (problem) {
+        return { error: [problem] };
+    }
+    return { value: merged };
+}
+
+// External channels a recipient gets for a delivery method, after their opt-outs
+function channelsFor(deliveryMethod, user) {
+    const preferences = preferencesOf(user);
+    return (METHOD_CHANNELS[deliveryMethod] || []).filter(channel =>
+        (channel === 'email' && preferences.emailNotifications && user.email) ||
+        (channel === 'webhook' && preferences.webhookNotifications && preferences.webhookUrl));
+}
+
+module.exports = {
+    DEFAULT_PREFERENCES,
+    METHOD_CHANNELS,
+    preferencesOf,
+    validatePreferences,
+    channelsFor
+};
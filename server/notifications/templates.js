@@ -0,0 +1,112 @@
+/**
+ * Notification Templates
+ * Per-recipient rendering of notification content
+ * Features: {{variable}} substitution from the recipient's account, per-locale
+ * translations of title and message, localized email wrapper and webhook payload
+ */
+
+const SUPPORTED_LOCALES = ['en', 'es', 'fr'];
+const DEFAULT_LOCALE = 'en';
+
+// Variables available in notification titles and messages
+const TEMPLATE_VARIABLES = {
+    name: (user) => user.name || '',
+    firstName: (user) => (user.name || '').split(' ')[0],
+    email: (user) => user.email || '',
+    role: (user) => user.role || ''
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+// Fixed wording around the notification content, per locale
+const STRINGS = {
+    en: {
+        open: 'Open OneCare',
+        footer: 'You are receiving this because of your OneCare notification settings.'
+    },
+    es: {
+        open: 'Abrir OneCare',
+        footer: 'Recibe este mensaje por su configuración de notificaciones de OneCare.'
+    },
+    fr: {
+        open: 'Ouvrir OneCare',
+        footer: 'Vous recevez ce message en raison de vos paramètres de notification OneCare.'
+    }
+};
+
+const escapeHtml = (value) => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Variable names used in `text` that are not in TEMPLATE_VARIABLES
+function unknownVariables(text) {
+    return [...String(text || '').matchAll(VARIABLE_PATTERN)]
+        .map(match => match[1])
+        .filter(name => !TEMPLATE_VARIABLES[name]);
+}
+
+function renderTemplate(text, user) {
+    return String(text || '').replace(VARIABLE_PATTERN, (match, name) =>
+        (TEMPLATE_VARIABLES[name] ? TEMPLATE_VARIABLES[name](user) : match));
+}
+
+const localeOf = (locale) => (SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+/**
+ * Title and message of a notification for one recipient: the translation for their
+ * locale when there is one, with variables filled in from their account.
+ */
+function renderNotification(notification, user, locale = DEFAULT_LOCALE) {
+    const translation = (notification.translations || {})[locale] || {};
+    return {
+        locale: localeOf(locale),
+        title: renderTemplate(translation.title || notification.title, user),
+        message: renderTemplate(translation.message || notification.message, user)
+    };
+}
+
+function notificationEmail({ title, message, locale }, { url }) {
+    const strings = STRINGS[localeOf(locale)];
+    const paragraphs = String(message).split(/\n{2,}/);
+    return {
+        subject: title,
+        text: `${message}\n\n${strings.open}: ${url}\n\n${strings.footer}\n`,
+        html: `<!DOCTYPE html>
+<html lang="${localeOf(locale)}">
+<body style="font-family: Arial, sans-serif; color: #1e293b; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h2 style="color: #667eea;">${escapeHtml(title)}</h2>
+    ${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n    ')}
+    <p><a href="${escapeHtml(url)}" style="display: inline-block; padding: 12px 24px; background: #667eea; color: #fff; border-radius: 8px; text-decoration: none;">${escapeHtml(strings.open)}</a></p>
+    <p style="color: #64748b; font-size: 12px;">${escapeHtml(strings.footer)}</p>
+</body>
+</html>`
+    };
+}
+
+function webhookPayload(rendered, { notification, user, deliveryId }) {
+    return {
+        event: 'notification',
+        deliveryId,
+        notificationId: notification.id,
+        userId: user.id,
+        type: notification.type,
+        priority: notification.priority,
+        locale: rendered.locale,
+        title: rendered.title,
+        message: rendered.message,
+        sentAt: notification.sentAt
+    };
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    TEMPLATE_VARIABLES,
+    unknownVariables,
+    renderTemplate,
+    renderNotification,
+    notificationEmail,
+    webhookPayload
+};
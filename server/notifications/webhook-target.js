@@ -0,0 +1,103 @@
+/**
+ * Webhook Targets
+ * Keeps notification webhooks pointed at the public internet, so a user cannot make the
+ * server post to itself or to hosts on its private network
+ * Features: loopback, link-local, private and other non-public addresses rejected whether
+ * given literally or reached through a host name (checked at connection time), https-only
+ * mode for production
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const NON_PUBLIC = new net.BlockList();
+[
+    ['0.0.0.0', 8],         // "this network"
+    ['10.0.0.0', 8],        // private
+    ['100.64.0.0', 10],     // carrier-grade NAT
+    ['127.0.0.0', 8],       // loopback
+    ['169.254.0.0', 16],    // link-local, including cloud metadata endpoints
+    ['172.16.0.0', 12],     // private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.168.0.0', 16],    // private
+    ['198.18.0.0', 15],     // benchmarking
+    ['224.0.0.0', 4],       // multicast
+    ['240.0.0.0', 4]        // reserved and broadcast
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128],            // unspecified
+    ['::1', 128],           // loopback
+    ['fc00::', 7],          // unique local
+    ['fe80::', 10],         // link-local
+    ['ff00::', 8]           // multicast
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && !NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '');
+
+/**
+ * Problem with a webhook URL that can be seen without resolving it, or null.
+ * `httpsOnly` also rejects plain http.
+ */
+function checkWebhookUrl(value, { httpsOnly = false } = {}) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return 'Webhook URL is not a valid URL';
+    }
+
+    if (!['https:', 'http:'].includes(url.protocol) || (httpsOnly && url.protocol !== 'https:')) {
+        return httpsOnly ? 'Webhook URL must use https' : 'Webhook URL must use http or https';
+    }
+    const host = hostOf(url).toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host))) {
+        return 'Webhook URL must point to a public internet address';
+    }
+    return null;
+}
+
+/**
+ * Wrap a dns.lookup-style resolver for http(s).request's `lookup` option: every address the
+ * host resolves to is checked and the connection fails when any is non-public. The socket then
+ * connects to an address checked here, so a host cannot resolve publicly for a check and
+ * privately for the request that follows.
+ */
+function guardLookup(lookup = dns.lookup) {
+    return (hostname, options, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        } else if (typeof options === 'number') {
+            options = { family: options };
+        }
+
+        lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) {
+                return callback(error);
+            }
+            const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+            if (blocked) {
+                return callback(new Error(`Webhook host ${hostname} resolves to the non-public address ${blocked.address}`));
+            }
+            if (options.all) {
+                return callback(null, addresses);
+            }
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+const guardedLookup = guardLookup();
+
+module.exports = {
+    isPublicAddress,
+    checkWebhookUrl,
+    guardLookup,
+    guardedLookup
+};
@@ -0,0 +1,88 @@
+const { isPublicAddress, checkWebhookUrl, guardLookup } = require('./webhook-target');
+
+// dns.lookup stand-in answering with `addresses`
+const resolvesTo = (...addresses) => jest.fn((hostname, options, callback) =>
+    callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }))));
+
+// Runs a guarded lookup the way http.request does; resolves to the callback's arguments
+const lookUp = (lookup, hostname, options) => new Promise((resolve) => {
+    guardLookup(lookup)(hostname, options, (...args) => resolve(args));
+});
+
+describe('isPublicAddress', () => {
+    test.each([
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+        '0.0.0.0', '224.0.0.1', '255.255.255.255', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'
+    ])('rejects %s', (address) => {
+        expect(isPublicAddress(address)).toBe(false);
+    });
+
+    test.each(['93.184.216.34', '8.8.8.8', '2606:2800:220:1:248:1893:25c8:1946'])('accepts %s', (address) => {
+        expect(isPublicAddress(address)).toBe(true);
+    });
+
+    test('rejects host names', () => {
+        expect(isPublicAddress('example.com')).toBe(false);
+    });
+});
+
+describe('checkWebhookUrl', () => {
+    test('accepts public http and https URLs', () => {
+        expect(checkWebhookUrl('https://hooks.example.com/onecare')).toBeNull();
+        expect(checkWebhookUrl('http://93.184.216.34/hook')).toBeNull();
+    });
+
+    test('rejects invalid URLs and other schemes', () => {
+        expect(checkWebhookUrl('not a url')).toBe('Webhook URL is not a valid URL');
+        expect(checkWebhookUrl('ftp://example.com/hook')).toBe('Webhook URL must use http or https');
+    });
+
+    test('rejects plain http in https-only mode', () => {
+        expect(checkWebhookUrl('http://example.com/hook', { httpsOnly: true })).toBe('Webhook URL must use https');
+        expect(checkWebhookUrl('https://example.com/hook', { httpsOnly: true })).toBeNull();
+    });
+
+    test.each([
+        'http://localhost:3000/api',
+        'http://api.localhost/hook',
+        'http://127.0.0.1/hook',
+        'http://[::1]/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://0x7f000001/hook'
+    ])('rejects %s', (url) => {
+        expect(checkWebhookUrl(url)).toBe('Webhook URL must point to a public internet address');
+    });
+});
+
+describe('guardLookup', () => {
+    test('connects to the first address when every address is public', async () => {
+        const lookup = resolvesTo('93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946');
+        expect(await lookUp(lookup, 'hooks.example.com', { family: 0 })).toEqual([null, '93.184.216.34', 4]);
+        expect(lookup).toHaveBeenCalledWith('hooks.example.com', { family: 0, all: true }, expect.any(Function));
+    });
+
+    test('hands back every address when asked for all of them', async () => {
+        const [error, addresses] = await lookUp(resolvesTo('93.184.216.34', '8.8.8.8'), 'hooks.example.com', { all: true });
+        expect(error).toBeNull();
+        expect(addresses.map(({ address }) => address)).toEqual(['93.184.216.34', '8.8.8.8']);
+    });
+
+    test('fails the connection when any address is non-public', async () => {
+        const [error, address] = await lookUp(resolvesTo('93.184.216.34', '10.0.0.5'), 'internal.example.com', {});
+        expect(error.message).toBe('Webhook host internal.example.com resolves to the non-public address 10.0.0.5');
+        expect(address).toBeUndefined();
+    });
+
+    test('passes resolver errors through', async () => {
+        const notFound = Object.assign(new Error('getaddrinfo ENOTFOUND nowhere.example'), { code: 'ENOTFOUND' });
+        const [error] = await lookUp((hostname, options, callback) => callback(notFound), 'nowhere.example', {});
+        expect(error).toBe(notFound);
+    });
+
+    test('accepts the short forms of the lookup arguments', async () => {
+        const lookup = resolvesTo('93.184.216.34');
+        await new Promise((resolve) => guardLookup(lookup)('hooks.example.com', resolve));
+        expect(await lookUp(lookup, 'hooks.example.com', 4)).toEqual([null, '93.184.216.34', 4]);
+        expect(lookup.mock.calls.map(([, options]) => options)).toEqual([{ all: true }, { family: 4, all: true }]);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Data Subject Client
+ * Calls the data-subject endpoints each standalone service (health records, screening, FHIR)
+ * exposes under /internal/data-subject, so the main server can run one export or erasure
+ * across every service. The patient is identified by email, the one identifier all services share.
+ *
+ * Export responses: { service, datasets: { name: [documents] }, files: [{ name, contentType, data (base64) }] }
+ * Erasure responses: { service, results: [{ dataset, action: erased|anonymized|retained, count, reason }] }
+ */
+
+const { requireServiceToken, InternalServiceClient } = require('../utils/internal-service');
+
+class DataSubjectClient extends InternalServiceClient {
+    /**
+     * name labels the service in archives and receipts; baseUrl is the service root;
+     * token is the shared DATA_SUBJECT_SERVICE_TOKEN.
+     */
+    constructor({ name, baseUrl, token = null, timeoutMs = 30000, fetch }) {
+        super({ name, baseUrl, prefix: '/internal/data-subject', token, timeoutMs, fetch });
+    }
+
+    // Everything the service holds about `email`
+    export(email) {
+        return this.call('export', { email });
+    }
+
+    /**
+     * Erase or anonymize everything the service holds about `email`. With `legalHold`
+     * ({ id, reason }) clinical records are kept and reported as retained.
+     */
+    erase(email, { legalHold = null } = {}) {
+        return this.call('erase', { email, legalHold });
+    }
+}
+
+// Guard for the services' data-subject endpoints; closed until DATA_SUBJECT_SERVICE_TOKEN is set
+const requireDataSubjectServiceAccess = (token) =>
+    requireServiceToken(token, { label: 'Data subject requests', envVar: 'DATA_SUBJECT_SERVICE_TOKEN' });
+
+// How a service reports a dataset kept under a legal hold
+const heldResult = (dataset, count, legalHold) => ({
+    dataset,
+    action: 'retained',
+    count,
+    reason: `Legal hold ${legalHold.id}: ${legalHold.reason}`
+});
+
+module.exports = {
+    DataSubjectClient,
+    requireDataSubjectServiceAccess,
+    heldResult
+};
@@ -0,0 +1,424 @@
+/**
+ * Data Subject Requests
+ * A patient's right of access (export) and right to erasure, coordinated across the main
+ * server and the standalone services (see data-subject-client.js)
+ * Features: one ZIP archive per export with a manifest of every dataset and file, erasure
+ * reviewed by an admin before it runs, legal holds that keep clinical records, HMAC-signed
+ * completion receipts that can be verified later
+ *
+ * Erasure is idempotent: a failed run can be retried and only removes what is left. The main
+ * server's own data is erased last, so the patient's email still identifies them on a retry.
+ */
+
+const Joi = require('joi');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { canonicalJson } = require('../audit/audit-chain');
+const { createZip } = require('../utils/zip');
+
+const DATA_REQUEST_TYPES = ['export', 'erasure'];
+
+// pending → processing → completed | failed (erasures can be retried); exports expire
+const DATA_REQUEST_STATUSES = ['pending', 'processing', 'completed', 'failed', 'rejected', 'cancelled', 'expired'];
+
+const RECEIPT_ALGORITHM = 'HMAC-SHA256';
+
+const validate = (schema, input) => {
+    const { error, value } = schema.validate(input, { abortEarly: false, stripUnknown: true });
+    return error ? { error: error.details.map(detail => detail.message) } : { value };
+};
+
+const validateDataRequest = (input) => validate(Joi.object({
+    type: Joi.string().valid(...DATA_REQUEST_TYPES).required(),
+    reason: Joi.string().trim().max(1000).allow('')
+}), input);
+
+const validateLegalHold = (input) => validate(Joi.object({
+    patientId: Joi.string().trim().required(),
+    reason: Joi.string().trim().min(10).max(1000).required()
+}), input);
+
+const validateRejection = (input) => validate(Joi.object({
+    reason: Joi.string().trim().min(1).max(1000).required()
+}), input);
+
+/**
+ * What erasure does to each main-server collection holding the patient's data.
+ * `owns` picks the patient's documents; held datasets are kept while a legal hold is active;
+ * `omit` lists fields left out of exports.
+ */
+const LOCAL_DATASETS = [
+    { collection: 'healthData', owns: (doc, id) => doc.patientId === id, action: 'erased', held: true },
+    { collection: 'appointments', owns: (doc, id) => doc.patientId === id, action: 'erased', held: true },
+    { collection: 'appointmentSeries', owns: (doc, id) => doc.patientId === id, action: 'erased', held: true },
+    { collection: 'careTeamAssignments', owns: (doc, id) => doc.patientId === id, action: 'erased' },
+    { collection: 'notificationDeliveries', owns: (doc, id) => doc.userId === id, action: 'erased' },
+    { collection: 'notificationJobs', owns: (doc, id) => doc.userId === id, action: 'erased' },
+    { collection: 'sessions', owns: (doc, id) => doc.userId === id, action: 'erased', omit: ['refreshTokenHash', 'rotatedHashes'] },
+    { collection: 'actionTokens', owns: (doc, id) => doc.userId === id, action: 'erased', omit: ['tokenHash'] },
+    {
+        collection: 'consents',
+        owns: (doc, id) => doc.patientId === id,
+        action: 'retained',
+        reason: 'Kept as evidence of the consents given; any still active are revoked'
+    },
+    {
+        collection: 'emergencyAccessGrants',
+        owns: (doc, id) => doc.patientId === id,
+        action: 'retained',
+        reason: 'Kept to account for emergency access to the patient\'s records'
+    },
+    {
+        collection: 'auditLogs',
+        // Entries by the patient, and entries about them (which name their id in the details)
+        owns: (doc, id) => doc.userId === id || String(doc.details || '').split(/[^\w-]+/).includes(id),
+        action: 'retained',
+        reason: 'The audit trail is append-only and kept for security accountability'
+    }
+];
+
+// Strip folders that could escape the archive root
+const safeArchivePath = (name) => String(name).split(/[\\/]+/).filter(part => part && part !== '.' && part !== '..').join('/');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const omitFields = (doc, fields = []) => {
+    const copy = { ...doc };
+    fields.forEach(field => delete copy[field]);
+    return copy;
+};
+
+class DataSubjectService {
+    /**
+     * database is the main store; services are DataSubjectClients for the standalone services;
+     * publicUser strips credentials from the account record; secret signs receipts;
+     * exportDir holds archives until exportTtlMs has passed.
+     */
+    constructor({ database, services, publicUser, secret, exportDir, exportTtlMs, issuer }) {
+        this.database = database;
+        this.requests = database.dataSubjectRequests;
+        this.holds = database.legalHolds;
+        this.services = services;
+        this.publicUser = publicUser;
+        this.secret = secret;
+        this.exportDir = exportDir;
+        this.exportTtlMs = exportTtlMs;
+        this.issuer = issuer;
+    }
+
+    // Requests and holds
+
+    open(patient, { type, reason = '' }) {
+        return this.requests.insert({
+            id: `dsr_${crypto.randomBytes(8).toString('hex')}`,
+            patientId: patient.id,
+            type,
+            reason,
+            status: 'pending',
+            // Needed to find the patient in the other services until erasure completes
+            subjectEmail: patient.email,
+            requestedAt: new Date().toISOString(),
+            processedBy: null,
+            completedAt: null,
+            errors: [],
+            results: [],
+            archive: null,
+            receipt: null,
+            rejectionReason: null
+        });
+    }
+
+    pendingErasure(patientId) {
+        return this.requests.find(request => request.patientId === patientId && request.type === 'erasure' &&
+            ['pending', 'processing', 'failed'].includes(request.status)) || null;
+    }
+
+    activeHold(patientId) {
+        return this.holds.find(hold => hold.patientId === patientId && !hold.releasedAt) || null;
+    }
+
+    placeHold({ patientId, reason }, placedBy) {
+        return this.holds.insert({
+            id: `lh_${crypto.randomBytes(8).toString('hex')}`,
+            patientId,
+            reason,
+            placedBy,
+            placedAt: new Date().toISOString(),
+            releasedBy: null,
+            releasedAt: null
+        });
+    }
+
+    releaseHold(hold, releasedBy) {
+        return this.holds.update(hold.id, { releasedBy, releasedAt: new Date().toISOString() });
+    }
+
+    // Export
+
+    // The main server's datasets for a patient, keyed by name
+    collectLocal(patient) {
+        const deliveries = this.database.notificationDeliveries.filter(delivery => delivery.userId === patient.id);
+        const datasets = {
+            account: [this.publicUser(patient)],
+            notifications: deliveries.map(delivery => {
+                const notification = this.database.notifications.findById(delivery.notificationId);
+                return {
+                    ...delivery,
+                    title: notification ? notification.title : null,
+                    message: notification ? notification.message : null
+                };
+            })
+        };
+        LOCAL_DATASETS
+            .filter(({ collection }) => collection !== 'notificationDeliveries')
+            .forEach(({ collection, owns, omit }) => {
+                datasets[collection] = this.database[collection]
+                    .filter(doc => owns(doc, patient.id))
+                    .map(doc => omitFields(doc, omit));
+            });
+        return datasets;
+    }
+
+    archivePath(request) {
+        return path.join(this.exportDir, `${request.id}.zip`);
+    }
+
+    /**
+     * Gather the patient's data from every service into one ZIP archive. Any service that
+     * cannot be reached fails the whole export rather than producing an incomplete archive.
+     */
+    async export(request, patient) {
+        this.requests.update(request.id, { status: 'processing' });
+
+        const parts = [{ service: 'main', datasets: this.collectLocal(patient), files: [] }];
+        const errors = [];
+        for (const client of this.services) {
+            try {
+                const result = await client.export(request.subjectEmail);
+                parts.push({ service: client.name, datasets: result.datasets || {}, files: result.files || [] });
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        if (errors.length > 0) {
+            return this.requests.update(request.id, { status: 'failed', subjectEmail: null, errors, completedAt: new Date().toISOString() });
+        }
+
+        const generatedAt = new Date();
+        const entries = [];
+        parts.forEach(({ service, datasets, files }) => {
+            Object.entries(datasets).forEach(([name, documents]) => {
+                entries.push({ name: `${service}/${safeArchivePath(name)}.json`, data: JSON.stringify(documents, null, 2), service, dataset: name, count: documents.length });
+            });
+            files.forEach(file => {
+                entries.push({ name: `${service}/files/${safeArchivePath(file.name)}`, data: Buffer.from(file.data, 'base64'), service, contentType: file.contentType });
+            });
+        });
+
+        const manifest = {
+            requestId: request.id,
+            patient: { id: patient.id, name: patient.name, email: patient.email },
+            generatedAt: generatedAt.toISOString(),
+            services: parts.map(part => part.service),
+            entries: entries.map(({ name, data, service, dataset, count, contentType }) => ({
+                path: name,
+                service,
+                ...(dataset ? { dataset, records: count } : { contentType }),
+                bytes: data.length,
+                sha256: sha256(data)
+            }))
+        };
+        const archive = createZip([
+            { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+            ...entries.map(({ name, data }) => ({ name, data }))
+        ], generatedAt);
+
+        fs.mkdirSync(this.exportDir, { recursive: true });
+        fs.writeFileSync(this.archivePath(request), archive);
+
+        return this.requests.update(request.id, {
+            status: 'completed',
+            subjectEmail: null,
+            errors: [],
+            completedAt: generatedAt.toISOString(),
+            archive: {
+                fileName: `onecare-export-${generatedAt.toISOString().slice(0, 10)}.zip`,
+                bytes: archive.length,
+                sha256: sha256(archive),
+                entries: manifest.entries.length,
+                expiresAt: new Date(generatedAt.getTime() + this.exportTtlMs).toISOString()
+            }
+        });
+    }
+
+    // Delete archives past their expiry
+    pruneExports(now = new Date()) {
+        this.requests
+            .filter(request => request.type === 'export' && request.status === 'completed' && new Date(request.archive.expiresAt) <= now)
+            .forEach(request => {
+                fs.rmSync(this.archivePath(request), { force: true });
+                this.requests.update(request.id, { status: 'expired' });
+            });
+    }
+
+    // Erasure
+
+    // Erase, anonymize or keep each main-server dataset; returns the results for the receipt
+    eraseLocal(patient, legalHold) {
+        const results = LOCAL_DATASETS.map(({ collection, owns, action, held, reason }) => {
+            const count = this.database[collection].count(doc => owns(doc, patient.id));
+            if (held && legalHold) {
+                return { service: 'main', dataset: collection, action: 'retained', count, reason: `Legal hold ${legalHold.id}: ${legalHold.reason}` };
+            }
+            if (action === 'erased') {
+                this.database[collection].removeWhere(doc => owns(doc, patient.id));
+            }
+            return { service: 'main', dataset: collection, action, count, ...(reason ? { reason } : {}) };
+        });
+
+        const now = new Date().toISOString();
+        this.database.consents
+            .filter(consent => consent.patientId === patient.id && !consent.revokedAt)
+            .forEach(consent => this.database.consents.update(consent.id, { revokedAt: now, revocationReason: 'Account erased' }));
+
+        // Earlier export archives hold a full copy of the data
+        this.requests
+            .filter(request => request.patientId === patient.id && request.type === 'export' && request.status === 'completed')
+            .forEach(request => {
+                fs.rmSync(this.archivePath(request), { force: true });
+                this.requests.update(request.id, { status: 'expired' });
+            });
+
+        // The id stays so retained records still resolve, but nothing identifies the person
+        this.database.users.remove(patient.id);
+        this.database.users.insert({
+            id: patient.id,
+            email: `${patient.id}@erased.invalid`,
+            name: 'Erased patient',
+            role: patient.role,
+            isActive: false,
+            createdAt: patient.createdAt,
+            erasedAt: now
+        });
+        results.unshift({ service: 'main', dataset: 'account', action: 'anonymized', count: 1 });
+
+        return results;
+    }
+
+    /**
+     * Run an approved erasure everywhere. Standalone services go first; if any fails the
+     * request is marked failed with what did complete, and can be processed again.
+     */
+    async erase(request, patient, processedBy) {
+        this.requests.update(request.id, { status: 'processing', processedBy });
+        const legalHold = this.activeHold(patient.id);
+        const hold = legalHold ? { id: legalHold.id, reason: legalHold.reason } : null;
+
+        const results = [];
+        const errors = [];
+        for (const client of this.services) {
+            try {
+                const result = await client.erase(request.subjectEmail, { legalHold: hold });
+                results.push(...(result.results || []).map(item => ({ service: client.name, ...item })));
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        if (errors.length > 0) {
+            return this.requests.update(request.id, { status: 'failed', errors, results, completedAt: new Date().toISOString() });
+        }
+
+        results.unshift(...this.eraseLocal(patient, hold));
+        const completedAt = new Date().toISOString();
+        const receipt = this.signReceipt({
+            requestId: request.id,
+            type: 'erasure',
+            issuer: this.issuer,
+            patientId: patient.id,
+            // Lets the patient show the receipt is theirs without it naming them
+            subjectHash: sha256(request.subjectEmail.toLowerCase()),
+            requestedAt: request.requestedAt,
+            completedAt,
+            legalHold: hold,
+            results
+        });
+
+        return this.requests.update(request.id, {
+            status: 'completed',
+            subjectEmail: null,
+            errors: [],
+            results,
+            completedAt,
+            receipt
+        });
+    }
+
+    // Erasures completed after `since`
+    erasuresSince(since) {
+        return this.requests.filter(request => request.type === 'erasure' && request.status === 'completed' &&
+            new Date(request.completedAt) > since);
+    }
+
+    /**
+     * Erase again the patients a backup restore brought back (the backup predates their
+     * erasure). The restored account supplies the email the other services know them by.
+     */
+    async reapplyErasures(since) {
+        const reapplied = [];
+        const errors = [];
+        for (const request of this.erasuresSince(since)) {
+            const patient = this.database.users.findById(request.patientId);
+            if (!patient || patient.erasedAt) {
+                continue;
+            }
+
+            const hold = request.receipt ? request.receipt.legalHold : null;
+            const failures = [];
+            for (const client of this.services) {
+                try {
+                    await client.erase(patient.email, { legalHold: hold });
+                } catch (error) {
+                    failures.push(error.message);
+                }
+            }
+            if (failures.length > 0) {
+                errors.push(...failures.map(message => `${request.id}: ${message}`));
+                continue;
+            }
+            this.eraseLocal(patient, hold);
+            reapplied.push(request.id);
+        }
+        return { reapplied, errors };
+    }
+
+    // Receipts
+
+    sign(content) {
+        return crypto.createHmac('sha256', this.secret).update(canonicalJson(content)).digest('hex');
+    }
+
+    signReceipt(content) {
+        return { ...content, algorithm: RECEIPT_ALGORITHM, signature: this.sign(content) };
+    }
+
+    // Whether a receipt (as issued, including algorithm and signature) is unaltered
+    verifyReceipt(receipt) {
+        if (!receipt || typeof receipt !== 'object' || receipt.algorithm !== RECEIPT_ALGORITHM || typeof receipt.signature !== 'string') {
+            return false;
+        }
+        const { algorithm, signature, ...content } = receipt;
+        const expected = Buffer.from(this.sign(content), 'hex');
+        const provided = Buffer.from(signature, 'hex');
+        return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    }
+}
+
+module.exports = {
+    DATA_REQUEST_TYPES,
+    DATA_REQUEST_STATUSES,
+    validateDataRequest,
+    validateLegalHold,
+    validateRejection,
+    DataSubjectService
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestStore } = require('../storage/test-store');
+const { DataSubjectService } = require('./data-subject');
+
+const PATIENT = { id: 'patient_1', role: 'patient', name: 'Pat Doe', email: 'pat@example.com', password: 'hash', createdAt: '2024-01-01T00:00:00Z' };
+
+const fakeService = (name, { fail = false } = {}) => ({
+    name,
+    export: jest.fn(async () => {
+        if (fail) throw new Error(`${name} service unavailable: connect ECONNREFUSED`);
+        return { datasets: { records: [{ id: 'rec_1' }] }, files: [{ name: '../scan.txt', data: Buffer.from('scan').toString('base64'), contentType: 'text/plain' }] };
+    }),
+    erase: jest.fn(async () => {
+        if (fail) throw new Error(`${name} service unavailable: connect ECONNREFUSED`);
+        return { results: [{ dataset: 'records', action: 'erased', count: 1 }] };
+    })
+});
+
+describe('DataSubjectService', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-subject-'));
+        store = createTestStore();
+
+        store.users.insert({ ...PATIENT });
+        store.healthData.insert({ id: 'health_1', patientId: PATIENT.id, type: 'vital_signs', data: {} });
+        store.appointments.insert({ id: 'apt_1', patientId: PATIENT.id, providerId: 'provider_1' });
+        store.appointments.insert({ id: 'apt_2', patientId: 'patient_2', providerId: 'provider_1' });
+        store.sessions.insert({ id: 'sess_1', userId: PATIENT.id, refreshTokenHash: 'secret-hash' });
+        store.consents.insert({ id: 'consent_1', patientId: PATIENT.id, purpose: 'research', revokedAt: null });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const service = (services = [fakeService('health-records')]) => new DataSubjectService({
+        database: store,
+        services,
+        publicUser: ({ password, ...user }) => user,
+        secret: 'receipt-secret',
+        exportDir: dir,
+        exportTtlMs: 24 * 60 * 60 * 1000,
+        issuer: 'https://onecare.example.com'
+    });
+
+    const patient = () => store.users.findById(PATIENT.id);
+
+    test('exports every service\'s data into one archive', async () => {
+        const dataSubjects = service();
+        const request = dataSubjects.open(patient(), { type: 'export' });
+        const completed = await dataSubjects.export(request, patient());
+
+        expect(completed).toMatchObject({ status: 'completed', subjectEmail: null, errors: [] });
+        const archive = fs.readFileSync(dataSubjects.archivePath(request));
+        expect(completed.archive.sha256).toBe(crypto.createHash('sha256').update(archive).digest('hex'));
+
+        const names = archive.toString('latin1');
+        ['manifest.json', 'main/account.json', 'main/healthData.json', 'health-records/records.json', 'health-records/files/scan.txt']
+            .forEach(name => expect(names).toContain(name));
+        expect(dataSubjects.collectLocal(patient()).sessions).toEqual([{ id: 'sess_1', userId: PATIENT.id }]);
+        expect(dataSubjects.collectLocal(patient()).account[0].password).toBeUndefined();
+    });
+
+    test('fails the export when a service cannot be reached', async () => {
+        const dataSubjects = service([fakeService('health-records'), fakeService('screening', { fail: true })]);
+        const request = dataSubjects.open(patient(), { type: 'export' });
+
+        const failed = await dataSubjects.export(request, patient());
+        expect(failed).toMatchObject({ status: 'failed', archive: null, errors: ['screening service unavailable: connect ECONNREFUSED'] });
+        expect(fs.existsSync(dataSubjects.archivePath(request))).toBe(false);
+    });
+
+    test('erases the patient everywhere and signs a receipt', async () => {
+        const services = [fakeService('health-records')];
+        const dataSubjects = service(services);
+        const request = dataSubjects.open(patient(), { type: 'erasure' });
+
+        const completed = await dataSubjects.erase(request, patient(), 'admin_001');
+        expect(services[0].erase).toHaveBeenCalledWith('pat@example.com', { legalHold: null });
+        expect(completed).toMatchObject({ status: 'completed', subjectEmail: null, processedBy: 'admin_001' });
+
+        expect(patient()).toMatchObject({ email: 'patient_1@erased.invalid', name: 'Erased patient', isActive: false });
+        expect(patient().password).toBeUndefined();
+        expect(store.healthData.count()).toBe(0);
+        expect(store.appointments.all().map(apt => apt.id)).toEqual(['apt_2']);
+        expect(store.sessions.count()).toBe(0);
+        expect(store.consents.findById('consent_1')).toMatchObject({ revocationReason: 'Account erased' });
+
+        expect(completed.results).toEqual(expect.arrayContaining([
+            { service: 'main', dataset: 'account', action: 'anonymized', count: 1 },
+            { service: 'main', dataset: 'healthData', action: 'erased', count: 1 },
+            { service: 'health-records', dataset: 'records', action: 'erased', count: 1 }
+        ]));
+        expect(completed.receipt.subjectHash).toBe(crypto.createHash('sha256').update('pat@example.com').digest('hex'));
+        expect(dataSubjects.verifyReceipt(completed.receipt)).toBe(true);
+    });
+
+    test('keeps clinical records under a legal hold', async () => {
+        const services = [fakeService('health-records')];
+        const dataSubjects = service(services);
+        const hold = dataSubjects.placeHold({ patientId: PATIENT.id, reason: 'Pending malpractice claim' }, 'admin_001');
+        const request = dataSubjects.open(patient(), { type: 'erasure' });
+
+        const completed = await dataSubjects.erase(request, patient(), 'admin_001');
+        expect(services[0].erase).toHaveBeenCalledWith('pat@example.com', { legalHold: { id: hold.id, reason: 'Pending malpractice claim' } });
+        expect(store.healthData.count()).toBe(1);
+        expect(store.sessions.count()).toBe(0);
+        expect(completed.results).toContainEqual({
+            service: 'main',
+            dataset: 'healthData',
+            action: 'retained',
+            count: 1,
+            reason: `Legal hold ${hold.id}: Pending malpractice claim`
+        });
+    });
+
+    test('leaves the main server\'s data alone when a service fails, so the erasure can be retried', async () => {
+        const dataSubjects = service([fakeService('health-records'), fakeService('screening', { fail: true })]);
+        const request = dataSubjects.open(patient(), { type: 'erasure' });
+
+        const failed = await dataSubjects.erase(request, patient(), 'admin_001');
+        expect(failed).toMatchObject({ status: 'failed', subjectEmail: 'pat@example.com' });
+        expect(failed.results).toEqual([{ service: 'health-records', dataset: 'records', action: 'erased', count: 1 }]);
+        expect(patient().email).toBe('pat@example.com');
+        expect(dataSubjects.pendingErasure(PATIENT.id).id).toBe(request.id);
+
+        dataSubjects.services = [fakeService('health-records'), fakeService('screening')];
+        expect(await dataSubjects.erase(failed, patient(), 'admin_001')).toMatchObject({ status: 'completed' });
+    });
+
+    test('deletes earlier export archives on erasure', async () => {
+        const dataSubjects = service();
+        const exportRequest = await dataSubjects.export(dataSubjects.open(patient(), { type: 'export' }), patient());
+        await dataSubjects.erase(dataSubjects.open(patient(), { type: 'erasure' }), patient(), 'admin_001');
+
+        expect(fs.existsSync(dataSubjects.archivePath(exportRequest))).toBe(false);
+        expect(store.dataSubjectRequests.findById(exportRequest.id).status).toBe('expired');
+    });
+
+    test('erases again patients a backup restore brought back', async () => {
+        const dataSubjects = service();
+        const before = new Date(Date.now() - 1000);
+        await dataSubjects.erase(dataSubjects.open(patient(), { type: 'erasure' }), patient(), 'admin_001');
+
+        // A restore from before the erasure brings the account back
+        store.users.remove(PATIENT.id);
+        store.users.insert({ ...PATIENT });
+
+        expect(await dataSubjects.reapplyErasures(before)).toMatchObject({ reapplied: [expect.any(String)], errors: [] });
+        expect(patient().email).toBe('patient_1@erased.invalid');
+    });
+
+    test('rejects altered or unsigned receipts', () => {
+        const dataSubjects = service();
+        const receipt = dataSubjects.signReceipt({ requestId: 'dsr_1', results: [{ dataset: 'healthData', count: 2 }] });
+
+        expect(dataSubjects.verifyReceipt(receipt)).toBe(true);
+        expect(dataSubjects.verifyReceipt({ ...receipt, results: [{ dataset: 'healthData', count: 1 }] })).toBe(false);
+        expect(dataSubjects.verifyReceipt({ ...receipt, signature: 'abc' })).toBe(false);
+        expect(dataSubjects.verifyReceipt({ requestId: 'dsr_1' })).toBe(false);
+        expect(dataSubjects.verifyReceipt(null)).toBe(false);
+    });
+});
@@ -0,0 +1,32 @@
+/**
+ * Settings Client
+ * Follows the main server's public system settings (session timeout, password policy, time
+ * zone) for the standalone services, so changes made on the admin settings page reach them
+ * without a restart
+ * The settings are polled; when the main server cannot be reached the last values received
+ * stay in force, and callers fall back to their own defaults until the first poll succeeds.
+ */
+
+const { PollingClient } = require('../utils/polling-client');
+
+class SettingsClient extends PollingClient {
+    // baseUrl is the main server
+    constructor({ baseUrl, intervalSeconds, timeoutMs, fetch }) {
+        super({ baseUrl, path: '/api/settings/public', label: 'System settings', intervalSeconds, timeoutMs, fetch });
+        this.values = {};
+    }
+
+    receive(data) {
+        this.values = data;
+    }
+
+    section(section) {
+        return this.values[section] || {};
+    }
+
+    get(section, key) {
+        return this.section(section)[key];
+    }
+}
+
+module.exports = { SettingsClient };
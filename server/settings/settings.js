@@ -0,0 +1,289 @@
+/**
+ * Settings Registry
+ * Typed, persisted system settings for the main platform, grouped in the sections of the
+ * admin settings page
+ * Features: a type, default and validation rule per setting, a history entry for every change
+ * (who, old value, new value), one-step revert, change listeners that apply settings to the
+ * running server without a restart
+ *
+ * Each section is stored as one document in the settings collection, keyed by the section
+ * name, so the security policy and backup settings stored before the registry existed are
+ * picked up as they are.
+ */
+
+const Joi = require('joi');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const { DEFAULT_SECURITY_POLICY } = require('../auth/policy');
+const { DEFAULT_BACKUP_SETTINGS } = require('../backup/backup');
+
+// What secret settings look like in responses; sending it back leaves the value unchanged
+const SECRET_MASK = '********';
+
+const isTimeZone = (value) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Validation rule for each setting type; roles are custom, so the valid ids come in as $roleIds
+const TYPES = {
+    string: ({ max = 200 }) => Joi.string().trim().max(max).allow(''),
+    url: () => Joi.string().uri({ scheme: ['http', 'https'] }),
+    hostname: () => Joi.string().trim().hostname().allow(''),
+    integer: ({ min, max }) => Joi.number().integer().min(min).max(max),
+    boolean: () => Joi.boolean(),
+    enum: ({ values }) => Joi.string().valid(...values),
+    timeZone: () => Joi.string().custom((value, helpers) => isTimeZone(value) ? value : helpers.error('any.invalid'))
+        .messages({ 'any.invalid': '{{#label}} must be an IANA time zone such as Europe/London' }),
+    roles: () => Joi.array().items(Joi.string().valid(Joi.in('$roleIds'))).unique()
+        .messages({ 'any.only': '{{#label}} must be an existing role' })
+};
+
+/**
+ * Every setting by section. `public` settings are served unauthenticated to the browser and
+ * the standalone services; `secret` ones are masked in responses and never written to the
+ * change history, which records only the mask.
+ */
+const SETTINGS = {
+    general: {
+        permission: 'settings:manage',
+        settings: {
+            systemName: { type: 'string', max: 100, default: 'OneCare Health Platform', public: true },
+            primaryDomain: { type: 'url', default: 'https://onecare.health', public: true },
+            // Scheduled jobs (nightly backups, notification dispatch) run on this clock
+            timeZone: { type: 'timeZone', default: Intl.DateTimeFormat().resolvedOptions().timeZone, public: true },
+            defaultLanguage: { type: 'enum', values: ['en', 'es', 'fr', 'de'], default: 'en', public: true },
+            patientSelfRegistration: { type: 'boolean', default: true, public: true }
+        }
+    },
+    security: {
+        permission: 'security:manage',
+        settings: {
+            twoFactorRequiredRoles: { type: 'roles', default: DEFAULT_SECURITY_POLICY.twoFactorRequiredRoles },
+            passwordMinLength: { type: 'integer', min: 6, max: 128, default: DEFAULT_SECURITY_POLICY.passwordMinLength, public: true },
+            passwordRequireSpecialChars: { type: 'boolean', default: DEFAULT_SECURITY_POLICY.passwordRequireSpecialChars, public: true },
+            lockoutThreshold: { type: 'integer', min: 3, max: 50, default: DEFAULT_SECURITY_POLICY.lockoutThreshold },
+            lockoutDurationMinutes: { type: 'integer', min: 1, max: 1440, default: DEFAULT_SECURITY_POLICY.lockoutDurationMinutes },
+            ipLockoutThreshold: { type: 'integer', min: 5, max: 1000, default: DEFAULT_SECURITY_POLICY.ipLockoutThreshold },
+            // Sessions with no activity for this long are signed out
+            sessionTimeoutMinutes: { type: 'integer', min: 5, max: 480, default: 30, public: true },
+            rememberMe: { type: 'boolean', default: true, public: true }
+        }
+    },
+    notifications: {
+        permission: 'settings:manage',
+        settings: {
+            systemAlerts: { type: 'boolean', default: true },
+            userActivityAlerts: { type: 'boolean', default: false },
+            pushNotifications: { type: 'boolean', default: true },
+            // 'file' writes messages to the outbox directory instead of sending them
+            emailTransport: { type: 'enum', values: ['file', 'smtp'], default: 'file' },
+            smtpHost: { type: 'hostname', default: '' },
+            smtpPort: { type: 'integer', min: 1, max: 65535, default: 587 },
+            smtpSecure: { type: 'boolean', default: false },
+            smtpUser: { type: 'string', max: 254, default: '' },
+            smtpPass: { type: 'string', max: 500, default: '', secret: true }
+        }
+    },
+    integrations: {
+        permission: 'settings:manage',
+        settings: {
+            fhirEnabled: { type: 'boolean', default: true },
+            stripeEnabled: { type: 'boolean', default: false },
+            smsEnabled: { type: 'boolean', default: true }
+        }
+    },
+    backup: {
+        permission: 'backups:manage',
+        settings: {
+            enabled: { type: 'boolean', default: DEFAULT_BACKUP_SETTINGS.enabled },
+            retentionDays: { type: 'integer', min: 1, max: 3650, default: DEFAULT_BACKUP_SETTINGS.retentionDays }
+        }
+    }
+};
+
+const SECTIONS = Object.keys(SETTINGS);
+
+const definitionOf = (section, key) => SETTINGS[section] && SETTINGS[section].settings[key];
+
+const ruleFor = (definition) => TYPES[definition.type](definition);
+
+const mask = (definition, value) => (definition.secret && value ? SECRET_MASK : value);
+
+// Query-string filters for the change history
+function parseHistoryQuery(input) {
+    const { error, value } = Joi.object({
+        section: Joi.string().valid(...SECTIONS),
+        key: Joi.string().max(100),
+        limit: Joi.number().integer().min(1).max(1000).default(100)
+    }).validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+    return { value };
+}
+
+class SettingsService {
+    // `defaults` ({ section: { key: value } }) replace the built-in defaults, e.g. from the environment
+    constructor({ settings, history, defaults = {} }) {
+        this.settings = settings;
+        this.history = history;
+        this.listeners = [];
+        this.defaults = Object.fromEntries(SECTIONS.map(section => [section, {
+            ...Object.fromEntries(Object.entries(SETTINGS[section].settings).map(([key, definition]) => [key, definition.default])),
+            ...defaults[section]
+        }]));
+    }
+
+    // Stored values of a section merged over its defaults
+    section(section) {
+        const { id, ...stored } = this.settings.findById(section) || {};
+        const keys = Object.keys(SETTINGS[section].settings);
+        return { ...this.defaults[section], ...Object.fromEntries(Object.entries(stored).filter(([key]) => keys.includes(key))) };
+    }
+
+    get(section, key) {
+        return this.section(section)[key];
+    }
+
+    // Values of the given sections for API responses, secrets masked
+    view(sections = SECTIONS) {
+        return Object.fromEntries(sections.map(section => [section, Object.fromEntries(
+            Object.entries(this.section(section)).map(([key, value]) => [key, mask(definitionOf(section, key), value)])
+        )]));
+    }
+
+    // Public settings, served to the browser and the standalone services
+    publicValues() {
+        return Object.fromEntries(SECTIONS
+            .map(section => [section, Object.fromEntries(Object.entries(this.section(section))
+                .filter(([key]) => definitionOf(section, key).public))])
+            .filter(([, values]) => Object.keys(values).length > 0));
+    }
+
+    // Types, limits and defaults of the given sections, for building forms
+    definitions(sections = SECTIONS) {
+        return Object.fromEntries(sections.map(section => [section, Object.fromEntries(
+            Object.entries(SETTINGS[section].settings).map(([key, definition]) =>
+                [key, { ...definition, default: mask(definition, this.defaults[section][key]) }])
+        )]));
+    }
+
+    /**
+     * Validate changes given as { section: { key: value } }. Unknown sections and settings are
+     * dropped, as is the secret mask sent back unchanged. `context.roleIds` lists the valid
+     * roles. Returns { value } or { error: [messages] }.
+     */
+    validate(changes, context = {}) {
+        const input = Object.fromEntries(Object.entries(changes || {})
+            .filter(([section, values]) => SETTINGS[section] && values && typeof values === 'object')
+            .map(([section, values]) => [section, Object.fromEntries(Object.entries(values)
+                .filter(([key, value]) => definitionOf(section, key) && !(definitionOf(section, key).secret && value === SECRET_MASK)))]));
+
+        const { error, value } = Joi.object(Object.fromEntries(SECTIONS.map(section => [section, Joi.object(
+            Object.fromEntries(Object.entries(SETTINGS[section].settings).map(([key, definition]) => [key, ruleFor(definition)]))
+        )]))).validate(input, { abortEarly: false, context });
+
+        if (error) {
+            return { error: error.details.map(detail => detail.message) };
+        }
+        if (!Object.values(value).some(values => Object.keys(values).length > 0)) {
+            return { error: ['No settings to change'] };
+        }
+        return { value };
+    }
+
+    /**
+     * Save validated changes, recording a history entry for each setting whose value actually
+     * changes, then tell the change listeners. Returns the new history entries.
+     */
+    update(changes, changedBy, { revertOf = null } = {}) {
+        const now = new Date().toISOString();
+        const entries = [];
+
+        Object.entries(changes).forEach(([section, values]) => {
+            const current = this.section(section);
+            const changed = Object.entries(values).filter(([key, value]) => !isDeepStrictEqual(current[key], value));
+            if (changed.length === 0) {
+                return;
+            }
+
+            const next = { ...current, ...Object.fromEntries(changed) };
+            if (this.settings.findById(section)) {
+                this.settings.update(section, next);
+            } else {
+                this.settings.insert({ id: section, ...next });
+            }
+
+            changed.forEach(([key, value]) => entries.push(this.history.insert({
+                id: `set_${crypto.randomBytes(8).toString('hex')}`,
+                section,
+                key,
+                oldValue: mask(definitionOf(section, key), current[key]),
+                newValue: mask(definitionOf(section, key), value),
+                changedBy,
+                changedAt: now,
+                revertOf
+            })));
+        });
+
+        if (entries.length > 0) {
+            this.listeners.forEach(listener => {
+                try {
+                    listener(entries);
+                } catch (error) {
+                    console.error('Applying settings failed:', error.message);
+                }
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * The change that puts a history entry's old value back, as { section: { key: value } }.
+     * Secrets are not in the history, so for them it is the live value, i.e. no change.
+     */
+    revertChanges(entry) {
+        const definition = definitionOf(entry.section, entry.key);
+        const value = definition && definition.secret ? this.get(entry.section, entry.key) : entry.oldValue;
+        return { [entry.section]: { [entry.key]: value } };
+    }
+
+    // Whether a history entry can be reverted: secret values are not kept to put back
+    revertible(entry) {
+        const definition = definitionOf(entry.section, entry.key);
+        return Boolean(definition) && !definition.secret;
+    }
+
+    // Called with the new history entries after every change that alters a value
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // History entries of the given sections, newest first, optionally for one section or setting
+    list({ sections = SECTIONS, section, key, limit = 100 } = {}) {
+        return this.history
+            .filter(entry => sections.includes(entry.section) &&
+                (!section || entry.section === section) && (!key || entry.key === key))
+            .sort((a, b) => new Date(b.changedAt) - new Date(a.changedAt))
+            .slice(0, limit);
+    }
+
+    // History entry for API responses, secrets masked
+    describe(entry) {
+        const definition = definitionOf(entry.section, entry.key) || {};
+        return { ...entry, oldValue: mask(definition, entry.oldValue), newValue: mask(definition, entry.newValue) };
+    }
+}
+
+module.exports = {
+    SETTINGS,
+    SECTIONS,
+    SECRET_MASK,
+    parseHistoryQuery,
+    SettingsService
+};
@@ -0,0 +1,152 @@
+const { createTestStore } = require('../storage/test-store');
+const { migrations } = require('../storage/migrations');
+const { SECRET_MASK, parseHistoryQuery, SettingsService } = require('./settings');
+const { SettingsClient } = require('./settings-client');
+
+describe('SettingsService', () => {
+    let store;
+    let settings;
+
+    beforeAll(() => {
+        store = createTestStore();
+    });
+
+    beforeEach(() => {
+        store.settings.removeWhere(() => true);
+        store.settingsHistory.removeWhere(() => true);
+        settings = new SettingsService({
+            settings: store.settings,
+            history: store.settingsHistory,
+            defaults: { notifications: { smtpHost: 'smtp.example.com' } }
+        });
+    });
+
+    const change = (changes, context = { roleIds: ['admin', 'provider', 'patient'] }) => {
+        const { value, error } = settings.validate(changes, context);
+        if (error) throw new Error(error.join('; '));
+        return settings.update(value, 'admin_001');
+    };
+
+    test('merges stored values over the defaults', () => {
+        expect(settings.get('notifications', 'smtpHost')).toBe('smtp.example.com');
+        expect(settings.get('security', 'lockoutThreshold')).toBe(5);
+
+        change({ security: { lockoutThreshold: 8 } });
+        expect(settings.section('security')).toMatchObject({ lockoutThreshold: 8, lockoutDurationMinutes: 15 });
+    });
+
+    test('validates values by type and drops unknown settings', () => {
+        expect(settings.validate({ security: { lockoutThreshold: 1 } }).error).toEqual(['"security.lockoutThreshold" must be greater than or equal to 3']);
+        expect(settings.validate({ general: { timeZone: 'Mars/Olympus' } }).error).toEqual(['"general.timeZone" must be an IANA time zone such as Europe/London']);
+        expect(settings.validate({ security: { twoFactorRequiredRoles: ['wizard'] } }, { roleIds: ['admin'] }).error)
+            .toEqual(['"security.twoFactorRequiredRoles[0]" must be an existing role']);
+        expect(settings.validate({ unknown: { a: 1 }, general: { nope: true } }).error).toEqual(['No settings to change']);
+    });
+
+    test('records who changed what, only for values that change', () => {
+        const entries = change({ general: { systemName: 'OneCare Test', defaultLanguage: 'en' } });
+
+        expect(entries).toEqual([expect.objectContaining({
+            section: 'general',
+            key: 'systemName',
+            oldValue: 'OneCare Health Platform',
+            newValue: 'OneCare Test',
+            changedBy: 'admin_001',
+            revertOf: null
+        })]);
+        expect(change({ general: { systemName: 'OneCare Test' } })).toEqual([]);
+    });
+
+    test('tells listeners about changes', () => {
+        const listener = jest.fn();
+        settings.onChange(listener);
+
+        const entries = change({ backup: { retentionDays: 7 } });
+        expect(listener).toHaveBeenCalledWith(entries);
+    });
+
+    test('reverts a change to its old value', () => {
+        const [entry] = change({ security: { sessionTimeoutMinutes: 60 } });
+
+        expect(settings.revertible(entry)).toBe(true);
+        expect(settings.revertChanges(entry)).toEqual({ security: { sessionTimeoutMinutes: 30 } });
+    });
+
+    test('masks secrets in responses and keeps them out of the history', () => {
+        const [entry] = change({ notifications: { smtpPass: 'hunter2' } });
+
+        expect(settings.get('notifications', 'smtpPass')).toBe('hunter2');
+        expect(settings.view(['notifications']).notifications.smtpPass).toBe(SECRET_MASK);
+        expect(settings.definitions(['notifications']).notifications.smtpPass.default).toBe('');
+        expect(entry).toMatchObject({ oldValue: '', newValue: SECRET_MASK });
+        expect(JSON.stringify(store.settingsHistory.all())).not.toContain('hunter2');
+    });
+
+    test('leaves a secret unchanged when the mask is sent back', () => {
+        change({ notifications: { smtpPass: 'hunter2' } });
+
+        expect(settings.validate({ notifications: { smtpPass: SECRET_MASK } }).error).toEqual(['No settings to change']);
+        expect(settings.get('notifications', 'smtpPass')).toBe('hunter2');
+    });
+
+    test('does not restore secrets from the history', () => {
+        change({ notifications: { smtpPass: 'hunter2' } });
+        const [entry] = change({ notifications: { smtpPass: 'hunter3' } });
+
+        expect(settings.revertible(entry)).toBe(false);
+        expect(settings.revertChanges(entry)).toEqual({ notifications: { smtpPass: 'hunter3' } });
+    });
+
+    test('serves only public settings publicly', () => {
+        const values = settings.publicValues();
+        expect(values.general).toHaveProperty('systemName');
+        expect(values.security).toHaveProperty('passwordMinLength');
+        expect(values.security).not.toHaveProperty('lockoutThreshold');
+        expect(values).not.toHaveProperty('notifications');
+    });
+
+    test('lists the history newest first, filtered by section and setting', () => {
+        change({ general: { systemName: 'First' } });
+        change({ general: { systemName: 'Second' } });
+        change({ backup: { retentionDays: 10 } });
+        store.settingsHistory.all().forEach((entry, index) => store.settingsHistory.update(entry.id, { changedAt: new Date(2024, 0, index + 1).toISOString() }));
+
+        expect(settings.list().map(entry => entry.newValue)).toEqual([10, 'Second', 'First']);
+        expect(settings.list({ sections: ['general'] })).toHaveLength(2);
+        expect(settings.list({ key: 'systemName', limit: 1 }).map(entry => entry.newValue)).toEqual(['Second']);
+        expect(parseHistoryQuery({ section: 'bogus' }).error).toHaveLength(1);
+    });
+});
+
+describe('secret history migration', () => {
+    test('masks secret values recorded before they were kept out of the history', () => {
+        const migration = migrations.find(item => item.description === 'Mask secret settings in the settings change history');
+        const data = {
+            collections: {
+                settingsHistory: [
+                    { id: 'set_1', section: 'notifications', key: 'smtpPass', oldValue: '', newValue: 'hunter2' },
+                    { id: 'set_2', section: 'notifications', key: 'smtpUser', oldValue: '', newValue: 'mailer' }
+                ]
+            }
+        };
+
+        migration.up(data);
+        expect(data.collections.settingsHistory).toEqual([
+            { id: 'set_1', section: 'notifications', key: 'smtpPass', oldValue: '', newValue: SECRET_MASK },
+            { id: 'set_2', section: 'notifications', key: 'smtpUser', oldValue: '', newValue: 'mailer' }
+        ]);
+    });
+});
+
+describe('SettingsClient', () => {
+    test('follows the public settings of the main server', async () => {
+        const fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ success: true, data: { security: { sessionTimeoutMinutes: 45 } } }) }));
+        const client = new SettingsClient({ baseUrl: 'http://localhost:3000', fetch });
+
+        expect(client.get('security', 'sessionTimeoutMinutes')).toBeUndefined();
+        await client.refresh();
+        expect(fetch.mock.calls[0][0]).toBe('http://localhost:3000/api/settings/public');
+        expect(client.get('security', 'sessionTimeoutMinutes')).toBe(45);
+        expect(client.section('general')).toEqual({});
+    });
+});
@@ -0,0 +1,490 @@
+/**
+ * Storage schema migrations
+ * Each migration upgrades the raw store document by one schema version.
+ * Migrations run in order at startup and must never be edited once released -
+ * add a new version instead. For the same reason they carry their own copies of the
+ * logic and data they apply rather than calling modules that keep changing.
+ */
+
+const crypto = require('crypto');
+
+const ensureCollections = (data, names) => {
+    names.forEach(name => {
+        if (!Array.isArray(data.collections[name])) {
+            data.collections[name] = [];
+        }
+    });
+};
+
+// v7: the default clinic roles as of that version
+const V7_ROLES = [
+    {
+        id: 'nurse',
+        name: 'Nurse',
+        description: 'Clinical staff rooming patients and recording vitals',
+        permissions: ['appointments:read:any', 'appointments:write:any', 'healthData:read:any', 'healthData:write:any']
+    },
+    {
+        id: 'front-desk',
+        name: 'Front Desk',
+        description: 'Reception staff booking, confirming and checking in appointments',
+        permissions: ['appointments:read:any', 'appointments:write:any', 'appointments:confirm:any']
+    },
+    {
+        id: 'billing',
+        name: 'Billing',
+        description: 'Billing staff reviewing completed visits',
+        permissions: ['appointments:read:any', 'analytics:read']
+    },
+    {
+        id: 'caregiver',
+        name: 'Caregiver',
+        description: 'Family members or carers supporting assigned patients',
+        permissions: ['appointments:read:assigned', 'appointments:write:assigned', 'healthData:read:assigned']
+    }
+];
+
+// v8: the audit entry hash as of that version (SHA-256 of the entry as canonical JSON, minus `hash`)
+const v8CanonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(v8CanonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${v8CanonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+const v8EntryHash = ({ hash, ...content }) => crypto.createHash('sha256').update(v8CanonicalJson(content)).digest('hex');
+
+// v11: health data units and ranges as of that version. Linear units are factors to the
+// dimension's base unit (the first one listed); temperatures convert to Cel by function.
+const V11_UNITS = {
+    temperature: { 'Cel': 1, '[degF]': (v) => (v - 32) * 5 / 9, 'K': (v) => v - 273.15 },
+    mass: { 'kg': 1, 'g': 0.001, '[lb_av]': 0.45359237, '[oz_av]': 0.028349523125 },
+    length: { 'm': 1, 'cm': 0.01, 'mm': 0.001, 'km': 1000, '[in_i]': 0.0254, '[ft_i]': 0.3048, '[mi_i]': 1609.344 },
+    pressure: { 'mm[Hg]': 1, 'kPa': 7.50061683 },
+    rate: { '/min': 1, '/s': 60, '/h': 1 / 60 },
+    fraction: { '%': 1, '1': 100 },
+    glucose: { 'mg/dL': 1, 'mmol/L': 18.0156 },
+    count: { '{steps}': 1 },
+    duration: { 'h': 1, 'min': 1 / 60, 's': 1 / 3600 }
+};
+
+const V11_ALIASES = {
+    temperature: { '°C': 'Cel', 'C': 'Cel', 'degC': 'Cel', '°F': '[degF]', 'F': '[degF]', 'degF': '[degF]' },
+    mass: { 'lb': '[lb_av]', 'lbs': '[lb_av]', 'oz': '[oz_av]' },
+    length: { 'in': '[in_i]', 'ft': '[ft_i]', 'mi': '[mi_i]' },
+    pressure: { 'mmHg': 'mm[Hg]' },
+    rate: { 'bpm': '/min', '{beats}/min': '/min', '{breaths}/min': '/min', 'breaths/min': '/min' },
+    fraction: {},
+    glucose: { 'mg/dl': 'mg/dL', 'mmol/l': 'mmol/L' },
+    count: { 'steps': '{steps}' },
+    duration: { 'hr': 'h', 'hours': 'h', 'minutes': 'min' }
+};
+
+// [dimension, canonical unit, min, max, whole numbers only]
+const V11_QUANTITIES = {
+    systolic: ['pressure', 'mm[Hg]', 50, 260],
+    diastolic: ['pressure', 'mm[Hg]', 30, 160],
+    heartRate: ['rate', '/min', 20, 250],
+    respiratoryRate: ['rate', '/min', 4, 60],
+    temperature: ['temperature', 'Cel', 30, 45],
+    oxygenSaturation: ['fraction', '%', 50, 100],
+    weight: ['mass', 'kg', 0.5, 500],
+    height: ['length', 'cm', 30, 272],
+    glucose: ['glucose', 'mg/dL', 10, 1000],
+    duration: ['duration', 'h', 0, 24],
+    deepSleep: ['duration', 'h', 0, 24],
+    steps: ['count', '{steps}', 0, 100000, true],
+    distance: ['length', 'km', 0, 300],
+    activeTime: ['duration', 'min', 0, 1440]
+};
+
+// Fields of each record type, the ones it requires and those of which it needs at least one
+const V11_TYPES = {
+    vital_signs: { fields: ['bloodPressure', 'heartRate', 'respiratoryRate', 'temperature', 'oxygenSaturation', 'weight', 'height'], oneOf: true },
+    blood_pressure: { fields: ['systolic', 'diastolic', 'heartRate'], required: ['systolic', 'diastolic'] },
+    heart_rate: { fields: ['heartRate'], required: ['heartRate'] },
+    temperature: { fields: ['temperature'], required: ['temperature'] },
+    oxygen_saturation: { fields: ['oxygenSaturation'], required: ['oxygenSaturation'] },
+    weight: { fields: ['weight', 'height'], required: ['weight'] },
+    glucose: { fields: ['glucose', 'context'], required: ['glucose'] },
+    sleep: { fields: ['duration', 'deepSleep', 'quality', 'start', 'end'], required: ['duration'] },
+    activity: { fields: ['steps', 'distance', 'activeTime'], oneOf: true }
+};
+
+const V11_CHOICES = {
+    context: ['fasting', 'before_meal', 'after_meal', 'bedtime', 'random'],
+    quality: ['poor', 'fair', 'good', 'excellent']
+};
+
+// A { value, unit } quantity in its canonical unit with the submitted one kept, or null if invalid
+const v11Quantity = (field, input) => {
+    const [dimension, canonical, min, max, integer] = V11_QUANTITIES[field];
+    if (!input || typeof input.value !== 'number' || typeof input.unit !== 'string') return null;
+    const units = V11_UNITS[dimension];
+    const unit = V11_ALIASES[dimension][input.unit.trim()] || input.unit.trim();
+    if (units[unit] === undefined) return null;
+
+    const toBase = typeof units[unit] === 'function' ? units[unit](input.value) : input.value * units[unit];
+    const value = Math.round(toBase / units[canonical] * 100) / 100;
+    if (value < min || value > max || (integer && !Number.isInteger(value))) return null;
+    return { value, unit: canonical, original: { value: input.value, unit } };
+};
+
+// The normalized data of a stored health record, or null when it does not pass validation
+const v11Normalize = (type, data) => {
+    const spec = V11_TYPES[type];
+    if (!spec || !data || typeof data !== 'object' || Object.keys(data).some(key => !spec.fields.includes(key))) return null;
+    if ((spec.required || []).some(key => data[key] === undefined)) return null;
+    if (spec.oneOf && !spec.fields.some(key => data[key] !== undefined)) return null;
+
+    const normalized = {};
+    for (const [key, input] of Object.entries(data)) {
+        if (key === 'bloodPressure') {
+            const bloodPressure = v11Normalize('blood_pressure', input);
+            if (!bloodPressure || bloodPressure.heartRate) return null;
+            normalized[key] = bloodPressure;
+        } else if (V11_QUANTITIES[key]) {
+            normalized[key] = v11Quantity(key, input);
+            if (!normalized[key]) return null;
+        } else if (V11_CHOICES[key]) {
+            if (!V11_CHOICES[key].includes(input)) return null;
+            normalized[key] = input;
+        } else {
+            // Sleep start and end times
+            if (Number.isNaN(Date.parse(input))) return null;
+            normalized[key] = new Date(input);
+        }
+    }
+
+    if (type === 'glucose' && !normalized.context) normalized.context = 'random';
+    if (normalized.systolic && normalized.systolic.value <= normalized.diastolic.value) return null;
+    if (normalized.end && (!normalized.start || normalized.end <= normalized.start)) return null;
+    return normalized;
+};
+
+// v9: the audience each of the old notification recipient presets stood for
+const V9_LEGACY_RECIPIENTS = {
+    all: { all: true },
+    patients: { roles: ['patient'] },
+    providers: { roles: ['provider'] },
+    admins: { roles: ['admin'] }
+};
+
+// v14: version 1 of each consent text
+const V14_CONSENT_DOCUMENTS = [
+    {
+        purpose: 'ml_risk_scoring',
+        title: 'ML Risk Scoring',
+        text: 'I agree that OneCare may analyse my health records with machine learning models to estimate my risk of conditions and recommend screenings. Results are shown to me and my care team.'
+    },
+    {
+        purpose: 'research',
+        title: 'Research',
+        text: 'I agree that de-identified information from my health records may be included in research datasets approved by OneCare.'
+    },
+    {
+        purpose: 'provider_sharing',
+        title: 'Sharing With Named Providers',
+        text: 'I agree that OneCare may share my health records with the healthcare providers I name here, and release exports of my records to them on request.'
+    },
+    {
+        purpose: 'marketing',
+        title: 'Marketing',
+        text: 'I agree to receive information about OneCare services and health programmes that may interest me.'
+    }
+];
+
+const migrations = [
+    {
+        version: 1,
+        description: 'Create core collections',
+        up(data) {
+            ensureCollections(data, ['users', 'appointments', 'notifications', 'auditLogs', 'healthData']);
+        }
+    },
+    {
+        version: 2,
+        description: 'Add provider schedule templates',
+        up(data) {
+            ensureCollections(data, ['providerSchedules']);
+        }
+    },
+    {
+        version: 3,
+        description: 'Add recurring appointment series',
+        up(data) {
+            ensureCollections(data, ['appointmentSeries']);
+        }
+    },
+    {
+        version: 4,
+        description: 'Add server-side auth sessions',
+        up(data) {
+            ensureCollections(data, ['sessions']);
+        }
+    },
+    {
+        version: 5,
+        description: 'Add platform settings',
+        up(data) {
+            ensureCollections(data, ['settings']);
+        }
+    },
+    {
+        version: 6,
+        description: 'Add single-use account action tokens',
+        up(data) {
+            ensureCollections(data, ['actionTokens']);
+        }
+    },
+    {
+        version: 7,
+        description: 'Add custom roles with the default clinic roles',
+        up(data) {
+            ensureCollections(data, ['roles']);
+            const now = new Date().toISOString();
+            V7_ROLES
+                .filter(role => !data.collections.roles.some(existing => existing.id === role.id))
+                .forEach(role => data.collections.roles.push({ ...role, permissions: [...role.permissions], createdAt: now, updatedAt: now }));
+        }
+    },
+    {
+        version: 8,
+        description: 'Hash-chain the audit log and add checkpoints and archives',
+        up(data) {
+            ensureCollections(data, ['auditCheckpoints', 'auditArchives']);
+            // Seal the existing entries, oldest first, as the start of the chain
+            const legacy = [...data.collections.auditLogs]
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            let prevHash = '0'.repeat(64);
+            data.collections.auditLogs = legacy.map(({ seq, prevHash: oldPrevHash, hash: oldHash, ...fields }, index) => {
+                const entry = { ...fields, seq: index + 1, prevHash };
+                entry.hash = v8EntryHash(entry);
+                prevHash = entry.hash;
+                return entry;
+            });
+        }
+    },
+    {
+        version: 9,
+        description: 'Target notifications by audience and add per-user deliveries and segments',
+        up(data) {
+            ensureCollections(data, ['notificationDeliveries', 'notificationSegments']);
+            const { users, notifications, notificationDeliveries } = data.collections;
+            let nextId = notificationDeliveries.length + 1;
+
+            notifications.forEach(notification => {
+                if (!notification.audience) {
+                    const preset = [].concat(notification.recipients || 'all')[0];
+                    notification.audience = { ...(V9_LEGACY_RECIPIENTS[preset] || V9_LEGACY_RECIPIENTS.all) };
+                }
+                delete notification.recipients;
+                if (notification.status !== 'sent') {
+                    return;
+                }
+
+                // Give already-sent notifications to everyone they were aimed at, unread
+                notification.sentAt = notification.sentAt || notification.createdAt;
+                const roles = notification.audience.roles || [];
+                const recipients = users.filter(user => user.isActive !== false &&
+                    (notification.audience.all || roles.includes(user.role)));
+                recipients
+                    .filter(user => !notificationDeliveries.some(delivery =>
+                        delivery.notificationId === notification.id && delivery.userId === user.id))
+                    .forEach(user => notificationDeliveries.push({
+                        id: `dlv_${String(nextId++).padStart(3, '0')}`,
+                        notificationId: notification.id,
+                        userId: user.id,
+                        createdAt: notification.sentAt,
+                        deliveredAt: null,
+                        readAt: null
+                    }));
+                notification.recipientCount = recipients.length;
+            });
+        }
+    },
+    {
+        version: 10,
+        description: 'Add the notification delivery queue',
+        up(data) {
+            ensureCollections(data, ['notificationJobs']);
+            // SMS and push were never delivered; those notifications only reached the inbox
+            data.collections.notifications
+                .filter(notification => ['sms', 'push'].includes(notification.deliveryMethod))
+                .forEach(notification => { notification.deliveryMethod = 'in-app'; });
+        }
+    },
+    {
+        version: 11,
+        description: 'Validate health data and normalize units',
+        up(data) {
+            // Earlier records were stored as sent. Bare numbers carry no unit (the demo
+            // record used °F and lb), so only records with explicit units are converted;
+            // the rest are kept as they are and flagged.
+            const hasBareNumbers = (value) => (typeof value === 'number' ||
+                (value && typeof value === 'object' && !('unit' in value) && Object.values(value).some(hasBareNumbers)));
+
+            data.collections.healthData.forEach(record => {
+                const normalized = hasBareNumbers(record.data) ? null : v11Normalize(record.type, record.data);
+                if (!normalized) {
+                    record.unnormalized = true;
+                    return;
+                }
+                record.data = normalized;
+            });
+        }
+    },
+    {
+        version: 12,
+        description: 'Add care team assignments',
+        up(data) {
+            ensureCollections(data, ['careTeamAssignments']);
+            // Access used to follow assignedPatientIds and any shared appointment; keep those
+            // relationships as consulting assignments from the earliest appointment on
+            const pairs = new Map();
+            const add = (providerId, patientId, startDate) => {
+                const key = `${providerId}:${patientId}`;
+                if (!pairs.has(key) || new Date(startDate) < new Date(pairs.get(key).startDate)) {
+                    pairs.set(key, { providerId, patientId, startDate });
+                }
+            };
+
+            data.collections.users.forEach(user => {
+                (user.assignedPatientIds || []).forEach(patientId => add(user.id, patientId, user.createdAt || new Date().toISOString()));
+                delete user.assignedPatientIds;
+            });
+            data.collections.appointments
+                .filter(appointment => appointment.providerId && appointment.patientId)
+                .forEach(appointment => add(appointment.providerId, appointment.patientId, appointment.createdAt || appointment.startTime));
+
+            const now = new Date().toISOString();
+            [...pairs.values()].forEach((pair, index) => {
+                data.collections.careTeamAssignments.push({
+                    id: `cta_migrated_${index + 1}`,
+                    ...pair,
+                    role: 'consulting',
+                    endDate: null,
+                    notes: '',
+                    createdBy: null,
+                    createdAt: now,
+                    updatedAt: now
+                });
+            });
+        }
+    },
+    {
+        version: 13,
+        description: 'Add break-the-glass emergency access grants',
+        up(data) {
+            ensureCollections(data, ['emergencyAccessGrants']);
+        }
+    },
+    {
+        version: 14,
+        description: 'Add the consent registry with version 1 of each consent text',
+        up(data) {
+            ensureCollections(data, ['consents', 'consentDocuments']);
+            const now = new Date().toISOString();
+            V14_CONSENT_DOCUMENTS
+                .filter(document => !data.collections.consentDocuments.some(existing => existing.purpose === document.purpose))
+                .forEach(document => data.collections.consentDocuments.push({
+                    id: `cdoc_${document.purpose}_v1`,
+                    purpose: document.purpose,
+                    version: 1,
+                    title: document.title,
+                    text: document.text,
+                    reconsentRequired: false,
+                    effectiveDate: now,
+                    createdBy: null,
+                    createdAt: now
+                }));
+        }
+    },
+    {
+        version: 15,
+        description: 'Add data subject requests and legal holds',
+        up(data) {
+            ensureCollections(data, ['dataSubjectRequests', 'legalHolds']);
+        }
+    },
+    {
+        version: 16,
+        description: 'Add maintenance windows',
+        up(data) {
+            ensureCollections(data, ['maintenanceWindows']);
+        }
+    },
+    {
+        version: 17,
+        description: 'Add the settings change history',
+        up(data) {
+            ensureCollections(data, ['settingsHistory']);
+        }
+    },
+    {
+        version: 18,
+        description: 'Mask secret settings in the settings change history',
+        up(data) {
+            // The secret settings of v17; only a mask is kept for them from now on
+            const secrets = ['notifications.smtpPass'];
+            data.collections.settingsHistory
+                .filter(entry => secrets.includes(`${entry.section}.${entry.key}`))
+                .forEach(entry => {
+                    entry.oldValue = entry.oldValue ? '********' : entry.oldValue;
+                    entry.newValue = entry.newValue ? '********' : entry.newValue;
+                });
+        }
+    },
+    {
+        version: 19,
+        description: 'Scope the default nurse and front-desk roles to the patients of their care teams',
+        up(data) {
+            // Only roles still as v7 created them; permissions an admin has edited are left alone
+            const narrowed = {
+                nurse: {
+                    description: 'Clinical staff rooming and recording vitals for the patients of their care teams',
+                    permissions: ['appointments:read:assigned', 'appointments:write:assigned', 'healthData:read:assigned', 'healthData:write:assigned']
+                },
+                'front-desk': {
+                    description: 'Reception staff booking, confirming and checking in appointments for the patients of their care teams',
+                    permissions: ['appointments:read:assigned', 'appointments:write:assigned', 'appointments:confirm:assigned']
+                }
+            };
+            const now = new Date().toISOString();
+
+            data.collections.roles.forEach(role => {
+                const original = V7_ROLES.find(v7Role => v7Role.id === role.id);
+                if (!narrowed[role.id] || !Array.isArray(role.permissions) ||
+                    [...role.permissions].sort().join(' ') !== [...original.permissions].sort().join(' ')) {
+                    return;
+                }
+                role.permissions = [...narrowed[role.id].permissions];
+                if (role.description === original.description) {
+                    role.description = narrowed[role.id].description;
+                }
+                role.updatedAt = now;
+            });
+        }
+    },
+    {
+        version: 20,
+        description: 'Keep only a hash of each calendar feed token',
+        up(data) {
+            // SHA-256 hex, as sessions and action tokens already store theirs
+            data.collections.users
+                .filter(user => typeof user.calendarToken === 'string')
+                .forEach(user => {
+                    user.calendarTokenHash = crypto.createHash('sha256').update(user.calendarToken).digest('hex');
+                    delete user.calendarToken;
+                });
+        }
+    }
+];
+
+module.exports = { migrations, ensureCollections };
@@ -0,0 +1,71 @@
+const { createTestStore } = require('./test-store');
+const { migrations } = require('./migrations');
+const { DEFAULT_CUSTOM_ROLES } = require('../auth/permissions');
+const { hashToken } = require('../auth/sessions');
+
+// A store document as the given schema version left it
+const documentAt = (version, edit = () => {}) => {
+    const store = createTestStore({ migrations: migrations.filter(migration => migration.version <= version) });
+    edit(store);
+    return JSON.parse(JSON.stringify(store.data));
+};
+
+const upgrade = (data) => {
+    const store = createTestStore();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    store.replace(data);
+    return store;
+};
+
+describe('storage migrations', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('v7 creates the clinic roles with the permissions they had then', () => {
+        const roles = documentAt(7).collections.roles;
+
+        expect(roles.find(role => role.id === 'nurse').permissions).toEqual([
+            'appointments:read:any', 'appointments:write:any', 'healthData:read:any', 'healthData:write:any'
+        ]);
+        expect(roles.find(role => role.id === 'front-desk').permissions).toEqual([
+            'appointments:read:any', 'appointments:write:any', 'appointments:confirm:any'
+        ]);
+    });
+
+    test('v19 scopes the untouched nurse and front-desk roles to their care teams', () => {
+        const store = upgrade(documentAt(18));
+
+        ['nurse', 'front-desk'].forEach(id => {
+            const { permissions, description } = DEFAULT_CUSTOM_ROLES.find(role => role.id === id);
+            expect(store.roles.findById(id)).toMatchObject({ permissions, description });
+        });
+    });
+
+    test('v19 leaves roles an admin has changed as they are', () => {
+        const edited = ['appointments:read:any', 'appointments:confirm:any'];
+        const store = upgrade(documentAt(18, ({ roles }) => roles.update('front-desk', { permissions: edited })));
+
+        expect(store.roles.findById('front-desk').permissions).toEqual(edited);
+        expect(store.roles.findById('nurse').permissions).not.toContain('healthData:read:any');
+    });
+
+    test('v20 replaces calendar feed tokens with their hashes', () => {
+        const store = upgrade(documentAt(19, ({ users }) => {
+            users.insert({ id: 'patient_1', email: 'p@example.com', role: 'patient', calendarToken: 'feed-token' });
+            users.insert({ id: 'patient_2', email: 'q@example.com', role: 'patient' });
+        }));
+
+        expect(store.users.findById('patient_1')).not.toHaveProperty('calendarToken');
+        expect(store.users.findById('patient_1').calendarTokenHash).toBe(hashToken('feed-token'));
+        expect(store.users.findById('patient_2')).not.toHaveProperty('calendarTokenHash');
+    });
+
+    test('a new store ends up with the current default roles', () => {
+        const store = createTestStore();
+
+        DEFAULT_CUSTOM_ROLES.forEach(role => {
+            expect(store.roles.findById(role.id).permissions).toEqual(role.permissions);
+        });
+    });
+});
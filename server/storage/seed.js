@@ -0,0 +1,128 @@
+/**
+ * Demo data seed
+ * Populates a brand-new store with the demo accounts and sample records the
+ * dashboards expect. Only runs when the data file does not exist yet; set
+ * SEED_DEMO_DATA=false to start with an empty store instead.
+ */
+
+const bcrypt = require('bcryptjs');
+const { validateHealthData } = require('../health/health-data');
+
+const DEMO_USERS = [
+    {
+        id: 'admin_001',
+        email: 'harsh.singhal@onecare.com',
+        password: 'admin123',
+        role: 'admin',
+        name: 'System Administrator'
+    },
+    {
+        id: 'provider_001',
+        email: 'dr.smith@hospital.com',
+        password: 'doctor123',
+        role: 'provider',
+        name: 'Dr. John Smith',
+        specialization: 'Cardiology'
+    },
+    {
+        id: 'patient_001',
+        email: 'patient@email.com',
+        password: 'patient123',
+        role: 'patient',
+        name: 'John Doe',
+        dateOfBirth: '1990-05-15'
+    }
+];
+
+function seedDemoData(store) {
+    const now = new Date().toISOString();
+
+    DEMO_USERS.forEach(({ password, ...user }) => {
+        store.collection('users').insert({
+            ...user,
+            password: bcrypt.hashSync(password, 10),
+            isActive: true,
+            lastLogin: null,
+            createdAt: '2024-01-01T00:00:00Z'
+        });
+    });
+
+    store.collection('appointments').insert({
+        id: 'apt_001',
+        patientId: 'patient_001',
+        providerId: 'provider_001',
+        title: 'Regular Checkup',
+        description: 'Annual health screening and consultation',
+        startTime: '2024-01-20T10:00:00Z',
+        endTime: '2024-01-20T10:30:00Z',
+        status: 'scheduled',
+        type: 'consultation',
+        createdAt: now
+    });
+
+    // Migrations (including the care-team backfill) have already run on the empty store,
+    // so the demo provider's care team is created here
+    store.collection('careTeamAssignments').insert({
+        id: 'cta_001',
+        patientId: 'patient_001',
+        providerId: 'provider_001',
+        role: 'primary',
+        startDate: '2024-01-01T00:00:00Z',
+        endDate: null,
+        notes: '',
+        createdBy: 'admin_001',
+        createdAt: now,
+        updatedAt: now
+    });
+
+    store.collection('notifications').insert({
+        id: 'notif_001',
+        title: 'Welcome to OneCare',
+        message: 'Your healthcare management platform is ready to use.',
+        type: 'info',
+        priority: 'low',
+        deliveryMethod: 'in-app',
+        audience: { all: true },
+        status: 'sent',
+        sendAt: null,
+        sentAt: now,
+        recipientCount: DEMO_USERS.length,
+        createdAt: now,
+        createdBy: 'admin_001',
+        updatedAt: now
+    });
+
+    DEMO_USERS.forEach((user, index) => {
+        store.collection('notificationDeliveries').insert({
+            id: `dlv_${String(index + 1).padStart(3, '0')}`,
+            notificationId: 'notif_001',
+            userId: user.id,
+            createdAt: now,
+            deliveredAt: null,
+            readAt: null
+        });
+    });
+
+    store.collection('healthData').insert({
+        id: 'health_001',
+        patientId: 'patient_001',
+        type: 'vital_signs',
+        data: validateHealthData({
+            type: 'vital_signs',
+            data: {
+                bloodPressure: { systolic: 120, diastolic: 80 },
+                heartRate: 72,
+                temperature: { value: 98.6, unit: '[degF]' },
+                weight: { value: 170, unit: '[lb_av]' },
+                height: { value: 70, unit: '[in_i]' }
+            }
+        }).value.data,
+        timestamp: now,
+        recordedBy: 'provider_001',
+        createdAt: now
+    });
+
+    console.log(`🌱 Seeded demo data: ${DEMO_USERS.length} users`);
+}
+
+module.exports = { seedDemoData, DEMO_USERS };
@@ -0,0 +1,32 @@
+const { createTestStore } = require('./test-store');
+const { migrations } = require('./migrations');
+const { seedDemoData } = require('./seed');
+const { CareTeamService } = require('../care-team/care-team');
+
+describe('demo seed', () => {
+    let store;
+
+    beforeAll(() => {
+        store = createTestStore({ seed: seedDemoData });
+    });
+
+    test('runs after every migration on a new store', () => {
+        expect(store.schemaVersion).toBe(migrations[migrations.length - 1].version);
+    });
+
+    // The care-team migration finds nothing to backfill in a new store, so the seed links them itself
+    test('puts the demo patient on the demo provider\'s care team', () => {
+        const careTeam = new CareTeamService({ assignments: store.careTeamAssignments, users: store.users });
+        expect(careTeam.isMember('provider_001', 'patient_001')).toBe(true);
+        expect(careTeam.active({ patientId: 'patient_001' })).toEqual([
+            expect.objectContaining({ providerId: 'provider_001', role: 'primary' })
+        ]);
+    });
+
+    test('links every demo provider to a patient', () => {
+        const providers = store.users.filter(user => user.role === 'provider');
+        providers.forEach(provider => {
+            expect(store.careTeamAssignments.filter(assignment => assignment.providerId === provider.id)).not.toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,257 @@
+/**
+ * OneCare Storage Layer
+ * Collection-based persistence for the main platform server
+ * Features: file-backed JSON store, atomic writes, schema migrations, demo seeding
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// File driver - keeps the whole store in one JSON document on disk
+class FileDriver {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    read() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw new Error(`Failed to read data file ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    // Write to a temp file, fsync it, then rename over the target so a crash
+    // mid-write never leaves a truncated data file behind
+    write(data) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(data, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+// Memory driver - nothing survives a restart (useful for tests and demos)
+class MemoryDriver {
+    read() {
+        return null;
+    }
+
+    write() {}
+}
+
+class Collection {
+    constructor(store, name) {
+        this.store = store;
+        this.name = name;
+    }
+
+    get documents() {
+        return this.store.data.collections[this.name];
+    }
+
+    // Read helpers return live documents; changes must go through update()
+    // or they will not be persisted
+    all() {
+        return [...this.documents];
+    }
+
+    find(predicate) {
+        return this.documents.find(predicate);
+    }
+
+    findById(id) {
+        return this.documents.find(doc => doc.id === id);
+    }
+
+    filter(predicate) {
+        return this.documents.filter(predicate);
+    }
+
+    count(predicate) {
+        return predicate ? this.documents.filter(predicate).length : this.documents.length;
+    }
+
+    insert(doc) {
+        this.documents.push(doc);
+        this.store.scheduleSave();
+        return doc;
+    }
+
+    update(id, changes) {
+        const doc = this.findById(id);
+        if (!doc) {
+            return null;
+        }
+
+        Object.assign(doc, changes);
+        this.store.scheduleSave();
+        return doc;
+    }
+
+    remove(id) {
+        const index = this.documents.findIndex(doc => doc.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        this.documents.splice(index, 1);
+        this.store.scheduleSave();
+        return true;
+    }
+
+    removeWhere(predicate) {
+        const kept = this.documents.filter(doc => !predicate(doc));
+        const removed = this.documents.length - kept.length;
+
+        if (removed > 0) {
+            this.store.data.collections[this.name] = kept;
+            this.store.scheduleSave();
+        }
+
+        return removed;
+    }
+}
+
+class Store {
+    constructor({ driver, migrations = [], seed = null }) {
+        this.driver = driver;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+        this.seed = seed;
+        this.data = null;
+        this.collections = new Map();
+        this.savePending = false;
+    }
+
+    get schemaVersion() {
+        return this.data.schemaVersion;
+    }
+
+    get latestVersion() {
+        return this.migrations.length > 0
+            ? this.migrations[this.migrations.length - 1].version
+            : 0;
+    }
+
+    open() {
+        const existing = this.driver.read();
+        const isNew = existing === null;
+
+        this.data = existing || { schemaVersion: 0, collections: {} };
+        this.migrate();
+
+        if (isNew && this.seed) {
+            this.seed(this);
+        }
+
+        this.flush();
+
+        // Persist anything still queued when the process exits
+        process.on('exit', () => {
+            if (this.savePending) {
+                this.flush();
+            }
+        });
+
+        return this;
+    }
+
+    migrate() {
+        const latest = this.latestVersion;
+
+        if (this.data.schemaVersion > latest) {
+            throw new Error(`Data schema version ${this.data.schemaVersion} is newer than this server supports (${latest})`);
+        }
+
+        this.migrations
+            .filter(migration => migration.version > this.data.schemaVersion)
+            .forEach(migration => {
+                migration.up(this.data);
+                this.data.schemaVersion = migration.version;
+                console.log(`🗄️  Applied storage migration ${migration.version}: ${migration.description}`);
+            });
+    }
+
+    // Swap in a whole store document (e.g. a restored backup), migrated to the current schema
+    replace(data) {
+        if (data.schemaVersion > this.latestVersion) {
+            throw new Error(`Data schema version ${data.schemaVersion} is newer than this server supports (${this.latestVersion})`);
+        }
+        this.data = data;
+        this.migrate();
+        this.flush();
+    }
+
+    collection(name) {
+        if (!this.data.collections[name]) {
+            throw new Error(`Unknown collection: ${name}`);
+        }
+
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Collection(this, name));
+        }
+        return this.collections.get(name);
+    }
+
+    // Coalesce all writes made during one tick of the event loop into a single save
+    scheduleSave() {
+        if (this.savePending) {
+            return;
+        }
+
+        this.savePending = true;
+        setImmediate(() => {
+            if (this.savePending) {
+                this.flush();
+            }
+        });
+    }
+
+    flush() {
+        this.savePending = false;
+        try {
+            this.driver.write(this.data);
+        } catch (error) {
+            console.error('Failed to persist data store:', error);
+        }
+    }
+}
+
+function createStore({ driver = 'file', filePath, migrations, seed } = {}) {
+    let storageDriver;
+    switch (driver) {
+        case 'file':
+            storageDriver = new FileDriver(filePath);
+            break;
+        case 'memory':
+            storageDriver = new MemoryDriver();
+            break;
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+
+    const store = new Store({ driver: storageDriver, migrations, seed }).open();
+
+    // Expose collections as properties, e.g. database.users.find(...)
+    Object.keys(store.data.collections).forEach(name => {
+        Object.defineProperty(store, name, {
+            get: () => store.collection(name),
+            enumerable: true
+        });
+    });
+
+    return store;
+}
+
+module.exports = { createStore, Store, Collection, FileDriver, MemoryDriver };
@@ -0,0 +1,21 @@
+/**
+ * Test Store
+ * In-memory store brought up to the current schema for the server's tests, without the
+ * migration log each new store prints
+ */
+
+const { createStore } = require('./store');
+const { migrations: platformMigrations } = require('./migrations');
+
+// `migrations` default to the main server's; `seed` runs on the new store as usual
+function createTestStore({ migrations = platformMigrations, seed = null, filePath } = {}) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return createStore({ driver: 'memory', filePath, migrations, seed });
+    } finally {
+        console.log = log;
+    }
+}
+
+module.exports = { createTestStore };
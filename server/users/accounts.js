@@ -0,0 +1,28 @@
+/**
+ * User Accounts
+ * Validation of administrator edits to user accounts
+ * Features: only name, email, active state and role can be edited; passwords change through
+ * the hashed reset flow, and security fields (two-factor, lockouts, tokens) are never writable
+ */
+
+const Joi = require('joi');
+
+const userUpdateSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(128),
+    email: Joi.string().trim().lowercase().email({ tlds: { allow: false } }),
+    isActive: Joi.boolean(),
+    role: Joi.string().trim(),
+    password: Joi.forbidden().messages({
+        'any.unknown': 'Passwords cannot be set here; send the user a password reset link'
+    })
+}).min(1);
+
+function validateUserUpdate(input) {
+    const { error, value } = userUpdateSchema.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { error: error.details.map(detail => detail.message) };
+    }
+    return { value };
+}
+
+module.exports = { validateUserUpdate };
@@ -0,0 +1,91 @@
+/**
+ * Bulk User Import/Export
+ * Row mapping and validation for administrator bulk operations
+ * Features: import row validation (duplicate email, unknown role), export rows matching
+ * the admin user table columns
+ * Imported accounts never carry a password; every new user sets one through an invite link.
+ */
+
+const Joi = require('joi');
+
+// Same columns as the admin user table; an export can be edited and imported again
+const USER_EXPORT_COLUMNS = ['id', 'firstName', 'lastName', 'email', 'role', 'status', 'joined', 'lastActive'];
+
+const importRowSchema = Joi.object({
+    email: Joi.string().trim().lowercase().email({ tlds: { allow: false } }).required(),
+    name: Joi.string().trim().max(128).allow(''),
+    firstName: Joi.string().trim().max(64).allow(''),
+    lastName: Joi.string().trim().max(64).allow(''),
+    role: Joi.string().trim().default('patient'),
+    status: Joi.string().trim().lowercase().valid('active', 'pending', 'inactive').allow('').default('active'),
+    password: Joi.forbidden().messages({
+        'any.unknown': 'Remove the password column; imported users set their own password from the invite'
+    })
+});
+
+// A stored user in the export/table shape
+function exportRow(user) {
+    const [firstName, ...rest] = (user.name || '').split(' ');
+    return {
+        id: user.id,
+        firstName,
+        lastName: rest.join(' '),
+        email: user.email,
+        role: user.role,
+        status: !user.isActive ? 'inactive' : user.emailVerified === false ? 'pending' : 'active',
+        joined: user.createdAt,
+        lastActive: user.lastLogin || ''
+    };
+}
+
+/**
+ * Validate import rows against each other and the existing accounts.
+ * Returns one { row, email, value, errors } per input row, `row` counting from 1.
+ * `roleExists(id)`, `roleGrantable(id)` and `emailTaken(email)` are supplied by the caller.
+ */
+function validateImportRows(rows, { roleExists, roleGrantable, emailTaken }) {
+    const seen = new Set();
+
+    return rows.map((input, index) => {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { row: index + 1, email: '', value: null, errors: ['Each row must be an object of column values'] };
+        }
+
+        const { error, value } = importRowSchema.validate(input, { abortEarly: false, stripUnknown: true });
+        const errors = error ? error.details.map(detail => detail.message) : [];
+        const email = value.email || (typeof input.email === 'string' ? input.email.trim() : '');
+
+        if (value.email) {
+            if (seen.has(value.email)) {
+                errors.push(`Duplicate email ${value.email} earlier in the import`);
+            } else if (emailTaken(value.email)) {
+                errors.push(`A user with email ${value.email} already exists`);
+            }
+            seen.add(value.email);
+        }
+
+        if (value.role && !roleExists(value.role)) {
+            errors.push(`Unknown role: ${value.role}`);
+        } else if (value.role && !roleGrantable(value.role)) {
+            errors.push(`Not permitted to grant the ${value.role} role`);
+        }
+
+        const name = value.name || [value.firstName, value.lastName].filter(Boolean).join(' ');
+        if (!error && !name) {
+            errors.push('A name (or firstName/lastName) is required');
+        }
+
+        return {
+            row: index + 1,
+            email,
+            value: errors.length ? null : { email: value.email, name, role: value.role, status: value.status || 'active' },
+            errors
+        };
+    });
+}
+
+module.exports = {
+    USER_EXPORT_COLUMNS,
+    exportRow,
+    validateImportRows
+};
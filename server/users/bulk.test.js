@@ -0,0 +1,45 @@
+const { validateImportRows } = require('./bulk');
+
+const checks = {
+    roleExists: roleId => ['patient', 'doctor'].includes(roleId),
+    roleGrantable: roleId => roleId === 'patient',
+    emailTaken: email => email === 'taken@example.com'
+};
+
+const row = overrides => ({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', ...overrides });
+
+describe('validateImportRows', () => {
+    test('accepts a valid row and normalizes it', () => {
+        const [result] = validateImportRows([row({ email: 'Ada@Example.com ' })], checks);
+
+        expect(result.errors).toEqual([]);
+        expect(result.value).toEqual({ email: 'ada@example.com', name: 'Ada Lovelace', role: 'patient', status: 'active' });
+    });
+
+    test('reports rows that are not objects instead of throwing', () => {
+        const results = validateImportRows([null, 'ada@example.com', ['Ada'], row()], checks);
+
+        expect(results.slice(0, 3).map(result => result.row)).toEqual([1, 2, 3]);
+        results.slice(0, 3).forEach(result => {
+            expect(result.value).toBeNull();
+            expect(result.errors).toEqual(['Each row must be an object of column values']);
+        });
+        expect(results[3].errors).toEqual([]);
+    });
+
+    test('flags unknown and ungrantable roles, taken emails and duplicates in the file', () => {
+        const results = validateImportRows([
+            row({ role: 'wizard', email: 'a@example.com' }),
+            row({ role: 'doctor', email: 'b@example.com' }),
+            row({ email: 'taken@example.com' }),
+            row({ email: 'c@example.com' }),
+            row({ email: 'C@example.com' })
+        ], checks);
+
+        expect(results[0].errors).toContain('Unknown role: wizard');
+        expect(results[1].errors).toContain('Not permitted to grant the doctor role');
+        expect(results[2].errors).toContain('A user with email taken@example.com already exists');
+        expect(results[3].errors).toEqual([]);
+        expect(results[4].errors).toContain('Duplicate email c@example.com earlier in the import');
+    });
+});
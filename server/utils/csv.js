@@ -0,0 +1,74 @@
+/**
+ * CSV Helpers
+ * Reading and writing CSV for imports and exports
+ * Features: RFC 4180 parsing (quoted fields, doubled quotes, CRLF), formula-safe cell quoting,
+ * single-row output for streaming
+ */
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF) into objects keyed by the header row.
+ * Blank lines are skipped.
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    record.push(field);
+    records.push(record);
+
+    const [header = [], ...rows] = records.filter(r => r.some(value => value.trim() !== ''));
+    const keys = header.map(key => key.trim());
+    return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, row[index] ?? ''])));
+}
+
+// Quote a CSV cell; cells that a spreadsheet would run as a formula are prefixed with '
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line (with trailing CRLF) from a list of cell values
+function csvRow(cells) {
+    return cells.map(csvCell).join(',') + '\r\n';
+}
+
+function toCsv(rows, columns) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))].map(csvRow).join('');
+}
+
+module.exports = {
+    parseCsv,
+    csvRow,
+    toCsv
+};
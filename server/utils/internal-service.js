@@ -0,0 +1,86 @@
+/**
+ * Internal Service Calls
+ * Service-to-service requests between the main server and the standalone services
+ * (consent checks, data subject requests, backups, metrics scrapes)
+ * Features: shared bearer-token guard for internal routes, which stay closed until their
+ * token is configured; JSON client for the services' /internal endpoints and the main
+ * server's /api/internal ones
+ */
+
+const crypto = require('crypto');
+
+// Compare digests so the check takes the same time whatever the header holds
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Express middleware for an internal route: requires "Bearer <token>". Without a configured
+ * token the route is refused outright; `label` names what it serves and `envVar` the token setting.
+ */
+function requireServiceToken(token, { label, envVar }) {
+    return (req, res, next) => {
+        if (!token) {
+            return res.status(503).json({ error: `${label} are disabled until ${envVar} is set` });
+        }
+        if (!crypto.timingSafeEqual(digest(req.headers['authorization'] || ''), digest(`Bearer ${token}`))) {
+            return res.status(401).json({ error: `${envVar} required` });
+        }
+        next();
+    };
+}
+
+class InternalServiceClient {
+    /**
+     * name labels the service in errors; baseUrl is the service root and prefix the path of
+     * its internal endpoints; token is the shared service token.
+     */
+    constructor({ name, baseUrl, prefix, token = null, timeoutMs, fetch = globalThis.fetch }) {
+        this.name = name;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.prefix = prefix;
+        this.token = token;
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetch;
+    }
+
+    // POST a JSON body to `<prefix>/<action>`; rejects when the service is unreachable or answers with an error
+    call(action, body) {
+        return this.request(`${this.prefix}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    // GET `<prefix>/<action>` with `query` as search parameters; rejects like call()
+    get(action, query = {}) {
+        const params = new URLSearchParams(query);
+        return this.request(`${this.prefix}/${action}${params.size ? `?${params}` : ''}`, { method: 'GET' });
+    }
+
+    async request(path, { headers = {}, ...init } = {}) {
+        let response;
+        try {
+            response = await this.fetch(`${this.baseUrl}${path}`, {
+                ...init,
+                headers: {
+                    ...headers,
+                    ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {})
+                },
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            throw new Error(`${this.name} service unavailable: ${error.message}`);
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`${this.name} service responded with HTTP ${response.status}${result.error ? `: ${result.error}` : ''}`);
+        }
+        return result;
+    }
+}
+
+module.exports = {
+    requireServiceToken,
+    InternalServiceClient
+};
@@ -0,0 +1,92 @@
+const { requireServiceToken, InternalServiceClient } = require('./internal-service');
+
+// Runs the middleware on a request with `authorization`; resolves to the status sent, or 'next'
+const guard = (token, authorization) => new Promise((resolve) => {
+    const req = { headers: authorization ? { authorization } : {} };
+    const res = {
+        status(code) {
+            return { json: (body) => resolve({ status: code, body }) };
+        }
+    };
+    requireServiceToken(token, { label: 'Backups', envVar: 'BACKUP_SERVICE_TOKEN' })(req, res, () => resolve('next'));
+});
+
+describe('requireServiceToken', () => {
+    test('lets requests with the token through', async () => {
+        expect(await guard('s3cret', 'Bearer s3cret')).toBe('next');
+    });
+
+    test('refuses a missing or wrong token', async () => {
+        const refused = { status: 401, body: { error: 'BACKUP_SERVICE_TOKEN required' } };
+        expect(await guard('s3cret', undefined)).toEqual(refused);
+        expect(await guard('s3cret', 'Bearer wrong')).toEqual(refused);
+        expect(await guard('s3cret', 's3cret')).toEqual(refused);
+    });
+
+    test('stays closed while no token is configured', async () => {
+        const closed = { status: 503, body: { error: 'Backups are disabled until BACKUP_SERVICE_TOKEN is set' } };
+        expect(await guard(null, undefined)).toEqual(closed);
+        expect(await guard('', 'Bearer ')).toEqual(closed);
+    });
+});
+
+describe('InternalServiceClient', () => {
+    const reply = (status, body) => jest.fn(async () => ({ ok: status < 300, status, json: async () => body }));
+
+    const client = (fetch, token = 's3cret') => new InternalServiceClient({
+        name: 'screening',
+        baseUrl: 'http://localhost:3002/',
+        prefix: '/internal/backup',
+        token,
+        timeoutMs: 1000,
+        fetch
+    });
+
+    test('posts JSON with the service token', async () => {
+        const fetch = reply(200, { success: true });
+        await expect(client(fetch).call('create', { id: 'b1' })).resolves.toEqual({ success: true });
+
+        const [url, request] = fetch.mock.calls[0];
+        expect(url).toBe('http://localhost:3002/internal/backup/create');
+        expect(request).toMatchObject({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer s3cret' },
+            body: '{"id":"b1"}'
+        });
+    });
+
+    test('gets with query parameters and the service token', async () => {
+        const fetch = reply(200, { data: [] });
+        await expect(client(fetch).get('status', { id: 'b1', kind: 'full' })).resolves.toEqual({ data: [] });
+        await client(fetch).get('list');
+
+        expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+            'http://localhost:3002/internal/backup/status?id=b1&kind=full',
+            'http://localhost:3002/internal/backup/list'
+        ]);
+        expect(fetch.mock.calls[0][1]).toMatchObject({ headers: { 'Authorization': 'Bearer s3cret' } });
+        expect(fetch.mock.calls[0][1]).not.toHaveProperty('body');
+    });
+
+    test('sends no authorization header without a token', async () => {
+        const fetch = reply(200, {});
+        await client(fetch, null).call('create', {});
+        expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('Authorization');
+    });
+
+    test('names the service when it answers with an error', async () => {
+        await expect(client(reply(401, { error: 'BACKUP_SERVICE_TOKEN required' })).call('create', {}))
+            .rejects.toThrow('screening service responded with HTTP 401: BACKUP_SERVICE_TOKEN required');
+
+        // e.g. an HTML error page from a proxy
+        const notJson = jest.fn(async () => ({ ok: false, status: 502, json: async () => JSON.parse('<html>') }));
+        await expect(client(notJson).call('create', {})).rejects.toThrow(/^screening service responded with HTTP 502$/);
+    });
+
+    test('names the service when it cannot be reached', async () => {
+        const fetch = jest.fn(async () => {
+            throw new Error('connect ECONNREFUSED');
+        });
+        await expect(client(fetch).call('create', {})).rejects.toThrow('screening service unavailable: connect ECONNREFUSED');
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Polling Client
+ * Base for the standalone services' clients that follow state published by the main server
+ * (maintenance schedule, public settings)
+ * Features: polling on an interval that does not keep the process alive, the last data
+ * received kept while the main server cannot be reached, one warning when it becomes
+ * unreachable and one notice when it is back rather than one per failed poll
+ */
+
+class PollingClient {
+    /**
+     * baseUrl is the main server and path the JSON endpoint to poll; label names the data in
+     * log messages. Subclasses take each successful response's `data` in `receive(data)`.
+     */
+    constructor({ baseUrl, path, label, intervalSeconds = 30, timeoutMs = 5000, fetch = globalThis.fetch }) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.path = path;
+        this.label = label;
+        this.intervalSeconds = intervalSeconds;
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetch;
+        // null until the first poll, then whether the latest one succeeded
+        this.reachable = null;
+    }
+
+    async refresh() {
+        try {
+            const response = await this.fetch(`${this.baseUrl}${this.path}`, {
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            this.receive(result.data);
+            if (this.reachable === false) {
+                console.log(`${this.label} available again`);
+            }
+            this.reachable = true;
+        } catch (error) {
+            if (this.reachable !== false) {
+                console.warn(`${this.label} unavailable: ${error.message}`);
+            }
+            this.reachable = false;
+        }
+    }
+
+    start() {
+        this.refresh();
+        return setInterval(() => this.refresh(), this.intervalSeconds * 1000).unref();
+    }
+}
+
+module.exports = { PollingClient };
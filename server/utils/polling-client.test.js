@@ -0,0 +1,80 @@
+const { PollingClient } = require('./polling-client');
+
+class RecordingClient extends PollingClient {
+    constructor(options) {
+        super({ baseUrl: 'http://localhost:3000/', path: '/api/settings/public', label: 'Public settings', ...options });
+        this.received = [];
+    }
+
+    receive(data) {
+        this.received.push(data);
+    }
+}
+
+const ok = (data) => ({ ok: true, status: 200, json: async () => ({ success: true, data }) });
+const refused = () => {
+    throw new Error('connect ECONNREFUSED');
+};
+
+describe('PollingClient', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('passes each response\'s data to the subclass', async () => {
+        const fetch = jest.fn(async () => ok({ theme: 'dark' }));
+        const client = new RecordingClient({ fetch });
+
+        await client.refresh();
+        expect(fetch.mock.calls[0][0]).toBe('http://localhost:3000/api/settings/public');
+        expect(client.received).toEqual([{ theme: 'dark' }]);
+        expect(client.reachable).toBe(true);
+    });
+
+    test('warns once while the main server stays unreachable and notes when it is back', async () => {
+        const responses = [refused, refused, refused, () => ok({ theme: 'light' })];
+        const client = new RecordingClient({ fetch: jest.fn(async () => responses.shift()()) });
+
+        await client.refresh();
+        await client.refresh();
+        await client.refresh();
+        expect(console.warn).toHaveBeenCalledTimes(1);
+        expect(console.warn).toHaveBeenCalledWith('Public settings unavailable: connect ECONNREFUSED');
+        expect(client.reachable).toBe(false);
+
+        await client.refresh();
+        expect(console.log).toHaveBeenCalledWith('Public settings available again');
+        expect(client.received).toEqual([{ theme: 'light' }]);
+    });
+
+    test('keeps the last data received when a poll fails', async () => {
+        const responses = [() => ok({ theme: 'dark' }), () => ({ ok: false, status: 500, json: async () => ({ error: 'Internal error' }) })];
+        const client = new RecordingClient({ fetch: jest.fn(async () => responses.shift()()) });
+
+        await client.refresh();
+        await client.refresh();
+        expect(client.received).toEqual([{ theme: 'dark' }]);
+        expect(console.warn).toHaveBeenCalledWith('Public settings unavailable: Internal error');
+    });
+
+    test('polls on an interval that does not keep the process alive', async () => {
+        jest.useFakeTimers();
+        try {
+            const fetch = jest.fn(async () => ok({}));
+            const timer = new RecordingClient({ fetch, intervalSeconds: 10 }).start();
+
+            expect(timer.hasRef()).toBe(false);
+            expect(fetch).toHaveBeenCalledTimes(1);
+            jest.advanceTimersByTime(20 * 1000);
+            expect(fetch).toHaveBeenCalledTimes(3);
+            clearInterval(timer);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,29 @@
+/**
+ * Public Files
+ * The browser pages and the scripts and styles they load, served from the project root
+ * Only the pages at the top level and the css/ and js/ folders are served: server code,
+ * configuration and the data directory (store, backups, exports, audit archives, mail outbox)
+ * share the root and must never be reachable over HTTP
+ */
+
+const express = require('express');
+const path = require('path');
+
+const PUBLIC_DIRECTORIES = ['css', 'js'];
+
+// "/" and top-level pages such as "/admin-users.html"; no folders, so nothing outside the root either
+const PAGE_PATH = /^\/([\w-]+\.(html|md))?$/;
+
+function publicFiles(root, { directories = PUBLIC_DIRECTORIES } = {}) {
+    const router = express.Router();
+    directories.forEach(directory => router.use(`/${directory}`, express.static(path.join(root, directory))));
+
+    const pages = express.static(root, { index: 'index.html' });
+    router.use((req, res, next) => (PAGE_PATH.test(req.path) ? pages(req, res, next) : next()));
+    return router;
+}
+
+module.exports = {
+    PUBLIC_DIRECTORIES,
+    publicFiles
+};
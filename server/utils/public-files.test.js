@@ -0,0 +1,57 @@
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { publicFiles } = require('./public-files');
+
+describe('publicFiles', () => {
+    let root;
+    let app;
+
+    beforeAll(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'public-files-'));
+        const files = {
+            'index.html': '<h1>OneCare</h1>',
+            'admin-users.html': '<h1>Users</h1>',
+            'css/dashboard.css': 'body {}',
+            'js/auth-session.js': 'void 0;',
+            'data/onecare-db.json': '{"collections":{}}',
+            'data/backups/bk_1.ocbk': 'OCBK1',
+            'server.js': 'module.exports = {};',
+            'package.json': '{}',
+            '.env': 'JWT_SECRET=secret'
+        };
+        Object.entries(files).forEach(([name, content]) => {
+            fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+            fs.writeFileSync(path.join(root, name), content);
+        });
+        app = express().use(publicFiles(root));
+    });
+
+    afterAll(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('serves the pages and their scripts and styles', async () => {
+        await request(app).get('/').expect(200, '<h1>OneCare</h1>');
+        await request(app).get('/admin-users.html').expect(200, '<h1>Users</h1>');
+        await request(app).get('/css/dashboard.css').expect(200);
+        await request(app).get('/js/auth-session.js').expect(200);
+    });
+
+    test.each([
+        '/data/onecare-db.json',
+        '/data/backups/bk_1.ocbk',
+        '/data/',
+        '/css/../data/onecare-db.json',
+        '/css/%2e%2e/data/onecare-db.json',
+        '/js/..%2fdata/onecare-db.json'
+    ])('does not serve the data directory: %s', async (url) => {
+        await request(app).get(url).expect(404);
+    });
+
+    test.each(['/server.js', '/package.json', '/.env'])('does not serve server files: %s', async (url) => {
+        await request(app).get(url).expect(404);
+    });
+});
@@ -3,6 +3,9 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
+const { MetricsRegistry, requireMetricsAccess } = require('./metrics/metrics');
+const { maintenanceGate, announceMaintenance } = require('./maintenance/maintenance');
+const { MaintenanceClient, bearerIsAdmin } = require('./maintenance/maintenance-client');
 
 const app = express();
 const server = http.createServer(app);
@@ -16,9 +19,30 @@ const io = socketIo(server, {
     }
 });
 
+// Connection counts by role, plus request and process metrics
+const metrics = new MetricsRegistry();
+
+app.use(metrics.middleware());
 app.use(cors());
 app.use(express.json());
 
+// Maintenance windows are scheduled on the main platform server; during one only admins get
+// through, and connected clients are counted down to it
+const maintenance = new MaintenanceClient({
+    baseUrl: process.env.MAINTENANCE_SERVICE_URL || 'http://localhost:3000'
+});
+maintenance.start();
+
+app.use(maintenanceGate({
+    status: () => maintenance.status(),
+    isAdmin: bearerIsAdmin(process.env.JWT_SECRET || 'onecare-secret-key')
+}));
+
+announceMaintenance({
+    status: () => maintenance.status(),
+    emit: (event, payload) => io.emit(event, payload)
+});
+
 // JWT verification middleware for socket connections
 const authenticateSocket = (socket, next) => {
     const token = socket.handshake.auth.token;
@@ -46,15 +70,16 @@ const connectedUsers = {
     patients: new Map()
 };
 
-// Real-time system monitoring data
-let systemMetrics = {
-    activeUsers: 0,
-    serverUptime: Date.now(),
-    responseTime: 45,
-    errorRate: 0.02,
-    memoryUsage: 68.5,
-    cpuUsage: 32.1,
-    databaseConnections: 15
+metrics.gauge('websocket_connected_users', 'Connected users by role.',
+    () => Object.entries(connectedUsers).map(([group, users]) => ({ labels: { role: group.slice(0, -1) }, value: users.size })),
+    { sampleAs: 'activeUsers' });
+metrics.gauge('socketio_connected_clients', 'Connected Socket.IO clients.', () => io.engine.clientsCount, { sampleAs: 'connections' });
+metrics.start();
+
+// Current metrics in the shape monitoring.html renders (without the per-route table)
+const systemMetrics = () => {
+    const { routes, ...current } = metrics.snapshot();
+    return current;
 };
 
 // Mock real-time notifications queue
@@ -87,13 +112,11 @@ io.on('connection', (socket) => {
     // Store user connection by role
     connectedUsers[`${socket.user.role}s`].set(socket.user.userId, socket);
     
-    // Update active users count
-    systemMetrics.activeUsers = getTotalConnectedUsers();
-    
     // Send initial data based on user role
     switch (socket.user.role) {
         case 'admin':
-            socket.emit('system_metrics', systemMetrics);
+            socket.emit('system_metrics', systemMetrics());
+            socket.emit('system_metrics_history', { window: '1h', history: metrics.history('1h') });
             socket.emit('notifications', getNotificationsForUser(socket.user.userId, socket.user.role));
             break;
         case 'provider':
@@ -174,9 +197,14 @@ io.on('connection', (socket) => {
     });
     
     // Handle system monitoring requests
-    socket.on('request_system_metrics', () => {
+    socket.on('request_system_metrics', (options = {}) => {
         if (socket.user.role === 'admin') {
-            socket.emit('system_metrics', systemMetrics);
+            socket.emit('system_metrics', systemMetrics());
+            const window = options.window || '1h';
+            const history = metrics.history(window);
+            if (history) {
+                socket.emit('system_metrics_history', { window, history });
+            }
         }
     });
     
@@ -199,11 +227,8 @@ io.on('connection', (socket) => {
         // Remove user from connected users
         connectedUsers[`${socket.user.role}s`].delete(socket.user.userId);
         
-        // Update active users count
-        systemMetrics.activeUsers = getTotalConnectedUsers();
-        
         // Broadcast updated metrics to admins
-        broadcastToRole('admin', 'system_metrics', systemMetrics);
+        broadcastToRole('admin', 'system_metrics', systemMetrics());
     });
 });
 
@@ -258,17 +283,9 @@ function getAppointmentUpdatesForPatient(patientId) {
     ];
 }
 
-// Simulate real-time system metrics updates
+// Push current metrics to admins
 setInterval(() => {
-    // Update mock metrics
-    systemMetrics.responseTime = Math.floor(Math.random() * 100) + 20;
-    systemMetrics.errorRate = Math.random() * 0.1;
-    systemMetrics.memoryUsage = Math.random() * 40 + 50;
-    systemMetrics.cpuUsage = Math.random() * 60 + 20;
-    systemMetrics.databaseConnections = Math.floor(Math.random() * 20) + 10;
-    
-    // Broadcast to all admins
-    broadcastToRole('admin', 'system_metrics', systemMetrics);
+    broadcastToRole('admin', 'system_metrics', systemMetrics());
 }, 5000); // Update every 5 seconds
 
 // Simulate periodic notifications
@@ -277,7 +294,7 @@ setInterval(() => {
         id: `notif_${Date.now()}`,
         type: 'system_update',
         title: 'System Status',
-        message: `System running smoothly. ${systemMetrics.activeUsers} active users.`,
+        message: `System running smoothly. ${getTotalConnectedUsers()} active users.`,
         priority: 'low',
         timestamp: new Date(),
         userRole: 'admin'
@@ -315,8 +332,16 @@ app.get('/api/connected-users', (req, res) => {
     });
 });
 
-app.get('/api/system-metrics', (req, res) => {
-    res.json(systemMetrics);
+const metricsAccess = requireMetricsAccess(process.env.METRICS_TOKEN);
+
+app.get('/api/system-metrics', metricsAccess, (req, res) => {
+    const window = req.query.window || '1h';
+    res.json({ ...metrics.snapshot(), window, history: metrics.history(window) || [] });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', metricsAccess, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.toPrometheus());
 });
 
 // Health check endpoint
@@ -2,6 +2,7 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { publicFiles } = require('./server/utils/public-files');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -37,7 +38,7 @@ let users = [
 let authTokens = new Map();
 
 // Middleware to serve static files
-app.use(express.static(path.join(__dirname)));
+app.use(publicFiles(__dirname));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 